@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import Grade from "../models/grade.js";
+import Subject from "../models/subject.js";
+import Assignment from "../models/assignment.js";
+import User from "../models/user.js";
+import analyticsService from "../services/analyticsService.js";
+import analyticsCtrl from "../controllers/analyticsController.js";
+jest.mock("../models/grade.js");
+jest.mock("../models/subject.js");
+jest.mock("../models/assignment.js");
+jest.mock("../models/user.js");
+
+const uid = new mongoose.Types.ObjectId().toString();
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("grade analytics", () => {
+  it("should filter grades by user, date range and semester, casting IDs", () => {
+    const semesterId = new mongoose.Types.ObjectId().toString();
+    const from = new Date("2025-01-01");
+    const pipeline = analyticsService.gradesOf(uid, { from, semesterId });
+
+    expect(pipeline[0].$match.uid).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(pipeline[0].$match.date).toEqual({ $gte: from });
+    expect(pipeline[0].$match).not.toHaveProperty("s_id");
+    expect(pipeline[1].$lookup.pipeline[0]).toEqual({ $match: { deleted_at: null } });
+    expect(String(pipeline[3].$match["subject.semester_id"])).toBe(semesterId);
+  });
+
+  it("should rank subjects and compare them with their targets", async () => {
+    Grade.aggregate.mockResolvedValue([
+      { _id: "s2", subjectTitle: "Art", earned: 13, possible: 20, highest: 65, lowest: 65, grades: 1, scores: [{ _id: "g3", grade: 13, outOf: 20 }] },
+      { _id: "s1", subjectTitle: "Math", targetGrade: 80, earned: 90, possible: 100, highest: 95, lowest: 85, grades: 2, scores: [{ _id: "g1", grade: 47.5, outOf: 50 }, { _id: "g2", grade: 42.5, outOf: 50 }] },
+    ]);
+    Subject.find.mockResolvedValue([{ _id: "s1", targetGrade: 80, gradingCategories: [] }, { _id: "s2", gradingCategories: [] }]);
+    Assignment.find.mockResolvedValue([]);
+
+    const { subjects, best, worst } = await analyticsService.compareSubjects(uid, {});
+
+    expect(subjects[0]).toMatchObject({ subject_id: "s1", percentage: 90, target_grade: 80, difference: 10, on_target: true });
+    expect(subjects[1]).toMatchObject({ subject_id: "s2", target_grade: null, difference: null, on_target: null });
+    expect(best.subjectTitle).toBe("Math");
+    expect(worst.subjectTitle).toBe("Art");
+  });
+
+  it("should weigh a subject's grades by category, as its standing does", async () => {
+    // 100% on labs worth 20 and 50% on the final worth 80: 60% weighted, though 75 of 100 points
+    Grade.aggregate.mockResolvedValue([
+      {
+        _id: "s1", subjectTitle: "Physics", targetGrade: 70, earned: 75, possible: 100, highest: 100, lowest: 50, grades: 2,
+        scores: [{ _id: "g1", a_id: "a1", grade: 50, outOf: 50 }, { _id: "g2", a_id: "a2", grade: 25, outOf: 50 }],
+      },
+    ]);
+    Subject.find.mockResolvedValue([{ _id: "s1", targetGrade: 70, gradingCategories: [{ _id: "lab", name: "Labs", weight: 20 }, { _id: "final", name: "Final", weight: 80 }] }]);
+    Assignment.find.mockResolvedValue([{ _id: "a1", s_id: "s1", category_id: "lab" }, { _id: "a2", s_id: "s1", category_id: "final" }]);
+
+    const { subjects } = await analyticsService.compareSubjects(uid, {});
+
+    expect(Assignment.find).toHaveBeenCalledWith({ s_id: { $in: ["s1"] }, uid });
+    expect(subjects[0]).toMatchObject({ percentage: 60, earned: 75, possible: 100, difference: -10, on_target: false });
+  });
+
+  it("should fill in empty bands of the distribution", async () => {
+    Grade.aggregate.mockResolvedValue([{ summary: [{ total: 3, mean: 71.666 }], buckets: [{ _id: 1, count: 1 }, { _id: 3, count: 2 }] }]);
+
+    const result = await analyticsService.distribution(uid, {}, 25);
+
+    expect(result).toMatchObject({ total: 3, mean: 71.67, bucket_size: 25 });
+    expect(result.buckets).toEqual([
+      { min: 0, max: 25, count: 0 },
+      { min: 25, max: 50, count: 1 },
+      { min: 50, max: 75, count: 0 },
+      { min: 75, max: 100, count: 2 },
+    ]);
+  });
+
+  it("should reject invalid filters", async () => {
+    const res = mockRes();
+    await analyticsCtrl.getTrend({ params: { userId: uid }, query: { from: "2025-05-01", to: "2025-01-01" } }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Invalid date range" });
+
+    await analyticsCtrl.getDistribution({ params: { userId: uid }, query: { bucketSize: "7" } }, res);
+    expect(res.json).toHaveBeenLastCalledWith(expect.objectContaining({ message: expect.stringMatching(/Bucket size/) }));
+
+    await analyticsCtrl.getSubjectComparison({ params: { userId: uid }, query: { semesterId: "nope" } }, res);
+    expect(res.json).toHaveBeenLastCalledWith({ message: "Invalid semesterId" });
+  });
+
+  it("should return the trend with its window", async () => {
+    User.findById.mockResolvedValue({ _id: uid });
+    Grade.aggregate.mockResolvedValue([{ subject_id: "s1", subjectTitle: "Math", points: [] }]);
+    const res = mockRes();
+
+    await analyticsCtrl.getTrend({ params: { userId: uid }, query: { window: "5" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ window: 5, subjects: [{ subject_id: "s1", subjectTitle: "Math", points: [] }] });
+    const stage = Grade.aggregate.mock.calls[Grade.aggregate.mock.calls.length - 1][0].find((step) => step.$setWindowFields);
+    expect(stage.$setWindowFields.output.moving_average.window).toEqual({ documents: [-4, 0] });
+  });
+});
@@ -0,0 +1,59 @@
+import Assignment from "../models/assignment.js";
+import Subject from "../models/subject.js";
+import assignmentCtrl from "../controllers/assignmentController.js";
+jest.mock("../models/assignment.js");
+jest.mock("../models/subject.js");
+jest.mock("../models/user.js");
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("assignment grading category", () => {
+  const physics = { _id: "s2", uid: "u1", gradingCategories: [{ _id: "lab", name: "Labs", weight: 30 }] };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    Subject.findById.mockResolvedValue(physics);
+    Assignment.findByIdAndUpdate.mockResolvedValue({ _id: "a1" });
+  });
+
+  it("should clear a category the new subject does not have", async () => {
+    Assignment.findById.mockResolvedValue({ _id: "a1", uid: "u1", s_id: "s1", category_id: "exam" });
+
+    await assignmentCtrl.updateAssignment({ params: { id: "a1" }, body: { s_id: "s2" } }, mockRes());
+
+    expect(Assignment.findByIdAndUpdate.mock.calls[0][1]).toMatchObject({ s_id: "s2", category_id: null });
+  });
+
+  it("should keep a category the new subject has too", async () => {
+    Assignment.findById.mockResolvedValue({ _id: "a1", uid: "u1", s_id: "s1", category_id: "lab" });
+
+    await assignmentCtrl.updateAssignment({ params: { id: "a1" }, body: { s_id: "s2" } }, mockRes());
+
+    expect(Assignment.findByIdAndUpdate.mock.calls[0][1].category_id).toBeUndefined();
+  });
+
+  it("should check a category sent along against the new subject", async () => {
+    Assignment.findById.mockResolvedValue({ _id: "a1", uid: "u1", s_id: "s1", category_id: null });
+    const res = mockRes();
+
+    await assignmentCtrl.updateAssignment({ params: { id: "a1" }, body: { s_id: "s2", category_id: "exam" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Assignment.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should not move an assignment to another user's subject", async () => {
+    Assignment.findById.mockResolvedValue({ _id: "a1", uid: "u2", s_id: "s1", category_id: null });
+    const res = mockRes();
+
+    await assignmentCtrl.updateAssignment({ params: { id: "a1" }, body: { s_id: "s2" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Assignment.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+import Assignment from "../models/assignment.js";
+import UserSettings from "../models/userSettings.js";
+import assignmentFeedService from "../services/assignmentFeedService.js";
+import timeZone from "../services/timeZone.js";
+jest.mock("../models/assignment.js");
+jest.mock("../models/userSettings.js");
+
+// Make Assignment.find resolve to the given assignments through its query chain
+const mockFind = (assignments) => {
+  const query = {};
+  for (const method of ["select", "sort", "populate"]) {
+    query[method] = jest.fn().mockReturnValue(query);
+  }
+  query.lean = jest.fn().mockResolvedValue(assignments);
+  Assignment.find.mockReturnValue(query);
+};
+
+describe("assignment feed", () => {
+  const math = { _id: "s1", subjectTitle: "Math", t_uid: { first_name: "Ada", last_name: "Lovelace" } };
+
+  it("should find the start of days across daylight saving changes", () => {
+    const now = new Date("2025-03-09T12:00:00Z");
+
+    expect(timeZone.startOfDay(now, "America/Toronto").toISOString()).toBe("2025-03-09T05:00:00.000Z");
+    expect(timeZone.startOfDay(now, "America/Toronto", 1).toISOString()).toBe("2025-03-10T04:00:00.000Z");
+    expect(timeZone.dayKey(new Date("2025-06-01T23:30:00Z"), "Asia/Kolkata")).toBe("2025-06-02");
+    expect(timeZone.isTimeZone("Mars/Olympus_Mons")).toBe(false);
+  });
+
+  it("should group by the user's day, then by subject", () => {
+    // 22:00 in Toronto on March 3rd
+    const now = new Date("2025-03-04T03:00:00Z");
+    const days = assignmentFeedService.groupByDay([
+      { _id: "a1", name: "Essay", s_id: math, due_date: new Date("2025-03-04T04:30:00Z") },
+      { _id: "a2", name: "Lab", s_id: null, due_date: new Date("2025-03-04T04:45:00Z") },
+      { _id: "a3", name: "Quiz", s_id: math, due_date: new Date("2025-03-05T15:00:00Z") },
+    ], "America/Toronto", now);
+
+    // 23:30 and 23:45 in Toronto are still today, though already March 4th in UTC
+    expect(days.map(({ date, offset_days }) => [date, offset_days])).toEqual([["2025-03-03", 0], ["2025-03-05", 2]]);
+    expect(days[0].subjects).toHaveLength(2);
+    expect(days[0].subjects[0]).toMatchObject({ subject_id: "s1", subjectTitle: "Math", teacher: { last_name: "Lovelace" } });
+    expect(days[0].subjects[0].assignments[0]).toMatchObject({ _id: "a1", s_id: "s1" });
+    expect(days[0].subjects[1]).toMatchObject({ subject_id: null, subjectTitle: null, teacher: null });
+  });
+
+  it("should cover the upcoming days up to the user's midnight", async () => {
+    mockFind([]);
+    const now = new Date("2025-03-04T03:00:00Z");
+
+    const feed = await assignmentFeedService.upcoming("u1", { timeZone: "America/Toronto", days: 2, now });
+
+    const [filter] = Assignment.find.mock.calls[Assignment.find.mock.calls.length - 1];
+    expect(filter.status).toEqual({ $in: ["not_started", "in_progress", "late", null] });
+    expect(filter.$or[0].due_date.$gte).toBe(now);
+    expect(filter.$or[0].due_date.$lt.toISOString()).toBe("2025-03-05T05:00:00.000Z");
+    expect(filter.$or[1].checklist.$elemMatch).toEqual({ done: false, due_date: filter.$or[0].due_date });
+    expect(feed).toMatchObject({ timezone: "America/Toronto", today: "2025-03-03", total: 0, total_subtasks: 0, days: [] });
+  });
+
+  it("should list overdue work oldest first", async () => {
+    mockFind([{ _id: "a1", s_id: math, due_date: new Date("2025-03-01T12:00:00Z") }]);
+    const now = new Date("2025-03-04T12:00:00Z");
+
+    const feed = await assignmentFeedService.overdue("u1", { timeZone: "UTC", now });
+
+    const [filter] = Assignment.find.mock.calls[Assignment.find.mock.calls.length - 1];
+    expect(filter.$or[0].due_date).toEqual({ $lt: now });
+    expect(feed.total).toBe(1);
+    expect(feed.days[0]).toMatchObject({ date: "2025-03-01", offset_days: -3 });
+  });
+
+  it("should list checklist items due in the range under their day", async () => {
+    mockFind([{
+      _id: "a1",
+      name: "Project",
+      s_id: math,
+      due_date: new Date("2025-03-20T12:00:00Z"),
+      checklist: [
+        { _id: "c1", title: "Outline", done: false, due_date: new Date("2025-03-05T12:00:00Z") },
+        { _id: "c2", title: "Sources", done: true, due_date: new Date("2025-03-05T12:00:00Z") },
+        { _id: "c3", title: "Draft", done: false, due_date: null },
+      ],
+    }]);
+    const now = new Date("2025-03-04T12:00:00Z");
+
+    const feed = await assignmentFeedService.upcoming("u1", { timeZone: "UTC", days: 7, now });
+
+    // The project itself is due later, so only its open item shows
+    expect(feed).toMatchObject({ total: 0, total_subtasks: 1 });
+    expect(feed.days).toHaveLength(1);
+    expect(feed.days[0]).toMatchObject({ date: "2025-03-05", offset_days: 1 });
+    expect(feed.days[0].subjects[0]).toMatchObject({ subject_id: "s1", assignments: [] });
+    expect(feed.days[0].subjects[0].subtasks).toEqual([
+      { _id: "c1", title: "Outline", done: false, due_date: new Date("2025-03-05T12:00:00Z"), assignment_id: "a1", assignment_name: "Project" },
+    ]);
+  });
+
+  it("should use the user's time zone unless one is asked for", async () => {
+    UserSettings.findOne.mockResolvedValue({ timezone: "Europe/Paris" });
+    expect(await assignmentFeedService.resolveTimeZone("u1")).toBe("Europe/Paris");
+    expect(await assignmentFeedService.resolveTimeZone("u1", "Asia/Tokyo")).toBe("Asia/Tokyo");
+
+    UserSettings.findOne.mockResolvedValue(null);
+    expect(await assignmentFeedService.resolveTimeZone("u1")).toBe("UTC");
+  });
+});
@@ -0,0 +1,110 @@
+import Assignment from "../models/assignment.js";
+import User from "../models/user.js";
+import assignmentCtrl from "../controllers/assignmentController.js";
+import { canTransition } from "../config/assignmentStatuses.js";
+jest.mock("../models/assignment.js");
+jest.mock("../models/user.js");
+jest.mock("../models/subject.js");
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const statusReq = (body) => ({ params: { id: "a1" }, body, auth: { userId: "u1" } });
+
+describe("assignment status", () => {
+  beforeEach(() => {
+    Assignment.findById.mockReset();
+    Assignment.findOneAndUpdate.mockReset();
+    Assignment.find.mockReset();
+  });
+
+  it("should follow the workflow", () => {
+    expect(canTransition("not_started", "in_progress")).toBe(true);
+    expect(canTransition("submitted", "graded")).toBe(true);
+    expect(canTransition("graded", "not_started")).toBe(false);
+    expect(canTransition("excused", "submitted")).toBe(false);
+    expect(canTransition("unknown", "submitted")).toBe(false);
+  });
+
+  it("should record the change in the status history", async () => {
+    Assignment.findById.mockResolvedValue({ _id: "a1", status: "in_progress" });
+    Assignment.findOneAndUpdate.mockResolvedValue({ _id: "a1", status: "submitted" });
+    const res = mockRes();
+
+    await assignmentCtrl.updateAssignmentStatus(statusReq({ status: "submitted", note: "On time" }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const [filter, update] = Assignment.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: "a1", status: { $in: ["in_progress"] } });
+    expect(update.$set.status).toBe("submitted");
+    expect(update.$push.status_history).toMatchObject({ from: "in_progress", status: "submitted", changed_by: "u1", note: "On time" });
+  });
+
+  it("should treat assignments without a status as not started", async () => {
+    Assignment.findById.mockResolvedValue({ _id: "a1" });
+    Assignment.findOneAndUpdate.mockResolvedValue({ _id: "a1", status: "in_progress" });
+
+    await assignmentCtrl.updateAssignmentStatus(statusReq({ status: "in_progress" }), mockRes());
+
+    expect(Assignment.findOneAndUpdate.mock.calls[0][0].status).toEqual({ $in: ["not_started", null] });
+  });
+
+  it("should refuse changes outside the workflow", async () => {
+    const res = mockRes();
+    await assignmentCtrl.updateAssignmentStatus(statusReq({ status: "done" }), res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    Assignment.findById.mockResolvedValue({ _id: "a1", status: "graded" });
+    await assignmentCtrl.updateAssignmentStatus(statusReq({ status: "not_started" }), res);
+    expect(res.status).toHaveBeenLastCalledWith(409);
+    expect(res.json).toHaveBeenLastCalledWith({ message: "Cannot change status from graded to not_started" });
+
+    Assignment.findById.mockResolvedValue({ _id: "a1", status: "not_started", due_date: new Date(Date.now() + 60000) });
+    await assignmentCtrl.updateAssignmentStatus(statusReq({ status: "late" }), res);
+    expect(res.status).toHaveBeenLastCalledWith(409);
+    expect(Assignment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should report a conflicting concurrent change", async () => {
+    Assignment.findById.mockResolvedValue({ _id: "a1", status: "submitted" });
+    Assignment.findOneAndUpdate.mockResolvedValue(null);
+    const res = mockRes();
+
+    await assignmentCtrl.updateAssignmentStatus(statusReq({ status: "graded" }), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it("should filter a user's assignments by status and due date", async () => {
+    User.findById.mockResolvedValue({ _id: "u1" });
+    Assignment.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+    const res = mockRes();
+
+    await assignmentCtrl.getAssignmentsByUser({ params: { userId: "u1" }, query: { status: "submitted,graded", overdue: "false", dueWithin: "7" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const [filter] = Assignment.find.mock.calls[0];
+    expect(filter.status).toEqual({ $in: ["submitted", "graded"] });
+    expect(filter.$and[0].$nor[0].status).toEqual({ $in: ["not_started", "in_progress", "late", null] });
+    const { $gte, $lte } = filter.$and[1].due_date;
+    expect($lte - $gte).toBe(7 * 24 * 60 * 60 * 1000);
+  });
+
+  it("should reject invalid list filters", async () => {
+    const res = mockRes();
+
+    await assignmentCtrl.getAssignmentsByUser({ params: { userId: "u1" }, query: { overdue: "yes" } }, res);
+    expect(res.status).toHaveBeenLastCalledWith(400);
+
+    await assignmentCtrl.getAssignmentsByUser({ params: { userId: "u1" }, query: { status: "done" } }, res);
+    expect(res.status).toHaveBeenLastCalledWith(400);
+
+    await assignmentCtrl.getAssignmentsByUser({ params: { userId: "u1" }, query: { dueWithin: "-1" } }, res);
+    expect(res.status).toHaveBeenLastCalledWith(400);
+    expect(Assignment.find).not.toHaveBeenCalled();
+  });
+});
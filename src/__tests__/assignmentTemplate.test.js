@@ -0,0 +1,199 @@
+import Assignment from "../models/assignment.js";
+import Subject from "../models/subject.js";
+import assignmentTemplateService from "../services/assignmentTemplateService.js";
+import assignmentTemplateCtrl from "../controllers/assignmentTemplateController.js";
+import assignmentCtrl from "../controllers/assignmentController.js";
+jest.mock("../models/assignment.js");
+jest.mock("../models/assignmentTemplate.js");
+jest.mock("../models/subject.js");
+jest.mock("../models/semester.js");
+jest.mock("../models/user.js");
+jest.mock("../models/userSettings.js");
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Winter term in Toronto; clocks go forward on 2025-03-09
+const semester = { startDate: new Date("2025-01-06T05:00:00Z"), endDate: new Date("2025-04-30T04:00:00Z") };
+const template = (recurrence) => ({
+  _id: "t1",
+  name: "Lab {n}",
+  s_id: "s1",
+  uid: "u1",
+  category_id: null,
+  timezone: "America/Toronto",
+  recurrence: { interval: 1, time: "09:00", starts_on: "2025-01-06", until: null, ...recurrence },
+});
+
+describe("assignment templates", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it("should check recurrence rules", () => {
+    expect(assignmentTemplateService.validateRecurrence({ weekdays: [1, 3] })).toBeNull();
+    expect(assignmentTemplateService.validateRecurrence(undefined)).toBe("A recurrence rule is required");
+    expect(assignmentTemplateService.validateRecurrence({ weekdays: [] })).toMatch(/Weekdays/);
+    expect(assignmentTemplateService.validateRecurrence({ weekdays: [7] })).toMatch(/Weekdays/);
+    expect(assignmentTemplateService.validateRecurrence({ weekdays: [1], interval: 0 })).toMatch(/Interval/);
+    expect(assignmentTemplateService.validateRecurrence({ weekdays: [1], time: "9am" })).toMatch(/Time/);
+    expect(assignmentTemplateService.validateRecurrence({ weekdays: [1], starts_on: "2025-02-30" })).toMatch(/Days/);
+    expect(assignmentTemplateService.validateRecurrence({ weekdays: [1], starts_on: "2025-02-01", until: "2025-01-01" })).toMatch(/ends before/);
+  });
+
+  it("should schedule occurrences every N weeks within the semester", () => {
+    const occurrences = assignmentTemplateService.schedule(template({ weekdays: [1, 3], interval: 2, starts_on: "2025-01-08", until: "2025-02-07" }), semester);
+
+    expect(occurrences.map(({ occurrence, occurrence_date: day }) => [occurrence, day])).toEqual([
+      [1, "2025-01-08"],
+      [2, "2025-01-20"],
+      [3, "2025-01-22"],
+      [4, "2025-02-03"],
+      [5, "2025-02-05"],
+    ]);
+  });
+
+  it("should keep the time of day across daylight saving changes and stop at the semester end", () => {
+    const occurrences = assignmentTemplateService.schedule(template({ weekdays: [1], starts_on: "2024-12-01" }), semester);
+
+    expect(occurrences[0].occurrence_date).toBe("2025-01-06");
+    expect(occurrences[0].due_date.toISOString()).toBe("2025-01-06T14:00:00.000Z");
+    expect(occurrences.find(({ occurrence_date: day }) => day === "2025-03-10").due_date.toISOString()).toBe("2025-03-10T13:00:00.000Z");
+    expect(occurrences[occurrences.length - 1].occurrence_date).toBe("2025-04-28");
+  });
+
+  it("should name occurrences after their number", () => {
+    expect(assignmentTemplateService.occurrenceName("Lab {n}", 3)).toBe("Lab 3");
+    expect(assignmentTemplateService.occurrenceName("Weekly quiz", 3)).toBe("Weekly quiz");
+  });
+
+  it("should create missing occurrences without touching existing ones", async () => {
+    Assignment.find.mockResolvedValue([{ _id: "a1", occurrence_date: "2025-01-06", deleted_at: new Date() }]);
+    Assignment.create.mockResolvedValue({});
+
+    const result = await assignmentTemplateService.sync(template({ weekdays: [1], until: "2025-01-20" }), semester);
+
+    expect(result).toEqual({ created: 2, updated: 0, removed: 0 });
+    expect(Assignment.create.mock.calls.map(([fields]) => [fields.name, fields.occurrence_date])).toEqual([
+      ["Lab 2", "2025-01-13"],
+      ["Lab 3", "2025-01-20"],
+    ]);
+    expect(Assignment.create.mock.calls[0][0]).toMatchObject({ s_id: "s1", uid: "u1", template_id: "t1", occurrence: 2 });
+  });
+
+  it("should rewrite future occurrences that follow the template", async () => {
+    Assignment.find.mockResolvedValue([
+      { _id: "past", occurrence_date: "2025-01-06", due_date: new Date("2025-01-06T14:00:00Z") },
+      { _id: "kept", occurrence_date: "2025-01-13", due_date: new Date("2025-01-13T14:00:00Z"), status: "not_started" },
+      { _id: "edited", occurrence_date: "2025-01-20", due_date: new Date("2025-01-20T14:00:00Z"), detached: true },
+      { _id: "dropped", occurrence_date: "2025-01-27", due_date: new Date("2025-01-27T14:00:00Z") },
+      { _id: "started", occurrence_date: "2025-02-03", due_date: new Date("2025-02-03T14:00:00Z"), status: "in_progress" },
+    ]);
+    Assignment.create.mockResolvedValue({});
+    Assignment.findOneAndUpdate.mockResolvedValue({});
+
+    // Mondays until 2025-01-20 move to 17:00; nothing due before 2025-01-10 changes
+    const result = await assignmentTemplateService.sync(
+      template({ weekdays: [1], time: "17:00", until: "2025-01-20" }),
+      semester,
+      { rewrite: true, from: new Date("2025-01-10T00:00:00Z") }
+    );
+
+    expect(result).toEqual({ created: 0, updated: 1, removed: 1 });
+    expect(Assignment.findOneAndUpdate).toHaveBeenCalledWith({ _id: "kept" }, expect.objectContaining({ name: "Lab 2", due_date: new Date("2025-01-13T22:00:00Z") }));
+    expect(Assignment.findOneAndUpdate).toHaveBeenCalledWith({ _id: "dropped" }, { deleted_at: expect.any(Date), unscheduled_at: expect.any(Date) });
+  });
+
+  it("should bring back occurrences it removed once their day is scheduled again", async () => {
+    const stored = [
+      { _id: "mon", occurrence_date: "2025-01-13", due_date: new Date("2025-01-13T14:00:00Z"), deleted_at: null, unscheduled_at: null },
+    ];
+    // Serve the stored occurrences, updated as the database would
+    Assignment.find.mockImplementation(async () => stored.map((assignment) => ({ ...assignment })));
+    Assignment.findOneAndUpdate.mockImplementation(async ({ _id }, update) => Object.assign(stored.find((assignment) => assignment._id === _id), update));
+    Assignment.create.mockImplementation(async (fields) => stored.push({ _id: fields.occurrence_date, deleted_at: null, ...fields }));
+    const options = { rewrite: true, from: new Date("2025-01-10T00:00:00Z") };
+
+    // Monday moves to Tuesday, then back to Monday
+    expect(await assignmentTemplateService.sync(template({ weekdays: [2], until: "2025-01-14" }), semester, options))
+      .toEqual({ created: 1, updated: 0, removed: 1 });
+    expect(stored[0].deleted_at).toEqual(expect.any(Date));
+    expect(await assignmentTemplateService.sync(template({ weekdays: [1], until: "2025-01-14" }), semester, options))
+      .toEqual({ created: 1, updated: 0, removed: 1 });
+
+    expect(stored.map(({ _id, deleted_at: deletedAt }) => [_id, deletedAt === null])).toEqual([["mon", true], ["2025-01-14", false]]);
+    expect(Assignment.findOneAndUpdate).toHaveBeenCalledWith({ _id: "mon" }, expect.objectContaining({ deleted_at: null }), { withDeleted: true });
+  });
+
+  it("should leave occurrences deleted by hand in the trash", async () => {
+    Assignment.find.mockResolvedValue([
+      { _id: "mon", occurrence_date: "2025-01-13", deleted_at: new Date("2025-01-12T00:00:00Z"), unscheduled_at: new Date("2025-01-11T00:00:00Z") },
+    ]);
+
+    const result = await assignmentTemplateService.sync(template({ weekdays: [1], until: "2025-01-13" }), semester, { rewrite: true, from: new Date("2025-01-10T00:00:00Z") });
+
+    expect(result).toEqual({ created: 0, updated: 0, removed: 0 });
+    expect(Assignment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should skip occurrences created meanwhile", async () => {
+    Assignment.find.mockResolvedValue([]);
+    Assignment.create.mockRejectedValue(Object.assign(new Error("duplicate key"), { code: 11000 }));
+
+    const result = await assignmentTemplateService.sync(template({ weekdays: [1], until: "2025-01-06" }), semester);
+
+    expect(result.created).toBe(0);
+  });
+
+  it("should refuse templates for subjects outside a semester", async () => {
+    Subject.findById.mockResolvedValue({ _id: "s1", uid: "u1", gradingCategories: [] });
+    const res = mockRes();
+
+    await assignmentTemplateCtrl.createAssignmentTemplate({
+      body: { name: "Lab {n}", s_id: "s1", uid: "u1", timezone: "America/Toronto", recurrence: { weekdays: [1] } },
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "The subject is not in a semester" });
+  });
+
+  it("should refuse templates for another user's subject", async () => {
+    Subject.findById.mockResolvedValue({ _id: "s1", uid: "u2", semester_id: "t1", gradingCategories: [] });
+    const res = mockRes();
+
+    await assignmentTemplateCtrl.createAssignmentTemplate({
+      body: { name: "Lab {n}", s_id: "s1", uid: "u1", timezone: "America/Toronto", recurrence: { weekdays: [1] } },
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Assignment.create).not.toHaveBeenCalled();
+  });
+
+  it("should only take a date to rewrite occurrences from", async () => {
+    for (const from of [null, 0, "soon"]) {
+      const res = mockRes();
+
+      await assignmentTemplateCtrl.updateAssignmentTemplate({ params: { id: "t1" }, body: { name: "Lab {n}", from } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: "From must be a date" });
+    }
+    expect(Assignment.find).not.toHaveBeenCalled();
+  });
+
+  it("should detach an occurrence edited on its own", async () => {
+    Assignment.findByIdAndUpdate
+      .mockResolvedValueOnce({ _id: "a1", template_id: "t1", detached: false })
+      .mockResolvedValueOnce({ _id: "a1", template_id: "t1", detached: true });
+    const res = mockRes();
+
+    await assignmentCtrl.updateAssignment({ params: { id: "a1" }, body: { name: "Lab 2 (moved)" } }, res);
+
+    expect(Assignment.findByIdAndUpdate).toHaveBeenLastCalledWith("a1", { detached: true }, { new: true });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ detached: true }));
+  });
+});
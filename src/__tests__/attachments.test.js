@@ -0,0 +1,135 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import Attachment from "../models/attachment.js";
+import Assignment from "../models/assignment.js";
+jest.mock("../models/attachment.js");
+jest.mock("../models/assignment.js");
+
+// Files are stored in a temporary directory; the storage modules read it when they load
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-"));
+let attachmentService;
+let attachmentCtrl;
+
+beforeAll(async () => {
+  process.env.STORAGE_DIR = storageDir;
+  attachmentService = (await import("../services/attachmentService.js")).default;
+  attachmentCtrl = (await import("../controllers/attachmentController.js")).default;
+});
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe("attachments", () => {
+  const assignment = { _id: "a1", uid: "u1" };
+  const content = Buffer.from("The quick brown fox jumps over the lazy dog");
+  let stored;
+
+  const app = () => {
+    const server = express();
+    server.use((req, res, next) => {
+      req.auth = { userId: "u1" };
+      next();
+    });
+    server.post("/assignments/:id/attachments", attachmentCtrl.receiveFiles, attachmentCtrl.uploadAttachments);
+    server.get("/attachments/:id/download", attachmentCtrl.downloadAttachment);
+    return server;
+  };
+
+  beforeEach(() => {
+    Assignment.findById.mockResolvedValue(assignment);
+    Attachment.create.mockImplementation(async (fields) => ({ _id: "f1", ...fields }));
+  });
+
+  it("should store the file and record its size and checksum", async () => {
+    stored = await attachmentService.attach(assignment, { originalname: "fox.txt", mimetype: "text/plain", buffer: content }, { kind: "brief", uploadedBy: "u1" });
+
+    expect(stored).toMatchObject({
+      a_id: "a1",
+      uid: "u1",
+      kind: "brief",
+      file_name: "fox.txt",
+      content_type: "text/plain",
+      size: content.length,
+      checksum: "d7a8fbb307d7809469ca9abcb0082e4f8d5651e46d3cdb762d02d0bf37c9e592",
+      storage_driver: "local",
+    });
+    expect(stored.storage_key).toMatch(/^u1\//);
+    expect(fs.readFileSync(path.join(storageDir, stored.storage_key))).toEqual(content);
+  });
+
+  it("should remove the stored file when the attachment cannot be saved", async () => {
+    Attachment.create.mockRejectedValueOnce(new Error("validation failed"));
+
+    await expect(attachmentService.attach(assignment, { originalname: "x.txt", mimetype: "text/plain", buffer: content }, { kind: "brief" })).rejects.toThrow("validation failed");
+    expect(fs.readdirSync(path.join(storageDir, "u1"))).toEqual([path.basename(stored.storage_key)]);
+  });
+
+  it("should remove the files attached before one that fails", async () => {
+    Attachment.create.mockImplementationOnce(async (fields) => ({ _id: "f2", ...fields }));
+    Attachment.create.mockRejectedValueOnce(new Error("validation failed"));
+    const files = ["a.txt", "b.txt"].map((name) => ({ originalname: name, mimetype: "text/plain", buffer: content }));
+
+    await expect(attachmentService.attachAll(assignment, files, { kind: "submission" })).rejects.toThrow("validation failed");
+    expect(Attachment.deleteMany).toHaveBeenCalledWith({ _id: { $in: ["f2"] } });
+  });
+
+  it("should read byte ranges", () => {
+    expect(attachmentService.parseRange(undefined, 100)).toBeNull();
+    expect(attachmentService.parseRange("bytes=0-9", 100)).toEqual({ start: 0, end: 9 });
+    expect(attachmentService.parseRange("bytes=90-", 100)).toEqual({ start: 90, end: 99 });
+    expect(attachmentService.parseRange("bytes=-10", 100)).toEqual({ start: 90, end: 99 });
+    expect(attachmentService.parseRange("bytes=50-500", 100)).toEqual({ start: 50, end: 99 });
+    expect(attachmentService.parseRange("bytes=0-1,5-6", 100)).toBeNull();
+    expect(attachmentService.parseRange("bytes=100-", 100)).toBe(false);
+    expect(attachmentService.parseRange("bytes=9-3", 100)).toBe(false);
+  });
+
+  it("should download the whole file or a range of it", async () => {
+    Attachment.findById.mockResolvedValue(stored);
+
+    const whole = await request(app()).get("/attachments/f1/download");
+    expect(whole.status).toBe(200);
+    expect(whole.text).toBe(content.toString());
+    expect(whole.headers).toMatchObject({ "accept-ranges": "bytes", "content-type": "text/plain", etag: `"${stored.checksum}"` });
+    expect(whole.headers["content-disposition"]).toMatch(/fox\.txt/);
+
+    const part = await request(app()).get("/attachments/f1/download").set("Range", "bytes=4-8");
+    expect(part.status).toBe(206);
+    expect(part.text).toBe("quick");
+    expect(part.headers["content-range"]).toBe(`bytes 4-8/${content.length}`);
+
+    const outside = await request(app()).get("/attachments/f1/download").set("Range", "bytes=1000-");
+    expect(outside.status).toBe(416);
+    expect(outside.headers["content-range"]).toBe(`bytes */${content.length}`);
+  });
+
+  it("should hide attachments of assignments in the trash", async () => {
+    Attachment.findById.mockResolvedValue(stored);
+    Assignment.findById.mockResolvedValue(null);
+
+    const response = await request(app()).get("/attachments/f1/download");
+
+    expect(response.status).toBe(404);
+  });
+
+  it("should accept multipart uploads and enforce the type limit", async () => {
+    const uploaded = await request(app())
+      .post("/assignments/a1/attachments")
+      .field("kind", "submission")
+      .attach("files", content, { filename: "essay.pdf", contentType: "application/pdf" });
+    expect(uploaded.status).toBe(201);
+    expect(uploaded.body[0]).toMatchObject({ file_name: "essay.pdf", kind: "submission", size: content.length, uploaded_by: "u1" });
+
+    const rejected = await request(app())
+      .post("/assignments/a1/attachments")
+      .attach("files", content, { filename: "run.exe", contentType: "application/x-msdownload" });
+    expect(rejected.status).toBe(415);
+
+    const empty = await request(app()).post("/assignments/a1/attachments").field("kind", "brief");
+    expect(empty.status).toBe(400);
+  });
+});
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import softDelete from "../models/plugins/softDelete.js";
+import auditTrail from "../models/plugins/auditTrail.js";
+import auditService from "../services/auditService.js";
+import requestContext from "../services/requestContext.js";
+import AuditLog from "../models/auditLog.js";
+jest.mock("../models/auditLog.js");
+
+describe("audit trail", () => {
+  const schema = new mongoose.Schema({ grade: Number, notes: String, uid: mongoose.Schema.Types.ObjectId });
+  schema.plugin(softDelete);
+  schema.plugin(auditTrail);
+  const Record = mongoose.model("AuditTrailTestRecord", schema);
+
+  const uid = new mongoose.Types.ObjectId();
+  const id = new mongoose.Types.ObjectId();
+  const stored = { _id: id, grade: 80, notes: "midterm", uid, deleted_at: null };
+  const req = { method: "PUT", originalUrl: `/api/grades/${id}`, ip: "127.0.0.1", headers: { "user-agent": "jest" }, auth: { userId: "672edc5b771be88704250ae8", role: "admin" } };
+
+  // Serve the given versions of the record to the plugin's lookups, in order
+  const serveVersions = (...versions) => {
+    const findOne = jest.spyOn(Record, "findOne");
+    versions.forEach((version) => {
+      findOne.mockReturnValueOnce({ setOptions: () => ({ session: () => ({ lean: async () => version }) }) });
+    });
+  };
+
+  // Run a query's hooks as Mongoose would around executing it
+  const runQueryHooks = async (op, query, result) => {
+    const hooks = Record.schema.s.hooks;
+    await new Promise((resolve, reject) => hooks.execPre(op, query, [], (error) => (error ? reject(error) : resolve())));
+    await new Promise((resolve, reject) => hooks.execPost(op, query, [result], (error) => (error ? reject(error) : resolve())));
+  };
+
+  beforeEach(() => {
+    AuditLog.mockClear();
+  });
+
+  it("should diff two versions of a record", () => {
+    expect(auditService.diff({ grade: 80, notes: "a", updated_at: 1 }, { grade: 90, notes: "a", updated_at: 2 }))
+      .toEqual({ grade: { from: 80, to: 90 } });
+    expect(auditService.diff(null, { _id: id, grade: 90 })).toEqual({ grade: { from: null, to: 90 } });
+  });
+
+  it("should log an update with the actor, the changes and the request", async () => {
+    serveVersions(stored, { ...stored, grade: 95 });
+
+    await requestContext.run(req, () => runQueryHooks("findOneAndUpdate", Record.findOneAndUpdate({ _id: id }, { grade: 95 }), { ...stored, grade: 95 }));
+
+    expect(AuditLog).toHaveBeenCalledTimes(1);
+    expect(AuditLog.mock.calls[0][0]).toMatchObject({
+      action: "update",
+      entity_type: "AuditTrailTestRecord",
+      entity_id: id,
+      owner: uid,
+      actor: req.auth.userId,
+      actor_role: "admin",
+      method: "PUT",
+      path: req.originalUrl,
+      ip: "127.0.0.1",
+      changes: { grade: { from: 80, to: 95 } },
+    });
+  });
+
+  it("should log moving a record to the trash as a delete", async () => {
+    const deletedAt = new Date();
+    serveVersions(stored, { ...stored, deleted_at: deletedAt });
+
+    await runQueryHooks("findOneAndUpdate", Record.findOneAndUpdate({ _id: id }, { deleted_at: deletedAt }), null);
+
+    const entry = AuditLog.mock.calls[0][0];
+    expect(entry).toMatchObject({ action: "delete", changes: { deleted_at: { from: null, to: deletedAt } } });
+    // Outside of a request there is no actor
+    expect(entry).not.toHaveProperty("actor");
+  });
+
+  it("should not log updates that change nothing", async () => {
+    serveVersions(stored, { ...stored });
+
+    await runQueryHooks("findOneAndUpdate", Record.findOneAndUpdate({ _id: id }, { grade: 80 }), stored);
+
+    expect(AuditLog).not.toHaveBeenCalled();
+  });
+});
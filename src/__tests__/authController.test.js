@@ -0,0 +1,549 @@
+import bcrypt from "bcryptjs";
+import authController from "../controllers/authController.js";
+import twoFactorCtrl from "../controllers/twoFactorController.js";
+import mailService from "../services/mailService.js";
+import userTokenService from "../services/userTokenService.js";
+import loginThrottle from "../services/loginThrottle.js";
+import totp from "../services/totp.js";
+import tokenService from "../services/tokenService.js";
+import User from "../models/user.js";
+import UserToken from "../models/userToken.js";
+import RefreshToken from "../models/refreshToken.js";
+import { assertDevAuthConfig } from "../config/devAuth.js";
+jest.mock("../models/user.js");
+jest.mock("../models/userToken.js");
+jest.mock("../models/refreshToken.js");
+jest.mock("../models/securityEvent.js");
+
+const { register, verifyEmail, forgotPassword, resetPassword, signIn, verifyTwoFactor, refresh, requirePermission, requireOwnership, assignOwner, requireSignin } = authController;
+
+const mockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+  set: jest.fn().mockReturnThis(),
+});
+
+beforeEach(() => {
+  loginThrottle.setStore(loginThrottle.createMemoryStore());
+});
+
+describe("register Controller", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = mailService.createMemoryTransport();
+    mailService.setTransport(transport);
+  });
+
+  it("should create an unverified user and email a verification link", async () => {
+    User.findOne.mockResolvedValueOnce(null);
+    User.prototype.save.mockResolvedValueOnce({
+      _id: "672edc5b771be88704250ae8",
+      userName: "shivam044",
+      firstName: "Shivam",
+      lastName: "Ujjainwal",
+      email: "shivam.jobs056@gmail.com",
+      status: "unverified",
+    });
+
+    const req = {
+      body: {
+        userName: "shivam044",
+        firstName: "Shivam",
+        lastName: "Ujjainwal",
+        email: "shivam.jobs056@gmail.com",
+        password: "Password123",
+      },
+    };
+    const res = mockResponse();
+
+    await register(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(User).toHaveBeenCalledWith(expect.objectContaining({ status: "unverified" }));
+    expect(res.json.mock.calls[0][0].user).not.toHaveProperty("password");
+    expect(transport.outbox).toHaveLength(1);
+    expect(transport.outbox[0].to).toBe("shivam.jobs056@gmail.com");
+    expect(transport.outbox[0].text).toMatch(/verify-email\?token=[0-9a-f]{64}/);
+  });
+
+  it("should return 400 if email is already in use", async () => {
+    User.findOne.mockResolvedValueOnce({ email: "johndoe@example.com" });
+
+    const req = { body: { email: "johndoe@example.com", password: "Password123" } };
+    const res = mockResponse();
+
+    await register(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Email already in use" });
+    expect(transport.outbox).toHaveLength(0);
+  });
+});
+
+describe("verifyEmail Controller", () => {
+  it("should activate the account for a valid token", async () => {
+    const user = { _id: "672edc5b771be88704250ae8", status: "unverified", save: jest.fn() };
+    UserToken.findOneAndUpdate.mockResolvedValueOnce({ uid: user._id, type: "email_verification" });
+    User.findById.mockResolvedValueOnce(user);
+
+    const req = { body: { token: "a".repeat(64) }, query: {} };
+    const res = mockResponse();
+
+    await verifyEmail(req, res);
+
+    expect(UserToken.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ token_hash: userTokenService.hashToken("a".repeat(64)), used_at: null }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(user.status).toBe("active");
+    expect(user.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should return 400 for an unknown, used or expired token", async () => {
+    UserToken.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    const req = { body: {}, query: { token: "expired" } };
+    const res = mockResponse();
+
+    await verifyEmail(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Invalid or expired verification token" });
+  });
+});
+
+describe("password reset Controllers", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = mailService.createMemoryTransport();
+    mailService.setTransport(transport);
+  });
+
+  it("should email a reset link to an existing account", async () => {
+    User.findOne.mockResolvedValueOnce({
+      _id: "672edc5b771be88704250ae8",
+      firstName: "Shivam",
+      email: "shivam.jobs056@gmail.com",
+      status: "active",
+    });
+
+    const req = { body: { email: "shivam.jobs056@gmail.com" } };
+    const res = mockResponse();
+
+    await forgotPassword(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(UserToken).toHaveBeenCalledWith(expect.objectContaining({ type: "password_reset" }));
+    expect(transport.outbox[0].text).toMatch(/reset-password\?token=[0-9a-f]{64}/);
+  });
+
+  it("should give the same answer for an unknown email without sending mail", async () => {
+    User.findOne.mockResolvedValueOnce(null);
+
+    const req = { body: { email: "nobody@example.com" } };
+    const res = mockResponse();
+
+    await forgotPassword(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(transport.outbox).toHaveLength(0);
+  });
+
+  it("should reject a weak password without consuming the token", async () => {
+    UserToken.findOne.mockResolvedValueOnce({ uid: "672edc5b771be88704250ae8", type: "password_reset" });
+    User.findById.mockResolvedValueOnce({ _id: "672edc5b771be88704250ae8", userName: "shivam044", email: "shivam.jobs056@gmail.com" });
+    UserToken.findOneAndUpdate.mockClear();
+
+    const req = { body: { token: "c".repeat(64), password: "short" } };
+    const res = mockResponse();
+
+    await resetPassword(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].errors.length).toBeGreaterThan(0);
+    expect(UserToken.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should set the new password and revoke existing sessions", async () => {
+    const user = {
+      _id: "672edc5b771be88704250ae8",
+      userName: "shivam044",
+      firstName: "Shivam",
+      email: "shivam.jobs056@gmail.com",
+      password: "old-hash",
+      status: "active",
+      save: jest.fn(),
+    };
+    UserToken.findOne.mockResolvedValueOnce({ uid: user._id, type: "password_reset" });
+    UserToken.findOneAndUpdate.mockResolvedValueOnce({ uid: user._id, type: "password_reset" });
+    User.findById.mockResolvedValueOnce(user);
+
+    const req = { body: { token: "c".repeat(64), password: "N3wPassword" } };
+    const res = mockResponse();
+
+    await resetPassword(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(await bcrypt.compare("N3wPassword", user.password)).toBe(true);
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, expect.objectContaining({ tokensRevokedAt: expect.any(Date) }));
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { uid: user._id, revoked_at: null },
+      expect.objectContaining({ revoked_reason: "password_reset" })
+    );
+  });
+});
+
+describe("signIn Controller", () => {
+  it("should refuse to sign in an unverified user", async () => {
+    User.findOne.mockResolvedValueOnce({
+      _id: "672edc5b771be88704250ae8",
+      password: await bcrypt.hash("password123", 4),
+      status: "unverified",
+    });
+
+    const req = { body: { email: "shivam.jobs056@gmail.com", password: "password123" } };
+    const res = mockResponse();
+
+    await signIn(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe("signIn throttling", () => {
+  const email = "shivam.jobs056@gmail.com";
+  let transport;
+  let user;
+
+  beforeEach(async () => {
+    transport = mailService.createMemoryTransport();
+    mailService.setTransport(transport);
+    user = {
+      _id: "672edc5b771be88704250ae8",
+      firstName: "Shivam",
+      email,
+      password: await bcrypt.hash("Password123", 4),
+      status: "active",
+    };
+    User.findOne.mockResolvedValue(user);
+    jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate"], now: new Date("2025-03-01T09:00:00Z") });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    User.findOne.mockReset();
+  });
+
+  const attempt = async (password) => {
+    const res = mockResponse();
+    await signIn({ body: { email, password }, ip: "203.0.113.7", headers: {} }, res);
+    return res;
+  };
+
+  it("should make the client back off after a failed attempt", async () => {
+    expect((await attempt("wrong")).status).toHaveBeenCalledWith(400);
+
+    const res = await attempt("Password123");
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", "1");
+  });
+
+  it("should lock the account after repeated failures and email an unlock link", async () => {
+    for (let i = 0; i < 5; i += 1) {
+      jest.advanceTimersByTime(60 * 1000);
+      expect((await attempt("wrong")).status).toHaveBeenCalledWith(400);
+    }
+
+    expect(transport.outbox).toHaveLength(1);
+    expect(transport.outbox[0].text).toMatch(/unlock-account\?token=[0-9a-f]{64}/);
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect((await attempt("Password123")).status).toHaveBeenCalledWith(429);
+  });
+});
+
+describe("two-factor sign-in", () => {
+  const secret = totp.generateSecret();
+  let user;
+
+  beforeEach(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    user = {
+      _id: "672edc5b771be88704250ae8",
+      email: "shivam.jobs056@gmail.com",
+      password: await bcrypt.hash("Password123", 4),
+      status: "active",
+      role: "student",
+      twoFactor: { enabled: true, secret, recoveryCodes: [] },
+    };
+  });
+
+  it("should return a challenge token that is not accepted as an access token", async () => {
+    User.findOne.mockResolvedValueOnce(user);
+    const res = mockResponse();
+
+    await signIn({ body: { email: user.email, password: "Password123" }, ip: "203.0.113.7", headers: {} }, res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.twoFactorRequired).toBe(true);
+    expect(body).not.toHaveProperty("token");
+    const payload = JSON.parse(Buffer.from(body.challengeToken.split(".")[1], "base64url").toString());
+    expect(await tokenService.isRevoked({}, { payload })).toBe(true);
+  });
+
+  it("should issue a session for the challenge token and a valid code", async () => {
+    User.findById.mockResolvedValueOnce(user);
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+    const challengeToken = tokenService.issueTwoFactorChallenge(user);
+    const code = totp.totp(totp.base32Decode(secret));
+    const res = mockResponse();
+
+    await verifyTwoFactor({ body: { challengeToken, code }, ip: "203.0.113.7", headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0]).toHaveProperty("refreshToken");
+  });
+
+  it("should reject a code that was already used", async () => {
+    User.findById.mockResolvedValueOnce(user);
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    const challengeToken = tokenService.issueTwoFactorChallenge(user);
+    const code = totp.totp(totp.base32Decode(secret));
+    const res = mockResponse();
+
+    await verifyTwoFactor({ body: { challengeToken, code }, ip: "203.0.113.7", headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe("two-factor settings throttling", () => {
+  const secret = totp.generateSecret();
+  let user;
+
+  beforeEach(() => {
+    user = { _id: "672edc5b771be88704250ae8", email: "shivam.jobs056@gmail.com", twoFactor: { enabled: true, secret, recoveryCodes: [] } };
+    User.findById.mockResolvedValue(user);
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    User.findById.mockReset();
+    User.updateOne.mockReset();
+  });
+
+  it("should make a signed-in user back off after a wrong code", async () => {
+    const req = (code) => ({ auth: { userId: user._id }, body: { code }, ip: "203.0.113.7", headers: {} });
+    const wrong = mockResponse();
+    await twoFactorCtrl.regenerateRecoveryCodes(req("000000"), wrong);
+    expect(wrong.status).toHaveBeenCalledWith(400);
+
+    const res = mockResponse();
+    await twoFactorCtrl.regenerateRecoveryCodes(req(totp.totp(totp.base32Decode(secret))), res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", "1");
+  });
+
+  it("should count wrong codes to disable two-factor authentication", async () => {
+    user.password = await bcrypt.hash("Password123", 4);
+    const res = mockResponse();
+
+    await twoFactorCtrl.disableTwoFactor({ auth: { userId: user._id }, body: { password: "Password123", code: "000000" }, ip: "203.0.113.7", headers: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect((await loginThrottle.check(user.email, "203.0.113.7")).allowed).toBe(false);
+  });
+});
+
+describe("refresh Controller", () => {
+  it("should revoke the whole token family when a used refresh token is presented again", async () => {
+    RefreshToken.findOne.mockResolvedValueOnce({
+      _id: "672edc5b771be88704250af0",
+      uid: "672edc5b771be88704250ae8",
+      family_id: "family-1",
+      used_at: new Date(),
+      revoked_at: null,
+      expires_at: new Date(Date.now() + 60000),
+    });
+
+    const req = { body: { refreshToken: "b".repeat(96) }, headers: {} };
+    const res = mockResponse();
+
+    await refresh(req, res);
+
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { family_id: "family-1", revoked_at: null },
+      expect.objectContaining({ revoked_reason: "reuse_detected" })
+    );
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("should return 401 for an unknown refresh token", async () => {
+    RefreshToken.findOne.mockResolvedValueOnce(null);
+
+    const req = { body: { refreshToken: "unknown" }, headers: {} };
+    const res = mockResponse();
+
+    await refresh(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ message: "Invalid or expired refresh token" });
+  });
+});
+
+describe("requirePermission Middleware", () => {
+  it("should return 403 when the role lacks the permission", () => {
+    const req = { auth: { userId: "672edc5b771be88704250ae8", role: "student" } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requirePermission("users:read")(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: "User is not authorized" });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should call next when the role grants the permission", () => {
+    const req = { auth: { userId: "672edc5b771be88704250ae8", role: "admin" } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requirePermission("users:read", "users:roles")(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe("requireOwnership Middleware", () => {
+  const ownerId = "672edc5b771be88704250ae8";
+  const Model = {
+    findById: jest.fn(() => ({
+      select: () => ({ lean: async () => ({ _id: "672edc5b771be88704250af1", uid: ownerId }) }),
+    })),
+  };
+
+  it("should let the owner through", async () => {
+    const req = { method: "PUT", params: { id: "672edc5b771be88704250af1" }, auth: { userId: ownerId, role: "student" } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireOwnership(Model)(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("should return 403 for another student", async () => {
+    const req = { method: "GET", params: { id: "672edc5b771be88704250af1" }, auth: { userId: "672edc5b771be88704250ae9", role: "student" } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireOwnership(Model)(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should let a teacher read but not change another user's record", async () => {
+    const auth = { userId: "672edc5b771be88704250ae9", role: "teacher" };
+    const next = jest.fn();
+
+    await requireOwnership(Model)({ method: "GET", params: { id: "672edc5b771be88704250af1" }, auth }, mockResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    const res = mockResponse();
+    await requireOwnership(Model)({ method: "DELETE", params: { id: "672edc5b771be88704250af1" }, auth }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it("should let a teacher post to a route that only reads", async () => {
+    const auth = { userId: "672edc5b771be88704250ae9", role: "teacher" };
+    const next = jest.fn();
+
+    await requireOwnership(Model, { permission: "records:read:any" })({ method: "POST", params: { id: "672edc5b771be88704250af1" }, auth }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe("assignOwner Middleware", () => {
+  const auth = { userId: "672edc5b771be88704250ae8", role: "student" };
+
+  it("should default the owner to the signed-in user", () => {
+    const req = { body: { grade: 90 }, auth };
+    const next = jest.fn();
+
+    assignOwner()(req, mockResponse(), next);
+
+    expect(req.body.uid).toBe(auth.userId);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("should return 403 when a student names another owner", () => {
+    const req = { body: { uid: "672edc5b771be88704250ae9" }, auth };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    assignOwner()(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should keep another owner for a role with the permission", () => {
+    const req = { body: { user_id: "672edc5b771be88704250ae9" }, auth: { ...auth, role: "teacher" } };
+    const next = jest.fn();
+
+    assignOwner("user_id", "notifications:send")(req, mockResponse(), next);
+
+    expect(req.body.user_id).toBe("672edc5b771be88704250ae9");
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe("requireSignin dev mode", () => {
+  const devUserId = "672edc5b771be88704250ae8";
+
+  beforeEach(() => {
+    process.env.AUTH_DEV_MODE = "true";
+    process.env.AUTH_DEV_USER_ID = devUserId;
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_DEV_MODE;
+    delete process.env.AUTH_DEV_USER_ID;
+    console.warn.mockRestore();
+  });
+
+  it("should populate req.auth with the dev user and log the request", async () => {
+    User.findById.mockReturnValueOnce({
+      select: jest.fn().mockResolvedValue({ _id: devUserId, role: "teacher", status: "active" }),
+    });
+    const req = { method: "GET", originalUrl: "/api/me", headers: {} };
+    const next = jest.fn();
+
+    await requireSignin(req, mockResponse(), next);
+
+    expect(req.auth).toEqual({ userId: devUserId, role: "teacher", dev: true });
+    expect(console.warn).toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("should refuse to start in production", () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+    try {
+      expect(() => assertDevAuthConfig()).toThrow("AUTH_DEV_MODE must not be enabled");
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
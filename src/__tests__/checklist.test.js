@@ -0,0 +1,91 @@
+import Assignment from "../models/assignment.js";
+import checklistService from "../services/checklistService.js";
+import checklistCtrl from "../controllers/checklistController.js";
+jest.mock("../models/assignment.js");
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// An assignment as loaded from the database, saving to itself
+const mockAssignment = (checklist) => {
+  const assignment = { _id: "a1", checklist, progress: null };
+  assignment.save = jest.fn().mockResolvedValue(assignment);
+  Assignment.findById.mockResolvedValue(assignment);
+  return assignment;
+};
+
+describe("assignment checklists", () => {
+  it("should check items", () => {
+    expect(checklistService.validateItem({ title: "Outline", due_date: "2025-03-01", done: false })).toBeNull();
+    expect(checklistService.validateItem({ title: "  " })).toMatch(/Title/);
+    expect(checklistService.validateItem({ title: "Outline", due_date: "soon" })).toMatch(/Due date/);
+    expect(checklistService.validateItem({ title: "Outline", done: "yes" })).toMatch(/Done/);
+    expect(checklistService.validateItem({ done: true }, { partial: true })).toBeNull();
+  });
+
+  it("should compute progress", () => {
+    expect(checklistService.progressOf([])).toBeNull();
+    expect(checklistService.progressOf([{ done: true }, { done: false }, { done: false }])).toBe(33);
+    expect(checklistService.progressOf([{ done: true }, { done: true }])).toBe(100);
+  });
+
+  it("should add an item at a position and update progress", async () => {
+    const assignment = mockAssignment([{ _id: "c1", title: "Outline", done: true }]);
+    const res = mockRes();
+
+    await checklistCtrl.addChecklistItem({ params: { id: "a1" }, body: { title: "Research", position: 0 } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(assignment.checklist.map(({ title }) => title)).toEqual(["Research", "Outline"]);
+    expect(assignment.progress).toBe(50);
+    expect(assignment.save).toHaveBeenCalled();
+  });
+
+  it("should record when an item is done", async () => {
+    const assignment = mockAssignment([{ _id: "c1", title: "Outline", done: false, done_at: null }]);
+
+    await checklistCtrl.updateChecklistItem({ params: { id: "a1", itemId: "c1" }, body: { done: true } }, mockRes());
+    expect(assignment.checklist[0].done_at).toEqual(expect.any(Number));
+    expect(assignment.progress).toBe(100);
+
+    await checklistCtrl.updateChecklistItem({ params: { id: "a1", itemId: "c1" }, body: { done: false } }, mockRes());
+    expect(assignment.checklist[0].done_at).toBeNull();
+    expect(assignment.progress).toBe(0);
+  });
+
+  it("should reorder items only when every item is listed once", async () => {
+    const assignment = mockAssignment([{ _id: "c1", title: "Outline" }, { _id: "c2", title: "Draft" }, { _id: "c3", title: "Edit" }]);
+
+    const rejected = mockRes();
+    await checklistCtrl.reorderChecklist({ params: { id: "a1" }, body: { order: ["c3", "c3", "c1"] } }, rejected);
+    expect(rejected.status).toHaveBeenCalledWith(400);
+
+    const res = mockRes();
+    await checklistCtrl.reorderChecklist({ params: { id: "a1" }, body: { order: ["c3", "c1", "c2"] } }, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(assignment.checklist.map(({ _id }) => _id)).toEqual(["c3", "c1", "c2"]);
+  });
+
+  it("should report a checklist changed meanwhile", async () => {
+    const assignment = mockAssignment([{ _id: "c1", title: "Outline", done: false }]);
+    assignment.save.mockRejectedValue(Object.assign(new Error("No matching document"), { name: "VersionError" }));
+    const res = mockRes();
+
+    await checklistCtrl.deleteChecklistItem({ params: { id: "a1", itemId: "c1" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it("should answer 404 for unknown items", async () => {
+    mockAssignment([]);
+    const res = mockRes();
+
+    await checklistCtrl.updateChecklistItem({ params: { id: "a1", itemId: "c9" }, body: { done: true } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
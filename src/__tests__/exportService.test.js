@@ -0,0 +1,82 @@
+import fs from "fs/promises";
+import zlib from "zlib";
+import exportService from "../services/exportService.js";
+import tarArchive from "../services/tarArchive.js";
+import OWNED_RECORDS from "../services/ownedRecords.js";
+import Grade from "../models/grade.js";
+import Subject from "../models/subject.js";
+import User from "../models/user.js";
+import ExportJob from "../models/exportJob.js";
+jest.mock("../models/user.js");
+jest.mock("../models/exportJob.js");
+jest.mock("../models/subject.js");
+jest.mock("../models/grade.js");
+jest.mock("../models/assignment.js");
+jest.mock("../models/attachment.js");
+jest.mock("../models/assignmentTemplate.js");
+jest.mock("../models/timetable.js");
+jest.mock("../models/semester.js");
+jest.mock("../models/event.js");
+jest.mock("../models/notification.js");
+jest.mock("../models/teacher.js");
+jest.mock("../models/userSettings.js");
+
+// Read the file names and contents back out of a .tar.gz buffer
+const readTarGz = (archive) => {
+  const tar = zlib.gunzipSync(archive);
+  const files = {};
+  let offset = 0;
+  while (offset < tar.length && tar[offset] !== 0) {
+    const name = tar.toString("utf8", offset, offset + 100).replace(/\0.*$/, "");
+    const size = parseInt(tar.toString("utf8", offset + 124, offset + 136), 8);
+    files[name] = tar.toString("utf8", offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+};
+
+describe("data export", () => {
+  const user = {
+    _id: "672edc5b771be88704250ae8",
+    userName: "shivam044",
+    email: "shivam.jobs056@gmail.com",
+    password: "$2a$10$hash",
+  };
+
+  beforeEach(() => {
+    OWNED_RECORDS.forEach(({ model }) => model.find.mockResolvedValue([]));
+  });
+
+  it("should pack one JSON file per collection plus a manifest", async () => {
+    Subject.find.mockResolvedValueOnce([{ _id: "s1", subjectTitle: "Math", uid: user._id }]);
+    Grade.find.mockResolvedValueOnce([{ _id: "g1", grade: 90, uid: user._id }, { _id: "g2", grade: 75, uid: user._id }]);
+
+    const { files, counts } = await exportService.collectFiles(user);
+    const archive = readTarGz(tarArchive.createTarGz(files));
+
+    expect(Object.keys(archive)).toEqual(expect.arrayContaining([
+      "manifest.json", "profile.json", "subjects.json", "grades.json", "settings.json", "events.json",
+    ]));
+    expect(counts).toMatchObject({ subjects: 1, grades: 2 });
+    expect(JSON.parse(archive["grades.json"])).toHaveLength(2);
+    expect(JSON.parse(archive["profile.json"])).not.toHaveProperty("password");
+
+    const manifest = JSON.parse(archive["manifest.json"]);
+    expect(manifest.files).toContainEqual({ name: "grades.json", records: 2 });
+  });
+
+  it("should remove an archive whose job was deleted with its user while it was built", async () => {
+    const job = { _id: "e1", uid: user._id, save: jest.fn().mockRejectedValue(Object.assign(new Error("No document found"), { name: "DocumentNotFoundError" })) };
+    ExportJob.findOneAndUpdate.mockResolvedValue(job);
+    User.findById.mockResolvedValue(user);
+    jest.spyOn(fs, "mkdir").mockResolvedValue();
+    jest.spyOn(fs, "writeFile").mockResolvedValue();
+    const rm = jest.spyOn(fs, "rm").mockResolvedValue();
+
+    await exportService.runExport("e1");
+
+    expect(rm).toHaveBeenCalledWith(expect.stringMatching(/e1\.tar\.gz$/), { force: true });
+    expect(job.save).toHaveBeenCalledTimes(1);
+    jest.restoreAllMocks();
+  });
+});
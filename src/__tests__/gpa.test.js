@@ -0,0 +1,102 @@
+import Semester from "../models/semester.js";
+import Subject from "../models/subject.js";
+import Assignment from "../models/assignment.js";
+import Grade from "../models/grade.js";
+import UserSettings from "../models/userSettings.js";
+import gpaService from "../services/gpaService.js";
+import { letterGrade } from "../config/gradingScales.js";
+
+jest.mock("../models/semester.js");
+jest.mock("../models/subject.js");
+jest.mock("../models/assignment.js");
+jest.mock("../models/grade.js");
+jest.mock("../models/userSettings.js");
+
+describe("GPA", () => {
+  it("should convert percentages to letters on each scale", () => {
+    expect(letterGrade(95, "4.0")).toEqual({ letter: "A", points: 4.0 });
+    expect(letterGrade(95, "4.33")).toEqual({ letter: "A+", points: 4.33 });
+    expect(letterGrade(72.5, "4.0")).toEqual({ letter: "C-", points: 1.7 });
+    expect(letterGrade(12, "4.33")).toEqual({ letter: "F", points: 0 });
+    expect(letterGrade(null, "4.0")).toBeNull();
+  });
+
+  it("should weigh subjects by credits and skip ungraded ones", () => {
+    const summary = gpaService.summarize([
+      { credits: 3, percentage: 90, points: 4.0 },
+      { credits: 1, percentage: 70, points: 2.0 },
+      { credits: 2, percentage: null, points: null },
+      { credits: 0, percentage: 50, points: 1.0 },
+    ]);
+
+    expect(summary).toEqual({ gpa: 3.5, percentage: 85, credits: 4 });
+    expect(gpaService.summarize([])).toEqual({ gpa: null, percentage: null, credits: 0 });
+  });
+
+  it("should prefer the requested scale, then the user's, then the default", async () => {
+    UserSettings.findOne.mockResolvedValue({ gradingScale: "4.33" });
+    expect(await gpaService.resolveScale("u1", "4.0")).toBe("4.0");
+    expect(await gpaService.resolveScale("u1")).toBe("4.33");
+
+    UserSettings.findOne.mockResolvedValue(null);
+    expect(await gpaService.resolveScale("u1")).toBe("4.0");
+  });
+
+  it("should compute semester and cumulative GPAs", async () => {
+    Semester.find.mockReturnValue({
+      sort: jest.fn().mockResolvedValue([
+        { _id: "t1", title: "Fall" },
+        { _id: "t2", title: "Winter" },
+      ]),
+    });
+    Subject.find.mockResolvedValue([
+      { _id: "s1", semester_id: "t1", credits: 2 },
+      { _id: "s2", semester_id: "t2", credits: 1 },
+      { _id: "s3", semester_id: null, credits: 1 },
+    ]);
+    Assignment.find.mockResolvedValue([]);
+    Grade.find.mockResolvedValue([
+      { s_id: "s1", grade: 95, outOf: 100 },
+      { s_id: "s2", grade: 75, outOf: 100 },
+      { s_id: "s3", grade: 85, outOf: 100 },
+    ]);
+
+    const result = await gpaService.calculateGpa("u1", "4.0");
+
+    expect(result.scale).toBe("4.0");
+    expect(result.semesters[0]).toMatchObject({ title: "Fall", gpa: 4.0, credits: 2, cumulative: { gpa: 4.0, credits: 2 } });
+    // (4.0 * 2 + 2.0 * 1) / 3
+    expect(result.semesters[1]).toMatchObject({ title: "Winter", gpa: 2.0, cumulative: { gpa: 3.33, percentage: 88.33, credits: 3 } });
+    expect(result.unassigned_subjects).toHaveLength(1);
+    expect(result.unassigned_subjects[0]).toMatchObject({ subject_id: "s3", letter: "B" });
+    // (8 + 2 + 3) / 4
+    expect(result.cumulative).toEqual({ gpa: 3.25, percentage: 87.5, credits: 4 });
+  });
+
+  it("should only count the semester owner's subjects in a semester's GPA", async () => {
+    Subject.find.mockResolvedValue([{ _id: "s1", semester_id: "t1", credits: 2 }]);
+    Assignment.find.mockResolvedValue([]);
+    Grade.find.mockResolvedValue([{ s_id: "s1", grade: 95, outOf: 100 }]);
+
+    const result = await gpaService.calculateSemesterGpa({ _id: "t1", uid: "u1", title: "Fall" }, "4.0");
+
+    expect(Subject.find).toHaveBeenLastCalledWith({ semester_id: "t1", uid: "u1" });
+    expect(result).toMatchObject({ semester_id: "t1", gpa: 4.0, credits: 2 });
+  });
+
+  it("should ignore other users' grades in the owner's subjects", async () => {
+    Subject.find.mockResolvedValue([{ _id: "s1", semester_id: "t1", credits: 2 }]);
+    Assignment.find.mockResolvedValue([]);
+    // Grades of anyone who put records under the subject, filtered as the database would
+    Grade.find.mockImplementation(async (filter) => [
+      { s_id: "s1", uid: "u1", grade: 95, outOf: 100 },
+      { s_id: "s1", uid: "u2", grade: 0, outOf: 100 },
+    ].filter(({ uid }) => !filter.uid || uid === filter.uid));
+
+    const result = await gpaService.calculateSemesterGpa({ _id: "t1", uid: "u1", title: "Fall" }, "4.0");
+
+    expect(Grade.find).toHaveBeenLastCalledWith({ s_id: { $in: ["s1"] }, uid: "u1" });
+    expect(Assignment.find).toHaveBeenLastCalledWith({ s_id: { $in: ["s1"] }, uid: "u1" });
+    expect(result).toMatchObject({ gpa: 4.0, percentage: 95 });
+  });
+});
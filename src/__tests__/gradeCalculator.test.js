@@ -0,0 +1,160 @@
+import gradeCalculator from "../services/gradeCalculator.js";
+
+const { calculateStanding, validateCategories, hasCategory, validateWhatIf, applyWhatIf, projectStanding } = gradeCalculator;
+
+describe("grade calculator", () => {
+  const categories = [
+    { _id: "c-assignments", name: "Assignments", weight: 30 },
+    { _id: "c-midterm", name: "Midterm", weight: 25 },
+    { _id: "c-final", name: "Final", weight: 45 },
+  ];
+  const subject = { _id: "s1", targetGrade: 85, gradingCategories: categories };
+  const assignments = [
+    { _id: "a1", category_id: "c-assignments" },
+    { _id: "a2", category_id: "c-assignments" },
+    { _id: "a3", category_id: "c-midterm" },
+    { _id: "a4", category_id: "c-final" },
+  ];
+
+  it("should weigh categories over the work graded so far", () => {
+    const grades = [
+      { _id: "g1", a_id: "a1", grade: 18, outOf: 20 },
+      { _id: "g2", a_id: "a3", grade: 35, outOf: 50 },
+    ];
+
+    const standing = calculateStanding(subject, assignments, grades);
+
+    // Assignments 90% at weight 30, Midterm 70% at weight 25: (27 + 17.5) / 55
+    expect(standing.percentage).toBe(80.91);
+    expect(standing.total_weight).toBe(100);
+    // Half of the assignments (15) and the whole midterm (25)
+    expect(standing.graded_weight).toBe(40);
+    expect(standing.categories[0]).toMatchObject({ name: "Assignments", percentage: 90, assignments: 2, graded_assignments: 1 });
+    expect(standing.categories[2]).toMatchObject({ name: "Final", percentage: null, graded_weight: 0 });
+  });
+
+  it("should combine grades within a category by points", () => {
+    const grades = [
+      { _id: "g1", a_id: "a1", grade: 10, outOf: 10 },
+      { _id: "g2", a_id: "a2", grade: 50, outOf: 90 },
+    ];
+
+    const standing = calculateStanding(subject, assignments, grades);
+
+    expect(standing.categories[0]).toMatchObject({ earned: 60, possible: 100, percentage: 60, graded_weight: 30 });
+    expect(standing.percentage).toBe(60);
+  });
+
+  it("should link grades through the assignment's g_id", () => {
+    const standing = calculateStanding(subject, [{ _id: "a4", category_id: "c-final", g_id: "g9" }], [{ _id: "g9", grade: 40, outOf: 50 }]);
+
+    expect(standing.categories[2].percentage).toBe(80);
+    expect(standing.uncategorized.grades).toBe(0);
+  });
+
+  it("should report grades outside any category separately", () => {
+    const grades = [
+      { _id: "g1", a_id: "a3", grade: 40, outOf: 50 },
+      { _id: "g2", grade: 5, outOf: 10 },
+      { _id: "g3", a_id: "unknown", grade: 1, outOf: 10 },
+    ];
+
+    const standing = calculateStanding(subject, assignments, grades);
+
+    expect(standing.percentage).toBe(80);
+    expect(standing.uncategorized).toEqual({ earned: 6, possible: 20, percentage: 30, grades: 2 });
+  });
+
+  it("should fall back to points when the subject has no categories", () => {
+    const standing = calculateStanding({ _id: "s2" }, [], [{ grade: 45, outOf: 50 }, { grade: 25, outOf: 50 }]);
+
+    expect(standing.percentage).toBe(70);
+    expect(standing.total_weight).toBe(0);
+    expect(standing.target_grade).toBeNull();
+  });
+
+  it("should have no percentage before anything is graded", () => {
+    const standing = calculateStanding(subject, assignments, []);
+
+    expect(standing.percentage).toBeNull();
+    expect(standing.graded_weight).toBe(0);
+  });
+
+  it("should validate grading categories", () => {
+    expect(validateCategories(categories)).toBeNull();
+    expect(validateCategories([{ name: "Exam", weight: 80 }, { name: "Quiz", weight: 30 }])).toMatch(/more than 100/);
+    expect(validateCategories([{ name: "Exam", weight: 0 }])).toMatch(/positive weight/);
+    expect(validateCategories([{ name: "Exam", weight: 50 }, { name: "exam", weight: 10 }])).toMatch(/Duplicate/);
+    expect(validateCategories([{ weight: 10 }])).toMatch(/needs a name/);
+    expect(validateCategories("Exam")).toMatch(/must be a list/);
+  });
+
+  it("should find a subject's grading category by ID", () => {
+    const subject = { gradingCategories: [{ _id: { toString: () => "c1" }, name: "Exam", weight: 60 }] };
+    expect(hasCategory(subject, "c1")).toBe(true);
+    expect(hasCategory(subject, "c2")).toBe(false);
+    expect(hasCategory({}, "c1")).toBe(false);
+  });
+
+  describe("projection", () => {
+    const grades = [
+      { _id: "g1", a_id: "a1", grade: 18, outOf: 20 },
+      { _id: "g2", a_id: "a2", grade: 16, outOf: 20 },
+      { _id: "g3", a_id: "a3", grade: 40, outOf: 50 },
+    ];
+
+    it("should compute the average needed on the remaining work", () => {
+      const projection = projectStanding(subject, assignments, grades);
+
+      // Assignments 85% of 30, Midterm 80% of 25: 45.5 points secured, the final (45) left
+      expect(projection.remaining_weight).toBe(45);
+      expect(projection.minimum_percentage).toBe(45.5);
+      expect(projection.maximum_percentage).toBe(90.5);
+      // (85 - 45.5) / 45
+      expect(projection.required_average).toBe(87.78);
+      expect(projection).toMatchObject({ reachable: true, secured: false });
+      expect(projection.remaining[2]).toMatchObject({ name: "Final", remaining_assignments: 1, remaining_weight: 45 });
+    });
+
+    it("should flag unreachable and secured targets", () => {
+      expect(projectStanding(subject, assignments, grades, 95)).toMatchObject({ required_average: 110, reachable: false });
+      expect(projectStanding(subject, assignments, grades, 40)).toMatchObject({ required_average: 0, secured: true });
+    });
+
+    it("should judge against the current mark once everything is graded", () => {
+      const projection = projectStanding(subject, assignments, [...grades, { _id: "g4", a_id: "a4", grade: 80, outOf: 100 }]);
+
+      expect(projection.required_average).toBeNull();
+      expect(projection.minimum_percentage).toBe(81.5);
+      expect(projection).toMatchObject({ reachable: false, secured: false });
+    });
+
+    it("should count ungraded assignments like average ones without categories", () => {
+      const plain = { _id: "s2", targetGrade: 80 };
+      const projection = projectStanding(plain, [{ _id: "a1" }, { _id: "a2" }, { _id: "a3" }], [{ _id: "g1", a_id: "a1", grade: 70, outOf: 100 }]);
+
+      // 70% on a third of the work, so 85% needed on the other two thirds
+      expect(projection.remaining_weight).toBe(66.67);
+      expect(projection.required_average).toBe(85);
+      expect(projection.remaining).toEqual([{ _id: null, name: null, remaining_assignments: 2, remaining_weight: 66.67 }]);
+    });
+
+    it("should replace real grades with what-if scores", () => {
+      const whatIf = [{ a_id: "a3", grade: 50, outOf: 50 }, { a_id: "a4", grade: 90, outOf: 100 }];
+      const scenario = applyWhatIf(grades, assignments, whatIf);
+
+      expect(scenario).toHaveLength(4);
+      expect(scenario.find(({ a_id }) => a_id === "a3")).toMatchObject({ grade: 50, what_if: true });
+      expect(projectStanding(subject, assignments, scenario).minimum_percentage).toBe(91);
+      expect(grades).toHaveLength(3);
+    });
+
+    it("should validate what-if scores", () => {
+      expect(validateWhatIf([{ a_id: "a4", grade: 45, outOf: 50 }], assignments)).toBeNull();
+      expect(validateWhatIf({ a_id: "a4" }, assignments)).toMatch(/must be a list/);
+      expect(validateWhatIf([{ a_id: "x", grade: 1, outOf: 2 }], assignments)).toMatch(/assignment of the subject/);
+      expect(validateWhatIf([{ a_id: "a4", grade: 1, outOf: 2 }, { a_id: "a4", grade: 2, outOf: 2 }], assignments)).toMatch(/Duplicate/);
+      expect(validateWhatIf([{ a_id: "a4", grade: 1, outOf: 0 }], assignments)).toMatch(/positive outOf/);
+    });
+  });
+});
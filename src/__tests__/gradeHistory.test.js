@@ -0,0 +1,98 @@
+import gradeHistoryService from "../services/gradeHistoryService.js";
+import gradeCtrl from "../controllers/gradeController.js";
+import Grade from "../models/grade.js";
+import GradeRevision from "../models/gradeRevision.js";
+jest.mock("../models/grade.js");
+jest.mock("../models/gradeRevision.js");
+jest.mock("../models/auditLog.js");
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("grade history", () => {
+  const gradeId = "672edc5b771be88704250b01";
+  const teacherId = "672edc5b771be88704250ae9";
+
+  // Latest revision the service sees for the grade
+  const latestRevision = (revision) => {
+    GradeRevision.findOne.mockReturnValueOnce({ sort: async () => revision });
+  };
+
+  beforeEach(() => {
+    GradeRevision.mockClear();
+    GradeRevision.mockImplementation((data) => ({ ...data, save: async () => ({ ...data }) }));
+  });
+
+  it("should number revisions and record what changed", async () => {
+    latestRevision({ revision: 2, grade: 70, outOf: 100 });
+
+    const revision = await gradeHistoryService.recordRevision({ _id: gradeId, grade: 85, outOf: 100 }, { changedBy: teacherId });
+
+    expect(revision).toMatchObject({
+      grade_id: gradeId,
+      revision: 3,
+      change: "update",
+      grade: 85,
+      changed_by: teacherId,
+      changes: { grade: { from: 70, to: 85 } },
+    });
+  });
+
+  it("should keep the previous values of a grade without history as revision 1", async () => {
+    latestRevision(null);
+    const previous = { _id: gradeId, grade: 60, outOf: 100, created_at: new Date("2025-01-10") };
+
+    const revision = await gradeHistoryService.recordRevision({ _id: gradeId, grade: 75, outOf: 100 }, { changedBy: teacherId, previous });
+
+    // Who created the grade is unknown
+    expect(GradeRevision.mock.calls[0][0]).toMatchObject({ revision: 1, change: "create", grade: 60 });
+    expect(GradeRevision.mock.calls[0][0]).not.toHaveProperty("changed_by");
+    expect(revision).toMatchObject({ revision: 2, grade: 75, changes: { grade: { from: 60, to: 75 } } });
+  });
+
+  it("should not record updates that change nothing tracked", async () => {
+    latestRevision({ revision: 1, grade: 70, outOf: 100 });
+
+    const revision = await gradeHistoryService.recordRevision({ _id: gradeId, grade: 70, outOf: 100, notes: undefined });
+
+    expect(revision).toBeNull();
+    expect(GradeRevision).not.toHaveBeenCalled();
+  });
+
+  it("should roll back to an earlier revision and record the rollback", async () => {
+    GradeRevision.findOne.mockResolvedValueOnce({ revision: 1, grade: 60, outOf: 100 });
+    Grade.findByIdAndUpdate.mockResolvedValueOnce({ _id: gradeId, grade: 60, outOf: 100 });
+    latestRevision({ revision: 2, grade: 75, outOf: 100 });
+
+    const grade = await gradeHistoryService.rollback(gradeId, 1, teacherId);
+
+    expect(grade.grade).toBe(60);
+    const [, update] = Grade.findByIdAndUpdate.mock.calls[0];
+    expect(update.$set).toMatchObject({ grade: 60, outOf: 100 });
+    expect(update.$unset).toMatchObject({ notes: "", a_id: "" });
+    expect(GradeRevision.mock.calls[0][0]).toMatchObject({ revision: 3, change: "rollback", restored_revision: 1 });
+  });
+
+  it("should return 400 when no revision is given", async () => {
+    const res = mockResponse();
+
+    await gradeCtrl.rollbackGrade({ params: { id: gradeId }, body: {}, auth: { userId: teacherId } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("should return 404 for an unknown revision", async () => {
+    Grade.findById.mockResolvedValueOnce({ _id: gradeId });
+    GradeRevision.findOne.mockResolvedValueOnce(null);
+    const res = mockResponse();
+
+    await gradeCtrl.rollbackGrade({ params: { id: gradeId }, body: { revision: 9 }, auth: { userId: teacherId } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: "Revision not found" });
+  });
+});
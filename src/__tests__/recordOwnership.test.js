@@ -0,0 +1,67 @@
+import User from "../models/user.js";
+import Subject from "../models/subject.js";
+import Assignment from "../models/assignment.js";
+import Grade from "../models/grade.js";
+import gradeCtrl from "../controllers/gradeController.js";
+import assignmentCtrl from "../controllers/assignmentController.js";
+import subjectCtrl from "../controllers/subjectController.js";
+jest.mock("../models/user.js");
+jest.mock("../models/subject.js");
+jest.mock("../models/assignment.js");
+jest.mock("../models/grade.js");
+
+const mockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("records pointing at another user's records", () => {
+  const subject = { _id: "s1", uid: "owner", gradingCategories: [] };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    User.findById.mockResolvedValue({ _id: "intruder" });
+    Subject.findById.mockResolvedValue(subject);
+  });
+
+  it("should not create a grade in another user's subject", async () => {
+    const res = mockRes();
+
+    await gradeCtrl.createGrade({ auth: { userId: "intruder" }, body: { grade: 0, outOf: 100, s_id: "s1", uid: "intruder" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Grade).not.toHaveBeenCalled();
+  });
+
+  it("should not move a grade to another user's assignment", async () => {
+    Grade.findById.mockResolvedValue({ _id: "g1", uid: "intruder", s_id: "s9" });
+    Assignment.findById.mockResolvedValue({ _id: "a1", uid: "owner", s_id: "s1" });
+    const res = mockRes();
+
+    await gradeCtrl.updateGrade({ auth: { userId: "intruder" }, params: { id: "g1" }, body: { a_id: "a1" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Grade.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should not create an assignment in another user's subject", async () => {
+    const res = mockRes();
+
+    await assignmentCtrl.createAssignment({ body: { name: "Lab 1", s_id: "s1", uid: "intruder" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(Assignment).not.toHaveBeenCalled();
+  });
+
+  it("should only count the owner's records in a subject's standing", async () => {
+    Assignment.find.mockResolvedValue([]);
+    Grade.find.mockResolvedValue([]);
+
+    await subjectCtrl.getSubjectStanding({ params: { id: "s1" } }, mockRes());
+
+    expect(Assignment.find).toHaveBeenCalledWith({ s_id: "s1", uid: "owner" });
+    expect(Grade.find).toHaveBeenCalledWith({ s_id: "s1", uid: "owner" });
+  });
+});
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import softDelete from "../models/plugins/softDelete.js";
+import trashService from "../services/trashService.js";
+import trashCtrl from "../controllers/trashController.js";
+import OWNED_RECORDS from "../services/ownedRecords.js";
+import Subject from "../models/subject.js";
+import Grade from "../models/grade.js";
+jest.mock("../models/subject.js");
+jest.mock("../models/grade.js");
+jest.mock("../models/assignment.js");
+jest.mock("../models/attachment.js");
+jest.mock("../models/assignmentTemplate.js");
+jest.mock("../models/timetable.js");
+jest.mock("../models/semester.js");
+jest.mock("../models/event.js");
+jest.mock("../models/notification.js");
+jest.mock("../models/teacher.js");
+jest.mock("../models/userSettings.js");
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe("softDelete plugin", () => {
+  const schema = new mongoose.Schema({ uid: String });
+  schema.plugin(softDelete);
+  const Record = mongoose.model("SoftDeleteTestRecord", schema);
+
+  // Run the schema's pre hooks on a query without executing it
+  const applyHooks = (query, op) => new Promise((resolve, reject) => {
+    Record.schema.s.hooks.execPre(op, query, [], (error) => (error ? reject(error) : resolve()));
+  });
+
+  it("should hide trashed records from queries", async () => {
+    const query = Record.find({ uid: "u1" });
+    await applyHooks(query, "find");
+
+    expect(query.getFilter()).toEqual({ uid: "u1", deleted_at: null });
+  });
+
+  it("should leave queries alone that ask for trashed records", async () => {
+    const withDeleted = Record.findOne({ uid: "u1" }).withDeleted();
+    await applyHooks(withDeleted, "findOne");
+    expect(withDeleted.getFilter()).toEqual({ uid: "u1" });
+
+    const trashed = Record.find({ deleted_at: { $ne: null } });
+    await applyHooks(trashed, "find");
+    expect(trashed.getFilter()).toEqual({ deleted_at: { $ne: null } });
+  });
+
+  it("should hide trashed records from aggregations", async () => {
+    const aggregate = Record.aggregate([{ $match: { uid: "u1" } }]);
+    await new Promise((resolve, reject) => {
+      Record.schema.s.hooks.execPre("aggregate", aggregate, [], (error) => (error ? reject(error) : resolve()));
+    });
+
+    expect(aggregate.pipeline()[0]).toEqual({ $match: { deleted_at: null } });
+  });
+});
+
+describe("trash", () => {
+  const uid = "672edc5b771be88704250ae8";
+
+  it("should list trashed records with their purge date", async () => {
+    const deletedAt = new Date("2025-03-01T00:00:00Z");
+    OWNED_RECORDS.filter(({ trashable }) => trashable).forEach(({ model }) => {
+      model.find.mockReturnValue({ sort: () => ({ lean: async () => [] }) });
+    });
+    Subject.find.mockReturnValueOnce({
+      sort: () => ({ lean: async () => [{ _id: "s1", subjectTitle: "Math", uid, deleted_at: deletedAt }] }),
+    });
+
+    const trash = await trashService.listTrash(uid);
+
+    expect(Subject.find).toHaveBeenCalledWith({ uid, deleted_at: { $ne: null } });
+    expect(trash.records.subjects[0].purge_at).toEqual(trashService.purgeDate(deletedAt));
+    expect(trash.records).not.toHaveProperty("notifications");
+  });
+
+  it("should only purge records past the retention period", async () => {
+    const now = new Date("2025-04-01T00:00:00Z");
+    OWNED_RECORDS.forEach(({ model }) => model.deleteMany.mockResolvedValue({ deletedCount: 0 }));
+    Grade.deleteMany.mockResolvedValueOnce({ deletedCount: 2 });
+
+    const purged = await trashService.purgeExpired(now);
+
+    const cutoff = new Date(now.getTime() - trashService.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    expect(Grade.deleteMany).toHaveBeenCalledWith({ deleted_at: { $ne: null, $lte: cutoff } });
+    expect(purged).toMatchObject({ grades: 2, subjects: 0 });
+    expect(purged).not.toHaveProperty("settings");
+  });
+
+  it("should restore a trashed record", async () => {
+    Subject.restoreById = jest.fn().mockResolvedValueOnce({ _id: "s1", deleted_at: null });
+    const res = mockResponse();
+
+    await trashCtrl.restoreRecord(Subject, "Subject")({ params: { id: "s1" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should return 404 when the record is not in the trash", async () => {
+    Subject.restoreById = jest.fn().mockResolvedValueOnce(null);
+    const res = mockResponse();
+
+    await trashCtrl.restoreRecord(Subject, "Subject")({ params: { id: "s1" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ message: "Subject not found in trash" });
+  });
+});
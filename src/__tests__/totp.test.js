@@ -0,0 +1,60 @@
+import totp from "../services/totp.js";
+
+// Shared secrets from RFC 6238 Appendix B, one per HMAC algorithm
+const SHA1_KEY = Buffer.from("12345678901234567890");
+const SHA256_KEY = Buffer.from("12345678901234567890123456789012");
+const SHA512_KEY = Buffer.from("1234567890123456789012345678901234567890123456789012345678901234");
+
+describe("hotp", () => {
+  it("should match the RFC 4226 Appendix D test values", () => {
+    const expected = ["755224", "287082", "359152", "969429", "338314", "254676", "287922", "162583", "399871", "520489"];
+
+    expected.forEach((code, counter) => {
+      expect(totp.hotp(SHA1_KEY, counter)).toBe(code);
+    });
+  });
+});
+
+describe("totp", () => {
+  const vectors = [
+    [59, "94287082", "46119246", "90693936"],
+    [1111111109, "07081804", "68084774", "25091201"],
+    [1111111111, "14050471", "67062674", "99943326"],
+    [1234567890, "89005924", "91819424", "93441116"],
+    [2000000000, "69279037", "90698825", "38618901"],
+    [20000000000, "65353130", "77737706", "47863826"],
+  ];
+
+  it.each(vectors)("should match the RFC 6238 test values at T=%i", (seconds, sha1, sha256, sha512) => {
+    const time = seconds * 1000;
+
+    expect(totp.totp(SHA1_KEY, { time, digits: 8 })).toBe(sha1);
+    expect(totp.totp(SHA256_KEY, { time, digits: 8, algorithm: "sha256" })).toBe(sha256);
+    expect(totp.totp(SHA512_KEY, { time, digits: 8, algorithm: "sha512" })).toBe(sha512);
+  });
+});
+
+describe("verify", () => {
+  const secret = totp.base32Encode(SHA1_KEY);
+
+  it("should round-trip base32 secrets", () => {
+    expect(secret).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(totp.base32Decode(secret.toLowerCase())).toEqual(SHA1_KEY);
+  });
+
+  it("should accept a code from the adjacent time step and return its counter", () => {
+    const time = 1111111111 * 1000;
+    const previous = totp.totp(SHA1_KEY, { time: time - 30 * 1000 });
+
+    expect(totp.verify(previous, secret, { time })).toBe(Math.floor(1111111111 / 30) - 1);
+  });
+
+  it("should reject codes outside the window or with the wrong format", () => {
+    const time = 1111111111 * 1000;
+    const old = totp.totp(SHA1_KEY, { time: time - 5 * 60 * 1000 });
+
+    expect(totp.verify(old, secret, { time })).toBeNull();
+    expect(totp.verify("12345", secret, { time })).toBeNull();
+    expect(totp.verify("abcdef", secret, { time })).toBeNull();
+  });
+});
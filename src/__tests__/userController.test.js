@@ -1,8 +1,13 @@
 import userController from "../controllers/userController.js";
 import User from "../models/user.js";
+import UserSettings from "../models/userSettings.js";
+import userDeletionService from "../services/userDeletionService.js";
+import userRoutes from "../routes/userRoutes.js";
 jest.mock("../models/user.js");
+jest.mock("../models/userSettings.js");
+jest.mock("../services/userDeletionService.js");
 
-const { createUser, getUserById, deleteUser } = userController;
+const { createUser, getUserById, deleteUser, changePassword } = userController;
 
 describe("createUser Controller", () => {
     it("should create a user and return 201 status", async () => {
@@ -134,10 +139,7 @@ describe("getUserById Controller", () => {
   
   describe("deleteUser Controller", () => {
     it("should delete the user and return 200 status", async () => {
-      User.findByIdAndDelete.mockResolvedValueOnce({
-        _id: "672edc5b771be88704250ae8",
-        userName: "shivam044",
-      });
+      userDeletionService.deleteUser.mockResolvedValueOnce({ status: "deleted", records: { subjects: 0 } });
   
       const req = { params: { id: "672edc5b771be88704250ae8" } };
       const res = {
@@ -148,11 +150,26 @@ describe("getUserById Controller", () => {
       await deleteUser(req, res);
   
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith({ message: "User deleted successfully" });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: "User deleted successfully" }));
+    });
+
+    it("should return 409 while the user still owns records", async () => {
+      userDeletionService.deleteUser.mockResolvedValueOnce({ status: "blocked", records: { subjects: 2 } });
+
+      const req = { params: { id: "672edc5b771be88704250ae8" }, query: {} };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+
+      await deleteUser(req, res);
+
+      expect(userDeletionService.deleteUser).toHaveBeenLastCalledWith("672edc5b771be88704250ae8", { mode: "block", dryRun: false });
+      expect(res.status).toHaveBeenCalledWith(409);
     });
   
     it("should return 404 if the user is not found", async () => {
-      User.findByIdAndDelete.mockResolvedValueOnce(null);
+      userDeletionService.deleteUser.mockResolvedValueOnce({ status: "not_found" });
   
       const req = { params: { id: "nonexistent-id" } };
       const res = {
@@ -167,5 +184,93 @@ describe("getUserById Controller", () => {
     });
   });
 
+describe("changePassword Controller", () => {
+  it("should return 403 when changing another user's password", async () => {
+    // The route guards the user ID before the controller runs
+    const route = userRoutes.stack.find((layer) => layer.route && layer.route.path === "/api/users/:id/password").route;
+    const [, guard, handler] = route.stack.map((layer) => layer.handle);
+    const req = {
+      method: "PUT",
+      params: { id: "672edc5b771be88704250ae8" },
+      auth: { userId: "672edc5b771be88704250ae9", role: "student" },
+      body: { currentPassword: "Password123", newPassword: "N3wPassword" },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    const next = jest.fn();
+
+    guard(req, res, next);
+
+    expect(handler).toBe(changePassword);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should return 400 if the current password is incorrect", async () => {
+    User.findById.mockResolvedValueOnce({
+      _id: "672edc5b771be88704250ae8",
+      password: "$2a$04$abcdefghijklmnopqrstuu5pmQ3q6cYz7xQ1VbQ5u4VvXnZcL8p2e",
+    });
+
+    const req = {
+      params: { id: "672edc5b771be88704250ae8" },
+      auth: { userId: "672edc5b771be88704250ae8" },
+      body: { currentPassword: "wrong-password", newPassword: "N3wPassword" },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    await changePassword(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ message: "Current password is incorrect" });
+  });
+});
+
+describe("user serialization", () => {
+  const storedUser = {
+    _id: "672edc5b771be88704250ae8",
+    userName: "shivam044",
+    firstName: "Shivam",
+    lastName: "Ujjainwal",
+    email: "shivam.jobs056@gmail.com",
+    role: "student",
+    password: "$2a$10$abcdefghijklmnopqrstuu5pmQ3q6cYz7xQ1VbQ5u4VvXnZcL8p2e",
+    twoFactor: { enabled: true, secret: "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ" },
+  };
+
+  const mockResponse = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+  });
+
+  it("should never return the password hash or two-factor secret", async () => {
+    UserSettings.findOne.mockClear();
+    User.findById.mockResolvedValueOnce({ ...storedUser });
+    const req = { params: { id: storedUser._id }, auth: { userId: storedUser._id, role: "student" } };
+    const res = mockResponse();
 
+    await getUserById(req, res);
 
+    const body = res.json.mock.calls[0][0];
+    expect(body).not.toHaveProperty("password");
+    expect(body).not.toHaveProperty("twoFactor");
+    expect(body.twoFactorEnabled).toBe(true);
+    expect(UserSettings.findOne).not.toHaveBeenCalled();
+  });
+
+  it("should hide the details of a private profile from other users", async () => {
+    User.findById.mockResolvedValueOnce({ ...storedUser });
+    UserSettings.findOne.mockResolvedValueOnce({ userId: storedUser._id, privacy: { profileVisibility: "private" } });
+    const req = { params: { id: storedUser._id }, auth: { userId: "672edc5b771be88704250ae9", role: "teacher" } };
+    const res = mockResponse();
+
+    await getUserById(req, res);
+
+    expect(res.json).toHaveBeenCalledWith({ _id: storedUser._id, userName: "shivam044", role: "student" });
+  });
+});
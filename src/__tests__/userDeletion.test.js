@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Grade from "../models/grade.js";
+import Attachment from "../models/attachment.js";
+import ExportJob from "../models/exportJob.js";
+import exportService from "../services/exportService.js";
+import userDeletionService from "../services/userDeletionService.js";
+import OWNED_RECORDS from "../services/ownedRecords.js";
+jest.mock("../models/user.js");
+jest.mock("../models/subject.js");
+jest.mock("../models/grade.js");
+jest.mock("../models/assignment.js");
+jest.mock("../models/attachment.js");
+jest.mock("../models/assignmentTemplate.js");
+jest.mock("../models/timetable.js");
+jest.mock("../models/semester.js");
+jest.mock("../models/event.js");
+jest.mock("../models/notification.js");
+jest.mock("../models/teacher.js");
+jest.mock("../models/userSettings.js");
+jest.mock("../models/refreshToken.js");
+jest.mock("../models/userToken.js");
+jest.mock("../models/revokedToken.js");
+jest.mock("../models/securityEvent.js");
+jest.mock("../models/loginAttempt.js");
+jest.mock("../models/exportJob.js");
+
+describe("user deletion", () => {
+  const user = { _id: "u1", email: "ada@example.com" };
+
+  beforeEach(() => {
+    User.findById.mockResolvedValue(user);
+    for (const { model } of OWNED_RECORDS) {
+      model.countDocuments.mockResolvedValue(0);
+    }
+    // Two grades in the trash, which only a count including trashed records sees
+    Grade.countDocuments.mockImplementation(async (filter, options) => ((options && options.withDeleted) ? 2 : 0));
+  });
+
+  it("should count records in the trash", async () => {
+    const records = await userDeletionService.countOwnedRecords("u1");
+
+    expect(records.grades).toBe(2);
+    for (const { model, field } of OWNED_RECORDS) {
+      expect(model.countDocuments).toHaveBeenCalledWith({ [field]: "u1" }, { withDeleted: true });
+    }
+  });
+
+  it("should block deleting a user whose only records are in the trash", async () => {
+    const result = await userDeletionService.deleteUser("u1", { mode: "block" });
+
+    expect(result).toMatchObject({ status: "blocked", records: { grades: 2 } });
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it("should report trashed records in a dry run", async () => {
+    const result = await userDeletionService.deleteUser("u1", { mode: "cascade", dryRun: true });
+
+    expect(result).toMatchObject({ status: "dry_run", blocked: false, records: { grades: 2 } });
+  });
+
+  describe("cascade", () => {
+    // A session whose transaction commits, or aborts with the given error
+    const mockSession = (error) => {
+      const session = {
+        withTransaction: jest.fn(async (fn) => {
+          await fn();
+          if (error) {
+            throw error;
+          }
+        }),
+        endSession: jest.fn(),
+      };
+      jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+      return session;
+    };
+
+    const exportJob = { _id: "e1", uid: "u1", file_name: "e1.tar.gz" };
+
+    beforeEach(() => {
+      Attachment.removeFilesAfterCommit.mockClear();
+      ExportJob.find.mockResolvedValue([exportJob]);
+      jest.spyOn(exportService, "removeArchives").mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should remove attachment files once the deletion is committed", async () => {
+      const session = mockSession();
+
+      const result = await userDeletionService.deleteUser("u1", { mode: "cascade" });
+
+      expect(result.status).toBe("deleted");
+      expect(Attachment.deleteMany).toHaveBeenCalledWith({ uid: "u1" }, { session });
+      expect(Attachment.removeFilesAfterCommit).toHaveBeenCalledWith(session);
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it("should delete the user's data exports and their archives", async () => {
+      const session = mockSession();
+
+      await userDeletionService.deleteUser("u1", { mode: "cascade" });
+
+      expect(ExportJob.deleteMany).toHaveBeenCalledWith({ uid: "u1" }, { session });
+      expect(exportService.removeArchives).toHaveBeenCalledWith([exportJob]);
+    });
+
+    it("should keep attachment files when the deletion is rolled back", async () => {
+      const session = mockSession(new Error("Transaction aborted"));
+
+      await expect(userDeletionService.deleteUser("u1", { mode: "cascade" })).rejects.toThrow("Transaction aborted");
+
+      expect(Attachment.removeFilesAfterCommit).not.toHaveBeenCalled();
+      expect(exportService.removeArchives).not.toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Statuses an assignment goes through. Stored on `Assignment.status`.
+ */
+const ASSIGNMENT_STATUSES = ['not_started', 'in_progress', 'submitted', 'graded', 'late', 'excused'];
+
+/**
+ * Statuses of assignments that still have to be handed in; only these can be overdue.
+ */
+const OPEN_STATUSES = ['not_started', 'in_progress', 'late'];
+
+/**
+ * Statuses each status can change to.
+ *
+ * - not_started  Work can begin, be handed in, run late or be excused.
+ * - in_progress  Can also go back to not started.
+ * - late         Past its due date without being handed in; can still be handed in or excused.
+ * - submitted    Can be graded, taken back to work on, or excused.
+ * - graded       Can go back to submitted to be regraded.
+ * - excused      Can be reinstated as not started.
+ */
+const STATUS_TRANSITIONS = {
+  not_started: ['in_progress', 'submitted', 'late', 'excused'],
+  in_progress: ['not_started', 'submitted', 'late', 'excused'],
+  late: ['in_progress', 'submitted', 'excused'],
+  submitted: ['in_progress', 'graded', 'excused'],
+  graded: ['submitted'],
+  excused: ['not_started'],
+};
+
+/**
+ * Check whether an assignment can change from one status to another.
+ *
+ * @function canTransition
+ * @param {string} from - The current status.
+ * @param {string} to - The new status.
+ * @returns {boolean} True when the change is allowed.
+ */
+const canTransition = (from, to) => Boolean(STATUS_TRANSITIONS[from] && STATUS_TRANSITIONS[from].includes(to));
+
+export { ASSIGNMENT_STATUSES, OPEN_STATUSES, STATUS_TRANSITIONS, canTransition };
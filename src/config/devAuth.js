@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Check whether the development identity mode is switched on.
+ * It is opt-in only: `AUTH_DEV_MODE` must be exactly 'true'.
+ *
+ * @function isDevAuthEnabled
+ * @returns {boolean} True when requests without a token are signed in as the dev user.
+ */
+const isDevAuthEnabled = () => process.env.AUTH_DEV_MODE === 'true';
+
+/**
+ * Validate the development identity settings. Called once at startup so a
+ * misconfigured server refuses to start instead of running without authentication.
+ *
+ * @function assertDevAuthConfig
+ * @throws {Error} When dev mode is enabled in production or without a valid `AUTH_DEV_USER_ID`.
+ * @returns {void}
+ */
+const assertDevAuthConfig = () => {
+  if (!isDevAuthEnabled()) {
+    return;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_DEV_MODE must not be enabled when NODE_ENV is production');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(process.env.AUTH_DEV_USER_ID || '')) {
+    throw new Error('AUTH_DEV_MODE requires AUTH_DEV_USER_ID to be the ID of a seeded user');
+  }
+
+  console.warn(`WARNING: AUTH_DEV_MODE is enabled. Requests without a token act as user ${process.env.AUTH_DEV_USER_ID}.`);
+};
+
+export { isDevAuthEnabled, assertDevAuthConfig };
@@ -0,0 +1,83 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Grading scales, by ID. Each band gives the lowest percentage earning a letter, and the
+ * grade points of that letter; bands are listed from the highest to the lowest.
+ *
+ * - 4.0   Common North American scale, A+ and A both worth 4.0.
+ * - 4.33  Scale with A+ worth 4.33, as used by many Canadian institutions.
+ */
+const GRADING_SCALES = {
+  '4.0': {
+    name: '4.0 scale',
+    max_points: 4.0,
+    bands: [
+      { min: 97, letter: 'A+', points: 4.0 },
+      { min: 93, letter: 'A', points: 4.0 },
+      { min: 90, letter: 'A-', points: 3.7 },
+      { min: 87, letter: 'B+', points: 3.3 },
+      { min: 83, letter: 'B', points: 3.0 },
+      { min: 80, letter: 'B-', points: 2.7 },
+      { min: 77, letter: 'C+', points: 2.3 },
+      { min: 73, letter: 'C', points: 2.0 },
+      { min: 70, letter: 'C-', points: 1.7 },
+      { min: 67, letter: 'D+', points: 1.3 },
+      { min: 63, letter: 'D', points: 1.0 },
+      { min: 60, letter: 'D-', points: 0.7 },
+      { min: 0, letter: 'F', points: 0 },
+    ],
+  },
+  '4.33': {
+    name: '4.33 scale',
+    max_points: 4.33,
+    bands: [
+      { min: 90, letter: 'A+', points: 4.33 },
+      { min: 85, letter: 'A', points: 4.0 },
+      { min: 80, letter: 'A-', points: 3.67 },
+      { min: 77, letter: 'B+', points: 3.33 },
+      { min: 73, letter: 'B', points: 3.0 },
+      { min: 70, letter: 'B-', points: 2.67 },
+      { min: 67, letter: 'C+', points: 2.33 },
+      { min: 63, letter: 'C', points: 2.0 },
+      { min: 60, letter: 'C-', points: 1.67 },
+      { min: 50, letter: 'D', points: 1.0 },
+      { min: 0, letter: 'F', points: 0 },
+    ],
+  },
+};
+
+/**
+ * ID of the institution's grading scale, used for users who have not chosen one
+ * (`GRADING_SCALE`, default '4.0').
+ */
+const DEFAULT_SCALE = GRADING_SCALES[process.env.GRADING_SCALE] ? process.env.GRADING_SCALE : '4.0';
+
+/**
+ * Check whether a grading scale exists.
+ *
+ * @function isGradingScale
+ * @param {string} id - ID of the scale.
+ * @returns {boolean} True when the scale exists.
+ */
+const isGradingScale = (id) => Object.prototype.hasOwnProperty.call(GRADING_SCALES, id);
+
+/**
+ * Convert a percentage to a letter grade and grade points.
+ *
+ * @function letterGrade
+ * @param {number} percentage - The percentage.
+ * @param {string} [scaleId=DEFAULT_SCALE] - ID of the grading scale.
+ * @returns {{letter: string, points: number}|null} The letter and its points, or null without a percentage.
+ */
+const letterGrade = (percentage, scaleId = DEFAULT_SCALE) => {
+  if (percentage === null || percentage === undefined || !Number.isFinite(percentage)) {
+    return null;
+  }
+  const { bands } = GRADING_SCALES[scaleId];
+  const band = bands.find(({ min }) => percentage >= min) || bands[bands.length - 1];
+  return { letter: band.letter, points: band.points };
+};
+
+export { GRADING_SCALES, DEFAULT_SCALE, isGradingScale, letterGrade };
@@ -0,0 +1,45 @@
+/**
+ * Roles a user can have. Stored on `User.role`.
+ */
+const ROLES = ['student', 'teacher', 'admin'];
+
+/**
+ * Permissions granted to each role.
+ *
+ * - users:read         List users and view any user's profile.
+ * - users:manage       Create, update, suspend and delete any user.
+ * - users:roles        Change the role of a user.
+ * - records:read:any   Read any user's academic records (subjects, grades, assignments, ...).
+ * - records:write:any  Create, update and delete any user's academic records.
+ * - notifications:send Send notifications to other users.
+ * - audit:read         Query the audit log of changes to academic records.
+ */
+const ROLE_PERMISSIONS = {
+  student: [],
+  teacher: ['users:read', 'records:read:any', 'notifications:send'],
+  admin: [
+    'users:read',
+    'users:manage',
+    'users:roles',
+    'records:read:any',
+    'records:write:any',
+    'notifications:send',
+    'audit:read',
+  ],
+};
+
+/**
+ * Check whether a role grants a permission.
+ * Unknown or missing roles are treated as 'student'.
+ *
+ * @function hasPermission
+ * @param {string} role - The user's role.
+ * @param {string} permission - The permission to check.
+ * @returns {boolean} True when the role grants the permission.
+ */
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.student;
+  return permissions.includes(permission);
+};
+
+export { ROLES, ROLE_PERMISSIONS, hasPermission };
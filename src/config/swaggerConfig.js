@@ -26,7 +26,8 @@ const swaggerDefinition = {
           lastName: { type: 'string', description: "The user's last name" },
           email: { type: 'string', format: 'email', description: "The user's email address" },
           password: { type: 'string', description: "The user's password" },
-          role: { type: 'string', description: 'The role of the user (e.g., student, teacher)' },
+          role: { type: 'string', enum: ['student', 'teacher', 'admin'], description: 'The role of the user' },
+          status: { type: 'string', enum: ['unverified', 'active', 'suspended'], description: 'Account status' },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
           updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
         },
@@ -41,16 +42,31 @@ const swaggerDefinition = {
       },
       Subject: {
         type: 'object',
-        required: ['subjectTitle', 'uid'],
+        required: ['subjectTitle'],
         properties: {
           subjectTitle: { type: 'string', description: 'The title of the subject' },
           targetGrade: { type: 'number', description: 'The target grade for the subject' },
-          uid: { type: 'string', description: 'Reference to the student user ID' },
+          uid: { type: 'string', description: 'Reference to the student user ID (defaults to the authenticated user)' },
           t_uid: { type: 'string', description: 'Reference to the teacher user ID (optional)' },
           semester_id: { type: 'string', description: 'Reference to the semester or term ID (optional)' },
           room: { type: 'string', description: 'Room name or number (optional)' },
+          credits: { type: 'number', description: 'Credit weight of the subject in GPA calculations (default 1)' },
+          gradingCategories: {
+            type: 'array',
+            description: 'How the final mark is made up; weights add up to at most 100 (optional)',
+            items: {
+              type: 'object',
+              required: ['name', 'weight'],
+              properties: {
+                _id: { type: 'string', description: 'Category ID, referenced by assignments' },
+                name: { type: 'string', description: 'Name of the category' },
+                weight: { type: 'number', description: 'Share of the final mark in percent' },
+              },
+            },
+          },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
           updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
+          deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the record was moved to the trash, null while it is live' },
         },
         example: {
           subjectTitle: 'Mathematics',
@@ -59,21 +75,94 @@ const swaggerDefinition = {
           t_uid: '60d0fe4f5311236168a109cb',
           semester_id: '60d0fe4f5311236168a109cc',
           room: 'Room 101',
+          gradingCategories: [
+            { name: 'Assignments', weight: 30 },
+            { name: 'Midterm', weight: 25 },
+            { name: 'Final', weight: 45 },
+          ],
+        },
+      },
+      SubjectStanding: {
+        type: 'object',
+        properties: {
+          subject_id: { type: 'string', description: 'The subject ID' },
+          percentage: { type: 'number', nullable: true, description: 'Weighted percentage over the work graded so far, null until something is graded' },
+          target_grade: { type: 'number', nullable: true, description: 'The target grade for the subject' },
+          graded_weight: { type: 'number', description: 'Percentage points of the total weight graded so far' },
+          total_weight: { type: 'number', description: 'Sum of the category weights' },
+          categories: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+                weight: { type: 'number' },
+                earned: { type: 'number', description: 'Points earned' },
+                possible: { type: 'number', description: 'Points possible' },
+                percentage: { type: 'number', nullable: true },
+                grades: { type: 'integer' },
+                assignments: { type: 'integer' },
+                graded_assignments: { type: 'integer' },
+                graded_weight: { type: 'number', description: 'Weight of the category graded so far' },
+              },
+            },
+          },
+          uncategorized: {
+            type: 'object',
+            description: 'Grades not linked to an assignment in a category; they make up the percentage only when the subject has no categories',
+            properties: {
+              earned: { type: 'number' },
+              possible: { type: 'number' },
+              percentage: { type: 'number', nullable: true },
+              grades: { type: 'integer' },
+            },
+          },
+        },
+      },
+      SubjectProjection: {
+        type: 'object',
+        properties: {
+          subject_id: { type: 'string', description: 'The subject ID' },
+          target_grade: { type: 'number', description: 'The target percentage projected against' },
+          current_percentage: { type: 'number', nullable: true, description: 'Weighted percentage over the work graded so far' },
+          total_weight: { type: 'number', description: 'Sum of the weights the final percentage is made of' },
+          remaining_weight: { type: 'number', description: 'Weight not graded yet' },
+          required_average: { type: 'number', nullable: true, description: 'Average needed on the remaining work to reach the target, null when nothing is left' },
+          minimum_percentage: { type: 'number', nullable: true, description: 'Final percentage with 0% on the remaining work' },
+          maximum_percentage: { type: 'number', nullable: true, description: 'Final percentage with 100% on the remaining work' },
+          reachable: { type: 'boolean', description: 'False when the target needs more than 100% on the remaining work' },
+          secured: { type: 'boolean', description: 'True when the target is reached even with 0% on the remaining work' },
+          remaining: {
+            type: 'array',
+            description: 'Remaining work per grading category (a single entry without a name when the subject has no categories)',
+            items: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string', nullable: true },
+                name: { type: 'string', nullable: true },
+                remaining_assignments: { type: 'integer' },
+                remaining_weight: { type: 'number' },
+              },
+            },
+          },
+          what_if: { type: 'boolean', description: 'True when hypothetical scores were used' },
         },
       },
       Grade: {
         type: 'object',
-        required: ['grade', 's_id', 'uid'],
+        required: ['grade', 's_id'],
         properties: {
           grade: { type: 'number', description: 'The grade value' },
           outOf: { type: 'number', description: 'The max value of the grade' },
           s_id: { type: 'string', description: 'Reference ID to the Subject' },
           a_id: { type: 'string', description: 'Reference ID to the Assignment' },
-          uid: { type: 'string', description: 'Reference to the student user ID' },
+          uid: { type: 'string', description: 'Reference to the student user ID (defaults to the authenticated user)' },
           notes: { type: 'string', description: 'Extra notes for information' },
           date: { type: 'string', format: 'date-time', description: 'The date the grade was recorded' },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
           updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
+          deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the record was moved to the trash, null while it is live' },
         },
         example: {
           grade: 85,
@@ -87,15 +176,57 @@ const swaggerDefinition = {
       },
       Assignment: {
         type: 'object',
-        required: ['name', 's_id', 'uid'],
+        required: ['name', 's_id'],
         properties: {
           name: { type: 'string', description: 'The name of the assignment' },
           s_id: { type: 'string', description: 'Reference to the Subject' },
-          uid: { type: 'string', description: 'Reference to the student user ID' },
+          uid: { type: 'string', description: 'Reference to the student user ID (defaults to the authenticated user)' },
           g_id: { type: 'string', description: 'Reference to the Grade' },
+          category_id: { type: 'string', nullable: true, description: 'ID of the grading category of the subject the assignment counts towards (optional)' },
           due_date: { type: 'string', format: 'date-time', description: 'The due date' },
+          status: {
+            type: 'string',
+            enum: ['not_started', 'in_progress', 'submitted', 'graded', 'late', 'excused'],
+            description: 'Where the assignment stands; changed through PATCH /api/assignments/{id}/status',
+          },
+          status_updated_at: { type: 'string', format: 'date-time', nullable: true, description: 'Timestamp of the last change of status' },
+          status_history: {
+            type: 'array',
+            description: 'Every change of status, oldest first',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', nullable: true },
+                status: { type: 'string' },
+                at: { type: 'string', format: 'date-time' },
+                changed_by: { type: 'string' },
+                note: { type: 'string' },
+              },
+            },
+          },
+          template_id: { type: 'string', nullable: true, description: 'Reference to the AssignmentTemplate this assignment is an occurrence of' },
+          occurrence: { type: 'integer', description: 'Number of the occurrence within its template, from 1' },
+          occurrence_date: { type: 'string', description: "Day the occurrence was scheduled for, as 'YYYY-MM-DD'" },
+          detached: { type: 'boolean', description: 'True once the occurrence was edited on its own; edits to the template then leave it alone' },
+          unscheduled_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the template moved the occurrence to the trash because its schedule dropped the day' },
+          checklist: {
+            type: 'array',
+            description: 'Sub-tasks, in order; changed through /api/assignments/{id}/checklist',
+            items: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                title: { type: 'string' },
+                due_date: { type: 'string', format: 'date-time', nullable: true },
+                done: { type: 'boolean' },
+                done_at: { type: 'string', format: 'date-time', nullable: true },
+              },
+            },
+          },
+          progress: { type: 'integer', minimum: 0, maximum: 100, nullable: true, description: 'Percentage of the checklist done; null without a checklist' },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
           updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
+          deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the record was moved to the trash, null while it is live' },
         },
         example: {
           name: 'Math Homework 1',
@@ -105,16 +236,73 @@ const swaggerDefinition = {
           due_date: '2023-09-01T00:00:00.000Z',
         },
       },
+      Attachment: {
+        type: 'object',
+        properties: {
+          a_id: { type: 'string', description: 'Reference to the Assignment' },
+          uid: { type: 'string', description: 'Reference to the user owning the assignment' },
+          uploaded_by: { type: 'string', description: 'Reference to the user who uploaded the file' },
+          kind: { type: 'string', enum: ['brief', 'submission'], description: 'What the file is' },
+          file_name: { type: 'string', description: 'Name of the file as uploaded' },
+          content_type: { type: 'string', description: 'MIME type of the file' },
+          size: { type: 'integer', description: 'Size of the file in bytes' },
+          checksum: { type: 'string', description: 'SHA-256 of the content, as hex' },
+          storage_driver: { type: 'string', description: 'Storage driver holding the content' },
+          storage_key: { type: 'string', description: 'Key of the content in that storage' },
+          created_at: { type: 'string', format: 'date-time', description: 'Upload date' },
+        },
+        example: {
+          a_id: '60d0fe4f5311236168a109cf',
+          uid: '60d0fe4f5311236168a109ca',
+          kind: 'submission',
+          file_name: 'homework-1.pdf',
+          content_type: 'application/pdf',
+          size: 48213,
+          checksum: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08',
+          storage_driver: 'local',
+        },
+      },
+      AssignmentTemplate: {
+        type: 'object',
+        required: ['name', 's_id', 'recurrence'],
+        properties: {
+          name: { type: 'string', description: "Name of the occurrences; '{n}' is replaced by the occurrence number" },
+          s_id: { type: 'string', description: 'Reference to the Subject, which must be in a semester' },
+          uid: { type: 'string', description: 'Reference to the student user ID (defaults to the authenticated user)' },
+          category_id: { type: 'string', nullable: true, description: 'ID of the grading category of the subject the occurrences count towards (optional)' },
+          recurrence: {
+            type: 'object',
+            required: ['weekdays'],
+            properties: {
+              weekdays: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 }, description: 'Days of the week, 0 (Sunday) to 6 (Saturday)' },
+              interval: { type: 'integer', minimum: 1, maximum: 52, description: 'Every how many weeks, counted from the week of starts_on (default 1)' },
+              time: { type: 'string', description: "Time of day the occurrences are due, as 'HH:MM' (default '23:59')" },
+              starts_on: { type: 'string', description: "First day an occurrence can fall on, as 'YYYY-MM-DD' (default today)" },
+              until: { type: 'string', nullable: true, description: "Last day an occurrence can fall on, as 'YYYY-MM-DD'; null for the end of the semester" },
+            },
+          },
+          timezone: { type: 'string', description: "IANA time zone of the days and time (defaults to the user's)" },
+          created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
+          updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
+        },
+        example: {
+          name: 'Lab {n}',
+          s_id: '60d0fe4f5311236168a109cc',
+          recurrence: { weekdays: [1, 3], interval: 1, time: '09:00', starts_on: '2023-01-09' },
+          timezone: 'America/Toronto',
+        },
+      },
       Semester: {
         type: 'object',
-        required: ['startDate', 'endDate', 'uid'],
+        required: ['startDate', 'endDate'],
         properties: {
           title: { type: 'string', description: 'The title of the semester' },
           startDate: { type: 'string', format: 'date-time', description: 'The start date' },
           endDate: { type: 'string', format: 'date-time', description: 'The end date' },
-          uid: { type: 'string', description: 'Reference to the user ID who created the semester' },
+          uid: { type: 'string', description: 'Reference to the user ID who created the semester (defaults to the authenticated user)' },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
           updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
+          deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the record was moved to the trash, null while it is live' },
         },
         example: {
           title: 'Semester 1',
@@ -125,15 +313,16 @@ const swaggerDefinition = {
       },
       Teacher: {
         type: 'object',
-        required: ['first_name', 'last_name', 'phone', 'school_email', 'uid'],
+        required: ['first_name', 'last_name', 'phone', 'school_email'],
         properties: {
           first_name: { type: 'string', description: "The teacher's first name" },
           last_name: { type: 'string', description: "The teacher's last name" },
           phone: { type: 'string', description: "The teacher's phone number" },
           school_email: { type: 'string', description: "The teacher's school email" },
-          uid: { type: 'string', description: 'Reference to the user ID who created the teacher entry' },
+          uid: { type: 'string', description: 'Reference to the user ID who created the teacher entry (defaults to the authenticated user)' },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
           updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
+          deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the record was moved to the trash, null while it is live' },
         },
         example: {
           first_name: 'Jane',
@@ -145,7 +334,7 @@ const swaggerDefinition = {
       },
       TimeTable: {
         type: 'object',
-        required: ['subject_id', 'day_of_week', 'start_time', 'end_time', 'uid'],
+        required: ['subject_id', 'day_of_week', 'start_time', 'end_time'],
         properties: {
           subject_id: { type: 'string', description: 'Reference to the Subject ID' },
           day_of_week: { type: 'string', description: 'Day of the week (e.g., Monday)' },
@@ -154,9 +343,10 @@ const swaggerDefinition = {
           room: { type: 'string', description: 'Room name/number (optional)' },
           t_uid: { type: 'string', description: 'Reference to the Teacher ID (optional)' },
           note: { type: 'string', description: 'Additional notes (optional)' },
-          uid: { type: 'string', description: 'Reference to the user ID who created the timetable entry' },
+          uid: { type: 'string', description: 'Reference to the user ID who created the timetable entry (defaults to the authenticated user)' },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
           updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
+          deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the record was moved to the trash, null while it is live' },
         },
         example: {
           subject_id: '60d0fe4f5311236168a109cc',
@@ -171,11 +361,11 @@ const swaggerDefinition = {
       },
       Notification: {
         type: 'object',
-        required: ['title', 'message', 'uid', 'type'],
+        required: ['title', 'message', 'type'],
         properties: {
           title: { type: 'string', description: 'The title of the notification' },
           message: { type: 'string', description: 'The message body of the notification' },
-          uid: { type: 'string', description: 'Reference to the user ID who is receiving the notification' },
+          uid: { type: 'string', description: 'Reference to the user ID who is receiving the notification (defaults to the authenticated user)' },
           type: { type: 'string', description: 'Type of notification (e.g., informational, alert, etc.)' },
           read: { type: 'boolean', description: 'Indicates if the notification has been read', default: false },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
@@ -216,6 +406,17 @@ const swaggerDefinition = {
               },
             },
           },
+          gradingScale: {
+            type: 'string',
+            enum: ['4.0', '4.33'],
+            nullable: true,
+            description: 'Grading scale for GPA calculations; null uses the institution default',
+          },
+          timezone: {
+            type: 'string',
+            nullable: true,
+            description: "IANA time zone of the user (e.g. 'America/Toronto'); null uses the server default",
+          },
           created_at: {
             type: 'string',
             format: 'date-time',
@@ -240,17 +441,18 @@ const swaggerDefinition = {
       },
       Event: {
         type: 'object',
-        required: ['name', 'type', 'date', 'user_id'],
+        required: ['name', 'type', 'date'],
         properties: {
           name: { type: 'string', description: 'Event name (e.g., Assignment, Exam, Reminder)' },
           type: { type: 'string', enum: ['Assignment', 'Exam', 'Reminder'], description: 'Type of event' },
           description: { type: 'string', description: 'Optional description for the event' },
           date: { type: 'string', format: 'date-time', description: 'Date of the event' },
-          user_id: { type: 'string', description: 'Reference to the User ID' },
+          user_id: { type: 'string', description: 'Reference to the User ID (defaults to the authenticated user)' },
           related_id: { type: 'string', description: 'Reference to another related model (optional)' },
           relatedModel: { type: 'string', enum: ['Subject', 'Grade', 'Assignment', 'User'], description: 'Name of the related model (optional)' },
           created_at: { type: 'string', format: 'date-time', description: 'Creation date' },
           updated_at: { type: 'string', format: 'date-time', description: 'Last update date' },
+          deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the record was moved to the trash, null while it is live' },
         },
         example: {
           name: 'Math Exam',
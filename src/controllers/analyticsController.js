@@ -0,0 +1,134 @@
+// Import necessary modules
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import analyticsService from '../services/analyticsService.js';
+
+// Band widths a distribution can use; they must divide 100
+const BUCKET_SIZES = [5, 10, 20, 25, 50];
+
+// Read the filters shared by the analytics endpoints, or why they are invalid
+const parseFilters = (query) => {
+  const { subjectId, semesterId } = query;
+  for (const [name, value] of Object.entries({ subjectId, semesterId })) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      return { error: `Invalid ${name}` };
+    }
+  }
+
+  const from = query.from ? new Date(query.from) : undefined;
+  const to = query.to ? new Date(query.to) : undefined;
+  if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from > to)) {
+    return { error: 'Invalid date range' };
+  }
+  return { filters: { from, to, subjectId, semesterId } };
+};
+
+/**
+ * Get a user's grade percentages over time per subject, with a moving average.
+ *
+ * @async
+ * @function getTrend
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.from] - Only grades dated at or after this date.
+ * @param {string} [req.query.to] - Only grades dated at or before this date.
+ * @param {string} [req.query.subjectId] - Only grades of this subject.
+ * @param {string} [req.query.semesterId] - Only grades of subjects in this semester.
+ * @param {number} [req.query.window] - Number of grades the moving average is taken over (default 3, at most 50).
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the trend per subject or an error message.
+ */
+const getTrend = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const window = req.query.window === undefined ? 3 : Number(req.query.window);
+    if (!Number.isInteger(window) || window < 1 || window > 50) {
+      return res.status(400).json({ message: 'Window must be a whole number from 1 to 50' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const subjects = await analyticsService.trend(userId, filters, window);
+    res.status(200).json({ window, subjects });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching grade trend', error: error.message });
+  }
+};
+
+/**
+ * Compare a user's subjects with each other and with their target grades.
+ *
+ * @async
+ * @function getSubjectComparison
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user.
+ * @param {Object} req.query - The query parameters (`from`, `to`, `subjectId`, `semesterId`; see `getTrend`).
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the subjects from best to worst or an error message.
+ */
+const getSubjectComparison = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json(await analyticsService.compareSubjects(userId, filters));
+  } catch (error) {
+    res.status(500).json({ message: 'Error comparing subjects', error: error.message });
+  }
+};
+
+/**
+ * Get a histogram of a user's grade percentages.
+ *
+ * @async
+ * @function getDistribution
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user.
+ * @param {Object} req.query - The query parameters (`from`, `to`, `subjectId`, `semesterId`; see `getTrend`).
+ * @param {number} [req.query.bucketSize] - Width of a band in percentage points: 5, 10 (default), 20, 25 or 50.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the number of grades per band or an error message.
+ */
+const getDistribution = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const bucketSize = req.query.bucketSize === undefined ? 10 : Number(req.query.bucketSize);
+    if (!BUCKET_SIZES.includes(bucketSize)) {
+      return res.status(400).json({ message: `Bucket size must be one of ${BUCKET_SIZES.join(', ')}` });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.status(200).json(await analyticsService.distribution(userId, filters, bucketSize));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching grade distribution', error: error.message });
+  }
+};
+
+export default { getTrend, getSubjectComparison, getDistribution };
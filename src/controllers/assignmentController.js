@@ -2,6 +2,10 @@
 import Assignment from '../models/assignment.js';
 import User from '../models/user.js';
 import Subject from '../models/subject.js';
+import assignmentFeedService from '../services/assignmentFeedService.js';
+import timeZone from '../services/timeZone.js';
+import gradeCalculator from '../services/gradeCalculator.js';
+import { ASSIGNMENT_STATUSES, OPEN_STATUSES, canTransition } from '../config/assignmentStatuses.js';
 
 /**
  * Create a new assignment.
@@ -14,13 +18,14 @@ import Subject from '../models/subject.js';
  * @param {Schema.Types.ObjectId} req.body.s_id - ID of the subject.
  * @param {Schema.Types.ObjectId} req.body.uid - ID of the user (student) associated with the assignment.
  * @param {Schema.Types.ObjectId} [req.body.g_id] - ID of the grade (optional).
+ * @param {Schema.Types.ObjectId} [req.body.category_id] - ID of one of the subject's grading categories (optional).
  * @param {Date} req.body.due_date - Due date for the assignment.
  * @param {Object} res - Express response object.
  * @returns {Promise<void>} Response with the created assignment or an error message.
  */
 const createAssignment = async (req, res) => {
   try {
-    const { name, s_id, uid, g_id, due_date } = req.body;
+    const { name, s_id, uid, g_id, category_id, due_date } = req.body;
 
     // Check if the user (student) exists
     const user = await User.findById(uid);
@@ -28,13 +33,17 @@ const createAssignment = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if the subject exists
+    // Check if the subject exists; another user's subject counts as not found
     const subject = await Subject.findById(s_id);
-    if (!subject) {
+    if (!subject || String(subject.uid) !== String(uid)) {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    const newAssignment = new Assignment({ name, s_id, uid, g_id, due_date });
+    if (category_id && !gradeCalculator.hasCategory(subject, category_id)) {
+      return res.status(404).json({ message: 'Grading category not found' });
+    }
+
+    const newAssignment = new Assignment({ name, s_id, uid, g_id, category_id, due_date });
     const savedAssignment = await newAssignment.save();
     res.status(201).json(savedAssignment);
   } catch (error) {
@@ -50,24 +59,136 @@ const createAssignment = async (req, res) => {
  * @param {Object} req - Express request object.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.userId - ID of the user to fetch assignments for.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.status] - Only assignments with this status, or one of these comma-separated statuses.
+ * @param {string} [req.query.overdue] - 'true' for only assignments past their due date that are not handed in, 'false' to leave them out.
+ * @param {number} [req.query.dueWithin] - Only assignments due from now until this many days from now.
  * @param {Object} res - Express response object.
  * @returns {Promise<void>} Response with the assignments for the user or an error message.
  */
 const getAssignmentsByUser = async (req, res) => {
   try {
     const { userId } = req.params;
+    const { status, overdue, dueWithin } = req.query;
+    const now = new Date();
+    const filter = { uid: userId };
+    const conditions = [];
+
+    if (status) {
+      const statuses = String(status).split(',').map((value) => value.trim());
+      if (statuses.some((value) => !ASSIGNMENT_STATUSES.includes(value))) {
+        return res.status(400).json({ message: `Status must be one of ${ASSIGNMENT_STATUSES.join(', ')}` });
+      }
+      // Assignments created before statuses existed count as not started
+      filter.status = { $in: statuses.includes('not_started') ? [...statuses, null] : statuses };
+    }
+
+    if (overdue !== undefined) {
+      if (overdue !== 'true' && overdue !== 'false') {
+        return res.status(400).json({ message: 'Overdue must be true or false' });
+      }
+      const isOverdue = { due_date: { $lt: now }, status: { $in: [...OPEN_STATUSES, null] } };
+      conditions.push(overdue === 'true' ? isOverdue : { $nor: [isOverdue] });
+    }
+
+    if (dueWithin !== undefined) {
+      const days = Number(dueWithin);
+      if (!Number.isFinite(days) || days < 0) {
+        return res.status(400).json({ message: 'Due within must be a number of days of 0 or more' });
+      }
+      conditions.push({ due_date: { $gte: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) } });
+    }
+
+    if (conditions.length > 0) {
+      filter.$and = conditions;
+    }
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const assignments = await Assignment.find({ uid: userId }).populate('s_id', 'subjectTitle'); // Populate subject info
+    const assignments = await Assignment.find(filter).populate('s_id', 'subjectTitle'); // Populate subject info
     res.status(200).json(assignments);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching assignments', error: error.message });
   }
 };
 
+/**
+ * Get a user's assignments still to hand in that are due soon, and the checklist items of open
+ * assignments due soon, grouped by day and subject. Days follow the user's time zone, so "today"
+ * ends at the user's midnight.
+ * 
+ * @async
+ * @function getUpcomingAssignments
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user.
+ * @param {Object} req.query - The query parameters.
+ * @param {number} [req.query.days] - Number of days to cover, today included (default 7, at most 90).
+ * @param {string} [req.query.timezone] - IANA time zone to use instead of the user's setting.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the upcoming assignments or an error message.
+ */
+const getUpcomingAssignments = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { timezone } = req.query;
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({ message: 'Days must be a whole number from 1 to 90' });
+    }
+    if (timezone && !timeZone.isTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const zone = await assignmentFeedService.resolveTimeZone(userId, timezone);
+    res.status(200).json(await assignmentFeedService.upcoming(userId, { timeZone: zone, days }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching upcoming assignments', error: error.message });
+  }
+};
+
+/**
+ * Get a user's assignments past their due date that have not been handed in, and the checklist items
+ * of open assignments past their due date that are not done, grouped by day and subject.
+ * 
+ * @async
+ * @function getOverdueAssignments
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.timezone] - IANA time zone to use instead of the user's setting.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the overdue assignments or an error message.
+ */
+const getOverdueAssignments = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { timezone } = req.query;
+    if (timezone && !timeZone.isTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const zone = await assignmentFeedService.resolveTimeZone(userId, timezone);
+    res.status(200).json(await assignmentFeedService.overdue(userId, { timeZone: zone }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching overdue assignments', error: error.message });
+  }
+};
+
 /**
  * Get a specific assignment by ID.
  * 
@@ -111,7 +232,8 @@ const getAllAssignments = async (req, res) => {
 };
 
 /**
- * Update a specific assignment.
+ * Update a specific assignment. Updating an occurrence of an assignment template detaches it,
+ * so later edits to the template leave it alone.
  * 
  * @async
  * @function updateAssignment
@@ -119,24 +241,50 @@ const getAllAssignments = async (req, res) => {
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.id - ID of the assignment to update.
  * @param {Object} req.body - The request body containing updated assignment information.
+ * @param {Schema.Types.ObjectId} [req.body.s_id] - ID of the subject; when it changes without a category, a category the new subject lacks is cleared (optional).
+ * @param {Schema.Types.ObjectId|null} [req.body.category_id] - ID of one of the subject's grading categories, or null to clear it (optional).
  * @param {Object} res - Express response object.
  * @returns {Promise<void>} Response with the updated assignment or an error message.
  */
 const updateAssignment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, s_id, g_id, due_date } = req.body;
+    const { name, s_id, g_id, category_id, due_date } = req.body;
 
+    // The subject and category are checked against the assignment as stored
+    const assignment = (s_id || category_id) ? await Assignment.findById(id) : null;
+    if ((s_id || category_id) && !assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    // Another user's subject counts as not found
+    let subject;
     if (s_id) {
-      const subject = await Subject.findById(s_id);
-      if (!subject) {
+      subject = await Subject.findById(s_id);
+      if (!subject || String(subject.uid) !== String(assignment.uid)) {
         return res.status(404).json({ message: 'Subject not found' });
       }
     }
 
-    const updatedAssignment = await Assignment.findByIdAndUpdate(
+    // The category must belong to the assignment's (new or current) subject
+    if (category_id) {
+      if (!subject) {
+        subject = await Subject.findById(assignment.s_id);
+      }
+      if (!subject || !gradeCalculator.hasCategory(subject, category_id)) {
+        return res.status(404).json({ message: 'Grading category not found' });
+      }
+    }
+
+    // Moving to another subject keeps the category only if the new subject has it too
+    let category = category_id;
+    if (subject && category_id === undefined && assignment.category_id && !gradeCalculator.hasCategory(subject, assignment.category_id)) {
+      category = null;
+    }
+
+    let updatedAssignment = await Assignment.findByIdAndUpdate(
       id,
-      { name, s_id, g_id, due_date, updated_at: Date.now() },
+      { name, s_id, g_id, category_id: category, due_date, updated_at: Date.now() },
       { new: true }
     );
 
@@ -144,6 +292,11 @@ const updateAssignment = async (req, res) => {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
+    // An occurrence edited on its own no longer follows edits to its template
+    if (updatedAssignment.template_id && !updatedAssignment.detached) {
+      updatedAssignment = await Assignment.findByIdAndUpdate(id, { detached: true }, { new: true });
+    }
+
     res.status(200).json(updatedAssignment);
   } catch (error) {
     res.status(500).json({ message: 'Error updating assignment', error: error.message });
@@ -151,7 +304,65 @@ const updateAssignment = async (req, res) => {
 };
 
 /**
- * Delete a specific assignment.
+ * Change the status of a specific assignment, following the status workflow
+ * (see `config/assignmentStatuses.js`). Every change is kept in the assignment's `status_history`.
+ * 
+ * @async
+ * @function updateAssignmentStatus
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the assignment.
+ * @param {Object} req.body - The request body.
+ * @param {string} req.body.status - The new status.
+ * @param {string} [req.body.note] - Why the status changed (optional).
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated assignment or an error message.
+ */
+const updateAssignmentStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+    if (!ASSIGNMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of ${ASSIGNMENT_STATUSES.join(', ')}` });
+    }
+
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    // Assignments created before statuses existed have none stored
+    const from = assignment.status || 'not_started';
+    if (!canTransition(from, status)) {
+      return res.status(409).json({ message: `Cannot change status from ${from} to ${status}` });
+    }
+    if (status === 'late' && !(assignment.due_date && assignment.due_date < Date.now())) {
+      return res.status(409).json({ message: 'Only an assignment past its due date can be late' });
+    }
+
+    const now = Date.now();
+    const updatedAssignment = await Assignment.findOneAndUpdate(
+      // Only apply the change if nobody changed the status in the meantime
+      { _id: id, status: { $in: from === 'not_started' ? [from, null] : [from] } },
+      {
+        $set: { status, status_updated_at: now, updated_at: now },
+        $push: { status_history: { from, status, at: now, changed_by: req.auth.userId, note } },
+      },
+      { new: true }
+    );
+    if (!updatedAssignment) {
+      return res.status(409).json({ message: 'The assignment status changed meanwhile, try again' });
+    }
+
+    res.status(200).json(updatedAssignment);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating assignment status', error: error.message });
+  }
+};
+
+/**
+ * Move a specific assignment to the trash. It can be restored until it is purged.
  * 
  * @async
  * @function deleteAssignment
@@ -164,7 +375,7 @@ const updateAssignment = async (req, res) => {
 const deleteAssignment = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedAssignment = await Assignment.findByIdAndDelete(id);
+    const deletedAssignment = await Assignment.softDeleteById(id);
     if (!deletedAssignment) {
       return res.status(404).json({ message: 'Assignment not found' });
     }
@@ -174,4 +385,14 @@ const deleteAssignment = async (req, res) => {
   }
 };
 
-export default { createAssignment, getAssignmentsByUser, getAssignmentById, getAllAssignments, updateAssignment, deleteAssignment };
+export default {
+  createAssignment,
+  getAssignmentsByUser,
+  getUpcomingAssignments,
+  getOverdueAssignments,
+  getAssignmentById,
+  getAllAssignments,
+  updateAssignment,
+  updateAssignmentStatus,
+  deleteAssignment,
+};
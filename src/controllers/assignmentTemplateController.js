@@ -0,0 +1,263 @@
+// Import necessary modules
+import AssignmentTemplate from '../models/assignmentTemplate.js';
+import Subject from '../models/subject.js';
+import assignmentTemplateService from '../services/assignmentTemplateService.js';
+import gradeCalculator from '../services/gradeCalculator.js';
+import assignmentFeedService from '../services/assignmentFeedService.js';
+import timeZone from '../services/timeZone.js';
+
+/**
+ * Create a new assignment template and generate its occurrences within the subject's semester.
+ *
+ * @async
+ * @function createAssignmentTemplate
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - The request body containing template information.
+ * @param {string} req.body.name - Name of the occurrences; '{n}' is replaced by the occurrence number.
+ * @param {Schema.Types.ObjectId} req.body.s_id - ID of the subject, which must be the owner's and in a semester.
+ * @param {Schema.Types.ObjectId} req.body.uid - ID of the user (student) owning the template.
+ * @param {Schema.Types.ObjectId} [req.body.category_id] - ID of one of the subject's grading categories (optional).
+ * @param {Object} req.body.recurrence - `weekdays`, `interval`, `time`, `starts_on` (default today) and `until`.
+ * @param {string} [req.body.timezone] - IANA time zone of the recurrence (default the user's).
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the created template and how many occurrences were generated, or an error message.
+ */
+const createAssignmentTemplate = async (req, res) => {
+  try {
+    const { name, s_id, uid, category_id, recurrence, timezone } = req.body;
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    const recurrenceError = assignmentTemplateService.validateRecurrence(recurrence);
+    if (recurrenceError) {
+      return res.status(400).json({ message: recurrenceError });
+    }
+    if (timezone !== undefined && !timeZone.isTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
+
+    // Check if the subject exists; another user's subject counts as not found
+    const subject = await Subject.findById(s_id);
+    if (!subject || String(subject.uid) !== String(uid)) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    if (category_id && !gradeCalculator.hasCategory(subject, category_id)) {
+      return res.status(404).json({ message: 'Grading category not found' });
+    }
+
+    const zone = await assignmentFeedService.resolveTimeZone(uid, timezone);
+    const template = new AssignmentTemplate({
+      name,
+      s_id,
+      uid,
+      category_id,
+      recurrence: { ...recurrence, starts_on: recurrence.starts_on || timeZone.dayKey(new Date(), zone) },
+      timezone: zone,
+    });
+    const semester = await assignmentTemplateService.semesterOf(template);
+    if (!semester) {
+      return res.status(400).json({ message: 'The subject is not in a semester' });
+    }
+
+    const savedTemplate = await template.save();
+    const { created } = await assignmentTemplateService.sync(savedTemplate, semester);
+    res.status(201).json({ template: savedTemplate, created });
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating assignment template', error: error.message });
+  }
+};
+
+/**
+ * Get all assignment templates of a specific user (student).
+ *
+ * @async
+ * @function getAssignmentTemplatesByUser
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the templates or an error message.
+ */
+const getAssignmentTemplatesByUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const templates = await AssignmentTemplate.find({ uid: userId }).populate('s_id', 'subjectTitle');
+    res.status(200).json(templates);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching assignment templates', error: error.message });
+  }
+};
+
+/**
+ * Get a specific assignment template by ID.
+ *
+ * @async
+ * @function getAssignmentTemplateById
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the template.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the template or an error message.
+ */
+const getAssignmentTemplateById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await AssignmentTemplate.findById(id).populate('s_id', 'subjectTitle');
+    if (!template) {
+      return res.status(404).json({ message: 'Assignment template not found' });
+    }
+    res.status(200).json(template);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching assignment template', error: error.message });
+  }
+};
+
+/**
+ * Update a specific assignment template and all its future occurrences.
+ * Occurrences that were edited on their own, already started or deleted are left alone;
+ * to change a single occurrence, update that assignment instead.
+ *
+ * @async
+ * @function updateAssignmentTemplate
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the template.
+ * @param {Object} req.body - The request body containing the fields to change.
+ * @param {string} [req.body.name] - Name of the occurrences.
+ * @param {Schema.Types.ObjectId|null} [req.body.category_id] - ID of one of the subject's grading categories, or null to clear it.
+ * @param {Object} [req.body.recurrence] - Fields of the recurrence rule to change.
+ * @param {string} [req.body.timezone] - IANA time zone of the recurrence.
+ * @param {string} [req.body.from] - Only occurrences due from this instant on change, as an ISO date (default now).
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated template and how many occurrences were created, updated and removed, or an error message.
+ */
+const updateAssignmentTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, category_id, recurrence, timezone } = req.body;
+    // Dates come as strings; anything else (null, numbers) would quietly reach back to 1970
+    const from = req.body.from === undefined ? new Date() : new Date(req.body.from);
+    if ((req.body.from !== undefined && typeof req.body.from !== 'string') || Number.isNaN(from.getTime())) {
+      return res.status(400).json({ message: 'From must be a date' });
+    }
+    if (timezone !== undefined && !timeZone.isTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
+
+    const template = await AssignmentTemplate.findById(id);
+    if (!template) {
+      return res.status(404).json({ message: 'Assignment template not found' });
+    }
+
+    const changes = { updated_at: Date.now() };
+    if (name !== undefined) {
+      if (!name) {
+        return res.status(400).json({ message: 'Name is required' });
+      }
+      changes.name = name;
+    }
+    if (recurrence !== undefined) {
+      changes.recurrence = { ...template.recurrence.toObject(), ...recurrence };
+      const recurrenceError = assignmentTemplateService.validateRecurrence(changes.recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({ message: recurrenceError });
+      }
+    }
+    if (timezone !== undefined) {
+      changes.timezone = timezone;
+    }
+    if (category_id !== undefined) {
+      const subject = category_id && await Subject.findById(template.s_id);
+      if (category_id && (!subject || !gradeCalculator.hasCategory(subject, category_id))) {
+        return res.status(404).json({ message: 'Grading category not found' });
+      }
+      changes.category_id = category_id;
+    }
+
+    const semester = await assignmentTemplateService.semesterOf(template);
+    if (!semester) {
+      return res.status(400).json({ message: 'The subject is not in a semester' });
+    }
+
+    const updatedTemplate = await AssignmentTemplate.findByIdAndUpdate(id, changes, { new: true });
+    if (!updatedTemplate) {
+      return res.status(404).json({ message: 'Assignment template not found' });
+    }
+    const occurrences = await assignmentTemplateService.sync(updatedTemplate, semester, { rewrite: true, from });
+    res.status(200).json({ template: updatedTemplate, ...occurrences });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating assignment template', error: error.message });
+  }
+};
+
+/**
+ * Generate the occurrences of a specific assignment template that are missing, e.g. after
+ * the semester was extended. Existing occurrences are left as they are.
+ *
+ * @async
+ * @function generateOccurrences
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the template.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with how many occurrences were created, or an error message.
+ */
+const generateOccurrences = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const template = await AssignmentTemplate.findById(id);
+    if (!template) {
+      return res.status(404).json({ message: 'Assignment template not found' });
+    }
+
+    const semester = await assignmentTemplateService.semesterOf(template);
+    if (!semester) {
+      return res.status(400).json({ message: 'The subject is not in a semester' });
+    }
+
+    const { created } = await assignmentTemplateService.sync(template, semester);
+    res.status(200).json({ created });
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating occurrences', error: error.message });
+  }
+};
+
+/**
+ * Delete a specific assignment template. Its future occurrences that were not edited on their
+ * own nor started are moved to the trash, unless `keepOccurrences` is 'true'.
+ *
+ * @async
+ * @function deleteAssignmentTemplate
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the template.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.keepOccurrences] - 'true' to keep all occurrences.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with deletion success message and how many occurrences were removed, or an error message.
+ */
+const deleteAssignmentTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deletedTemplate = await AssignmentTemplate.findByIdAndDelete(id);
+    if (!deletedTemplate) {
+      return res.status(404).json({ message: 'Assignment template not found' });
+    }
+
+    const removed = req.query.keepOccurrences === 'true'
+      ? 0
+      : await assignmentTemplateService.removeFutureOccurrences(deletedTemplate);
+    res.status(200).json({ message: 'Assignment template deleted successfully', removed });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting assignment template', error: error.message });
+  }
+};
+
+export default {
+  createAssignmentTemplate,
+  getAssignmentTemplatesByUser,
+  getAssignmentTemplateById,
+  updateAssignmentTemplate,
+  generateOccurrences,
+  deleteAssignmentTemplate,
+};
@@ -0,0 +1,194 @@
+// Import necessary modules
+import multer from 'multer';
+import Attachment from '../models/attachment.js';
+import Assignment from '../models/assignment.js';
+import attachmentService from '../services/attachmentService.js';
+import storage from '../services/storage/index.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: attachmentService.MAX_BYTES, files: attachmentService.MAX_FILES },
+  fileFilter: (req, file, callback) => {
+    if (!attachmentService.isAllowedType(file.mimetype)) {
+      return callback(Object.assign(new Error(`Files of type ${file.mimetype} cannot be attached`), { status: 415 }));
+    }
+    callback(null, true);
+  },
+}).array('files');
+
+/**
+ * Middleware reading the files of a multipart upload (field 'files') into `req.files`.
+ * Answers 413 for files over the size limit, 415 for types that are not allowed and 400
+ * for other malformed uploads.
+ *
+ * @function receiveFiles
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @returns {void} Calls next with the files read, otherwise responds with an error message.
+ */
+const receiveFiles = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Files can be at most ${attachmentService.MAX_BYTES / (1024 * 1024)} MB` });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ message: `At most ${attachmentService.MAX_FILES} files can be uploaded at once` });
+    }
+    if (error.status === 415) {
+      return res.status(415).json({ message: error.message });
+    }
+    res.status(400).json({ message: 'Invalid upload', error: error.message });
+  });
+};
+
+/**
+ * Attach uploaded files to a specific assignment. Either all the files are attached or, when one
+ * fails, none of them.
+ *
+ * @async
+ * @function uploadAttachments
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the assignment.
+ * @param {Object[]} req.files - The uploaded files (see `receiveFiles`).
+ * @param {Object} req.body - The other fields of the upload.
+ * @param {string} [req.body.kind] - What the files are: 'brief' or 'submission' (default).
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the created attachments or an error message.
+ */
+const uploadAttachments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { kind = 'submission' } = req.body;
+    if (!['brief', 'submission'].includes(kind)) {
+      return res.status(400).json({ message: "Kind must be 'brief' or 'submission'" });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const attachments = await attachmentService.attachAll(assignment, req.files, { kind, uploadedBy: req.auth.userId });
+    res.status(201).json(attachments);
+  } catch (error) {
+    res.status(500).json({ message: 'Error uploading attachments', error: error.message });
+  }
+};
+
+/**
+ * Get the attachments of a specific assignment, oldest first.
+ *
+ * @async
+ * @function getAttachmentsByAssignment
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the assignment.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the attachments or an error message.
+ */
+const getAttachmentsByAssignment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const attachments = await Attachment.find({ a_id: assignment._id }).sort({ created_at: 1 });
+    res.status(200).json(attachments);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching attachments', error: error.message });
+  }
+};
+
+/**
+ * Download a specific attachment. A Range header (e.g. 'bytes=0-1023') downloads part of it.
+ *
+ * @async
+ * @function downloadAttachment
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the attachment.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} The file (206 for a range, 416 for a range outside the file), or an error message.
+ */
+const downloadAttachment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const attachment = await Attachment.findById(id);
+    // Attachments of assignments in the trash are hidden with them
+    const assignment = attachment && await Assignment.findById(attachment.a_id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const range = attachmentService.parseRange(req.headers.range, attachment.size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${attachment.size}`);
+      return res.status(416).json({ message: 'Requested range not satisfiable' });
+    }
+
+    res.attachment(attachment.file_name);
+    // Sent as stored; res.set would add a charset to text types
+    res.setHeader('Content-Type', attachment.content_type);
+    res.set({ 'Accept-Ranges': 'bytes', ETag: `"${attachment.checksum}"` });
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${attachment.size}`,
+        'Content-Length': range.end - range.start + 1,
+      });
+    } else {
+      res.status(200).set('Content-Length', attachment.size);
+    }
+
+    const stream = storage.getDriver(attachment.storage_driver).createReadStream(attachment.storage_key, range || {});
+    stream.on('error', (error) => {
+      // Nothing is sent before the first chunk is read, so a missing file can still be reported
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Content-Range');
+        res.removeHeader('ETag');
+        return res.status(404).json({ message: 'Attachment content not found', error: error.message });
+      }
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ message: 'Error downloading attachment', error: error.message });
+  }
+};
+
+/**
+ * Delete a specific attachment and its stored file.
+ *
+ * @async
+ * @function deleteAttachment
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the attachment.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with deletion success message or an error message.
+ */
+const deleteAttachment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deletedAttachment = await Attachment.findByIdAndDelete(id);
+    if (!deletedAttachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    res.status(200).json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting attachment', error: error.message });
+  }
+};
+
+export default { receiveFiles, uploadAttachments, getAttachmentsByAssignment, downloadAttachment, deleteAttachment };
@@ -0,0 +1,52 @@
+// Import necessary modules
+import mongoose from 'mongoose';
+import auditService from '../services/auditService.js';
+
+/**
+ * Query the audit log of changes to academic records, newest first.
+ *
+ * @async
+ * @function getAuditLogs
+ * @param {Object} req - Express request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.actor] - Only changes made by this user.
+ * @param {string} [req.query.owner] - Only changes to records owned by this user.
+ * @param {string} [req.query.entityType] - Only changes to this kind of record (model name, e.g. 'Grade').
+ * @param {string} [req.query.entityId] - Only changes to this record.
+ * @param {string} [req.query.action] - Only changes of this kind ('create', 'update', 'delete' or 'restore').
+ * @param {string} [req.query.from] - Only changes made at or after this date.
+ * @param {string} [req.query.to] - Only changes made at or before this date.
+ * @param {number} [req.query.limit] - Maximum number of entries to return (default 50, at most 200).
+ * @param {number} [req.query.page] - Page of results to return, starting at 1.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the matching entries and their total count, or an error message.
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actor, owner, entityType, entityId, action } = req.query;
+    for (const [name, value] of Object.entries({ actor, owner, entityId })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${name}` });
+      }
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+
+    const { total, entries } = await auditService.list(
+      { actor, owner, entityType, entityId, action, from, to },
+      { limit, skip: (page - 1) * limit }
+    );
+    res.status(200).json({ total, page, limit, entries });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching audit log', error: error.message });
+  }
+};
+
+export default { getAuditLogs };
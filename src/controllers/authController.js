@@ -2,12 +2,394 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { expressjwt } from "express-jwt";
 import User from '../models/user.js';
+import { hasPermission } from '../config/permissions.js';
+import { isDevAuthEnabled } from '../config/devAuth.js';
+import mailService from '../services/mailService.js';
+import userTokenService from '../services/userTokenService.js';
+import tokenService from '../services/tokenService.js';
+import passwordPolicy from '../services/passwordPolicy.js';
+import securityEventService from '../services/securityEventService.js';
+import loginThrottle from '../services/loginThrottle.js';
+import twoFactorService from '../services/twoFactorService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+const EMAIL_VERIFICATION_TTL_MS = (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+const ACCOUNT_UNLOCK_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Collect the request metadata recorded alongside issued sessions.
+ *
+ * @function requestMeta
+ * @param {Object} req - Express request object.
+ * @returns {{ip: string, user_agent: string}} Client IP address and user agent.
+ */
+const requestMeta = (req) => ({
+  ip: req.ip,
+  user_agent: req.headers && req.headers['user-agent'],
+});
+
+/**
+ * Issue a fresh email verification token for a user and mail them the verification link.
+ *
+ * @async
+ * @function sendVerificationEmail
+ * @param {Object} user - The user document to verify.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await userTokenService.issueToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MS);
+  const link = mailService.buildAppLink('/verify-email', { token });
+
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below:\n${link}\n\n`
+      + `If you did not create an account you can ignore this email.`,
+  });
+};
+
+/**
+ * Register a new user account.
+ * The account is created in the 'unverified' state and a verification link is emailed to the user.
+ * 
+ * @async
+ * @function register
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - The request body containing registration information.
+ * @param {string} req.body.userName - The user's username.
+ * @param {string} req.body.firstName - The user's first name.
+ * @param {string} req.body.lastName - The user's last name.
+ * @param {string} req.body.email - The user's email address.
+ * @param {string} req.body.password - The user's password.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the registered user's public details or an error message.
+ */
+const register = async (req, res) => {
+  try {
+    const { userName, firstName, lastName, email, password } = req.body;
+
+    const passwordErrors = passwordPolicy.validatePassword(password, { userName, email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: 'Password does not meet the requirements', errors: passwordErrors });
+    }
+
+    // Check if the email is already in use
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Email already in use' });
+    }
+
+    // Self-registered accounts always start as unverified students
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const newUser = new User({ userName, firstName, lastName, email, password: hashedPassword, status: 'unverified' });
+    const savedUser = await newUser.save();
+
+    await sendVerificationEmail(savedUser);
+
+    res.status(201).json({
+      message: 'Registration successful. Please check your email to verify your account.',
+      user: {
+        _id: savedUser._id,
+        userName: savedUser.userName,
+        firstName: savedUser.firstName,
+        lastName: savedUser.lastName,
+        email: savedUser.email,
+        status: savedUser.status,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error registering user', error: error.message });
+  }
+};
+
+/**
+ * Verify a user's email address and activate the account.
+ * 
+ * @async
+ * @function verifyEmail
+ * @param {Object} req - Express request object.
+ * @param {string} [req.body.token] - The verification token from the email link.
+ * @param {string} [req.query.token] - The verification token, when the link is opened directly.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a success message or an error message.
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const token = (req.body && req.body.token) || req.query.token;
+
+    const userToken = await userTokenService.consumeToken(token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findById(userToken.uid);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.status === 'unverified') {
+      user.status = 'active';
+      user.emailVerifiedAt = Date.now();
+      user.updated_at = Date.now();
+      await user.save();
+    }
+
+    res.status(200).json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+};
+
+/**
+ * Send a new verification email to an unverified account.
+ * Always answers with the same message so the endpoint cannot be used to discover accounts.
+ * 
+ * @async
+ * @function resendVerification
+ * @param {Object} req - Express request object.
+ * @param {string} req.body.email - The email address of the account to verify.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a generic confirmation message or an error message.
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && user.status === 'unverified') {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({ message: 'If the account exists and is not yet verified, a verification email has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
+  }
+};
+
+/**
+ * Request a password reset link.
+ * Always answers with the same message so the endpoint cannot be used to discover accounts.
+ * 
+ * @async
+ * @function forgotPassword
+ * @param {Object} req - Express request object.
+ * @param {string} req.body.email - The email address of the account.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a generic confirmation message or an error message.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && user.status !== 'suspended') {
+      const token = await userTokenService.issueToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MS);
+      const link = mailService.buildAppLink('/reset-password', { token });
+
+      await mailService.sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\n`
+          + `The link expires in ${PASSWORD_RESET_TTL_MS / 60000} minutes. If you did not ask for a reset you can ignore this email.`,
+      });
+    }
+
+    res.status(200).json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting password reset', error: error.message });
+  }
+};
+
+/**
+ * Reset a password using a reset token.
+ * Every existing session of the user is revoked afterwards.
+ * 
+ * @async
+ * @function resetPassword
+ * @param {Object} req - Express request object.
+ * @param {string} req.body.token - The password reset token from the email link.
+ * @param {string} req.body.password - The new password.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a success message or an error message.
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await userTokenService.findValidToken(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Invalid or expired password reset token' });
+    }
+
+    const user = await User.findById(resetToken.uid);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Check the policy before redeeming the token so a rejected password does not burn the link
+    const passwordErrors = passwordPolicy.validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: 'Password does not meet the requirements', errors: passwordErrors });
+    }
+
+    const consumed = await userTokenService.consumeToken(token, 'password_reset');
+    if (!consumed) {
+      return res.status(400).json({ message: 'Invalid or expired password reset token' });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    // Following the emailed link proves ownership of the address
+    if (user.status === 'unverified') {
+      user.status = 'active';
+      user.emailVerifiedAt = Date.now();
+    }
+    user.updated_at = Date.now();
+    await user.save();
+
+    await tokenService.revokeUserSessions(user._id, 'password_reset');
+    await securityEventService.record(user._id, 'password_reset', req);
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: `Hi ${user.firstName},\n\nThe password for your account was just reset and all your sessions were signed out.\n\n`
+        + `If this was not you, please contact support immediately.`,
+    });
+
+    res.status(200).json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error resetting password', error: error.message });
+  }
+};
+
+/**
+ * Confirm a pending email change and swap the address on the user.
+ * 
+ * @async
+ * @function confirmEmailChange
+ * @param {Object} req - Express request object.
+ * @param {string} req.body.token - The email change token sent to the new address.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a success message or an error message.
+ */
+const confirmEmailChange = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const changeToken = await userTokenService.consumeToken(token, 'email_change');
+    if (!changeToken || !changeToken.payload || !changeToken.payload.email) {
+      return res.status(400).json({ message: 'Invalid or expired email change token' });
+    }
+
+    const user = await User.findById(changeToken.uid);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // The address may have been taken since the change was requested
+    const newEmail = changeToken.payload.email;
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser && String(existingUser._id) !== String(user._id)) {
+      return res.status(409).json({ message: 'Email already in use' });
+    }
+
+    const previousEmail = user.email;
+    user.email = newEmail;
+    user.emailVerifiedAt = Date.now();
+    user.updated_at = Date.now();
+    await user.save();
+
+    await securityEventService.record(user._id, 'email_changed', req, { from: previousEmail, to: newEmail });
+
+    await mailService.sendMail({
+      to: previousEmail,
+      subject: 'Your email address was changed',
+      text: `Hi ${user.firstName},\n\nThe email address of your account was changed to ${newEmail}.\n\n`
+        + `If this was not you, please contact support immediately.`,
+    });
+
+    res.status(200).json({ message: 'Email address updated successfully' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Email already in use' });
+    }
+    res.status(500).json({ message: 'Error confirming email change', error: error.message });
+  }
+};
+
+/**
+ * Lift a sign-in lockout using the token emailed when the account was locked.
+ *
+ * @async
+ * @function unlockAccount
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - The request body.
+ * @param {string} req.body.token - The unlock token (may also be passed as a `token` query parameter).
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a success message or an error message.
+ */
+const unlockAccount = async (req, res) => {
+  try {
+    const token = (req.body && req.body.token) || req.query.token;
+
+    const userToken = await userTokenService.consumeToken(token, 'account_unlock');
+    if (!userToken) {
+      return res.status(400).json({ message: 'Invalid or expired unlock token' });
+    }
+
+    const user = await User.findById(userToken.uid);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await loginThrottle.reset(user.email);
+    await securityEventService.record(user._id, 'account_unlocked', req);
+
+    res.status(200).json({ message: 'Account unlocked, you can sign in again' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error unlocking account', error: error.message });
+  }
+};
+
+/**
+ * Count a failed sign-in and, when it locks an existing account, record the lockout
+ * and email the owner a link that lifts it early. Also used for failed second-factor
+ * checks of signed-in users, so a stolen session cannot guess codes without limit.
+ *
+ * @async
+ * @function recordFailedSignIn
+ * @param {Object} req - Express request object.
+ * @param {string} email - The email address that was signed in to.
+ * @param {Object|null} user - The matching user, or null for an unknown email.
+ * @returns {Promise<void>}
+ */
+const recordFailedSignIn = async (req, email, user) => {
+  const { account } = await loginThrottle.recordFailure(email, req.ip);
+  if (!account.locked || !user) {
+    return;
+  }
+
+  await securityEventService.record(user._id, 'account_locked', req, { failures: account.failures });
+
+  const token = await userTokenService.issueToken(user._id, 'account_unlock', ACCOUNT_UNLOCK_TTL_MS);
+  const link = mailService.buildAppLink('/unlock-account', { token });
+  await mailService.sendMail({
+    to: user.email,
+    subject: 'Sign-in to your account has been locked',
+    text: `Hi ${user.firstName},\n\nSign-in to your account was locked for ${loginThrottle.LOCKOUT_MS / 60000} minutes after ${account.failures} failed attempts.\n`
+      + `If this was you, open the link below to unlock it now:\n${link}\n\n`
+      + 'If it was not you, someone may be guessing your password. Consider changing it once you are signed in.',
+  });
+};
+
 /**
  * Sign in a user.
+ * Failed attempts are throttled per account and per client IP (see `loginThrottle`);
+ * blocked attempts receive 429 with a Retry-After header. Users with two-factor
+ * authentication enabled receive a challenge token for `verifyTwoFactor` instead of a session.
  * 
  * @async
  * @function signIn
@@ -16,52 +398,207 @@ dotenv.config();
  * @param {string} req.body.email - The user's email address.
  * @param {string} req.body.password - The user's password.
  * @param {Object} res - Express response object.
- * @returns {Promise<void>} Response with the generated token or an error message.
+ * @returns {Promise<void>} Response with the access token and refresh token, a two-factor challenge, or an error message.
  */
 const signIn = async (req, res) => {
   const { email, password } = req.body;
 
   try {
+    // Refuse attempts while the account or client IP is backing off or locked out
+    const throttle = await loginThrottle.check(email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(Math.ceil(throttle.retryAfterMs / 1000)));
+      return res.status(429).json({ message: 'Too many failed sign-in attempts, please try again later' });
+    }
+
     // Check if the user exists
     const user = await User.findOne({ email });
     if (!user) {
+      await recordFailedSignIn(req, email, null);
       return res.status(400).json({ message: 'Invalid email or password' });
     }
 
     // Compare passwords
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordFailedSignIn(req, email, user);
       return res.status(400).json({ message: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '1h',
-    });
+    await loginThrottle.reset(email);
+
+    // Unverified accounts must confirm their email address first
+    if (user.status === 'unverified') {
+      return res.status(403).json({ message: 'Please verify your email address before signing in' });
+    }
+
+    // Suspended accounts cannot start new sessions
+    if (user.status === 'suspended') {
+      return res.status(403).json({ message: 'This account has been suspended' });
+    }
+
+    // With two-factor authentication enabled the password only earns a short-lived challenge
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: tokenService.issueTwoFactorChallenge(user),
+      });
+    }
+
+    // Generate the access token and refresh token pair
+    const session = await tokenService.issueSession(user, requestMeta(req));
 
-    res.status(200).json({ token });
+    res.status(200).json(session);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+/**
+ * Complete a two-factor sign-in with the challenge token from `signIn` and a second factor.
+ * Failed codes count towards the sign-in throttle like failed passwords.
+ *
+ * @async
+ * @function verifyTwoFactor
+ * @param {Object} req - Express request object.
+ * @param {Object} req.body - The request body.
+ * @param {string} req.body.challengeToken - The challenge token returned by `signIn`.
+ * @param {string} [req.body.code] - A code from the authenticator app.
+ * @param {string} [req.body.recoveryCode] - A single-use recovery code, instead of `code`.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the access token and refresh token, or an error message.
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = tokenService.verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Invalid or expired two-factor challenge, please sign in again' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.status !== 'active' || !user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired two-factor challenge, please sign in again' });
+    }
+
+    const throttle = await loginThrottle.check(user.email, req.ip);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(Math.ceil(throttle.retryAfterMs / 1000)));
+      return res.status(429).json({ message: 'Too many failed sign-in attempts, please try again later' });
+    }
+
+    const factor = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!factor) {
+      await recordFailedSignIn(req, user.email, user);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await loginThrottle.reset(user.email);
+    if (factor === 'recovery') {
+      await securityEventService.record(user._id, 'recovery_code_used', req);
+    }
+
+    const session = await tokenService.issueSession(user, requestMeta(req));
+    res.status(200).json(session);
+  } catch (error) {
+    res.status(500).json({ message: 'Error verifying two-factor authentication', error: error.message });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * 
+ * @async
+ * @function refresh
+ * @param {Object} req - Express request object.
+ * @param {string} req.body.refreshToken - The refresh token issued at sign-in or by the previous refresh.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the new token pair or an error message.
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { session, error } = await tokenService.rotateRefreshToken(refreshToken, requestMeta(req));
+    if (error === 'reused') {
+      return res.status(401).json({ message: 'Refresh token reuse detected, please sign in again' });
+    }
+    if (error) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.status(200).json(session);
+  } catch (error) {
+    res.status(500).json({ message: 'Error refreshing token', error: error.message });
+  }
+};
+
 /**
  * Sign out a user.
+ * Revokes the presented access token and the session of the presented refresh token.
  * 
+ * @async
  * @function signOut
  * @param {Object} req - Express request object.
+ * @param {string} [req.headers.authorization] - Bearer access token to revoke (optional).
+ * @param {string} [req.body.refreshToken] - Refresh token whose session should be revoked (optional).
  * @param {Object} res - Express response object.
- * @returns {Object} Response with the sign-out success message.
+ * @returns {Promise<void>} Response with the sign-out success message.
  */
-const signOut = (req, res) => {
-  res.clearCookie("t");
-  return res.status(200).json({
-    message: "Signed out"
-  });
+const signOut = async (req, res) => {
+  try {
+    const authHeader = req.headers && req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const payload = jwt.verify(authHeader.slice(7), process.env.JWT_SECRET, { algorithms: ['HS256'] });
+        await tokenService.revokeAccessToken(payload, 'signed_out');
+      } catch (err) {
+        // An invalid or expired access token needs no revocation
+      }
+    }
+
+    await tokenService.revokeRefreshToken(req.body && req.body.refreshToken, 'signed_out');
+
+    return res.status(200).json({
+      message: "Signed out"
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error signing out', error: error.message });
+  }
+};
+
+/**
+ * Sign a request in as the configured development user (AUTH_DEV_MODE).
+ * Populates `req.auth` like a real token would and logs every bypassed request.
+ *
+ * @async
+ * @function signInDevUser
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @returns {Promise<void>} Calls next, or responds with 401 if the dev user cannot be used.
+ */
+const signInDevUser = async (req, res, next) => {
+  try {
+    const userId = process.env.AUTH_DEV_USER_ID;
+    const user = await User.findById(userId).select('role status');
+    if (!user || user.status === 'suspended') {
+      return res.status(401).json({ error: "AUTH_DEV_USER_ID does not match an active user" });
+    }
+
+    req.auth = { userId: String(user._id), role: user.role, dev: true };
+    console.warn(`WARNING: AUTH_DEV_MODE signed ${req.method} ${req.originalUrl} in as user ${userId} (${user.role}) without a token`);
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Error signing in dev user', error: error.message });
+  }
 };
 
 /**
  * Middleware to require user sign-in.
+ * Tokens on the revocation list, or issued before the user's sessions were revoked, are refused.
+ * With AUTH_DEV_MODE enabled, requests without a bearer token act as the AUTH_DEV_USER_ID user.
  * 
  * @function requireSignin
  * @param {Object} req - Express request object.
@@ -70,18 +607,164 @@ const signOut = (req, res) => {
  * @returns {Function} Middleware function to check for authorization.
  */
 const requireSignin = (req, res, next) => {
-  if (process.env.NODE_ENV === 'development') {
-    // Bypass authorization in development mode
-    return next();
+  if (isDevAuthEnabled() && !(req.headers && req.headers.authorization)) {
+    return signInDevUser(req, res, next);
   }
 
   return expressjwt({
     secret: process.env.JWT_SECRET,
     algorithms: ["HS256"],
-    userProperty: 'auth',
+    requestProperty: 'auth',
+    isRevoked: tokenService.isRevoked,
   })(req, res, next);
 };
 
+/**
+ * Send the standard response for a signed-in user lacking access to a resource.
+ *
+ * @function forbidden
+ * @param {Object} res - Express response object.
+ * @returns {Object} The 403 response.
+ */
+const forbidden = (res) => res.status(403).json({
+  error: "User is not authorized"
+});
+
+/**
+ * Check whether the authenticated user's role grants a permission.
+ *
+ * @function can
+ * @param {Object} req - Express request object.
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {string} permission - The permission to check (see config/permissions.js).
+ * @returns {boolean} True when the permission is granted.
+ */
+const can = (req, permission) => Boolean(req.auth && hasPermission(req.auth.role, permission));
+
+/**
+ * Middleware factory requiring the authenticated user's role to grant every given permission.
+ * Must run after `requireSignin`.
+ *
+ * @function requirePermission
+ * @param {...string} permissions - The permissions required (see config/permissions.js).
+ * @returns {Function} Middleware calling next when authorized, otherwise responding with 403.
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.every((permission) => can(req, permission))) {
+    return forbidden(res);
+  }
+  next();
+};
+
+/**
+ * Pick the permission needed to act on another user's data for the request method:
+ * reads need 'records:read:any', anything else needs 'records:write:any'.
+ *
+ * @function recordPermissionFor
+ * @param {Object} req - Express request object.
+ * @returns {string} The permission to check.
+ */
+const recordPermissionFor = (req) => (['GET', 'HEAD'].includes(req.method) ? 'records:read:any' : 'records:write:any');
+
+/**
+ * Check whether the authenticated user is the given owner.
+ *
+ * @function isOwner
+ * @param {Object} req - Express request object.
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Schema.Types.ObjectId|string} ownerId - The owner ID to compare with.
+ * @returns {boolean} True when the token belongs to the owner.
+ */
+const isOwner = (req, ownerId) => Boolean(req.auth && ownerId && String(req.auth.userId) === String(ownerId));
+
+/**
+ * Middleware factory letting users act on their own account or data, and on other
+ * users' only when their role grants the given permission. Must run after `requireSignin`.
+ *
+ * @function requireSelfOrPermission
+ * @param {string} [permission] - The permission required to act on another user;
+ * defaults to 'records:read:any' for reads and 'records:write:any' for writes.
+ * @param {string} [param='id'] - Name of the field holding the target user ID.
+ * @param {string} [source='params'] - Where the field is read from ('params', 'body' or 'query').
+ * @returns {Function} Middleware calling next when authorized, otherwise responding with 403.
+ */
+const requireSelfOrPermission = (permission, param = 'id', source = 'params') => (req, res, next) => {
+  const target = req[source] && req[source][param];
+  if (!isOwner(req, target) && !can(req, permission || recordPermissionFor(req))) {
+    return forbidden(res);
+  }
+  next();
+};
+
+/**
+ * Middleware factory guarding a per-user resource addressed by a route parameter.
+ * The owner of the document is compared with the authenticated user; other users
+ * need 'records:read:any' to read it or 'records:write:any' to change it.
+ * Unknown IDs are passed through so the controller answers with its usual 404.
+ * Must run after `requireSignin`.
+ *
+ * @function requireOwnership
+ * @param {Object} Model - The Mongoose model of the resource.
+ * @param {Object} [options] - Guard options.
+ * @param {string} [options.ownerField='uid'] - Field of the document holding the owner's user ID.
+ * @param {string} [options.param='id'] - Name of the route parameter holding the document ID.
+ * @param {boolean} [options.withDeleted=false] - Also look at documents in the trash (for restoring them).
+ * @param {string} [options.permission] - Permission required from other users, for routes whose method does not
+ * tell whether they read or change the resource (e.g. a POST that only computes a result).
+ * @returns {Function} Middleware calling next when authorized, otherwise responding with 403.
+ */
+const requireOwnership = (Model, { ownerField = 'uid', param = 'id', withDeleted = false, permission } = {}) => async (req, res, next) => {
+  try {
+    const resource = await Model.findById(req.params[param], null, { withDeleted }).select(ownerField).lean();
+    if (!resource) {
+      return next();
+    }
+
+    if (!isOwner(req, resource[ownerField]) && !can(req, permission || recordPermissionFor(req))) {
+      return forbidden(res);
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Error checking resource ownership', error: error.message });
+  }
+};
+
+/**
+ * Middleware factory setting the owner of a record being created.
+ * The owner defaults to the authenticated user; naming a different owner in the
+ * request body requires the given permission. Must run after `requireSignin`.
+ *
+ * @function assignOwner
+ * @param {string} [field='uid'] - Body field holding the owner's user ID.
+ * @param {string} [permission='records:write:any'] - Permission required to create records for another user.
+ * @returns {Function} Middleware calling next with the owner set, otherwise responding with 403.
+ */
+const assignOwner = (field = 'uid', permission = 'records:write:any') => (req, res, next) => {
+  const requested = req.body && req.body[field];
+  if (requested && !isOwner(req, requested)) {
+    if (!can(req, permission)) {
+      return forbidden(res);
+    }
+    return next();
+  }
+
+  req.body = { ...req.body, [field]: req.auth.userId };
+  next();
+};
+
+/**
+ * Middleware factory pointing a route parameter at the authenticated user, so the
+ * `/api/me/...` routes can reuse the per-user controllers. Must run after `requireSignin`.
+ *
+ * @function bindAuthUser
+ * @param {string} [param='userId'] - Name of the route parameter the controller reads.
+ * @returns {Function} Middleware setting the parameter and calling next.
+ */
+const bindAuthUser = (param = 'userId') => (req, res, next) => {
+  req.params[param] = String(req.auth.userId);
+  next();
+};
+
 /**
  * Middleware to check user authorization.
  * 
@@ -94,13 +777,33 @@ const requireSignin = (req, res, next) => {
  * @returns {void} Calls next middleware if authorized, otherwise returns an error response.
  */
 const hasAuthorization = (req, res, next) => {
-  const authorized = req.profile && req.auth && req.profile._id == req.auth._id;
+  const authorized = req.profile && (isOwner(req, req.profile._id) || can(req, 'users:manage'));
   if (!authorized) {
-    return res.status('403').json({
-      error: "User is not authorized"
-    });
+    return forbidden(res);
   }
   next();
 };
 
-export default { signIn, signOut, requireSignin, hasAuthorization };
+export default {
+  register,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  confirmEmailChange,
+  signIn,
+  verifyTwoFactor,
+  recordFailedSignIn,
+  unlockAccount,
+  refresh,
+  signOut,
+  requireSignin,
+  can,
+  isOwner,
+  requirePermission,
+  requireSelfOrPermission,
+  requireOwnership,
+  assignOwner,
+  bindAuthUser,
+  hasAuthorization,
+};
@@ -0,0 +1,187 @@
+// Import necessary modules
+import Assignment from '../models/assignment.js';
+import checklistService from '../services/checklistService.js';
+
+// Find an item of an assignment's checklist by its ID
+const findItem = (assignment, itemId) => assignment.checklist.find((item) => String(item._id) === String(itemId));
+
+// Save a changed checklist along with the progress it makes, and respond with the assignment
+const saveChecklist = async (assignment, res, status = 200) => {
+  assignment.progress = checklistService.progressOf(assignment.checklist);
+  assignment.updated_at = Date.now();
+  try {
+    const savedAssignment = await assignment.save();
+    res.status(status).json(savedAssignment);
+  } catch (error) {
+    // Another change to the checklist was saved since the assignment was read
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'The checklist changed meanwhile, try again' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Add an item to the checklist of a specific assignment.
+ *
+ * @async
+ * @function addChecklistItem
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the assignment.
+ * @param {Object} req.body - The request body containing the item.
+ * @param {string} req.body.title - What has to be done.
+ * @param {Date} [req.body.due_date] - When the item is due (optional).
+ * @param {boolean} [req.body.done] - Whether the item is done already (default false).
+ * @param {number} [req.body.position] - Index to insert the item at (default the end).
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated assignment or an error message.
+ */
+const addChecklistItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, due_date, done = false, position } = req.body;
+    const itemError = checklistService.validateItem({ title, due_date, done });
+    if (itemError) {
+      return res.status(400).json({ message: itemError });
+    }
+
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    if (assignment.checklist.length >= checklistService.MAX_ITEMS) {
+      return res.status(409).json({ message: `A checklist can hold at most ${checklistService.MAX_ITEMS} items` });
+    }
+    const index = position === undefined ? assignment.checklist.length : position;
+    if (!Number.isInteger(index) || index < 0 || index > assignment.checklist.length) {
+      return res.status(400).json({ message: `Position must be a whole number from 0 to ${assignment.checklist.length}` });
+    }
+
+    assignment.checklist.splice(index, 0, {
+      title,
+      due_date: due_date || null,
+      done,
+      done_at: done ? Date.now() : null,
+    });
+    await saveChecklist(assignment, res, 201);
+  } catch (error) {
+    res.status(500).json({ message: 'Error adding checklist item', error: error.message });
+  }
+};
+
+/**
+ * Update an item of the checklist of a specific assignment. Marking it done records when.
+ *
+ * @async
+ * @function updateChecklistItem
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the assignment.
+ * @param {string} req.params.itemId - ID of the checklist item.
+ * @param {Object} req.body - The request body containing the fields to change.
+ * @param {string} [req.body.title] - What has to be done.
+ * @param {Date|null} [req.body.due_date] - When the item is due, or null to clear it.
+ * @param {boolean} [req.body.done] - Whether the item is done.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated assignment or an error message.
+ */
+const updateChecklistItem = async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const { title, due_date, done } = req.body;
+    const itemError = checklistService.validateItem({ title, due_date, done }, { partial: true });
+    if (itemError) {
+      return res.status(400).json({ message: itemError });
+    }
+
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    const item = findItem(assignment, itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    if (title !== undefined) {
+      item.title = title;
+    }
+    if (due_date !== undefined) {
+      item.due_date = due_date;
+    }
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.done_at = done ? Date.now() : null;
+    }
+    await saveChecklist(assignment, res);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating checklist item', error: error.message });
+  }
+};
+
+/**
+ * Remove an item from the checklist of a specific assignment.
+ *
+ * @async
+ * @function deleteChecklistItem
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the assignment.
+ * @param {string} req.params.itemId - ID of the checklist item.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated assignment or an error message.
+ */
+const deleteChecklistItem = async (req, res) => {
+  try {
+    const { id, itemId } = req.params;
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    const item = findItem(assignment, itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    assignment.checklist.splice(assignment.checklist.indexOf(item), 1);
+    await saveChecklist(assignment, res);
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting checklist item', error: error.message });
+  }
+};
+
+/**
+ * Put the checklist of a specific assignment in a new order.
+ *
+ * @async
+ * @function reorderChecklist
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the assignment.
+ * @param {Object} req.body - The request body.
+ * @param {string[]} req.body.order - IDs of all the checklist items, each once, in their new order.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated assignment or an error message.
+ */
+const reorderChecklist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { order } = req.body;
+    const assignment = await Assignment.findById(id);
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const items = checklistService.reorder(assignment.checklist, order);
+    if (!items) {
+      return res.status(400).json({ message: 'Order must list every checklist item once' });
+    }
+    assignment.checklist = items;
+    await saveChecklist(assignment, res);
+  } catch (error) {
+    res.status(500).json({ message: 'Error reordering checklist', error: error.message });
+  }
+};
+
+export default { addChecklistItem, updateChecklistItem, deleteChecklistItem, reorderChecklist };
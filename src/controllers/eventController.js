@@ -79,6 +79,31 @@ const getAllEvents = async (req, res) => {
   }
 };
 
+/**
+ * Get all events of a specific user.
+ * 
+ * @async
+ * @function getEventsByUser
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user to fetch events for.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the events of the user or an error message.
+ */
+const getEventsByUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const events = await Event.find({ user_id: userId });
+    res.status(200).json(events);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching events', error: error.message });
+  }
+};
+
 /**
  * Get a specific event by ID.
  * 
@@ -156,7 +181,7 @@ const updateEvent = async (req, res) => {
 };
 
 /**
- * Delete a specific event.
+ * Move a specific event to the trash. It can be restored until it is purged.
  * 
  * @async
  * @function deleteEvent
@@ -169,7 +194,7 @@ const updateEvent = async (req, res) => {
 const deleteEvent = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedEvent = await Event.findByIdAndDelete(id);
+    const deletedEvent = await Event.softDeleteById(id);
     if (!deletedEvent) {
       return res.status(404).json({ message: 'Event not found' });
     }
@@ -179,4 +204,4 @@ const deleteEvent = async (req, res) => {
   }
 };
 
-export default { createEvent, getAllEvents, getEventById, updateEvent, deleteEvent };
+export default { createEvent, getAllEvents, getEventsByUser, getEventById, updateEvent, deleteEvent };
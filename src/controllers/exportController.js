@@ -0,0 +1,102 @@
+// Import necessary modules
+import mongoose from 'mongoose';
+import exportService from '../services/exportService.js';
+
+/**
+ * Start an export of the authenticated user's data.
+ *
+ * @async
+ * @function requestExport
+ * @param {Object} req - Express request object.
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} 202 response with the export job, or an error message.
+ */
+const requestExport = async (req, res) => {
+  try {
+    const job = await exportService.requestExport(req.auth.userId);
+    res.location(`/api/me/export/${job._id}`);
+    res.status(202).json(job);
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting data export', error: error.message });
+  }
+};
+
+/**
+ * List the authenticated user's export jobs.
+ *
+ * @async
+ * @function listExports
+ * @param {Object} req - Express request object.
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the export jobs, newest first, or an error message.
+ */
+const listExports = async (req, res) => {
+  try {
+    const jobs = await exportService.listExports(req.auth.userId);
+    res.status(200).json(jobs);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching data exports', error: error.message });
+  }
+};
+
+/**
+ * Get the status of one of the authenticated user's export jobs.
+ *
+ * @async
+ * @function getExport
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.jobId - ID of the export job.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the export job or an error message.
+ */
+const getExport = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = mongoose.Types.ObjectId.isValid(jobId) && await exportService.getExport(req.auth.userId, jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching data export', error: error.message });
+  }
+};
+
+/**
+ * Download the archive of a completed export job.
+ *
+ * @async
+ * @function downloadExport
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.jobId - ID of the export job.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} The .tar.gz archive, or an error message.
+ */
+const downloadExport = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const job = mongoose.Types.ObjectId.isValid(jobId) && await exportService.getExport(req.auth.userId, jobId);
+    if (!job || job.expires_at <= new Date()) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({ message: `Export is ${job.status}`, status: job.status });
+    }
+
+    const date = job.completed_at.toISOString().slice(0, 10);
+    res.download(exportService.archivePath(job), `my-data-${date}.tar.gz`, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ message: 'Export not found' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error downloading data export', error: error.message });
+  }
+};
+
+export default { requestExport, listExports, getExport, downloadExport };
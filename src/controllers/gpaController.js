@@ -0,0 +1,85 @@
+// Import necessary modules
+import Semester from '../models/semester.js';
+import User from '../models/user.js';
+import gpaService from '../services/gpaService.js';
+import { GRADING_SCALES, DEFAULT_SCALE, isGradingScale } from '../config/gradingScales.js';
+
+/**
+ * List the available grading scales and the institution's default.
+ *
+ * @function getGradingScales
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Response with the grading scales.
+ */
+const getGradingScales = (req, res) => {
+  res.status(200).json({ default: DEFAULT_SCALE, scales: GRADING_SCALES });
+};
+
+/**
+ * Get a user's GPA and average per semester, and cumulatively.
+ *
+ * @async
+ * @function getGpaByUser
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.scale] - Grading scale to use instead of the user's (e.g. '4.33').
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the semester and cumulative GPAs or an error message.
+ */
+const getGpaByUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { scale } = req.query;
+    if (scale && !isGradingScale(scale)) {
+      return res.status(400).json({ message: 'Unknown grading scale' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const scaleId = await gpaService.resolveScale(userId, scale);
+    res.status(200).json(await gpaService.calculateGpa(userId, scaleId));
+  } catch (error) {
+    res.status(500).json({ message: 'Error calculating GPA', error: error.message });
+  }
+};
+
+/**
+ * Get the GPA and average of a specific semester.
+ *
+ * @async
+ * @function getSemesterGpa
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the semester.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.scale] - Grading scale to use instead of the semester owner's (e.g. '4.33').
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the semester's GPA or an error message.
+ */
+const getSemesterGpa = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scale } = req.query;
+    if (scale && !isGradingScale(scale)) {
+      return res.status(400).json({ message: 'Unknown grading scale' });
+    }
+
+    const semester = await Semester.findById(id);
+    if (!semester) {
+      return res.status(404).json({ message: 'Semester not found' });
+    }
+
+    const scaleId = await gpaService.resolveScale(semester.uid, scale);
+    res.status(200).json(await gpaService.calculateSemesterGpa(semester, scaleId));
+  } catch (error) {
+    res.status(500).json({ message: 'Error calculating GPA', error: error.message });
+  }
+};
+
+export default { getGradingScales, getGpaByUser, getSemesterGpa };
@@ -3,6 +3,7 @@ import Grade from '../models/grade.js';
 import User from '../models/user.js';
 import Subject from '../models/subject.js';
 import Assignment from '../models/assignment.js';
+import gradeHistoryService from '../services/gradeHistoryService.js';
 
 /**
  * Create a new grade.
@@ -30,22 +31,23 @@ const createGrade = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if the subject exists
+    // Check if the subject exists; another user's subject counts as not found
     const subject = await Subject.findById(s_id);
-    if (!subject) {
+    if (!subject || String(subject.uid) !== String(uid)) {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    // Check if the assignment exists
+    // Check if the assignment exists, the same way
     if (a_id) {
       const assignment = await Assignment.findById(a_id);
-      if (!assignment) {
+      if (!assignment || String(assignment.uid) !== String(uid)) {
         return res.status(404).json({ message: 'Assignment not found' });
       }
     }
 
     const newGrade = new Grade({ grade, s_id, a_id, uid, notes, outOf });
     const savedGrade = await newGrade.save();
+    await gradeHistoryService.recordRevision(savedGrade, { changedBy: req.auth.userId, change: 'create' });
     res.status(201).json(savedGrade);
   } catch (error) {
     res.status(500).json({ message: 'Error creating grade', error: error.message });
@@ -149,16 +151,23 @@ const updateGrade = async (req, res) => {
     const { id } = req.params;
     const { grade, s_id, a_id, notes, outOf } = req.body;
 
+    // The previous values become the first revision of grades that have no history yet
+    const previous = await Grade.findById(id);
+    if (!previous) {
+      return res.status(404).json({ message: 'Grade not found' });
+    }
+
+    // The subject and assignment must be the grade owner's; others' count as not found
     if (s_id) {
       const subject = await Subject.findById(s_id);
-      if (!subject) {
+      if (!subject || String(subject.uid) !== String(previous.uid)) {
         return res.status(404).json({ message: 'Subject not found' });
       }
     }
 
     if (a_id) {
       const assignment = await Assignment.findById(a_id);
-      if (!assignment) {
+      if (!assignment || String(assignment.uid) !== String(previous.uid)) {
         return res.status(404).json({ message: 'Assignment not found' });
       }
     }
@@ -173,6 +182,7 @@ const updateGrade = async (req, res) => {
       return res.status(404).json({ message: 'Grade not found' });
     }
 
+    await gradeHistoryService.recordRevision(updatedGrade, { changedBy: req.auth.userId, previous });
     res.status(200).json(updatedGrade);
   } catch (error) {
     res.status(500).json({ message: 'Error updating grade', error: error.message });
@@ -180,7 +190,7 @@ const updateGrade = async (req, res) => {
 };
 
 /**
- * Delete a specific grade.
+ * Move a specific grade to the trash. It can be restored until it is purged.
  * 
  * @async
  * @function deleteGrade
@@ -193,7 +203,7 @@ const updateGrade = async (req, res) => {
 const deleteGrade = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedGrade = await Grade.findByIdAndDelete(id);
+    const deletedGrade = await Grade.softDeleteById(id);
 
     if (!deletedGrade) {
       return res.status(404).json({ message: 'Grade not found' });
@@ -205,4 +215,78 @@ const deleteGrade = async (req, res) => {
   }
 };
 
-export default { createGrade, getGradesByUser, getGradeById, getAllGrades, updateGrade, deleteGrade };
+/**
+ * Get the revision history of a specific grade, newest first.
+ * Grades in the trash keep their history.
+ *
+ * @async
+ * @function getGradeHistory
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the grade.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the revisions, each with who made the change and what changed, or an error message.
+ */
+const getGradeHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const grade = await Grade.findById(id).withDeleted();
+    if (!grade) {
+      return res.status(404).json({ message: 'Grade not found' });
+    }
+
+    const revisions = await gradeHistoryService.listRevisions(id);
+    res.status(200).json(revisions);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching grade history', error: error.message });
+  }
+};
+
+/**
+ * Roll a specific grade back to the values of an earlier revision.
+ * The rollback is recorded as a new revision, so it can be undone in turn.
+ *
+ * @async
+ * @function rollbackGrade
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the grade.
+ * @param {Object} req.body - The request body.
+ * @param {number} req.body.revision - Number of the revision to restore.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated grade or an error message.
+ */
+const rollbackGrade = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revision = Number(req.body.revision);
+    if (!Number.isInteger(revision) || revision < 1) {
+      return res.status(400).json({ message: 'A revision number is required' });
+    }
+
+    const grade = await Grade.findById(id);
+    if (!grade) {
+      return res.status(404).json({ message: 'Grade not found' });
+    }
+
+    const rolledBack = await gradeHistoryService.rollback(id, revision, req.auth.userId);
+    if (!rolledBack) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.status(200).json(rolledBack);
+  } catch (error) {
+    res.status(500).json({ message: 'Error rolling back grade', error: error.message });
+  }
+};
+
+export default {
+  createGrade,
+  getGradesByUser,
+  getGradeById,
+  getAllGrades,
+  updateGrade,
+  deleteGrade,
+  getGradeHistory,
+  rollbackGrade,
+};
@@ -50,6 +50,31 @@ const getAllSemesters = async (req, res) => {
   }
 };
 
+/**
+ * Get all semesters of a specific user.
+ * 
+ * @async
+ * @function getSemestersByUser
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user to fetch semesters for.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the semesters of the user or an error message.
+ */
+const getSemestersByUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const semesters = await Semester.find({ uid: userId });
+    res.status(200).json(semesters);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching semesters', error: error.message });
+  }
+};
+
 /**
  * Get a specific semester by ID.
  * 
@@ -113,7 +138,7 @@ const updateSemester = async (req, res) => {
 };
 
 /**
- * Delete a specific semester.
+ * Move a specific semester to the trash. It can be restored until it is purged.
  * 
  * @async
  * @function deleteSemester
@@ -126,7 +151,7 @@ const updateSemester = async (req, res) => {
 const deleteSemester = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedSemester = await Semester.findByIdAndDelete(id);
+    const deletedSemester = await Semester.softDeleteById(id);
 
     if (!deletedSemester) {
       return res.status(404).json({ message: 'Semester not found' });
@@ -138,4 +163,4 @@ const deleteSemester = async (req, res) => {
   }
 };
 
-export default { createSemester, getAllSemesters, getSemesterById, updateSemester, deleteSemester };
+export default { createSemester, getAllSemesters, getSemestersByUser, getSemesterById, updateSemester, deleteSemester };
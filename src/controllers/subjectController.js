@@ -2,6 +2,12 @@ import Subject from '../models/subject.js';
 import User from '../models/user.js';
 import Teacher from '../models/teacher.js';
 import Semester from '../models/semester.js';
+import Assignment from '../models/assignment.js';
+import Grade from '../models/grade.js';
+import gradeCalculator from '../services/gradeCalculator.js';
+
+// Credits are optional, but must be a non-negative number when given
+const isValidCredits = (credits) => credits === undefined || (Number.isFinite(credits) && credits >= 0);
 
 /**
  * Create a new subject.
@@ -16,12 +22,23 @@ import Semester from '../models/semester.js';
  * @param {Schema.Types.ObjectId} req.body.t_uid - ID of the teacher.
  * @param {Schema.Types.ObjectId} req.body.semester_id - ID of the semester.
  * @param {string} [req.body.room] - Room name or number (optional).
+ * @param {Object[]} [req.body.gradingCategories] - Grading categories as `{ name, weight }`, weights adding up to at most 100 (optional).
+ * @param {number} [req.body.credits] - Credit weight of the subject in GPA calculations (default 1).
  * @param {Object} res - Express response object.
  * @returns {Promise<void>} Response with the created subject or an error message.
  */
 const createSubject = async (req, res) => {
   try {
-    const { subjectTitle, targetGrade, uid, t_uid, semester_id, room } = req.body;
+    const { subjectTitle, targetGrade, uid, t_uid, semester_id, room, gradingCategories, credits } = req.body;
+
+    const categoryError = gradingCategories !== undefined && gradeCalculator.validateCategories(gradingCategories);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    if (!isValidCredits(credits)) {
+      return res.status(400).json({ message: 'Credits must be a number of 0 or more' });
+    }
 
     // Check if the user exists
     const user = await User.findById(uid);
@@ -41,7 +58,7 @@ const createSubject = async (req, res) => {
       return res.status(404).json({ message: 'Semester not found' });
     }
 
-    const newSubject = new Subject({ subjectTitle, targetGrade, uid, t_uid, semester_id, room });
+    const newSubject = new Subject({ subjectTitle, targetGrade, uid, t_uid, semester_id, room, gradingCategories, credits });
     const savedSubject = await newSubject.save();
     res.status(201).json(savedSubject);
   } catch (error) {
@@ -131,13 +148,25 @@ const getAllSubjects = async (req, res) => {
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.id - ID of the subject to update.
  * @param {Object} req.body - The request body containing updated subject information.
+ * @param {Object[]} [req.body.gradingCategories] - Grading categories as `{ name, weight }`. Keep the `_id` of
+ * existing categories, or their assignments become uncategorized.
+ * @param {number} [req.body.credits] - Credit weight of the subject in GPA calculations.
  * @param {Object} res - Express response object.
  * @returns {Promise<void>} Response with the updated subject or an error message.
  */
 const updateSubject = async (req, res) => {
   try {
     const { id } = req.params;
-    const { subjectTitle, targetGrade, t_uid, semester_id, room } = req.body;
+    const { subjectTitle, targetGrade, t_uid, semester_id, room, gradingCategories, credits } = req.body;
+
+    const categoryError = gradingCategories !== undefined && gradeCalculator.validateCategories(gradingCategories);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    if (!isValidCredits(credits)) {
+      return res.status(400).json({ message: 'Credits must be a number of 0 or more' });
+    }
 
     // Check if the teacher exists
     const teacher = await Teacher.findById(t_uid);
@@ -153,7 +182,7 @@ const updateSubject = async (req, res) => {
 
     const updatedSubject = await Subject.findByIdAndUpdate(
       id,
-      { subjectTitle, targetGrade, t_uid, semester_id, room, updated_at: Date.now() },
+      { subjectTitle, targetGrade, t_uid, semester_id, room, gradingCategories, credits, updated_at: Date.now() },
       { new: true }
     )
       .populate('t_uid', 'first_name last_name school_email')
@@ -168,7 +197,7 @@ const updateSubject = async (req, res) => {
 };
 
 /**
- * Delete a specific subject.
+ * Move a specific subject to the trash. It can be restored until it is purged.
  * 
  * @async
  * @function deleteSubject
@@ -181,7 +210,7 @@ const updateSubject = async (req, res) => {
 const deleteSubject = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedSubject = await Subject.findByIdAndDelete(id);
+    const deletedSubject = await Subject.softDeleteById(id);
     if (!deletedSubject) {
       return res.status(404).json({ message: 'Subject not found' });
     }
@@ -191,6 +220,89 @@ const deleteSubject = async (req, res) => {
   }
 };
 
+/**
+ * Get the current standing in a specific subject: the weighted percentage, the breakdown per
+ * grading category and how much of the total weight has been graded so far.
+ *
+ * @async
+ * @function getSubjectStanding
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the subject.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the subject's standing or an error message.
+ */
+const getSubjectStanding = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const subject = await Subject.findById(id);
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    // Only the subject owner's records count, whatever else points at the subject
+    const [assignments, grades] = await Promise.all([
+      Assignment.find({ s_id: subject._id, uid: subject.uid }),
+      Grade.find({ s_id: subject._id, uid: subject.uid }),
+    ]);
+    res.status(200).json(gradeCalculator.calculateStanding(subject, assignments, grades));
+  } catch (error) {
+    res.status(500).json({ message: 'Error calculating subject standing', error: error.message });
+  }
+};
+
+/**
+ * Project what is needed on the remaining work of a specific subject to reach its target grade.
+ * Hypothetical scores can be supplied to try out scenarios; they are not saved.
+ *
+ * @async
+ * @function getSubjectProjection
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the subject.
+ * @param {Object} req.body - The request body (optional).
+ * @param {Object[]} [req.body.whatIf] - Hypothetical scores: `a_id`, `grade` and `outOf`. They replace the real grade of the assignment.
+ * @param {number} [req.body.targetGrade] - Target percentage to use instead of the subject's.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the projection or an error message.
+ */
+const getSubjectProjection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { whatIf = [], targetGrade } = req.body || {};
+    if (targetGrade !== undefined && !Number.isFinite(targetGrade)) {
+      return res.status(400).json({ message: 'Target grade must be a number' });
+    }
+
+    const subject = await Subject.findById(id);
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    const target = targetGrade === undefined ? subject.targetGrade : targetGrade;
+    if (!Number.isFinite(target)) {
+      return res.status(400).json({ message: 'The subject has no target grade' });
+    }
+
+    // Only the subject owner's records count, whatever else points at the subject
+    const [assignments, grades] = await Promise.all([
+      Assignment.find({ s_id: subject._id, uid: subject.uid }),
+      Grade.find({ s_id: subject._id, uid: subject.uid }),
+    ]);
+    const whatIfError = gradeCalculator.validateWhatIf(whatIf, assignments);
+    if (whatIfError) {
+      return res.status(400).json({ message: whatIfError });
+    }
+
+    const scenario = gradeCalculator.applyWhatIf(grades, assignments, whatIf);
+    res.status(200).json({
+      ...gradeCalculator.projectStanding(subject, assignments, scenario, target),
+      what_if: whatIf.length > 0,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error projecting subject grade', error: error.message });
+  }
+};
+
 export default {
   createSubject,
   getSubjectsByUser,
@@ -198,4 +310,6 @@ export default {
   getAllSubjects,
   updateSubject,
   deleteSubject,
+  getSubjectStanding,
+  getSubjectProjection,
 };
@@ -52,6 +52,31 @@ const getAllTeachers = async (req, res) => {
   }
 };
 
+/**
+ * Get all teachers of a specific user.
+ * 
+ * @async
+ * @function getTeachersByUser
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user to fetch teachers for.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the teachers of the user or an error message.
+ */
+const getTeachersByUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const teachers = await Teacher.find({ uid: userId });
+    res.status(200).json(teachers);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching teachers', error: error.message });
+  }
+};
+
 /**
  * Get a specific teacher by ID.
  * 
@@ -112,7 +137,7 @@ const updateTeacher = async (req, res) => {
 };
 
 /**
- * Delete a specific teacher.
+ * Move a specific teacher to the trash. It can be restored until it is purged.
  * 
  * @async
  * @function deleteTeacher
@@ -125,7 +150,7 @@ const updateTeacher = async (req, res) => {
 const deleteTeacher = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedTeacher = await Teacher.findByIdAndDelete(id);
+    const deletedTeacher = await Teacher.softDeleteById(id);
 
     if (!deletedTeacher) {
       return res.status(404).json({ message: 'Teacher not found' });
@@ -137,4 +162,4 @@ const deleteTeacher = async (req, res) => {
   }
 };
 
-export default { createTeacher, getAllTeachers, getTeacherById, updateTeacher, deleteTeacher };
+export default { createTeacher, getAllTeachers, getTeachersByUser, getTeacherById, updateTeacher, deleteTeacher };
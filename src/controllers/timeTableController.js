@@ -168,7 +168,7 @@ const updateTimeTableEntry = async (req, res) => {
 };
 
 /**
- * Delete a specific timetable entry.
+ * Move a specific timetable entry to the trash. It can be restored until it is purged.
  * 
  * @async
  * @function deleteTimeTableEntry
@@ -181,7 +181,7 @@ const updateTimeTableEntry = async (req, res) => {
 const deleteTimeTableEntry = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedTimeTableEntry = await TimeTable.findByIdAndDelete(id);
+    const deletedTimeTableEntry = await TimeTable.softDeleteById(id);
 
     if (!deletedTimeTableEntry) {
       return res.status(404).json({ message: 'Timetable entry not found' });
@@ -0,0 +1,45 @@
+// Import necessary modules
+import trashService from '../services/trashService.js';
+
+/**
+ * Get everything a specific user has in the trash.
+ *
+ * @async
+ * @function getTrashByUser
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.userId - ID of the user.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the trashed records per collection or an error message.
+ */
+const getTrashByUser = async (req, res) => {
+  try {
+    const trash = await trashService.listTrash(req.params.userId);
+    res.status(200).json(trash);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching trash', error: error.message });
+  }
+};
+
+/**
+ * Handler factory restoring a record from the trash.
+ *
+ * @function restoreRecord
+ * @param {Object} Model - The Mongoose model of the record, using the soft delete plugin.
+ * @param {string} label - Name of the record in response messages, e.g. 'Subject'.
+ * @returns {Function} Handler responding with the restored record, or 404 when it is not in the trash.
+ */
+const restoreRecord = (Model, label) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const restored = await Model.restoreById(id);
+    if (!restored) {
+      return res.status(404).json({ message: `${label} not found in trash` });
+    }
+    res.status(200).json(restored);
+  } catch (error) {
+    res.status(500).json({ message: `Error restoring ${label.toLowerCase()}`, error: error.message });
+  }
+};
+
+export default { getTrashByUser, restoreRecord };
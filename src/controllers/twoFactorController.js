@@ -0,0 +1,204 @@
+// Import necessary modules
+import bcrypt from 'bcryptjs';
+import User from '../models/user.js';
+import totp from '../services/totp.js';
+import twoFactorService from '../services/twoFactorService.js';
+import securityEventService from '../services/securityEventService.js';
+import loginThrottle from '../services/loginThrottle.js';
+import authCtrl from './authController.js';
+
+// Refuse a code check while the account or client IP is throttled, as sign-in does; true when refused
+const refuseThrottled = async (req, res, user) => {
+  const throttle = await loginThrottle.check(user.email, req.ip);
+  if (throttle.allowed) {
+    return false;
+  }
+  res.set('Retry-After', String(Math.ceil(throttle.retryAfterMs / 1000)));
+  res.status(429).json({ message: 'Too many failed attempts, please try again later' });
+  return true;
+};
+
+/**
+ * Start enrolling the authenticated user in two-factor authentication.
+ * The secret stays pending until a first code is confirmed with `activateTwoFactor`.
+ *
+ * @async
+ * @function setupTwoFactor
+ * @param {Object} req - Express request object.
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the base32 secret and otpauth URI, or an error message.
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrolment = twoFactorService.createEnrolment(user);
+    user.twoFactor = { enabled: false, pendingSecret: enrolment.secret };
+    user.updated_at = Date.now();
+    await user.save();
+
+    res.status(200).json(enrolment);
+  } catch (error) {
+    res.status(500).json({ message: 'Error setting up two-factor authentication', error: error.message });
+  }
+};
+
+/**
+ * Activate two-factor authentication by confirming a first code from the authenticator app.
+ * Returns the recovery codes; they are only ever shown this once.
+ *
+ * @async
+ * @function activateTwoFactor
+ * @param {Object} req - Express request object.
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Object} req.body - The request body.
+ * @param {string} req.body.code - A code generated from the pending secret.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the recovery codes or an error message.
+ */
+const activateTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verify(req.body.code, pendingSecret);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: pendingSecret,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: Date.now(),
+    };
+    user.updated_at = Date.now();
+    await user.save();
+
+    await securityEventService.record(user._id, 'two_factor_enabled', req);
+
+    res.status(200).json({ message: 'Two-factor authentication enabled', recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ message: 'Error activating two-factor authentication', error: error.message });
+  }
+};
+
+/**
+ * Turn off two-factor authentication. Requires the password and a current code or recovery code.
+ * Failed attempts count towards the sign-in throttle; blocked attempts receive 429.
+ *
+ * @async
+ * @function disableTwoFactor
+ * @param {Object} req - Express request object.
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Object} req.body - The request body.
+ * @param {string} req.body.password - The user's password.
+ * @param {string} [req.body.code] - A code from the authenticator app.
+ * @param {string} [req.body.recoveryCode] - A recovery code, instead of `code`.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a success message or an error message.
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await refuseThrottled(req, res, user)) {
+      return;
+    }
+
+    const isMatch = await bcrypt.compare(password || '', user.password);
+    if (!isMatch || !await twoFactorService.verifySecondFactor(user, { code, recoveryCode })) {
+      await authCtrl.recordFailedSignIn(req, user.email, user);
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+    await loginThrottle.reset(user.email);
+
+    user.twoFactor = { enabled: false };
+    user.updated_at = Date.now();
+    await user.save();
+
+    await securityEventService.record(user._id, 'two_factor_disabled', req);
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error disabling two-factor authentication', error: error.message });
+  }
+};
+
+/**
+ * Replace the authenticated user's recovery codes with a new set. Requires a current code.
+ * Failed codes count towards the sign-in throttle; blocked attempts receive 429.
+ *
+ * @async
+ * @function regenerateRecoveryCodes
+ * @param {Object} req - Express request object.
+ * @param {Object} req.auth - Authentication object from JWT.
+ * @param {Object} req.body - The request body.
+ * @param {string} req.body.code - A code from the authenticator app.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the new recovery codes or an error message.
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await refuseThrottled(req, res, user)) {
+      return;
+    }
+
+    if (!await twoFactorService.verifyCode(user, req.body.code)) {
+      await authCtrl.recordFailedSignIn(req, user.email, user);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await loginThrottle.reset(user.email);
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashes, updated_at: Date.now() });
+
+    await securityEventService.record(user._id, 'recovery_codes_regenerated', req);
+
+    res.status(200).json({ recoveryCodes: codes });
+  } catch (error) {
+    res.status(500).json({ message: 'Error regenerating recovery codes', error: error.message });
+  }
+};
+
+export default {
+  setupTwoFactor,
+  activateTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
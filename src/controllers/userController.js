@@ -1,6 +1,16 @@
 // Import necessary modules
 import User from '../models/user.js';
 import bcrypt from 'bcryptjs';
+import { ROLES } from '../config/permissions.js';
+import mailService from '../services/mailService.js';
+import passwordPolicy from '../services/passwordPolicy.js';
+import securityEventService from '../services/securityEventService.js';
+import tokenService from '../services/tokenService.js';
+import userTokenService from '../services/userTokenService.js';
+import userSerializer from '../services/userSerializer.js';
+import userDeletionService from '../services/userDeletionService.js';
+
+const EMAIL_CHANGE_TTL_MS = (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
 
 /**
  * Create a new user.
@@ -32,7 +42,7 @@ const createUser = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
     const newUser = new User({ userName, firstName, lastName, email, password: hashedPassword, role });
     const savedUser = await newUser.save();
-    res.status(201).json(savedUser);
+    res.status(201).json(await userSerializer.serializeUser(savedUser, req));
   } catch (error) {
     res.status(500).json({ message: 'Error creating user', error: error.message });
   }
@@ -47,7 +57,8 @@ const createUser = async (req, res) => {
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.id - ID of the user to fetch.
  * @param {Object} res - Express response object.
- * @returns {Promise<void>} Response with the user data or an error message.
+ * @returns {Promise<void>} Response with the user data (reduced to what their profile visibility allows
+ * unless it is the requester's own profile or the requester manages users) or an error message.
  */
 const getUserById = async (req, res) => {
   try {
@@ -56,7 +67,7 @@ const getUserById = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.status(200).json(user);
+    res.status(200).json(await userSerializer.serializeUser(user, req));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching user', error: error.message });
   }
@@ -69,12 +80,13 @@ const getUserById = async (req, res) => {
  * @function getAllUsers
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
- * @returns {Promise<void>} Response with all users or an error message.
+ * @returns {Promise<void>} Response with all users, each reduced to what their profile visibility allows,
+ * or an error message.
  */
 const getAllUsers = async (req, res) => {
   try {
     const users = await User.find();
-    res.status(200).json(users);
+    res.status(200).json(await userSerializer.serializeUsers(users, req));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching users', error: error.message });
   }
@@ -92,51 +104,347 @@ const getAllUsers = async (req, res) => {
  * @param {string} [req.body.userName] - The user's updated username.
  * @param {string} [req.body.firstName] - The user's updated first name.
  * @param {string} [req.body.lastName] - The user's updated last name.
- * @param {string} [req.body.email] - The user's updated email address.
- * @param {string} [req.body.role] - The user's updated role.
  * @param {Object} res - Express response object.
  * @returns {Promise<void>} Response with the updated user or an error message.
  */
 const updateUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const { userName, firstName, lastName, email, role } = req.body;
+    // Email addresses are changed through the confirmation flow of requestEmailChange
+    // and roles through updateUserRole
+    const { userName, firstName, lastName } = req.body;
     const updatedUser = await User.findByIdAndUpdate(
       id,
-      { userName, firstName, lastName, email, role, updated_at: Date.now() },
-      { new: true }
+      { userName, firstName, lastName, updated_at: Date.now() },
+      { new: true, runValidators: true }
     );
     if (!updatedUser) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.status(200).json(updatedUser);
+    res.status(200).json(await userSerializer.serializeUser(updatedUser, req));
   } catch (error) {
     res.status(500).json({ message: 'Error updating user', error: error.message });
   }
 };
 
+/**
+ * Change the role of a user (admin only).
+ * The user's sessions are revoked so new tokens carry the new role.
+ * 
+ * @async
+ * @function updateUserRole
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the user to update.
+ * @param {string} req.body.role - The new role ('student', 'teacher' or 'admin').
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated user or an error message.
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    // Keeps an admin from accidentally locking themselves out of the admin routes
+    if (req.auth && String(req.auth.userId) === String(id)) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      id,
+      { role, updated_at: Date.now() },
+      { new: true }
+    );
+    if (!updatedUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await tokenService.revokeUserSessions(updatedUser._id, 'role_changed');
+    await securityEventService.record(updatedUser._id, 'role_changed', req, { role, by: req.auth && req.auth.userId });
+
+    res.status(200).json(await userSerializer.serializeUser(updatedUser, req));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating user role', error: error.message });
+  }
+};
+
+/**
+ * Suspend or reactivate a user account (admin only).
+ * Suspending an account revokes all of its sessions immediately.
+ * 
+ * @async
+ * @function updateUserStatus
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the user to update.
+ * @param {string} req.body.status - The new status ('active' or 'suspended').
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the updated user or an error message.
+ */
+const updateUserStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!['active', 'suspended'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be one of: active, suspended' });
+    }
+
+    if (req.auth && String(req.auth.userId) === String(id)) {
+      return res.status(400).json({ message: 'You cannot change the status of your own account' });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      id,
+      { status, updated_at: Date.now() },
+      { new: true }
+    );
+    if (!updatedUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (status === 'suspended') {
+      await tokenService.revokeUserSessions(updatedUser._id, 'account_suspended');
+    }
+    await securityEventService.record(
+      updatedUser._id,
+      status === 'suspended' ? 'account_suspended' : 'account_reactivated',
+      req,
+      { by: req.auth && req.auth.userId }
+    );
+
+    res.status(200).json(await userSerializer.serializeUser(updatedUser, req));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating user status', error: error.message });
+  }
+};
+
 /**
  * Delete a specific user.
+ * By default the deletion is refused while the user still owns records; `mode=cascade`
+ * removes the user and all their records in one transaction, and `dryRun=true` only
+ * reports what would be removed (see `userDeletionService`).
  * 
  * @async
  * @function deleteUser
  * @param {Object} req - Express request object.
  * @param {Object} req.params - The request parameters.
  * @param {string} req.params.id - ID of the user to delete.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.mode='block'] - 'block' or 'cascade'.
+ * @param {string} [req.query.dryRun] - 'true' to only report what would be removed.
  * @param {Object} res - Express response object.
- * @returns {Promise<void>} Response with deletion success message or an error message.
+ * @returns {Promise<void>} Response with deletion success message, the dry-run report, or an error message.
  */
 const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedUser = await User.findByIdAndDelete(id);
-    if (!deletedUser) {
+    const query = req.query || {};
+    const mode = query.mode || 'block';
+    if (!['block', 'cascade'].includes(mode)) {
+      return res.status(400).json({ message: "Mode must be 'block' or 'cascade'" });
+    }
+
+    const result = await userDeletionService.deleteUser(id, { mode, dryRun: query.dryRun === 'true' });
+    if (result.status === 'not_found') {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.status(200).json({ message: 'User deleted successfully' });
+
+    if (result.status === 'dry_run') {
+      return res.status(200).json({ dryRun: true, mode, blocked: result.blocked, records: result.records });
+    }
+
+    if (result.status === 'blocked') {
+      return res.status(409).json({
+        message: 'User still owns records; delete them first or use mode=cascade',
+        records: result.records,
+      });
+    }
+
+    res.status(200).json({ message: 'User deleted successfully', records: result.records });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting user', error: error.message });
   }
 };
 
-export default { createUser, getUserById, getAllUsers, updateUser, deleteUser };
+/**
+ * Change the password of the authenticated user.
+ * Requires the current password; every other session is revoked and a fresh token pair is returned.
+ * 
+ * @async
+ * @function changePassword
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the user.
+ * @param {string} req.body.currentPassword - The user's current password.
+ * @param {string} req.body.newPassword - The new password.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a new token pair or an error message.
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword || '', user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const passwordErrors = passwordPolicy.validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ message: 'Password does not meet the requirements', errors: passwordErrors });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.updated_at = Date.now();
+    await user.save();
+
+    await tokenService.revokeUserSessions(user._id, 'password_changed');
+    await securityEventService.record(user._id, 'password_changed', req);
+
+    const session = await tokenService.issueSession(user, {
+      ip: req.ip,
+      user_agent: req.headers && req.headers['user-agent'],
+    });
+    res.status(200).json({ message: 'Password changed successfully', ...session });
+  } catch (error) {
+    res.status(500).json({ message: 'Error changing password', error: error.message });
+  }
+};
+
+/**
+ * Request a change of the authenticated user's email address.
+ * A confirmation link is sent to the new address; the email on the user is only
+ * swapped once it is confirmed through `/auth/confirm-email`.
+ * 
+ * @async
+ * @function requestEmailChange
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the user.
+ * @param {string} req.body.newEmail - The new email address.
+ * @param {string} req.body.currentPassword - The user's current password.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with a confirmation message or an error message.
+ */
+const requestEmailChange = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { newEmail, currentPassword } = req.body;
+
+    if (typeof newEmail !== 'string' || !/.+\@.+\..+/.test(newEmail)) {
+      return res.status(400).json({ message: 'Please enter a valid email' });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword || '', user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: 'New email is the same as the current email' });
+    }
+
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: 'Email already in use' });
+    }
+
+    const token = await userTokenService.issueToken(user._id, 'email_change', EMAIL_CHANGE_TTL_MS, { email: newEmail });
+    const link = mailService.buildAppLink('/confirm-email', { token });
+
+    await mailService.sendMail({
+      to: newEmail,
+      subject: 'Confirm your new email address',
+      text: `Hi ${user.firstName},\n\nPlease confirm this address for your account by opening the link below:\n${link}\n\n`
+        + `If you did not request this change you can ignore this email.`,
+    });
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Email change requested',
+      text: `Hi ${user.firstName},\n\nA request was made to change the email address of your account to ${newEmail}.\n\n`
+        + `If this was not you, please change your password immediately.`,
+    });
+
+    await securityEventService.record(user._id, 'email_change_requested', req, { to: newEmail });
+
+    res.status(202).json({ message: 'A confirmation link has been sent to the new email address' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting email change', error: error.message });
+  }
+};
+
+/**
+ * Get the security history of the authenticated user.
+ * 
+ * @async
+ * @function getSecurityHistory
+ * @param {Object} req - Express request object.
+ * @param {Object} req.params - The request parameters.
+ * @param {string} req.params.id - ID of the user.
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the user's security events or an error message.
+ */
+const getSecurityHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const events = await securityEventService.listForUser(id);
+    res.status(200).json(events);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching security history', error: error.message });
+  }
+};
+
+/**
+ * List security events across all users (e.g. account lockouts), newest first.
+ *
+ * @async
+ * @function getSecurityEvents
+ * @param {Object} req - Express request object.
+ * @param {Object} req.query - The query parameters.
+ * @param {string} [req.query.type] - Only return events of this type (e.g. 'account_locked').
+ * @param {number} [req.query.limit] - Maximum number of events to return (default 100, at most 500).
+ * @param {Object} res - Express response object.
+ * @returns {Promise<void>} Response with the list of security events or an error message.
+ */
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { type } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+    const events = await securityEventService.list({ type }, limit);
+    res.status(200).json(events);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching security events', error: error.message });
+  }
+};
+
+export default {
+  createUser,
+  getUserById,
+  getAllUsers,
+  updateUser,
+  updateUserRole,
+  updateUserStatus,
+  deleteUser,
+  changePassword,
+  requestEmailChange,
+  getSecurityHistory,
+  getSecurityEvents,
+};
@@ -1,5 +1,7 @@
 import UserSettings from '../models/userSettings.js';
 import User from '../models/user.js';
+import timeZone from '../services/timeZone.js';
+import { isGradingScale } from '../config/gradingScales.js';
 
 /**
  * Create or update user settings.
@@ -13,12 +15,21 @@ import User from '../models/user.js';
  * @param {boolean} [req.body.notifications] - Notification preference.
  * @param {string} [req.body.language] - Language preference for the user.
  * @param {string} [req.body.privacy] - Privacy settings for the user.
+ * @param {string|null} [req.body.gradingScale] - Grading scale for GPA calculations, or null for the institution's scale.
+ * @param {string|null} [req.body.timezone] - IANA time zone of the user, or null for the server's default.
  * @param {Object} res - Express response object.
  * @returns {Promise<void>} Response with created or updated user settings.
  */
 const createOrUpdateUserSettings = async (req, res) => {
   try {
-    const { userId, theme, notifications, language, privacy } = req.body;
+    const { userId, theme, notifications, language, privacy, gradingScale, timezone } = req.body;
+
+    if (gradingScale !== undefined && gradingScale !== null && !isGradingScale(gradingScale)) {
+      return res.status(400).json({ message: 'Unknown grading scale' });
+    }
+    if (timezone !== undefined && timezone !== null && !timeZone.isTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Unknown timezone' });
+    }
 
     // Check if the user exists
     const user = await User.findById(userId);
@@ -33,9 +44,15 @@ const createOrUpdateUserSettings = async (req, res) => {
       userSettings.notifications = notifications || userSettings.notifications;
       userSettings.language = language || userSettings.language;
       userSettings.privacy = privacy || userSettings.privacy;
+      if (gradingScale !== undefined) {
+        userSettings.gradingScale = gradingScale;
+      }
+      if (timezone !== undefined) {
+        userSettings.timezone = timezone;
+      }
       userSettings.updated_at = Date.now();
     } else {
-      userSettings = new UserSettings({ userId, theme, notifications, language, privacy });
+      userSettings = new UserSettings({ userId, theme, notifications, language, privacy, gradingScale, timezone });
     }
 
     const savedSettings = await userSettings.save();
@@ -3,6 +3,7 @@ import express from 'express';
 import cors from 'cors';
 import { swaggerSpec, swaggerUi } from './config/swaggerConfig.js';
 import connectDB from './config/db.js';  
+import { assertDevAuthConfig } from './config/devAuth.js';
 import dotenv from 'dotenv';
 import authRoutes from './routes/authRoutes.js'; 
 import userRoutes from './routes/userRoutes.js'; 
@@ -15,21 +16,42 @@ import semesterRoutes from './routes/semesterRoutes.js';
 import timeTableRoutes from './routes/timetableRoutes.js'; 
 import notificationRoutes from './routes/notificationRoutes.js'; 
 import eventRoutes from './routes/eventRoutes.js'; 
+import meRoutes from './routes/meRoutes.js'; 
+import trashRoutes from './routes/trashRoutes.js'; 
+import auditRoutes from './routes/auditRoutes.js'; 
+import gpaRoutes from './routes/gpaRoutes.js'; 
+import analyticsRoutes from './routes/analyticsRoutes.js'; 
+import attachmentRoutes from './routes/attachmentRoutes.js'; 
+import assignmentTemplateRoutes from './routes/assignmentTemplateRoutes.js'; 
+import checklistRoutes from './routes/checklistRoutes.js'; 
+import trashService from './services/trashService.js';
+import exportService from './services/exportService.js';
+import requestContext from './services/requestContext.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
+// Refuse to start with an unsafe development authentication setup
+assertDevAuthConfig();
+
 // Initialize Express app
 const app = express();
 
 // Connect to MongoDB
 connectDB();
 
+// Permanently delete records that have been in the trash past the retention period
+trashService.startPurgeSchedule();
+
+// Delete data exports whose archives have expired
+exportService.startPurgeSchedule();
+
 // Set up Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Middleware
 app.use(express.json());
+app.use(requestContext.middleware); // Lets the audit trail see who made each change
 app.use(cors({ origin: 'http://localhost:5173' })); // Replace with frontend's URL
 
 //API routes
@@ -44,6 +66,14 @@ app.use('/', semesterRoutes);
 app.use('/', timeTableRoutes);
 app.use('/', notificationRoutes);
 app.use('/', eventRoutes);
+app.use('/', meRoutes);
+app.use('/', trashRoutes);
+app.use('/', auditRoutes);
+app.use('/', gpaRoutes);
+app.use('/', analyticsRoutes);
+app.use('/', attachmentRoutes);
+app.use('/', assignmentTemplateRoutes);
+app.use('/', checklistRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
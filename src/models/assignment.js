@@ -1,6 +1,27 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import auditTrail from './plugins/auditTrail.js';
+import Attachment from './attachment.js';
+import { ASSIGNMENT_STATUSES } from '../config/assignmentStatuses.js';
 const Schema = mongoose.Schema;
 
+// One change of an assignment's status
+const statusChangeSchema = new Schema({
+  from: { type: String, enum: [...ASSIGNMENT_STATUSES, null], default: null },
+  status: { type: String, enum: ASSIGNMENT_STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+  changed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String },
+}, { _id: false });
+
+// One step of an assignment's checklist, kept in the order it is shown
+const checklistItemSchema = new Schema({
+  title: { type: String, required: true, trim: true },
+  due_date: { type: Date, default: null },
+  done: { type: Boolean, default: false },
+  done_at: { type: Date, default: null },
+});
+
 /**
  * Assignment schema for MongoDB.
  * Represents an assignment in the application.
@@ -10,19 +31,61 @@ const Schema = mongoose.Schema;
  * @property {Schema.Types.ObjectId} s_id - Reference to the Subject this assignment belongs to (optional).
  * @property {Schema.Types.ObjectId} uid - Reference to the User (Student) assigned this task (optional).
  * @property {Schema.Types.ObjectId} g_id - Reference to the Grade for this assignment (optional).
+ * @property {Schema.Types.ObjectId} category_id - ID of the grading category of the subject this assignment counts towards (optional).
  * @property {Date} due_date - The due date for the assignment (optional).
+ * @property {string} status - Where the assignment stands: 'not_started' (default), 'in_progress', 'submitted', 'graded', 'late' or 'excused'.
+ * @property {Date} status_updated_at - Timestamp for the last change of status (optional).
+ * @property {Object[]} status_history - Every change of status, oldest first: `from`, `status`, `at`, `changed_by` and `note`.
+ * @property {Schema.Types.ObjectId} template_id - Reference to the AssignmentTemplate this assignment is an occurrence of (optional).
+ * @property {number} occurrence - Number of the occurrence within its template, from 1 (optional).
+ * @property {string} occurrence_date - Day the occurrence was scheduled for, as 'YYYY-MM-DD' (optional).
+ * @property {boolean} detached - True once the occurrence was edited on its own; edits to the template then leave it alone.
+ * @property {Date} unscheduled_at - When the template moved the occurrence to the trash because its schedule dropped the day (optional).
+ * @property {Object[]} checklist - Sub-tasks, in order: `title`, `due_date` (optional), `done` and `done_at`.
+ * @property {number} progress - Percentage of the checklist done, from 0 to 100; null without a checklist.
  * @property {Date} created_at - Timestamp for when the assignment was added.
  * @property {Date} updated_at - Timestamp for the last update of the assignment.
+ * @property {Date} deleted_at - Timestamp for when the assignment was moved to the trash, null while it is live.
  */
 const assignmentSchema = new Schema({
   name: { type: String, required: true }, 
   s_id: { type: Schema.Types.ObjectId, ref: 'Subject' }, 
   uid: { type: Schema.Types.ObjectId, ref: 'User' }, 
   g_id: { type: Schema.Types.ObjectId, ref: 'Grade' }, 
+  category_id: { type: Schema.Types.ObjectId, default: null },
   due_date: { type: Date }, 
+  status: { type: String, enum: ASSIGNMENT_STATUSES, default: 'not_started', index: true },
+  status_updated_at: { type: Date },
+  status_history: { type: [statusChangeSchema], default: [] },
+  template_id: { type: Schema.Types.ObjectId, ref: 'AssignmentTemplate', default: null },
+  occurrence: { type: Number },
+  occurrence_date: { type: String },
+  detached: { type: Boolean, default: false },
+  unscheduled_at: { type: Date, default: null },
+  checklist: { type: [checklistItemSchema], default: [] },
+  progress: { type: Number, min: 0, max: 100, default: null },
   created_at: { type: Date, default: Date.now }, 
   updated_at: { type: Date, default: Date.now }, 
 });
 
+// A template has at most one occurrence per day, even when occurrences are generated twice
+assignmentSchema.index(
+  { template_id: 1, occurrence_date: 1 },
+  { unique: true, partialFilterExpression: { template_id: { $type: 'objectId' } } }
+);
+
+assignmentSchema.plugin(softDelete);
+assignmentSchema.plugin(auditTrail);
+
+/**
+ * Middleware removing the attachments of assignments that are permanently deleted
+ * (trash purge or account deletion). Moving an assignment to the trash keeps them.
+ */
+assignmentSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, async function () {
+  const session = this.getOptions().session || null;
+  const ids = await this.model.find(this.getFilter()).setOptions({ withDeleted: true }).session(session).distinct('_id');
+  await Attachment.deleteMany({ a_id: { $in: ids } }).session(session);
+});
+
 const Assignment = mongoose.model('Assignment', assignmentSchema);
 export default Assignment;
\ No newline at end of file
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
+const Schema = mongoose.Schema;
+
+// When a template's assignments fall due
+const recurrenceSchema = new Schema({
+  weekdays: { type: [Number], required: true },
+  interval: { type: Number, min: 1, default: 1 },
+  time: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '23:59' },
+  starts_on: { type: String, match: /^\d{4}-\d{2}-\d{2}$/, required: true },
+  until: { type: String, match: /^\d{4}-\d{2}-\d{2}$/, default: null },
+}, { _id: false });
+
+/**
+ * AssignmentTemplate schema for MongoDB.
+ * Represents an assignment that recurs in a subject, e.g. a weekly lab. Its occurrences are
+ * materialized as Assignment documents (linked through `template_id`) within the subject's semester.
+ *
+ * @typedef {Object} AssignmentTemplate
+ * @property {string} name - Name of the occurrences, required; '{n}' is replaced by the occurrence number (e.g. 'Lab {n}').
+ * @property {Schema.Types.ObjectId} s_id - Reference to the Subject, required.
+ * @property {Schema.Types.ObjectId} uid - Reference to the User (Student) owning the template, required.
+ * @property {Schema.Types.ObjectId} category_id - ID of the subject's grading category the occurrences count towards (optional).
+ * @property {Object} recurrence - When occurrences fall due.
+ * @property {number[]} recurrence.weekdays - Days of the week, 0 (Sunday) to 6 (Saturday), required.
+ * @property {number} recurrence.interval - Every how many weeks, counted from the week of `starts_on`. Defaults to 1.
+ * @property {string} recurrence.time - Time of day the occurrences are due, as 'HH:MM'. Defaults to '23:59'.
+ * @property {string} recurrence.starts_on - First day an occurrence can fall on, as 'YYYY-MM-DD', required.
+ * @property {string} recurrence.until - Last day an occurrence can fall on, as 'YYYY-MM-DD'; null for the end of the semester.
+ * @property {string} timezone - IANA time zone the days and time are in, required.
+ * @property {Date} created_at - Timestamp for when the template was added.
+ * @property {Date} updated_at - Timestamp for the last update of the template.
+ */
+const assignmentTemplateSchema = new Schema({
+  name: { type: String, required: true },
+  s_id: { type: Schema.Types.ObjectId, ref: 'Subject', required: true },
+  uid: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  category_id: { type: Schema.Types.ObjectId, default: null },
+  recurrence: { type: recurrenceSchema, required: true },
+  timezone: { type: String, required: true },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+});
+
+assignmentTemplateSchema.plugin(auditTrail);
+
+const AssignmentTemplate = mongoose.model('AssignmentTemplate', assignmentTemplateSchema);
+export default AssignmentTemplate;
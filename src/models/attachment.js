@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import auditTrail from './plugins/auditTrail.js';
+import storage from '../services/storage/index.js';
+const Schema = mongoose.Schema;
+
+// Stored files of the attachments matched by a delete, carried from the pre to the post hook
+const STORED_FILES = Symbol('storedFiles');
+
+// Stored files of attachments deleted in a transaction, kept on its session until it commits
+const PENDING_FILES = Symbol('pendingFiles');
+
+// Remove stored files; files that cannot be removed are left behind rather than failing the caller
+const removeStoredFiles = (files) => Promise.all(files.map(async ({ storage_driver: driver, storage_key: key }) => {
+  try {
+    await storage.getDriver(driver).remove(key);
+  } catch (error) {
+    console.error('Failed to remove stored file:', key, error.message);
+  }
+}));
+
+/**
+ * Attachment schema for MongoDB.
+ * Represents a file attached to an assignment: its brief or the work submitted for it.
+ * The content lives in file storage (see services/storage); the document holds its metadata.
+ *
+ * @typedef {Object} Attachment
+ * @property {Schema.Types.ObjectId} a_id - Reference to the Assignment, required.
+ * @property {Schema.Types.ObjectId} uid - Reference to the User owning the assignment, required.
+ * @property {Schema.Types.ObjectId} uploaded_by - Reference to the User who uploaded the file (optional).
+ * @property {string} kind - What the file is: 'brief' or 'submission' (default).
+ * @property {string} file_name - Name of the file as uploaded, required.
+ * @property {string} content_type - MIME type of the file, required.
+ * @property {number} size - Size of the file in bytes, required.
+ * @property {string} checksum - SHA-256 of the content, as hex, required.
+ * @property {string} storage_driver - Storage driver holding the content (e.g. 'local'), required.
+ * @property {string} storage_key - Key of the content in that storage, required.
+ * @property {Date} created_at - Timestamp for when the file was uploaded.
+ */
+const attachmentSchema = new Schema({
+  a_id: { type: Schema.Types.ObjectId, ref: 'Assignment', required: true, index: true },
+  uid: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  uploaded_by: { type: Schema.Types.ObjectId, ref: 'User' },
+  kind: { type: String, enum: ['brief', 'submission'], default: 'submission' },
+  file_name: { type: String, required: true },
+  content_type: { type: String, required: true },
+  size: { type: Number, required: true },
+  checksum: { type: String, required: true },
+  storage_driver: { type: String, required: true },
+  storage_key: { type: String, required: true },
+  created_at: { type: Date, default: Date.now },
+});
+
+attachmentSchema.plugin(auditTrail);
+
+/**
+ * Middleware removing the stored files of deleted attachments, once their documents are gone.
+ * Files that cannot be removed are left behind rather than failing the delete.
+ * Inside a transaction the documents come back if it aborts, so their files are only removed
+ * by `Attachment.removeFilesAfterCommit(session)` once it has committed.
+ */
+attachmentSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, async function () {
+  const session = this.getOptions().session || null;
+  this[STORED_FILES] = await this.model.find(this.getFilter()).select('storage_driver storage_key').session(session).lean();
+});
+
+attachmentSchema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, async function () {
+  const files = this[STORED_FILES] || [];
+  const session = this.getOptions().session;
+  if (session && session.inTransaction()) {
+    session[PENDING_FILES] = [...(session[PENDING_FILES] || []), ...files];
+    return;
+  }
+  await removeStoredFiles(files);
+});
+
+/**
+ * Remove the stored files of the attachments deleted in a transaction, once it has committed.
+ * Call it after `session.withTransaction` resolves; after an abort the files are simply never removed.
+ *
+ * @async
+ * @function removeFilesAfterCommit
+ * @param {ClientSession} session - The session the transaction ran in.
+ * @returns {Promise<void>}
+ */
+attachmentSchema.statics.removeFilesAfterCommit = async function removeFilesAfterCommit(session) {
+  const files = session[PENDING_FILES] || [];
+  session[PENDING_FILES] = [];
+  await removeStoredFiles(files);
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+export default Attachment;
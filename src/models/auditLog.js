@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * AuditLog schema for MongoDB.
+ * Represents one change to a record (see the auditTrail plugin): who made it, what changed and from which request.
+ *
+ * @typedef {Object} AuditLog
+ * @property {Schema.Types.ObjectId} actor - Reference to the User who made the change, null for background jobs.
+ * @property {string} actor_role - Role of the actor at the time of the change (optional).
+ * @property {string} action - The kind of change, must be one of 'create', 'update', 'delete' or 'restore', required.
+ * @property {string} entity_type - Model name of the changed record, e.g. 'Grade', required.
+ * @property {Schema.Types.ObjectId} entity_id - ID of the changed record, required.
+ * @property {Schema.Types.ObjectId} owner - Reference to the User owning the changed record (optional).
+ * @property {Object} changes - Changed fields, as `{ field: { from, to } }`.
+ * @property {string} request_id - ID of the request that made the change (optional).
+ * @property {string} method - HTTP method of the request (optional).
+ * @property {string} path - URL of the request (optional).
+ * @property {string} ip - IP address of the request (optional).
+ * @property {string} user_agent - User agent of the request (optional).
+ * @property {Date} created_at - Timestamp for when the change was made.
+ */
+const auditLogSchema = new Schema({
+  actor: { type: Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  actor_role: { type: String },
+  action: { type: String, enum: ['create', 'update', 'delete', 'restore'], required: true },
+  entity_type: { type: String, required: true },
+  entity_id: { type: Schema.Types.ObjectId, required: true },
+  owner: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+  changes: { type: Schema.Types.Mixed, default: {} },
+  request_id: { type: String },
+  method: { type: String },
+  path: { type: String },
+  ip: { type: String },
+  user_agent: { type: String },
+  created_at: { type: Date, default: Date.now, index: true },
+});
+
+auditLogSchema.index({ entity_type: 1, entity_id: 1, created_at: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import auditTrail from './plugins/auditTrail.js';
 const Schema = mongoose.Schema;
 
 /**
@@ -15,6 +17,7 @@ const Schema = mongoose.Schema;
  * @property {string} relatedModel - Name of the related model, must be one of 'Subject', 'Grade', 'Assignment', or 'User' (optional).
  * @property {Date} created_at - Timestamp for when the event was added.
  * @property {Date} updated_at - Timestamp for the last update of the event.
+ * @property {Date} deleted_at - Timestamp for when the event was moved to the trash, null while it is live.
  */
 const eventSchema = new Schema({
   name: { type: String, required: true }, 
@@ -28,5 +31,8 @@ const eventSchema = new Schema({
   updated_at: { type: Date, default: Date.now }, 
 });
 
+eventSchema.plugin(softDelete);
+eventSchema.plugin(auditTrail, { ownerField: 'user_id' });
+
 const Event = mongoose.model('Event', eventSchema);
 export default Event;
\ No newline at end of file
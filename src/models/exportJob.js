@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * ExportJob schema for MongoDB.
+ * Represents a request by a user for an archive of all their data, built in the background.
+ *
+ * @typedef {Object} ExportJob
+ * @property {Schema.Types.ObjectId} uid - Reference to the User whose data is exported, required.
+ * @property {string} status - Job status, one of 'pending', 'running', 'completed' or 'failed' (default: 'pending').
+ * @property {string} file_name - Name of the archive file in the export directory, once completed.
+ * @property {number} file_size - Size of the archive in bytes, once completed.
+ * @property {Object} counts - Number of records exported per collection, once completed.
+ * @property {string} error - Why the job failed (optional).
+ * @property {Date} created_at - Timestamp for when the export was requested.
+ * @property {Date} completed_at - Timestamp for when the archive was ready (optional).
+ * @property {Date} expires_at - Timestamp after which the archive is deleted, required.
+ */
+const exportJobSchema = new Schema({
+  uid: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  status: { type: String, enum: ['pending', 'running', 'completed', 'failed'], default: 'pending' },
+  file_name: { type: String },
+  file_size: { type: Number },
+  counts: { type: Schema.Types.Mixed },
+  error: { type: String },
+  created_at: { type: Date, default: Date.now },
+  completed_at: { type: Date },
+  expires_at: { type: Date, required: true },
+});
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+export default ExportJob;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import auditTrail from './plugins/auditTrail.js';
+import GradeRevision from './gradeRevision.js';
 const Schema = mongoose.Schema;
 
 /**
@@ -15,6 +18,7 @@ const Schema = mongoose.Schema;
  * @property {Date} date - The date when the grade was recorded (default is current date).
  * @property {Date} created_at - Timestamp for when the grade was added.
  * @property {Date} updated_at - Timestamp for the last update of the grade.
+ * @property {Date} deleted_at - Timestamp for when the grade was moved to the trash, null while it is live.
  */
 const gradeSchema = new Schema({
   grade: { type: Number, required: true }, 
@@ -28,6 +32,19 @@ const gradeSchema = new Schema({
   updated_at: { type: Date, default: Date.now }, 
 });
 
+gradeSchema.plugin(softDelete);
+gradeSchema.plugin(auditTrail);
+
+/**
+ * Middleware removing the revision history of grades that are permanently deleted
+ * (trash purge or account deletion). Moving a grade to the trash keeps its history.
+ */
+gradeSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, async function () {
+  const session = this.getOptions().session || null;
+  const ids = await this.model.find(this.getFilter()).setOptions({ withDeleted: true }).session(session).distinct('_id');
+  await GradeRevision.deleteMany({ grade_id: { $in: ids } }).session(session);
+});
+
 const Grade = mongoose.model('Grade', gradeSchema);
 
 export default Grade;
\ No newline at end of file
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * GradeRevision schema for MongoDB.
+ * Represents one version of a grade: the values it had after a change, who made the change and what changed.
+ * Revisions are numbered from 1 per grade and are only removed when the grade is permanently deleted.
+ *
+ * @typedef {Object} GradeRevision
+ * @property {Schema.Types.ObjectId} grade_id - Reference to the Grade, required.
+ * @property {number} revision - Revision number, starting at 1 for each grade, required.
+ * @property {string} change - What produced the revision: 'create', 'update' or 'rollback', required.
+ * @property {number} restored_revision - For rollbacks, the revision whose values were restored (optional).
+ * @property {number} grade - The grade value at this revision.
+ * @property {number} outOf - The total possible points at this revision.
+ * @property {Schema.Types.ObjectId} s_id - Reference ID to the Subject at this revision (optional).
+ * @property {Schema.Types.ObjectId} a_id - Reference ID to the Assignment at this revision (optional).
+ * @property {string} notes - The notes at this revision (optional).
+ * @property {Date} date - The date the grade was recorded, at this revision (optional).
+ * @property {Object} changes - Fields changed from the previous revision, as `{ field: { from, to } }`.
+ * @property {Schema.Types.ObjectId} changed_by - Reference to the User who made the change, null when unknown.
+ * @property {Date} created_at - Timestamp for when the change was made.
+ */
+const gradeRevisionSchema = new Schema({
+  grade_id: { type: Schema.Types.ObjectId, ref: 'Grade', required: true },
+  revision: { type: Number, required: true },
+  change: { type: String, enum: ['create', 'update', 'rollback'], required: true },
+  restored_revision: { type: Number },
+  grade: { type: Number },
+  outOf: { type: Number },
+  s_id: { type: Schema.Types.ObjectId, ref: 'Subject' },
+  a_id: { type: Schema.Types.ObjectId, ref: 'Assignment' },
+  notes: { type: String },
+  date: { type: Date },
+  changes: { type: Schema.Types.Mixed, default: {} },
+  changed_by: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+  created_at: { type: Date, default: Date.now },
+});
+
+gradeRevisionSchema.index({ grade_id: 1, revision: 1 }, { unique: true });
+
+const GradeRevision = mongoose.model('GradeRevision', gradeRevisionSchema);
+export default GradeRevision;
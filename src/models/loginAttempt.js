@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * LoginAttempt schema for MongoDB.
+ * Failed sign-in counter for one account email or client IP, used by the login throttle.
+ *
+ * @typedef {Object} LoginAttempt
+ * @property {string} key - What is being counted, e.g. 'email:jane@example.com' or 'ip:203.0.113.7', unique, required.
+ * @property {number} failures - Number of consecutive failed sign-ins.
+ * @property {Date} blocked_until - Sign-in is refused for this key until this time (null when not blocked).
+ * @property {boolean} locked - Whether the block is a lockout after reaching the failure threshold.
+ * @property {Date} expires_at - Timestamp after which the counter is forgotten, required.
+ * @property {Date} updated_at - Timestamp for the last failed attempt.
+ */
+const loginAttemptSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  blocked_until: { type: Date, default: null },
+  locked: { type: Boolean, default: false },
+  expires_at: { type: Date, required: true },
+  updated_at: { type: Date, default: Date.now },
+});
+
+// Let MongoDB forget counters once they have expired
+loginAttemptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+export default LoginAttempt;
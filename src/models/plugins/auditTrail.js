@@ -0,0 +1,99 @@
+import auditService from '../../services/auditService.js';
+import requestContext from '../../services/requestContext.js';
+
+// Query state carried from the pre to the post hook
+const AUDIT_STATE = Symbol('audit');
+
+/**
+ * Name the change between two versions of a record. Moving a record in or out of the
+ * trash (see the softDelete plugin) is reported as a delete or a restore.
+ *
+ * @function actionFor
+ * @param {Object} before - The record before the change.
+ * @param {Object} after - The record after the change.
+ * @returns {string} 'delete', 'restore' or 'update'.
+ */
+const actionFor = (before, after) => {
+  const wasDeleted = Boolean(before && before.deleted_at);
+  const isDeleted = Boolean(after && after.deleted_at);
+  if (!wasDeleted && isDeleted) {
+    return 'delete';
+  }
+  if (wasDeleted && !isDeleted) {
+    return 'restore';
+  }
+  return 'update';
+};
+
+/**
+ * Mongoose plugin writing an AuditLog entry for every create, update and delete of a record.
+ *
+ * Covers `save`, `findOneAndUpdate` (and so `findByIdAndUpdate`, soft deletion and restore)
+ * and `findOneAndDelete`. Bulk operations (`updateMany`, `deleteMany`), as used by the trash
+ * purge and account deletion, are not logged per record.
+ * The actor and request metadata come from the request context; changes made outside of a
+ * request are logged without an actor. Apply after the softDelete plugin.
+ *
+ * @function auditTrail
+ * @param {Schema} schema - The schema to extend.
+ * @param {Object} [options] - Plugin options.
+ * @param {string} [options.ownerField='uid'] - Field of the document holding the owner's user ID.
+ * @returns {void}
+ */
+const auditTrail = (schema, { ownerField = 'uid' } = {}) => {
+  const log = (Model, action, before, after, context) => {
+    const changes = auditService.diff(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) {
+      return null;
+    }
+    const record = after || before;
+    return auditService.record({
+      ...context,
+      action,
+      entity_type: Model.modelName,
+      entity_id: record._id,
+      owner: record[ownerField],
+      changes,
+    });
+  };
+
+  const loadRecord = (Model, filter, session) => Model.findOne(filter).setOptions({ withDeleted: true }).session(session || null).lean();
+
+  schema.pre('save', async function captureBeforeSave() {
+    const context = requestContext.current();
+    const before = this.isNew ? null : await loadRecord(this.constructor, { _id: this._id }, this.$session());
+    this.$locals[AUDIT_STATE] = { context, before };
+  });
+
+  schema.post('save', async function logSave(doc) {
+    const { context, before } = doc.$locals[AUDIT_STATE] || {};
+    delete doc.$locals[AUDIT_STATE];
+    const after = doc.toObject({ depopulate: true });
+    await log(doc.constructor, before ? actionFor(before, after) : 'create', before, after, context);
+  });
+
+  schema.pre(['findOneAndUpdate', 'findOneAndDelete'], async function captureBeforeQuery() {
+    const context = requestContext.current();
+    const before = await loadRecord(this.model, this.getFilter(), this.getOptions().session);
+    this[AUDIT_STATE] = { context, before };
+  });
+
+  schema.post('findOneAndUpdate', async function logUpdate(result) {
+    const { context, before } = this[AUDIT_STATE] || {};
+    const id = (before && before._id) || (result && result._id);
+    if (!id) {
+      return;
+    }
+    const after = await loadRecord(this.model, { _id: id }, this.getOptions().session);
+    await log(this.model, before ? actionFor(before, after) : 'create', before, after, context);
+  });
+
+  schema.post('findOneAndDelete', async function logDelete() {
+    const { context, before } = this[AUDIT_STATE] || {};
+    if (before) {
+      await log(this.model, 'delete', before, null, context);
+    }
+  });
+};
+
+export default auditTrail;
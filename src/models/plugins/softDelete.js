@@ -0,0 +1,70 @@
+/**
+ * Mongoose plugin adding soft deletion to a schema.
+ *
+ * - Adds a `deleted_at` timestamp (null while the record is live).
+ * - find/findOne/findOneAndUpdate/count/update queries and aggregations skip soft-deleted records,
+ *   unless the filter mentions `deleted_at` itself or the query is run with `.withDeleted()`.
+ * - Adds `Model.softDeleteById(id)` and `Model.restoreById(id)`.
+ *
+ * Delete operations (deleteOne, deleteMany, findOneAndDelete) are not filtered: they remove
+ * records permanently, trashed or not.
+ *
+ * @function softDelete
+ * @param {Schema} schema - The schema to extend.
+ * @returns {void}
+ */
+const softDelete = (schema) => {
+  schema.add({ deleted_at: { type: Date, default: null, index: true } });
+
+  const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'];
+
+  schema.pre(FILTERED_QUERIES, function hideDeleted() {
+    if (this.getOptions().withDeleted) {
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted_at')) {
+      this.where({ deleted_at: null });
+    }
+  });
+
+  schema.pre('aggregate', function hideDeleted() {
+    if (this.options.withDeleted) {
+      return;
+    }
+    const [first] = this.pipeline();
+    if (!first || !first.$match || !Object.prototype.hasOwnProperty.call(first.$match, 'deleted_at')) {
+      this.pipeline().unshift({ $match: { deleted_at: null } });
+    }
+  });
+
+  /**
+   * Include soft-deleted records in this query.
+   *
+   * @returns {Query} The query.
+   */
+  schema.query.withDeleted = function withDeleted() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  /**
+   * Move a record to the trash.
+   *
+   * @param {string} id - ID of the record.
+   * @returns {Promise<Object|null>} The trashed record, or null when it does not exist or is already trashed.
+   */
+  schema.statics.softDeleteById = function softDeleteById(id) {
+    return this.findOneAndUpdate({ _id: id, deleted_at: null }, { deleted_at: new Date() }, { new: true });
+  };
+
+  /**
+   * Take a record out of the trash.
+   *
+   * @param {string} id - ID of the record.
+   * @returns {Promise<Object|null>} The restored record, or null when it is not in the trash.
+   */
+  schema.statics.restoreById = function restoreById(id) {
+    return this.findOneAndUpdate({ _id: id, deleted_at: { $ne: null } }, { deleted_at: null }, { new: true });
+  };
+};
+
+export default softDelete;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * RefreshToken schema for MongoDB.
+ * Represents one refresh token of a sign-in session. Every refresh rotates the token:
+ * the presented token is marked as used and a new one is issued in the same family.
+ * Presenting a used token again means it was stolen, so the whole family is revoked.
+ *
+ * @typedef {Object} RefreshToken
+ * @property {Schema.Types.ObjectId} uid - Reference to the User the session belongs to, required.
+ * @property {string} family_id - Identifier shared by every token of the same sign-in session, required.
+ * @property {string} token_hash - SHA-256 hash of the raw refresh token, unique, required.
+ * @property {Date} expires_at - Timestamp after which the token can no longer be used, required.
+ * @property {Date} used_at - Timestamp for when the token was exchanged (null while unused).
+ * @property {string} replaced_by - Hash of the token issued in exchange for this one (optional).
+ * @property {Date} revoked_at - Timestamp for when the token was revoked (null while valid).
+ * @property {string} revoked_reason - Why the token was revoked (optional).
+ * @property {string} ip - IP address the token was issued to (optional).
+ * @property {string} user_agent - User agent the token was issued to (optional).
+ * @property {Date} created_at - Timestamp for when the token was issued.
+ */
+const refreshTokenSchema = new Schema({
+  uid: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  family_id: { type: String, required: true, index: true },
+  token_hash: { type: String, required: true, unique: true },
+  expires_at: { type: Date, required: true },
+  used_at: { type: Date, default: null },
+  replaced_by: { type: String },
+  revoked_at: { type: Date, default: null },
+  revoked_reason: { type: String },
+  ip: { type: String },
+  user_agent: { type: String },
+  created_at: { type: Date, default: Date.now },
+});
+
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+export default RefreshToken;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * RevokedToken schema for MongoDB.
+ * Revocation list of access tokens (by JWT ID) that must be refused before they expire.
+ *
+ * @typedef {Object} RevokedToken
+ * @property {string} jti - The JWT ID of the revoked access token, unique, required.
+ * @property {Schema.Types.ObjectId} uid - Reference to the User the token was issued to (optional).
+ * @property {string} reason - Why the token was revoked (optional).
+ * @property {Date} expires_at - Expiry of the revoked token; the entry is dropped after this, required.
+ * @property {Date} created_at - Timestamp for when the token was revoked.
+ */
+const revokedTokenSchema = new Schema({
+  jti: { type: String, required: true, unique: true },
+  uid: { type: Schema.Types.ObjectId, ref: 'User' },
+  reason: { type: String },
+  expires_at: { type: Date, required: true },
+  created_at: { type: Date, default: Date.now },
+});
+
+// Entries are only needed until the token would have expired anyway
+revokedTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+export default RevokedToken;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * SecurityEvent schema for MongoDB.
+ * Represents an entry in a user's security history (password, email, role and account status changes).
+ *
+ * @typedef {Object} SecurityEvent
+ * @property {Schema.Types.ObjectId} uid - Reference to the User the event concerns, required.
+ * @property {string} type - The kind of event, must be one of 'password_changed', 'password_reset',
+ * 'email_change_requested', 'email_changed', 'role_changed', 'account_suspended', 'account_reactivated', 'account_locked', 'account_unlocked', 'two_factor_enabled', 'two_factor_disabled',
+ * 'recovery_codes_regenerated' or 'recovery_code_used', required.
+ * @property {string} ip - IP address of the request that caused the event (optional).
+ * @property {string} user_agent - User agent of the request that caused the event (optional).
+ * @property {Object} details - Extra information about the event (optional).
+ * @property {Date} created_at - Timestamp for when the event happened.
+ */
+const securityEventSchema = new Schema({
+  uid: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: {
+    type: String,
+    enum: [
+      'password_changed',
+      'password_reset',
+      'email_change_requested',
+      'email_changed',
+      'role_changed',
+      'account_suspended',
+      'account_reactivated',
+      'account_locked',
+      'account_unlocked',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'recovery_codes_regenerated',
+      'recovery_code_used',
+    ],
+    required: true,
+  },
+  ip: { type: String },
+  user_agent: { type: String },
+  details: { type: Schema.Types.Mixed },
+  created_at: { type: Date, default: Date.now },
+});
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+export default SecurityEvent;
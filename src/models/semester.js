@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import auditTrail from './plugins/auditTrail.js';
 const Schema = mongoose.Schema;
 
 /**
@@ -12,6 +14,7 @@ const Schema = mongoose.Schema;
  * @property {Schema.Types.ObjectId} uid - Reference to the User who created this entry, required.
  * @property {Date} created_at - Timestamp for when the semester was added.
  * @property {Date} updated_at - Timestamp for the last update.
+ * @property {Date} deleted_at - Timestamp for when the semester was moved to the trash, null while it is live.
  */
 const semesterSchema = new Schema({
   title: { type: String, default: "" }, 
@@ -38,5 +41,8 @@ semesterSchema.pre('save', async function (next) {
   next();
 });
 
+semesterSchema.plugin(softDelete);
+semesterSchema.plugin(auditTrail);
+
 const Semester = mongoose.model('Semester', semesterSchema);
 export default Semester;
@@ -1,6 +1,14 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import auditTrail from './plugins/auditTrail.js';
 const Schema = mongoose.Schema;
 
+// A part of a subject's final mark, e.g. 'Midterm' worth 25%. Assignments refer to it by its _id.
+const gradingCategorySchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  weight: { type: Number, required: true, min: 0, max: 100 },
+});
+
 /**
  * Subject schema for MongoDB.
  * Represents a subject in the application.
@@ -12,8 +20,13 @@ const Schema = mongoose.Schema;
  * @property {Schema.Types.ObjectId} t_uid - Reference to the Teacher for this subject (optional).
  * @property {Schema.Types.ObjectId} semester_id - Reference to the Semester/Term for this subject (optional).
  * @property {string} room - The room name or number for the subject (optional).
+ * @property {number} credits - Credit weight of the subject in GPA calculations (default: 1).
+ * @property {Object[]} gradingCategories - How the final mark is made up, e.g. Assignments 30%, Final 70% (optional).
+ * @property {string} gradingCategories.name - Name of the category, required.
+ * @property {number} gradingCategories.weight - Share of the final mark in percent, required.
  * @property {Date} created_at - Timestamp for when the subject was added.
  * @property {Date} updated_at - Timestamp for the last update.
+ * @property {Date} deleted_at - Timestamp for when the subject was moved to the trash, null while it is live.
  */
 const subjectSchema = new Schema({
   subjectTitle: { type: String, required: true }, 
@@ -22,9 +35,14 @@ const subjectSchema = new Schema({
   t_uid: { type: Schema.Types.ObjectId, ref: 'Teacher', required: false }, 
   semester_id: { type: Schema.Types.ObjectId, ref: 'Semester', required: false }, 
   room: { type: String }, 
+  credits: { type: Number, min: 0, default: 1 },
+  gradingCategories: { type: [gradingCategorySchema], default: [] },
   created_at: { type: Date, default: Date.now }, 
   updated_at: { type: Date, default: Date.now }, 
 });
 
+subjectSchema.plugin(softDelete);
+subjectSchema.plugin(auditTrail);
+
 const Subject = mongoose.model('Subject', subjectSchema);
 export default Subject;
\ No newline at end of file
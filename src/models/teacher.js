@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import auditTrail from './plugins/auditTrail.js';
 const Schema = mongoose.Schema;
 
 /**
@@ -13,6 +15,7 @@ const Schema = mongoose.Schema;
  * @property {Schema.Types.ObjectId} uid - Reference to the User who created this entry, required.
  * @property {Date} created_at - Timestamp for when the teacher was added.
  * @property {Date} updated_at - Timestamp for the last update.
+ * @property {Date} deleted_at - Timestamp for when the teacher was moved to the trash, null while it is live.
  */
 const teacherSchema = new Schema({
   first_name: { type: String, required: true }, // Teacher's first name
@@ -24,5 +27,8 @@ const teacherSchema = new Schema({
   updated_at: { type: Date, default: Date.now }, // Timestamp for the last update
 });
 
+teacherSchema.plugin(softDelete);
+teacherSchema.plugin(auditTrail);
+
 const Teacher = mongoose.model('Teacher', teacherSchema);
 export default Teacher;
\ No newline at end of file
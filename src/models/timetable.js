@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import auditTrail from './plugins/auditTrail.js';
 const Schema = mongoose.Schema;
 
 /**
@@ -16,6 +18,7 @@ const Schema = mongoose.Schema;
  * @property {Schema.Types.ObjectId} uid - Reference to the User who created this timetable entry, required.
  * @property {Date} created_at - Timestamp for when the timetable entry was added.
  * @property {Date} updated_at - Timestamp for the last update of the timetable entry.
+ * @property {Date} deleted_at - Timestamp for when the timetable entry was moved to the trash, null while it is live.
  */
 const timeTableSchema = new Schema({
   subject_id: { type: Schema.Types.ObjectId, ref: 'Subject', required: true }, // Reference to the Subject
@@ -30,5 +33,8 @@ const timeTableSchema = new Schema({
   updated_at: { type: Date, default: Date.now }, // Timestamp for the last update
 });
 
+timeTableSchema.plugin(softDelete);
+timeTableSchema.plugin(auditTrail);
+
 const TimeTable = mongoose.model('TimeTable', timeTableSchema);
 export default TimeTable;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { ROLES } from '../config/permissions.js';
+import userSerializer from '../services/userSerializer.js';
 const Schema = mongoose.Schema;
 
 /**
@@ -11,7 +13,17 @@ const Schema = mongoose.Schema;
  * @property {string} lastName - The user's last name, required.
  * @property {string} email - The user's email address, must be unique and valid, required.
  * @property {string} password - The user's password, required.
- * @property {string} role - The user's role (default: 'student'), required.
+ * @property {string} role - The user's role, must be one of 'student', 'teacher' or 'admin' (default: 'student'), required.
+ * @property {string} status - Account status, one of 'unverified', 'active' or 'suspended' (default: 'active').
+ * @property {Date} emailVerifiedAt - Timestamp for when the user verified their email address (optional).
+ * @property {Date} tokensRevokedAt - Access tokens issued before this timestamp are refused (optional).
+ * @property {Object} twoFactor - TOTP two-factor authentication settings.
+ * @property {boolean} twoFactor.enabled - Whether sign-in requires a second factor (default: false).
+ * @property {string} twoFactor.secret - Base32 TOTP secret of the active enrolment (optional).
+ * @property {string} twoFactor.pendingSecret - Base32 secret awaiting its first code to activate (optional).
+ * @property {string[]} twoFactor.recoveryCodes - SHA-256 hashes of the unused recovery codes.
+ * @property {number} twoFactor.lastUsedStep - Time step of the last accepted code, so codes cannot be replayed (optional).
+ * @property {Date} twoFactor.enabledAt - Timestamp for when two-factor authentication was activated (optional).
  * @property {Date} created_at - Timestamp for when the user was created.
  * @property {Date} updated_at - Timestamp for when the user was last updated.
  */
@@ -29,10 +41,26 @@ const UserSchema = new Schema({
     type: String,
     required: true,
   },
-  role: { type: String, default: 'student', required: true },
+  role: { type: String, enum: ROLES, default: 'student', required: true },
+  status: { type: String, enum: ['unverified', 'active', 'suspended'], default: 'active' },
+  emailVerifiedAt: { type: Date },
+  tokensRevokedAt: { type: Date },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String },
+    pendingSecret: { type: String },
+    recoveryCodes: { type: [String], default: undefined },
+    lastUsedStep: { type: Number },
+    enabledAt: { type: Date },
+  },
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now },
 });
 
+// Never serialize secrets, wherever a user appears (including populated references)
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => userSerializer.sanitizeUser(ret),
+});
+
 const User = mongoose.model('User', UserSchema);
 export default User;
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { GRADING_SCALES } from '../config/gradingScales.js';
 const Schema = mongoose.Schema;
 
 /**
@@ -15,6 +16,8 @@ const Schema = mongoose.Schema;
  * @property {string} language - Language preference for the user. Defaults to 'en'.
  * @property {Object} privacy - Privacy settings for the user.
  * @property {string} privacy.profileVisibility - Profile visibility, must be one of 'public', 'private', or 'friends'. Defaults to 'public'.
+ * @property {string} gradingScale - ID of the grading scale for GPA calculations (see config/gradingScales.js). Defaults to null, the institution's scale.
+ * @property {string} timezone - IANA time zone of the user (e.g. 'America/Toronto'), deciding when their days start. Defaults to null, the server's `DEFAULT_TIMEZONE`.
  * @property {Date} created_at - Timestamp for when the settings were created.
  * @property {Date} updated_at - Timestamp for the last update of the settings.
  */
@@ -30,6 +33,8 @@ const userSettingsSchema = new Schema({
   privacy: {
     profileVisibility: { type: String, enum: ['public', 'private', 'friends'], default: 'public' }, 
   },
+  gradingScale: { type: String, enum: [...Object.keys(GRADING_SCALES), null], default: null },
+  timezone: { type: String, default: null },
   created_at: { type: Date, default: Date.now }, 
   updated_at: { type: Date, default: Date.now }, 
 });
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+/**
+ * UserToken schema for MongoDB.
+ * Represents a single-use, expiring token sent to a user (e.g. an email verification or password reset link).
+ * Only a SHA-256 hash of the token is stored; the raw value is only ever sent to the user.
+ *
+ * @typedef {Object} UserToken
+ * @property {Schema.Types.ObjectId} uid - Reference to the User the token was issued to, required.
+ * @property {string} type - The purpose of the token, must be 'email_verification', 'password_reset',
+ * 'email_change' or 'account_unlock', required.
+ * @property {string} token_hash - SHA-256 hash of the raw token, unique, required.
+ * @property {Object} payload - Extra data bound to the token, e.g. the new address of an email change (optional).
+ * @property {Date} expires_at - Timestamp after which the token can no longer be used, required.
+ * @property {Date} used_at - Timestamp for when the token was consumed (null while unused).
+ * @property {Date} created_at - Timestamp for when the token was issued.
+ */
+const userTokenSchema = new Schema({
+  uid: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['email_verification', 'password_reset', 'email_change', 'account_unlock'], required: true },
+  token_hash: { type: String, required: true, unique: true },
+  payload: { type: Schema.Types.Mixed },
+  expires_at: { type: Date, required: true },
+  used_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now },
+});
+
+// Let MongoDB remove tokens once they have expired
+userTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+export default UserToken;
@@ -0,0 +1,148 @@
+import express from 'express';
+import auth from '../controllers/authController.js';
+import analyticsCtrl from '../controllers/analyticsController.js';
+
+const analyticsRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AnalyticsFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Only grades dated at or after this date
+ *     AnalyticsTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Only grades dated at or before this date
+ *     AnalyticsSubject:
+ *       in: query
+ *       name: subjectId
+ *       schema:
+ *         type: string
+ *       description: Only grades of this subject
+ *     AnalyticsSemester:
+ *       in: query
+ *       name: semesterId
+ *       schema:
+ *         type: string
+ *       description: Only grades of subjects in this semester
+ */
+
+// Route to get a user's grade trend per subject
+/**
+ * @swagger
+ * /api/analytics/user/{userId}/trend:
+ *   get:
+ *     summary: Get a user's grade percentages over time per subject, with a moving average
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsSubject'
+ *       - $ref: '#/components/parameters/AnalyticsSemester'
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Number of grades the moving average is taken over (default 3)
+ *     responses:
+ *       200:
+ *         description: The window and, per subject, its grades in date order with their percentage and moving average
+ *       400:
+ *         description: Invalid filters
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+analyticsRouter.get('/api/analytics/user/:userId/trend', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), analyticsCtrl.getTrend);
+
+// Route to compare a user's subjects
+/**
+ * @swagger
+ * /api/analytics/user/{userId}/subjects:
+ *   get:
+ *     summary: Compare a user's subjects with each other and with their target grades
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsSubject'
+ *       - $ref: '#/components/parameters/AnalyticsSemester'
+ *     responses:
+ *       200:
+ *         description: The subjects from best to worst (percentage weighted by grading category as in the standing, highest and lowest grade, difference from the target), and the best and worst subject
+ *       400:
+ *         description: Invalid filters
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+analyticsRouter.get('/api/analytics/user/:userId/subjects', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), analyticsCtrl.getSubjectComparison);
+
+// Route to get a histogram of a user's grades
+/**
+ * @swagger
+ * /api/analytics/user/{userId}/distribution:
+ *   get:
+ *     summary: Get a histogram of a user's grade percentages
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsSubject'
+ *       - $ref: '#/components/parameters/AnalyticsSemester'
+ *       - in: query
+ *         name: bucketSize
+ *         schema:
+ *           type: integer
+ *           enum: [5, 10, 20, 25, 50]
+ *         description: Width of a band in percentage points (default 10)
+ *     responses:
+ *       200:
+ *         description: The number of grades, their mean percentage and the count in every band
+ *       400:
+ *         description: Invalid filters or bucket size
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+analyticsRouter.get('/api/analytics/user/:userId/distribution', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), analyticsCtrl.getDistribution);
+
+export default analyticsRouter;
@@ -1,6 +1,8 @@
 import express from 'express';
 import auth from '../controllers/authController.js';
 import assignmentCtrl from '../controllers/assignmentController.js';
+import trashCtrl from '../controllers/trashController.js';
+import Assignment from '../models/assignment.js';
 
 const assignmentRouter = express.Router();
 
@@ -24,10 +26,12 @@ const assignmentRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Assignment'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-assignmentRouter.post('/api/assignment', auth.requireSignin, assignmentCtrl.createAssignment);
+assignmentRouter.post('/api/assignment', auth.requireSignin, auth.assignOwner(), assignmentCtrl.createAssignment);
 
 // Route to get a specific assignment by ID
 /**
@@ -50,6 +54,8 @@ assignmentRouter.post('/api/assignment', auth.requireSignin, assignmentCtrl.crea
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Assignment'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Assignment not found
  *       500:
@@ -77,6 +83,8 @@ assignmentRouter.post('/api/assignment', auth.requireSignin, assignmentCtrl.crea
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Assignment'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Assignment not found
  *       500:
@@ -94,15 +102,99 @@ assignmentRouter.post('/api/assignment', auth.requireSignin, assignmentCtrl.crea
  *     responses:
  *       200:
  *         description: Assignment deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Assignment not found
  *       500:
  *         description: Server error
  */
 assignmentRouter.route('/api/assignments/:id')
-  .get(auth.requireSignin, assignmentCtrl.getAssignmentById)
-  .put(auth.requireSignin, assignmentCtrl.updateAssignment)
-  .delete(auth.requireSignin, assignmentCtrl.deleteAssignment);
+  .get(auth.requireSignin, auth.requireOwnership(Assignment), assignmentCtrl.getAssignmentById)
+  .put(auth.requireSignin, auth.requireOwnership(Assignment), assignmentCtrl.updateAssignment)
+  .delete(auth.requireSignin, auth.requireOwnership(Assignment), assignmentCtrl.deleteAssignment);
+
+// Route to restore a assignment from the trash
+/**
+ * @swagger
+ * /api/assignments/{id}/restore:
+ *   post:
+ *     summary: Restore a assignment from the trash
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The assignment ID
+ *     responses:
+ *       200:
+ *         description: The restored assignment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assignment'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment not found in trash
+ *       500:
+ *         description: Server error
+ */
+assignmentRouter.post('/api/assignments/:id/restore', auth.requireSignin, auth.requireOwnership(Assignment, { withDeleted: true }), trashCtrl.restoreRecord(Assignment, 'Assignment'));
+
+// Route to change the status of an assignment
+/**
+ * @swagger
+ * /api/assignments/{id}/status:
+ *   patch:
+ *     summary: Change the status of an assignment
+ *     description: >
+ *       Allowed changes: not_started to in_progress, submitted, late or excused; in_progress to not_started,
+ *       submitted, late or excused; late to in_progress, submitted or excused; submitted to in_progress, graded
+ *       or excused; graded to submitted; excused to not_started. Only an assignment past its due date can be late.
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The assignment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [not_started, in_progress, submitted, graded, late, excused]
+ *               note:
+ *                 type: string
+ *                 description: Why the status changed
+ *     responses:
+ *       200:
+ *         description: The updated assignment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assignment'
+ *       400:
+ *         description: Unknown status
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment not found
+ *       409:
+ *         description: The change is not allowed from the current status
+ *       500:
+ *         description: Server error
+ */
+assignmentRouter.patch('/api/assignments/:id/status', auth.requireSignin, auth.requireOwnership(Assignment), assignmentCtrl.updateAssignmentStatus);
 
 // Route to get assignments by user
 /**
@@ -118,6 +210,21 @@ assignmentRouter.route('/api/assignments/:id')
  *         schema:
  *           type: string
  *         description: The user ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Only assignments with this status, or one of these comma-separated statuses
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: true for only assignments past their due date that are not handed in, false to leave them out
+ *       - in: query
+ *         name: dueWithin
+ *         schema:
+ *           type: number
+ *         description: Only assignments due from now until this many days from now
  *     responses:
  *       200:
  *         description: A list of assignments for the user
@@ -127,13 +234,90 @@ assignmentRouter.route('/api/assignments/:id')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Assignment'
+ *       403:
+ *         description: User is not authorized
+ *       400:
+ *         description: Invalid filters
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
 assignmentRouter.route('/api/assignments/user/:userId')
-  .get(auth.requireSignin, assignmentCtrl.getAssignmentsByUser);
+  .get(auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), assignmentCtrl.getAssignmentsByUser);
+
+// Route to get a user's upcoming assignments
+/**
+ * @swagger
+ * /api/assignments/user/{userId}/upcoming:
+ *   get:
+ *     summary: Get a user's assignments due soon that are not handed in, grouped by day and subject
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *         description: Number of days to cover, today included (default 7)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone to use instead of the user's setting (e.g. America/Toronto)
+ *     responses:
+ *       200:
+ *         description: The time zone, today's date, the range covered and, per day, the assignments per subject with the subject's title and teacher
+ *       400:
+ *         description: Invalid parameters or unknown timezone
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+assignmentRouter.get('/api/assignments/user/:userId/upcoming', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), assignmentCtrl.getUpcomingAssignments);
+
+// Route to get a user's overdue assignments
+/**
+ * @swagger
+ * /api/assignments/user/{userId}/overdue:
+ *   get:
+ *     summary: Get a user's assignments past their due date that are not handed in, grouped by day and subject
+ *     tags: [Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone to use instead of the user's setting (e.g. America/Toronto)
+ *     responses:
+ *       200:
+ *         description: The time zone, today's date and, per day (oldest first), the assignments per subject with the subject's title and teacher
+ *       400:
+ *         description: Invalid parameters or unknown timezone
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+assignmentRouter.get('/api/assignments/user/:userId/overdue', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), assignmentCtrl.getOverdueAssignments);
 
 // Route to list all assignments
 /**
@@ -151,10 +335,12 @@ assignmentRouter.route('/api/assignments/user/:userId')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Assignment'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
 assignmentRouter.route('/api/assignments')
-  .get(auth.requireSignin, assignmentCtrl.getAllAssignments);
+  .get(auth.requireSignin, auth.requirePermission('records:read:any'), assignmentCtrl.getAllAssignments);
 
 export default assignmentRouter;
@@ -0,0 +1,202 @@
+import express from 'express';
+import auth from '../controllers/authController.js';
+import assignmentTemplateCtrl from '../controllers/assignmentTemplateController.js';
+import AssignmentTemplate from '../models/assignmentTemplate.js';
+
+const assignmentTemplateRouter = express.Router();
+
+// Route to create a new assignment template
+/**
+ * @swagger
+ * /api/assignment-template:
+ *   post:
+ *     summary: Create a recurring assignment template and generate its occurrences within the subject's semester
+ *     tags: [Assignment Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentTemplate'
+ *     responses:
+ *       201:
+ *         description: The created template and how many occurrences were generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 template:
+ *                   $ref: '#/components/schemas/AssignmentTemplate'
+ *                 created:
+ *                   type: integer
+ *       400:
+ *         description: Invalid recurrence or time zone, or the subject is not in a semester
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Subject or grading category not found
+ *       500:
+ *         description: Server error
+ */
+assignmentTemplateRouter.post('/api/assignment-template', auth.requireSignin, auth.assignOwner(), assignmentTemplateCtrl.createAssignmentTemplate);
+
+// Route to get assignment templates by user
+/**
+ * @swagger
+ * /api/assignment-templates/user/{userId}:
+ *   get:
+ *     summary: Get all assignment templates of a user
+ *     tags: [Assignment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The user's assignment templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AssignmentTemplate'
+ *       403:
+ *         description: User is not authorized
+ *       500:
+ *         description: Server error
+ */
+assignmentTemplateRouter.get('/api/assignment-templates/user/:userId', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), assignmentTemplateCtrl.getAssignmentTemplatesByUser);
+
+// Route to get, update or delete an assignment template
+/**
+ * @swagger
+ * /api/assignment-templates/{id}:
+ *   get:
+ *     summary: Get an assignment template by ID
+ *     tags: [Assignment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The template ID
+ *     responses:
+ *       200:
+ *         description: The assignment template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AssignmentTemplate'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment template not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update an assignment template and all its future occurrences
+ *     description: Occurrences that were edited on their own, already started or deleted are left alone.
+ *     tags: [Assignment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               category_id:
+ *                 type: string
+ *                 nullable: true
+ *               recurrence:
+ *                 type: object
+ *                 description: Fields of the recurrence rule to change
+ *               timezone:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Only occurrences due from this instant on change (default now)
+ *     responses:
+ *       200:
+ *         description: The updated template and how many occurrences were created, updated and removed
+ *       400:
+ *         description: Invalid recurrence, time zone or date, or the subject is not in a semester
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment template or grading category not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete an assignment template and its future untouched occurrences
+ *     tags: [Assignment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The template ID
+ *       - in: query
+ *         name: keepOccurrences
+ *         schema:
+ *           type: boolean
+ *         description: Keep all occurrences
+ *     responses:
+ *       200:
+ *         description: Assignment template deleted successfully, with how many occurrences were moved to the trash
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment template not found
+ *       500:
+ *         description: Server error
+ */
+assignmentTemplateRouter.route('/api/assignment-templates/:id')
+  .get(auth.requireSignin, auth.requireOwnership(AssignmentTemplate), assignmentTemplateCtrl.getAssignmentTemplateById)
+  .put(auth.requireSignin, auth.requireOwnership(AssignmentTemplate), assignmentTemplateCtrl.updateAssignmentTemplate)
+  .delete(auth.requireSignin, auth.requireOwnership(AssignmentTemplate), assignmentTemplateCtrl.deleteAssignmentTemplate);
+
+// Route to generate the missing occurrences of an assignment template
+/**
+ * @swagger
+ * /api/assignment-templates/{id}/generate:
+ *   post:
+ *     summary: Generate the missing occurrences of an assignment template, e.g. after the semester was extended
+ *     tags: [Assignment Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The template ID
+ *     responses:
+ *       200:
+ *         description: How many occurrences were created
+ *       400:
+ *         description: The subject is not in a semester
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment template not found
+ *       500:
+ *         description: Server error
+ */
+assignmentTemplateRouter.post('/api/assignment-templates/:id/generate', auth.requireSignin, auth.requireOwnership(AssignmentTemplate), assignmentTemplateCtrl.generateOccurrences);
+
+export default assignmentTemplateRouter;
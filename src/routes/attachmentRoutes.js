@@ -0,0 +1,153 @@
+import express from 'express';
+import auth from '../controllers/authController.js';
+import attachmentCtrl from '../controllers/attachmentController.js';
+import Assignment from '../models/assignment.js';
+import Attachment from '../models/attachment.js';
+
+const attachmentRouter = express.Router();
+
+// Route to attach files to an assignment, and to list its attachments
+/**
+ * @swagger
+ * /api/assignments/{id}/attachments:
+ *   post:
+ *     summary: Attach files to an assignment
+ *     tags: [Attachments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The assignment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [files]
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 5 files
+ *               kind:
+ *                 type: string
+ *                 enum: [brief, submission]
+ *                 description: What the files are (default submission)
+ *     responses:
+ *       201:
+ *         description: The created attachments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: No files, too many files or an invalid kind
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment not found
+ *       413:
+ *         description: A file is over the size limit
+ *       415:
+ *         description: A file type is not allowed
+ *       500:
+ *         description: Server error; none of the files were attached
+ *   get:
+ *     summary: Get the attachments of an assignment
+ *     tags: [Attachments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The assignment ID
+ *     responses:
+ *       200:
+ *         description: The attachments, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Attachment'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment not found
+ *       500:
+ *         description: Server error
+ */
+attachmentRouter.route('/api/assignments/:id/attachments')
+  .post(auth.requireSignin, auth.requireOwnership(Assignment), attachmentCtrl.receiveFiles, attachmentCtrl.uploadAttachments)
+  .get(auth.requireSignin, auth.requireOwnership(Assignment), attachmentCtrl.getAttachmentsByAssignment);
+
+// Route to download an attachment
+/**
+ * @swagger
+ * /api/attachments/{id}/download:
+ *   get:
+ *     summary: Download an attachment, whole or a byte range of it
+ *     tags: [Attachments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The attachment ID
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *         description: Byte range to download, e.g. bytes=0-1023
+ *     responses:
+ *       200:
+ *         description: The file
+ *       206:
+ *         description: The requested byte range of the file
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Attachment not found
+ *       416:
+ *         description: The range lies outside the file
+ *       500:
+ *         description: Server error
+ */
+attachmentRouter.get('/api/attachments/:id/download', auth.requireSignin, auth.requireOwnership(Attachment), attachmentCtrl.downloadAttachment);
+
+// Route to delete an attachment
+/**
+ * @swagger
+ * /api/attachments/{id}:
+ *   delete:
+ *     summary: Delete an attachment and its file
+ *     tags: [Attachments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Attachment not found
+ *       500:
+ *         description: Server error
+ */
+attachmentRouter.delete('/api/attachments/:id', auth.requireSignin, auth.requireOwnership(Attachment), attachmentCtrl.deleteAttachment);
+
+export default attachmentRouter;
@@ -0,0 +1,76 @@
+import express from 'express';
+import auth from '../controllers/authController.js';
+import auditCtrl from '../controllers/auditController.js';
+
+const auditRouter = express.Router();
+
+// Route for admins to query the audit log of changes to academic records
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Query the audit log of changes to academic records (admin only)
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Only changes made by this user
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Only changes to records owned by this user
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [Subject, Grade, Assignment, TimeTable, Semester, Event, Teacher]
+ *         description: Only changes to this kind of record
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: Only changes to this record
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *         description: Only changes of this kind
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes made at or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of entries to return (default 50, at most 200)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page of results, starting at 1
+ *     responses:
+ *       200:
+ *         description: The total number of matching entries and the requested page, newest first
+ *       400:
+ *         description: Invalid user or record ID, or invalid date range
+ *       403:
+ *         description: User is not authorized
+ *       500:
+ *         description: Server error
+ */
+auditRouter.get('/api/audit-logs', auth.requireSignin, auth.requirePermission('audit:read'), auditCtrl.getAuditLogs);
+
+export default auditRouter;
@@ -1,12 +1,371 @@
 import express from 'express';
-import authCtrl from '../controllers/authController.js' 
+import authCtrl from '../controllers/authController.js'
+import twoFactorCtrl from '../controllers/twoFactorController.js'
 
 // Declare the router
 const authRouter = express.Router();
 
+// Route to register a new account
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register a new account and send a verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userName, firstName, lastName, email, password]
+ *             properties:
+ *               userName: { type: string }
+ *               firstName: { type: string }
+ *               lastName: { type: string }
+ *               email: { type: string, format: email }
+ *               password: { type: string }
+ *     responses:
+ *       201:
+ *         description: Account created in the unverified state
+ *       400:
+ *         description: Missing password or email already in use
+ *       500:
+ *         description: Server error
+ */
+authRouter.route('/auth/register').post(authCtrl.register)
+
+// Route to verify an email address
+/**
+ * @swagger
+ * /auth/verify:
+ *   get:
+ *     summary: Verify an email address from the emailed link
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The verification token
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ *   post:
+ *     summary: Verify an email address
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+authRouter.route('/auth/verify')
+  .get(authCtrl.verifyEmail)
+  .post(authCtrl.verifyEmail)
+
+// Route to resend the verification email
+/**
+ * @swagger
+ * /auth/verify/resend:
+ *   post:
+ *     summary: Resend the verification email for an unverified account
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *     responses:
+ *       200:
+ *         description: Generic confirmation message
+ */
+authRouter.route('/auth/verify/resend').post(authCtrl.resendVerification)
+
+// Route to request a password reset link
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *     responses:
+ *       200:
+ *         description: Generic confirmation message
+ */
+authRouter.route('/auth/forgot-password').post(authCtrl.forgotPassword)
+
+// Route to reset a password with a reset token
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset a password and revoke all existing sessions
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token: { type: string }
+ *               password: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password has been reset successfully
+ *       400:
+ *         description: Invalid or expired token, or the password does not meet the requirements
+ */
+authRouter.route('/auth/reset-password').post(authCtrl.resetPassword)
+
+// Route to confirm a pending email change
+/**
+ * @swagger
+ * /auth/confirm-email:
+ *   post:
+ *     summary: Confirm an email change with the token sent to the new address
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200:
+ *         description: Email address updated successfully
+ *       400:
+ *         description: Invalid or expired email change token
+ *       409:
+ *         description: Email already in use
+ */
+authRouter.route('/auth/confirm-email').post(authCtrl.confirmEmailChange)
+
 // Define routes
 authRouter.route('/auth/signin').post(authCtrl.signIn)
-authRouter.route('/auth/signout').get(authCtrl.signOut)
+
+// Route to complete a sign-in that requires two-factor authentication
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor sign-in with an authenticator code or a recovery code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken: { type: string, description: Token returned by /auth/signin }
+ *               code: { type: string, description: Six-digit code from the authenticator app }
+ *               recoveryCode: { type: string, description: Single-use recovery code, instead of code }
+ *     responses:
+ *       200:
+ *         description: Access token and refresh token
+ *       400:
+ *         description: Invalid authentication code
+ *       401:
+ *         description: Invalid or expired challenge token
+ *       429:
+ *         description: Too many failed attempts
+ */
+authRouter.route('/auth/2fa/verify').post(authCtrl.verifyTwoFactor)
+
+// Route to start two-factor enrolment for the signed-in user
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Generate a TOTP secret and otpauth URI for an authenticator app
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The pending secret and its otpauth URI
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+authRouter.route('/auth/2fa/setup').post(authCtrl.requireSignin, twoFactorCtrl.setupTwoFactor)
+
+// Route to activate two-factor authentication with a first code
+/**
+ * @swagger
+ * /auth/2fa/activate:
+ *   post:
+ *     summary: Confirm a first authenticator code to enable two-factor authentication
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled; the response lists the recovery codes once
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+authRouter.route('/auth/2fa/activate').post(authCtrl.requireSignin, twoFactorCtrl.activateTwoFactor)
+
+// Route to disable two-factor authentication
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password: { type: string }
+ *               code: { type: string }
+ *               recoveryCode: { type: string }
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or authentication code
+ *       429:
+ *         description: Too many failed attempts
+ */
+authRouter.route('/auth/2fa/disable').post(authCtrl.requireSignin, twoFactorCtrl.disableTwoFactor)
+
+// Route to replace the recovery codes
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes with a new set
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string }
+ *     responses:
+ *       200:
+ *         description: The new recovery codes; previous codes no longer work
+ *       400:
+ *         description: Invalid authentication code
+ *       429:
+ *         description: Too many failed attempts
+ */
+authRouter.route('/auth/2fa/recovery-codes').post(authCtrl.requireSignin, twoFactorCtrl.regenerateRecoveryCodes)
+
+// Route to lift a sign-in lockout with an emailed unlock token
+/**
+ * @swagger
+ * /auth/unlock:
+ *   post:
+ *     summary: Unlock an account that was locked after repeated failed sign-ins
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired unlock token
+ */
+authRouter.route('/auth/unlock').post(authCtrl.unlockAccount)
+
+// Route to exchange a refresh token for a new token pair
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: New token pair; the presented refresh token can no longer be used
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+authRouter.route('/auth/refresh').post(authCtrl.refresh)
+
+// Route to sign out and revoke the current session
+/**
+ * @swagger
+ * /auth/signout:
+ *   post:
+ *     summary: Sign out, revoking the bearer access token and the refresh token's session
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: Signed out
+ */
+authRouter.route('/auth/signout')
+  .get(authCtrl.signOut)
+  .post(authCtrl.signOut)
 
 // Export the router
 export default authRouter;
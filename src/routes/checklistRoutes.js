@@ -0,0 +1,195 @@
+import express from 'express';
+import auth from '../controllers/authController.js';
+import checklistCtrl from '../controllers/checklistController.js';
+import Assignment from '../models/assignment.js';
+
+const checklistRouter = express.Router();
+
+// Route to add an item to an assignment's checklist
+/**
+ * @swagger
+ * /api/assignments/{id}/checklist:
+ *   post:
+ *     summary: Add an item to an assignment's checklist
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The assignment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               due_date:
+ *                 type: string
+ *                 format: date-time
+ *               done:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *                 description: Index to insert the item at (default the end)
+ *     responses:
+ *       201:
+ *         description: The assignment with its updated checklist and progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assignment'
+ *       400:
+ *         description: Invalid item or position
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment not found
+ *       409:
+ *         description: The checklist is full, or changed meanwhile
+ *       500:
+ *         description: Server error
+ */
+checklistRouter.post('/api/assignments/:id/checklist', auth.requireSignin, auth.requireOwnership(Assignment), checklistCtrl.addChecklistItem);
+
+// Route to reorder an assignment's checklist
+/**
+ * @swagger
+ * /api/assignments/{id}/checklist/order:
+ *   put:
+ *     summary: Put an assignment's checklist in a new order
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The assignment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [order]
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of all the checklist items, each once, in their new order
+ *     responses:
+ *       200:
+ *         description: The assignment with its reordered checklist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assignment'
+ *       400:
+ *         description: The order does not list every item once
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment not found
+ *       409:
+ *         description: The checklist changed meanwhile
+ *       500:
+ *         description: Server error
+ */
+checklistRouter.put('/api/assignments/:id/checklist/order', auth.requireSignin, auth.requireOwnership(Assignment), checklistCtrl.reorderChecklist);
+
+// Route to update or remove an item of an assignment's checklist
+/**
+ * @swagger
+ * /api/assignments/{id}/checklist/{itemId}:
+ *   put:
+ *     summary: Update an item of an assignment's checklist
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The assignment ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checklist item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               due_date:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               done:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The assignment with its updated checklist and progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assignment'
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment or checklist item not found
+ *       409:
+ *         description: The checklist changed meanwhile
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove an item from an assignment's checklist
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The assignment ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The checklist item ID
+ *     responses:
+ *       200:
+ *         description: The assignment with its updated checklist and progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Assignment'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Assignment or checklist item not found
+ *       409:
+ *         description: The checklist changed meanwhile
+ *       500:
+ *         description: Server error
+ */
+checklistRouter.route('/api/assignments/:id/checklist/:itemId')
+  .put(auth.requireSignin, auth.requireOwnership(Assignment), checklistCtrl.updateChecklistItem)
+  .delete(auth.requireSignin, auth.requireOwnership(Assignment), checklistCtrl.deleteChecklistItem);
+
+export default checklistRouter;
@@ -1,6 +1,8 @@
 import express from 'express';
 import auth from '../controllers/authController.js';
 import eventCtrl from '../controllers/eventController.js';
+import trashCtrl from '../controllers/trashController.js';
+import Event from '../models/event.js';
 
 const eventRouter = express.Router();
 
@@ -23,10 +25,12 @@ const eventRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-eventRouter.post('/api/events', auth.requireSignin, eventCtrl.createEvent);
+eventRouter.post('/api/events', auth.requireSignin, auth.assignOwner('user_id'), eventCtrl.createEvent);
 
 /**
  * @swagger
@@ -43,10 +47,12 @@ eventRouter.post('/api/events', auth.requireSignin, eventCtrl.createEvent);
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-eventRouter.get('/api/events', auth.requireSignin, eventCtrl.getAllEvents);
+eventRouter.get('/api/events', auth.requireSignin, auth.requirePermission('records:read:any'), eventCtrl.getAllEvents);
 
 /**
  * @swagger
@@ -68,6 +74,8 @@ eventRouter.get('/api/events', auth.requireSignin, eventCtrl.getAllEvents);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Event not found
  *       500:
@@ -95,6 +103,8 @@ eventRouter.get('/api/events', auth.requireSignin, eventCtrl.getAllEvents);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Event not found
  *       500:
@@ -112,14 +122,79 @@ eventRouter.get('/api/events', auth.requireSignin, eventCtrl.getAllEvents);
  *     responses:
  *       200:
  *         description: Event deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Event not found
  *       500:
  *         description: Server error
  */
 eventRouter.route('/api/events/:id')
-  .get(auth.requireSignin, eventCtrl.getEventById)
-  .put(auth.requireSignin, eventCtrl.updateEvent)
-  .delete(auth.requireSignin, eventCtrl.deleteEvent);
+  .get(auth.requireSignin, auth.requireOwnership(Event, { ownerField: 'user_id' }), eventCtrl.getEventById)
+  .put(auth.requireSignin, auth.requireOwnership(Event, { ownerField: 'user_id' }), eventCtrl.updateEvent)
+  .delete(auth.requireSignin, auth.requireOwnership(Event, { ownerField: 'user_id' }), eventCtrl.deleteEvent);
+
+// Route to restore a event from the trash
+/**
+ * @swagger
+ * /api/events/{id}/restore:
+ *   post:
+ *     summary: Restore a event from the trash
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The event ID
+ *     responses:
+ *       200:
+ *         description: The restored event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Event not found in trash
+ *       500:
+ *         description: Server error
+ */
+eventRouter.post('/api/events/:id/restore', auth.requireSignin, auth.requireOwnership(Event, { ownerField: 'user_id', withDeleted: true }), trashCtrl.restoreRecord(Event, 'Event'));
+
+// Route to get events by user
+/**
+ * @swagger
+ * /api/events/user/{userId}:
+ *   get:
+ *     summary: Get events by user ID
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: A list of events for the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Event'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+eventRouter.route('/api/events/user/:userId')
+  .get(auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), eventCtrl.getEventsByUser);
 
 export default eventRouter;
\ No newline at end of file
@@ -0,0 +1,56 @@
+import express from 'express';
+import auth from '../controllers/authController.js';
+import gpaCtrl from '../controllers/gpaController.js';
+
+const gpaRouter = express.Router();
+
+// Route to list the grading scales
+/**
+ * @swagger
+ * /api/grading-scales:
+ *   get:
+ *     summary: List the grading scales (percentage to letter to grade points) and the institution's default
+ *     tags: [GPA]
+ *     responses:
+ *       200:
+ *         description: The default scale ID and the scales by ID
+ *       401:
+ *         description: Unauthorized
+ */
+gpaRouter.get('/api/grading-scales', auth.requireSignin, gpaCtrl.getGradingScales);
+
+// Route to get a user's GPA per semester and cumulatively
+/**
+ * @swagger
+ * /api/gpa/user/{userId}:
+ *   get:
+ *     summary: Get a user's GPA and average per semester, and cumulatively
+ *     tags: [GPA]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *       - in: query
+ *         name: scale
+ *         schema:
+ *           type: string
+ *           enum: ['4.0', '4.33']
+ *         description: Grading scale to use instead of the user's setting
+ *     responses:
+ *       200:
+ *         description: The semesters in chronological order with their GPA, average, credits, cumulative GPA and subjects, plus the overall cumulative GPA
+ *       400:
+ *         description: Unknown grading scale
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+gpaRouter.get('/api/gpa/user/:userId', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), gpaCtrl.getGpaByUser);
+
+export default gpaRouter;
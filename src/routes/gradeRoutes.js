@@ -1,6 +1,8 @@
 import express from 'express';
 import auth from '../controllers/authController.js';
 import gradeCtrl from '../controllers/gradeController.js';
+import trashCtrl from '../controllers/trashController.js';
+import Grade from '../models/grade.js';
 
 const gradeRouter = express.Router();
 
@@ -24,10 +26,12 @@ const gradeRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Grade'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-gradeRouter.post('/api/grade', auth.requireSignin, gradeCtrl.createGrade);
+gradeRouter.post('/api/grade', auth.requireSignin, auth.assignOwner(), gradeCtrl.createGrade);
 
 // Route to get a specific grade by ID
 /**
@@ -50,6 +54,8 @@ gradeRouter.post('/api/grade', auth.requireSignin, gradeCtrl.createGrade);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Grade'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Grade not found
  *       500:
@@ -77,6 +83,8 @@ gradeRouter.post('/api/grade', auth.requireSignin, gradeCtrl.createGrade);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Grade'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Grade not found
  *       500:
@@ -94,15 +102,116 @@ gradeRouter.post('/api/grade', auth.requireSignin, gradeCtrl.createGrade);
  *     responses:
  *       200:
  *         description: Grade deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Grade not found
  *       500:
  *         description: Server error
  */
 gradeRouter.route('/api/grades/:id')
-  .get(auth.requireSignin, gradeCtrl.getGradeById)
-  .put(auth.requireSignin, gradeCtrl.updateGrade)
-  .delete(auth.requireSignin, gradeCtrl.deleteGrade);
+  .get(auth.requireSignin, auth.requireOwnership(Grade), gradeCtrl.getGradeById)
+  .put(auth.requireSignin, auth.requireOwnership(Grade), gradeCtrl.updateGrade)
+  .delete(auth.requireSignin, auth.requireOwnership(Grade), gradeCtrl.deleteGrade);
+
+// Route to restore a grade from the trash
+/**
+ * @swagger
+ * /api/grades/{id}/restore:
+ *   post:
+ *     summary: Restore a grade from the trash
+ *     tags: [Grades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The grade ID
+ *     responses:
+ *       200:
+ *         description: The restored grade
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Grade'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Grade not found in trash
+ *       500:
+ *         description: Server error
+ */
+gradeRouter.post('/api/grades/:id/restore', auth.requireSignin, auth.requireOwnership(Grade, { withDeleted: true }), trashCtrl.restoreRecord(Grade, 'Grade'));
+
+// Route to get the revision history of a grade
+/**
+ * @swagger
+ * /api/grades/{id}/history:
+ *   get:
+ *     summary: Get the revision history of a grade, newest first
+ *     tags: [Grades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The grade ID
+ *     responses:
+ *       200:
+ *         description: The revisions, each with its values, the fields changed and who changed them
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Grade not found
+ *       500:
+ *         description: Server error
+ */
+gradeRouter.get('/api/grades/:id/history', auth.requireSignin, auth.requireOwnership(Grade, { withDeleted: true }), gradeCtrl.getGradeHistory);
+
+// Route to roll a grade back to an earlier revision
+/**
+ * @swagger
+ * /api/grades/{id}/rollback:
+ *   post:
+ *     summary: Restore the values a grade had at an earlier revision
+ *     tags: [Grades]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The grade ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [revision]
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 description: Number of the revision to restore
+ *     responses:
+ *       200:
+ *         description: The rolled back grade
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Grade'
+ *       400:
+ *         description: A revision number is required
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Grade or revision not found
+ *       500:
+ *         description: Server error
+ */
+gradeRouter.post('/api/grades/:id/rollback', auth.requireSignin, auth.requireOwnership(Grade), gradeCtrl.rollbackGrade);
 
 // Route to get grades by user
 /**
@@ -127,13 +236,15 @@ gradeRouter.route('/api/grades/:id')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Grade'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
 gradeRouter.route('/api/grades/user/:userId')
-  .get(auth.requireSignin, gradeCtrl.getGradesByUser);
+  .get(auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), gradeCtrl.getGradesByUser);
 
 // Route to list all the grades
 /**
@@ -151,10 +262,12 @@ gradeRouter.route('/api/grades/user/:userId')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Grade'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
 gradeRouter.route('/api/grades')
-  .get(auth.requireSignin, gradeCtrl.getAllGrades);
+  .get(auth.requireSignin, auth.requirePermission('records:read:any'), gradeCtrl.getAllGrades);
 
 export default gradeRouter;
\ No newline at end of file
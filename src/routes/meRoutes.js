@@ -0,0 +1,516 @@
+import express from 'express';
+import auth from '../controllers/authController.js';
+import userCtrl from '../controllers/userController.js';
+import userSettingsCtrl from '../controllers/userSettingsController.js';
+import subjectCtrl from '../controllers/subjectController.js';
+import gradeCtrl from '../controllers/gradeController.js';
+import assignmentCtrl from '../controllers/assignmentController.js';
+import semesterCtrl from '../controllers/semesterController.js';
+import teacherCtrl from '../controllers/teacherController.js';
+import timeTableCtrl from '../controllers/timeTableController.js';
+import eventCtrl from '../controllers/eventController.js';
+import notificationCtrl from '../controllers/notificationController.js';
+import exportCtrl from '../controllers/exportController.js';
+import trashCtrl from '../controllers/trashController.js';
+import gpaCtrl from '../controllers/gpaController.js';
+import analyticsCtrl from '../controllers/analyticsController.js';
+
+// Routes for the authenticated user's own records, so clients do not have to pass their user ID around
+const meRouter = express.Router();
+
+// Route to get the authenticated user's profile
+/**
+ * @swagger
+ * /api/me:
+ *   get:
+ *     summary: Get the authenticated user's profile
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: The authenticated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me', auth.requireSignin, auth.bindAuthUser('id'), userCtrl.getUserById);
+
+// Route to get the authenticated user's settings
+/**
+ * @swagger
+ * /api/me/settings:
+ *   get:
+ *     summary: Get the authenticated user's settings
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: The authenticated user's settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserSettings'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User settings not found
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/settings', auth.requireSignin, auth.bindAuthUser(), userSettingsCtrl.getUserSettings);
+
+// Route to get the authenticated user's subjects
+/**
+ * @swagger
+ * /api/me/subjects:
+ *   get:
+ *     summary: Get the authenticated user's subjects
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: A list of the authenticated user's subjects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Subject'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/subjects', auth.requireSignin, auth.bindAuthUser(), subjectCtrl.getSubjectsByUser);
+
+// Route to get the authenticated user's grades
+/**
+ * @swagger
+ * /api/me/grades:
+ *   get:
+ *     summary: Get the authenticated user's grades
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: A list of the authenticated user's grades
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Grade'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/grades', auth.requireSignin, auth.bindAuthUser(), gradeCtrl.getGradesByUser);
+
+// Route to get the authenticated user's assignments
+/**
+ * @swagger
+ * /api/me/assignments:
+ *   get:
+ *     summary: Get the authenticated user's assignments
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: A list of the authenticated user's assignments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Assignment'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/assignments', auth.requireSignin, auth.bindAuthUser(), assignmentCtrl.getAssignmentsByUser);
+
+// Route to get the authenticated user's upcoming assignments
+/**
+ * @swagger
+ * /api/me/assignments/upcoming:
+ *   get:
+ *     summary: Get the authenticated user's assignments due soon, grouped by day and subject
+ *     tags: [Me]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *         description: Number of days to cover, today included (default 7)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone to use instead of the user's setting
+ *     responses:
+ *       200:
+ *         description: See /api/assignments/user/{userId}/upcoming
+ *       400:
+ *         description: Invalid parameters or unknown timezone
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/assignments/upcoming', auth.requireSignin, auth.bindAuthUser(), assignmentCtrl.getUpcomingAssignments);
+
+// Route to get the authenticated user's overdue assignments
+/**
+ * @swagger
+ * /api/me/assignments/overdue:
+ *   get:
+ *     summary: Get the authenticated user's overdue assignments, grouped by day and subject
+ *     tags: [Me]
+ *     parameters:
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone to use instead of the user's setting
+ *     responses:
+ *       200:
+ *         description: See /api/assignments/user/{userId}/overdue
+ *       400:
+ *         description: Unknown timezone
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/assignments/overdue', auth.requireSignin, auth.bindAuthUser(), assignmentCtrl.getOverdueAssignments);
+
+// Route to get the authenticated user's semesters
+/**
+ * @swagger
+ * /api/me/semesters:
+ *   get:
+ *     summary: Get the authenticated user's semesters
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: A list of the authenticated user's semesters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Semester'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/semesters', auth.requireSignin, auth.bindAuthUser(), semesterCtrl.getSemestersByUser);
+
+// Route to get the authenticated user's teachers
+/**
+ * @swagger
+ * /api/me/teachers:
+ *   get:
+ *     summary: Get the authenticated user's teachers
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: A list of the authenticated user's teachers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Teacher'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/teachers', auth.requireSignin, auth.bindAuthUser(), teacherCtrl.getTeachersByUser);
+
+// Route to get the authenticated user's timetable entries
+/**
+ * @swagger
+ * /api/me/timetable:
+ *   get:
+ *     summary: Get the authenticated user's timetable entries
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: A list of the authenticated user's timetable entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TimeTable'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/timetable', auth.requireSignin, auth.bindAuthUser(), timeTableCtrl.getTimeTableByUser);
+
+// Route to get the authenticated user's events
+/**
+ * @swagger
+ * /api/me/events:
+ *   get:
+ *     summary: Get the authenticated user's events
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: A list of the authenticated user's events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Event'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/events', auth.requireSignin, auth.bindAuthUser(), eventCtrl.getEventsByUser);
+
+// Route to get the authenticated user's notifications
+/**
+ * @swagger
+ * /api/me/notifications:
+ *   get:
+ *     summary: Get the authenticated user's notifications
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: A list of the authenticated user's notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Notification'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/notifications', auth.requireSignin, auth.bindAuthUser(), notificationCtrl.getNotificationsByUser);
+
+// Route to get everything the authenticated user has in the trash
+/**
+ * @swagger
+ * /api/me/trash:
+ *   get:
+ *     summary: Get the authenticated user's trashed records
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: The retention period and the trashed records per collection, each with the date it will be purged
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/trash', auth.requireSignin, auth.bindAuthUser(), trashCtrl.getTrashByUser);
+
+// Route to get the authenticated user's GPA
+/**
+ * @swagger
+ * /api/me/gpa:
+ *   get:
+ *     summary: Get the authenticated user's GPA per semester and cumulatively
+ *     tags: [Me]
+ *     parameters:
+ *       - in: query
+ *         name: scale
+ *         schema:
+ *           type: string
+ *           enum: ['4.0', '4.33']
+ *         description: Grading scale to use instead of the user's setting
+ *     responses:
+ *       200:
+ *         description: The semesters with their GPA and cumulative GPA, plus the overall cumulative GPA
+ *       400:
+ *         description: Unknown grading scale
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/gpa', auth.requireSignin, auth.bindAuthUser(), gpaCtrl.getGpaByUser);
+
+// Route to get the authenticated user's grade trend
+/**
+ * @swagger
+ * /api/me/analytics/trend:
+ *   get:
+ *     summary: Get the authenticated user's grade trend per subject, with a moving average
+ *     tags: [Me]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsSubject'
+ *       - $ref: '#/components/parameters/AnalyticsSemester'
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *         description: Number of grades the moving average is taken over (default 3)
+ *     responses:
+ *       200:
+ *         description: See /api/analytics/user/{userId}/trend
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/analytics/trend', auth.requireSignin, auth.bindAuthUser(), analyticsCtrl.getTrend);
+
+// Route to compare the authenticated user's subjects
+/**
+ * @swagger
+ * /api/me/analytics/subjects:
+ *   get:
+ *     summary: Compare the authenticated user's subjects with each other and with their target grades
+ *     tags: [Me]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsSubject'
+ *       - $ref: '#/components/parameters/AnalyticsSemester'
+ *     responses:
+ *       200:
+ *         description: See /api/analytics/user/{userId}/subjects
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/analytics/subjects', auth.requireSignin, auth.bindAuthUser(), analyticsCtrl.getSubjectComparison);
+
+// Route to get a histogram of the authenticated user's grades
+/**
+ * @swagger
+ * /api/me/analytics/distribution:
+ *   get:
+ *     summary: Get a histogram of the authenticated user's grade percentages
+ *     tags: [Me]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsSubject'
+ *       - $ref: '#/components/parameters/AnalyticsSemester'
+ *       - in: query
+ *         name: bucketSize
+ *         schema:
+ *           type: integer
+ *           enum: [5, 10, 20, 25, 50]
+ *         description: Width of a band in percentage points (default 10)
+ *     responses:
+ *       200:
+ *         description: See /api/analytics/user/{userId}/distribution
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/analytics/distribution', auth.requireSignin, auth.bindAuthUser(), analyticsCtrl.getDistribution);
+
+// Routes to request and list exports of all the authenticated user's data
+/**
+ * @swagger
+ * /api/me/export:
+ *   post:
+ *     summary: Start building an archive of all the authenticated user's data
+ *     tags: [Me]
+ *     responses:
+ *       202:
+ *         description: The export job; poll it until its status is completed, then download it
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List the authenticated user's data exports
+ *     tags: [Me]
+ *     responses:
+ *       200:
+ *         description: Export jobs with their status, newest first
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+meRouter.route('/api/me/export')
+  .post(auth.requireSignin, exportCtrl.requestExport)
+  .get(auth.requireSignin, exportCtrl.listExports);
+
+// Route to get the status of a data export
+/**
+ * @swagger
+ * /api/me/export/{jobId}:
+ *   get:
+ *     summary: Get the status of a data export
+ *     tags: [Me]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The export job ID
+ *     responses:
+ *       200:
+ *         description: The export job (pending, running, completed or failed)
+ *       404:
+ *         description: Export not found
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/export/:jobId', auth.requireSignin, exportCtrl.getExport);
+
+// Route to download a completed data export
+/**
+ * @swagger
+ * /api/me/export/{jobId}/download:
+ *   get:
+ *     summary: Download a completed data export as a .tar.gz archive
+ *     tags: [Me]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The export job ID
+ *     responses:
+ *       200:
+ *         description: The archive, with manifest.json and one JSON file per collection
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Export not found or expired
+ *       409:
+ *         description: Export is not completed yet
+ *       500:
+ *         description: Server error
+ */
+meRouter.get('/api/me/export/:jobId/download', auth.requireSignin, exportCtrl.downloadExport);
+
+export default meRouter;
@@ -1,6 +1,7 @@
 import express from 'express';
 import auth from '../controllers/authController.js';
 import notificationCtrl from '../controllers/notificationController.js';
+import Notification from '../models/notification.js';
 
 const notificationRouter = express.Router();
 
@@ -24,10 +25,12 @@ const notificationRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Notification'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-notificationRouter.post('/api/notification', auth.requireSignin, notificationCtrl.createNotification);
+notificationRouter.post('/api/notification', auth.requireSignin, auth.assignOwner('uid', 'notifications:send'), notificationCtrl.createNotification);
 
 // Route to get all notifications for a specific user
 /**
@@ -52,12 +55,14 @@ notificationRouter.post('/api/notification', auth.requireSignin, notificationCtr
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Notification'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-notificationRouter.get('/api/notifications/user/:userId', auth.requireSignin, notificationCtrl.getNotificationsByUser);
+notificationRouter.get('/api/notifications/user/:userId', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), notificationCtrl.getNotificationsByUser);
 
 // Route to get, update, or delete a specific notification by ID
 /**
@@ -80,6 +85,8 @@ notificationRouter.get('/api/notifications/user/:userId', auth.requireSignin, no
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Notification'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Notification not found
  *       500:
@@ -107,6 +114,8 @@ notificationRouter.get('/api/notifications/user/:userId', auth.requireSignin, no
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Notification'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Notification not found
  *       500:
@@ -124,15 +133,17 @@ notificationRouter.get('/api/notifications/user/:userId', auth.requireSignin, no
  *     responses:
  *       200:
  *         description: Notification deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Notification not found
  *       500:
  *         description: Server error
  */
 notificationRouter.route('/api/notifications/:id')
-  .get(auth.requireSignin, notificationCtrl.getNotificationById)
-  .put(auth.requireSignin, notificationCtrl.updateNotification)
-  .delete(auth.requireSignin, notificationCtrl.deleteNotification);
+  .get(auth.requireSignin, auth.requireOwnership(Notification), notificationCtrl.getNotificationById)
+  .put(auth.requireSignin, auth.requireOwnership(Notification), notificationCtrl.updateNotification)
+  .delete(auth.requireSignin, auth.requireOwnership(Notification), notificationCtrl.deleteNotification);
 
 // Route to mark a notification as read
 /**
@@ -155,11 +166,13 @@ notificationRouter.route('/api/notifications/:id')
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Notification'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Notification not found
  *       500:
  *         description: Server error
  */
-notificationRouter.put('/api/notifications/:id/read', auth.requireSignin, notificationCtrl.markNotificationAsRead);
+notificationRouter.put('/api/notifications/:id/read', auth.requireSignin, auth.requireOwnership(Notification), notificationCtrl.markNotificationAsRead);
 
 export default notificationRouter;
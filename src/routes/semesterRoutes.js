@@ -1,6 +1,9 @@
 import express from 'express';
 import auth from '../controllers/authController.js';
 import semesterCtrl from '../controllers/semesterController.js';
+import trashCtrl from '../controllers/trashController.js';
+import gpaCtrl from '../controllers/gpaController.js';
+import Semester from '../models/semester.js';
 
 const semesterRouter = express.Router();
 
@@ -24,10 +27,12 @@ const semesterRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Semester'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-semesterRouter.post('/api/semester', auth.requireSignin, semesterCtrl.createSemester);
+semesterRouter.post('/api/semester', auth.requireSignin, auth.assignOwner(), semesterCtrl.createSemester);
 
 // Route to get all semesters
 /**
@@ -45,11 +50,13 @@ semesterRouter.post('/api/semester', auth.requireSignin, semesterCtrl.createSeme
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Semester'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
 semesterRouter.route('/api/semesters')
-  .get(auth.requireSignin, semesterCtrl.getAllSemesters);
+  .get(auth.requireSignin, auth.requirePermission('records:read:any'), semesterCtrl.getAllSemesters);
 
 // Route to get a specific semester by ID
 /**
@@ -72,6 +79,8 @@ semesterRouter.route('/api/semesters')
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Semester'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Semester not found
  *       500:
@@ -99,6 +108,8 @@ semesterRouter.route('/api/semesters')
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Semester'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Semester not found
  *       500:
@@ -116,14 +127,113 @@ semesterRouter.route('/api/semesters')
  *     responses:
  *       200:
  *         description: Semester deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Semester not found
  *       500:
  *         description: Server error
  */
 semesterRouter.route('/api/semesters/:id')
-  .get(auth.requireSignin, semesterCtrl.getSemesterById)
-  .put(auth.requireSignin, semesterCtrl.updateSemester)
-  .delete(auth.requireSignin, semesterCtrl.deleteSemester);
+  .get(auth.requireSignin, auth.requireOwnership(Semester), semesterCtrl.getSemesterById)
+  .put(auth.requireSignin, auth.requireOwnership(Semester), semesterCtrl.updateSemester)
+  .delete(auth.requireSignin, auth.requireOwnership(Semester), semesterCtrl.deleteSemester);
+
+// Route to restore a semester from the trash
+/**
+ * @swagger
+ * /api/semesters/{id}/restore:
+ *   post:
+ *     summary: Restore a semester from the trash
+ *     tags: [Semesters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The semester ID
+ *     responses:
+ *       200:
+ *         description: The restored semester
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Semester'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Semester not found in trash
+ *       500:
+ *         description: Server error
+ */
+semesterRouter.post('/api/semesters/:id/restore', auth.requireSignin, auth.requireOwnership(Semester, { withDeleted: true }), trashCtrl.restoreRecord(Semester, 'Semester'));
+
+// Route to get the GPA of a semester
+/**
+ * @swagger
+ * /api/semesters/{id}/gpa:
+ *   get:
+ *     summary: Get the GPA and average of a semester
+ *     tags: [Semesters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The semester ID
+ *       - in: query
+ *         name: scale
+ *         schema:
+ *           type: string
+ *           enum: ['4.0', '4.33']
+ *         description: Grading scale to use instead of the owner's setting
+ *     responses:
+ *       200:
+ *         description: The semester's credit-weighted GPA, average and credits, with the letter grade of each subject
+ *       400:
+ *         description: Unknown grading scale
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Semester not found
+ *       500:
+ *         description: Server error
+ */
+semesterRouter.get('/api/semesters/:id/gpa', auth.requireSignin, auth.requireOwnership(Semester), gpaCtrl.getSemesterGpa);
+
+// Route to get semesters by user
+/**
+ * @swagger
+ * /api/semesters/user/{userId}:
+ *   get:
+ *     summary: Get semesters by user ID
+ *     tags: [Semesters]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: A list of semesters for the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Semester'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+semesterRouter.route('/api/semesters/user/:userId')
+  .get(auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), semesterCtrl.getSemestersByUser);
 
 export default semesterRouter;
@@ -1,6 +1,8 @@
 import express from 'express';
 import auth from '../controllers/authController.js';
 import subjectCtrl from '../controllers/subjectController.js';
+import trashCtrl from '../controllers/trashController.js';
+import Subject from '../models/subject.js';
 
 const subjectRouter = express.Router();
 
@@ -24,10 +26,12 @@ const subjectRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Subject'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-subjectRouter.post('/api/subject', auth.requireSignin, subjectCtrl.createSubject);
+subjectRouter.post('/api/subject', auth.requireSignin, auth.assignOwner(), subjectCtrl.createSubject);
 
 // Route to get, update, or delete a specific subject by ID
 /**
@@ -50,6 +54,8 @@ subjectRouter.post('/api/subject', auth.requireSignin, subjectCtrl.createSubject
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Subject'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Subject not found
  *       500:
@@ -77,6 +83,8 @@ subjectRouter.post('/api/subject', auth.requireSignin, subjectCtrl.createSubject
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Subject'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Subject not found
  *       500:
@@ -94,15 +102,153 @@ subjectRouter.post('/api/subject', auth.requireSignin, subjectCtrl.createSubject
  *     responses:
  *       200:
  *         description: Subject deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Subject not found
  *       500:
  *         description: Server error
  */
 subjectRouter.route('/api/subjects/:id')
-  .get(auth.requireSignin, subjectCtrl.getSubjectById)
-  .put(auth.requireSignin, subjectCtrl.updateSubject)
-  .delete(auth.requireSignin, subjectCtrl.deleteSubject);
+  .get(auth.requireSignin, auth.requireOwnership(Subject), subjectCtrl.getSubjectById)
+  .put(auth.requireSignin, auth.requireOwnership(Subject), subjectCtrl.updateSubject)
+  .delete(auth.requireSignin, auth.requireOwnership(Subject), subjectCtrl.deleteSubject);
+
+// Route to restore a subject from the trash
+/**
+ * @swagger
+ * /api/subjects/{id}/restore:
+ *   post:
+ *     summary: Restore a subject from the trash
+ *     tags: [Subjects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The subject ID
+ *     responses:
+ *       200:
+ *         description: The restored subject
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Subject'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Subject not found in trash
+ *       500:
+ *         description: Server error
+ */
+subjectRouter.post('/api/subjects/:id/restore', auth.requireSignin, auth.requireOwnership(Subject, { withDeleted: true }), trashCtrl.restoreRecord(Subject, 'Subject'));
+
+// Route to get the current weighted mark in a subject
+/**
+ * @swagger
+ * /api/subjects/{id}/standing:
+ *   get:
+ *     summary: Get the current weighted percentage in a subject, per grading category
+ *     tags: [Subjects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The subject ID
+ *     responses:
+ *       200:
+ *         description: The subject's standing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubjectStanding'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ */
+subjectRouter.get('/api/subjects/:id/standing', auth.requireSignin, auth.requireOwnership(Subject), subjectCtrl.getSubjectStanding);
+
+// Route to project what is needed on the remaining work, optionally with what-if scores
+/**
+ * @swagger
+ * /api/subjects/{id}/projection:
+ *   get:
+ *     summary: Get the average needed on the remaining work to reach the subject's target grade
+ *     tags: [Subjects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The subject ID
+ *     responses:
+ *       200:
+ *         description: The projection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubjectProjection'
+ *       400:
+ *         description: The subject has no target grade
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Project the subject's grade with hypothetical scores, without saving them
+ *     tags: [Subjects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The subject ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               whatIf:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     a_id: { type: string, description: 'Assignment of the subject' }
+ *                     grade: { type: number }
+ *                     outOf: { type: number }
+ *               targetGrade:
+ *                 type: number
+ *                 description: Target percentage to use instead of the subject's
+ *     responses:
+ *       200:
+ *         description: The projection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SubjectProjection'
+ *       400:
+ *         description: Invalid what-if scores or no target grade
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Subject not found
+ *       500:
+ *         description: Server error
+ */
+subjectRouter.route('/api/subjects/:id/projection')
+  .get(auth.requireSignin, auth.requireOwnership(Subject), subjectCtrl.getSubjectProjection)
+  .post(auth.requireSignin, auth.requireOwnership(Subject, { permission: 'records:read:any' }), subjectCtrl.getSubjectProjection);
 
 // Route to get subjects by user ID
 /**
@@ -127,13 +273,15 @@ subjectRouter.route('/api/subjects/:id')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Subject'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
 subjectRouter.route('/api/subjects/user/:userId')
-  .get(auth.requireSignin, subjectCtrl.getSubjectsByUser);
+  .get(auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), subjectCtrl.getSubjectsByUser);
 
 // Route to list all the subjects
 /**
@@ -151,10 +299,12 @@ subjectRouter.route('/api/subjects/user/:userId')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Subject'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
 subjectRouter.route('/api/subjects')
-  .get(auth.requireSignin, subjectCtrl.getAllSubjects);
+  .get(auth.requireSignin, auth.requirePermission('records:read:any'), subjectCtrl.getAllSubjects);
 
 export default subjectRouter;
@@ -1,6 +1,8 @@
 import express from 'express';
 import auth from '../controllers/authController.js';
 import teacherCtrl from '../controllers/teacherController.js';
+import trashCtrl from '../controllers/trashController.js';
+import Teacher from '../models/teacher.js';
 
 const teacherRouter = express.Router();
 
@@ -24,10 +26,12 @@ const teacherRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Teacher'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-teacherRouter.post('/api/teacher', auth.requireSignin, teacherCtrl.createTeacher);
+teacherRouter.post('/api/teacher', auth.requireSignin, auth.assignOwner(), teacherCtrl.createTeacher);
 
 // Route to get a specific teacher by ID
 /**
@@ -50,6 +54,8 @@ teacherRouter.post('/api/teacher', auth.requireSignin, teacherCtrl.createTeacher
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Teacher'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Teacher not found
  *       500:
@@ -77,6 +83,8 @@ teacherRouter.post('/api/teacher', auth.requireSignin, teacherCtrl.createTeacher
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Teacher'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Teacher not found
  *       500:
@@ -94,15 +102,47 @@ teacherRouter.post('/api/teacher', auth.requireSignin, teacherCtrl.createTeacher
  *     responses:
  *       200:
  *         description: Teacher deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Teacher not found
  *       500:
  *         description: Server error
  */
 teacherRouter.route('/api/teachers/:id')
-  .get(auth.requireSignin, teacherCtrl.getTeacherById)
-  .put(auth.requireSignin, teacherCtrl.updateTeacher)
-  .delete(auth.requireSignin, teacherCtrl.deleteTeacher);
+  .get(auth.requireSignin, auth.requireOwnership(Teacher), teacherCtrl.getTeacherById)
+  .put(auth.requireSignin, auth.requireOwnership(Teacher), teacherCtrl.updateTeacher)
+  .delete(auth.requireSignin, auth.requireOwnership(Teacher), teacherCtrl.deleteTeacher);
+
+// Route to restore a teacher from the trash
+/**
+ * @swagger
+ * /api/teachers/{id}/restore:
+ *   post:
+ *     summary: Restore a teacher from the trash
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The teacher ID
+ *     responses:
+ *       200:
+ *         description: The restored teacher
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Teacher'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Teacher not found in trash
+ *       500:
+ *         description: Server error
+ */
+teacherRouter.post('/api/teachers/:id/restore', auth.requireSignin, auth.requireOwnership(Teacher, { withDeleted: true }), trashCtrl.restoreRecord(Teacher, 'Teacher'));
 
 // Route to get all teachers
 /**
@@ -120,10 +160,45 @@ teacherRouter.route('/api/teachers/:id')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Teacher'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
 teacherRouter.route('/api/teachers')
-  .get(auth.requireSignin, teacherCtrl.getAllTeachers);
+  .get(auth.requireSignin, auth.requirePermission('records:read:any'), teacherCtrl.getAllTeachers);
+
+// Route to get teachers by user
+/**
+ * @swagger
+ * /api/teachers/user/{userId}:
+ *   get:
+ *     summary: Get teachers by user ID
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: A list of teachers for the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Teacher'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+teacherRouter.route('/api/teachers/user/:userId')
+  .get(auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), teacherCtrl.getTeachersByUser);
 
 export default teacherRouter;
@@ -1,6 +1,8 @@
 import express from 'express';
 import auth from '../controllers/authController.js';
-import timeTableCtrl from '../controllers/timetableController.js';
+import timeTableCtrl from '../controllers/timeTableController.js';
+import trashCtrl from '../controllers/trashController.js';
+import TimeTable from '../models/timetable.js';
 
 const timeTableRouter = express.Router();
 
@@ -24,10 +26,12 @@ const timeTableRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/TimeTable'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-timeTableRouter.post('/api/timetable', auth.requireSignin, timeTableCtrl.createTimeTableEntry);
+timeTableRouter.post('/api/timetable', auth.requireSignin, auth.assignOwner(), timeTableCtrl.createTimeTableEntry);
 
 // Route to get, update, or delete a specific timetable entry by ID
 /**
@@ -50,6 +54,8 @@ timeTableRouter.post('/api/timetable', auth.requireSignin, timeTableCtrl.createT
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/TimeTable'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Timetable entry not found
  *       500:
@@ -77,6 +83,8 @@ timeTableRouter.post('/api/timetable', auth.requireSignin, timeTableCtrl.createT
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/TimeTable'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Timetable entry not found
  *       500:
@@ -94,15 +102,47 @@ timeTableRouter.post('/api/timetable', auth.requireSignin, timeTableCtrl.createT
  *     responses:
  *       200:
  *         description: Timetable entry deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: Timetable entry not found
  *       500:
  *         description: Server error
  */
 timeTableRouter.route('/api/timetable/:id')
-  .get(auth.requireSignin, timeTableCtrl.getTimeTableById)
-  .put(auth.requireSignin, timeTableCtrl.updateTimeTableEntry)
-  .delete(auth.requireSignin, timeTableCtrl.deleteTimeTableEntry);
+  .get(auth.requireSignin, auth.requireOwnership(TimeTable), timeTableCtrl.getTimeTableById)
+  .put(auth.requireSignin, auth.requireOwnership(TimeTable), timeTableCtrl.updateTimeTableEntry)
+  .delete(auth.requireSignin, auth.requireOwnership(TimeTable), timeTableCtrl.deleteTimeTableEntry);
+
+// Route to restore a timetable entry from the trash
+/**
+ * @swagger
+ * /api/timetable/{id}/restore:
+ *   post:
+ *     summary: Restore a timetable entry from the trash
+ *     tags: [TimeTable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The timetable entry ID
+ *     responses:
+ *       200:
+ *         description: The restored timetable entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeTable'
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: Timetable entry not found in trash
+ *       500:
+ *         description: Server error
+ */
+timeTableRouter.post('/api/timetable/:id/restore', auth.requireSignin, auth.requireOwnership(TimeTable, { withDeleted: true }), trashCtrl.restoreRecord(TimeTable, 'Timetable entry'));
 
 // Route to get all timetable entries
 /**
@@ -120,11 +160,13 @@ timeTableRouter.route('/api/timetable/:id')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/TimeTable'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
 timeTableRouter.route('/api/timetable')
-  .get(auth.requireSignin, timeTableCtrl.getAllTimeTableEntries);
+  .get(auth.requireSignin, auth.requirePermission('records:read:any'), timeTableCtrl.getAllTimeTableEntries);
 
 // Route to get all timetable entries for a specific user
 /**
@@ -149,11 +191,13 @@ timeTableRouter.route('/api/timetable')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/TimeTable'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-timeTableRouter.get('/api/timetable/user/:userId', auth.requireSignin, timeTableCtrl.getTimeTableByUser);
+timeTableRouter.get('/api/timetable/user/:userId', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), timeTableCtrl.getTimeTableByUser);
 
 export default timeTableRouter;
@@ -0,0 +1,31 @@
+import express from 'express';
+import auth from '../controllers/authController.js';
+import trashCtrl from '../controllers/trashController.js';
+
+const trashRouter = express.Router();
+
+// Route to get everything a user has in the trash
+/**
+ * @swagger
+ * /api/trash/user/{userId}:
+ *   get:
+ *     summary: Get a user's trashed records
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: The retention period and the trashed records per collection, each with the date it will be purged
+ *       403:
+ *         description: User is not authorized
+ *       500:
+ *         description: Server error
+ */
+trashRouter.get('/api/trash/user/:userId', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), trashCtrl.getTrashByUser);
+
+export default trashRouter;
@@ -9,7 +9,7 @@ const userRouter = express.Router();
  * @swagger
  * /api/user:
  *   post:
- *     summary: Create a new user
+ *     summary: Create a new user (admin only; self-service sign-up uses /auth/register)
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -26,10 +26,12 @@ const userRouter = express.Router();
  *               $ref: '#/components/schemas/User'
  *       400:
  *         description: Email already in use
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-userRouter.post('/api/user', userCtrl.createUser);
+userRouter.post('/api/user', auth.requireSignin, auth.requirePermission('users:manage'), userCtrl.createUser);
 
 // Route to get a specific user by ID
 /**
@@ -52,6 +54,8 @@ userRouter.post('/api/user', userCtrl.createUser);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User not found
  *       500:
@@ -79,12 +83,14 @@ userRouter.post('/api/user', userCtrl.createUser);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  *   delete:
- *     summary: Delete a user by ID
+ *     summary: Delete a user by ID, refusing or cascading when they still own records
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -93,18 +99,239 @@ userRouter.post('/api/user', userCtrl.createUser);
  *         schema:
  *           type: string
  *         description: The user ID
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [block, cascade]
+ *           default: block
+ *         description: block refuses while the user owns records; cascade deletes them in one transaction
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only report the records that would be removed
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: User deleted successfully, or the dry-run report
+ *       400:
+ *         description: Invalid mode
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User not found
+ *       409:
+ *         description: The user still owns records (block mode)
  *       500:
  *         description: Server error
  */
 userRouter.route('/api/users/:id')
-  .get(auth.requireSignin, userCtrl.getUserById)
-  .put(auth.requireSignin, userCtrl.updateUser)
-  .delete(auth.requireSignin, userCtrl.deleteUser);
+  .get(auth.requireSignin, auth.requireSelfOrPermission('users:read'), userCtrl.getUserById)
+  .put(auth.requireSignin, auth.requireSelfOrPermission('users:manage'), userCtrl.updateUser)
+  .delete(auth.requireSignin, auth.requireSelfOrPermission('users:manage'), userCtrl.deleteUser);
+
+// Route to change the authenticated user's password
+/**
+ * @swagger
+ * /api/users/{id}/password:
+ *   put:
+ *     summary: Change the password of the authenticated user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currentPassword, newPassword]
+ *             properties:
+ *               currentPassword: { type: string }
+ *               newPassword: { type: string }
+ *     responses:
+ *       200:
+ *         description: Password changed; other sessions are revoked and a new token pair is returned
+ *       400:
+ *         description: Current password is incorrect or the new password does not meet the requirements
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+userRouter.put('/api/users/:id/password', auth.requireSignin, auth.requireSelfOrPermission('users:manage'), userCtrl.changePassword);
+
+// Route to request a change of the authenticated user's email
+/**
+ * @swagger
+ * /api/users/{id}/email:
+ *   post:
+ *     summary: Request an email change; the new address must be confirmed through /auth/confirm-email
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [newEmail, currentPassword]
+ *             properties:
+ *               newEmail: { type: string, format: email }
+ *               currentPassword: { type: string }
+ *     responses:
+ *       202:
+ *         description: Confirmation link sent to the new address
+ *       400:
+ *         description: Invalid email, email already in use or current password is incorrect
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+userRouter.post('/api/users/:id/email', auth.requireSignin, auth.requireSelfOrPermission('users:manage'), userCtrl.requestEmailChange);
+
+// Route to view the authenticated user's security history
+/**
+ * @swagger
+ * /api/users/{id}/security-history:
+ *   get:
+ *     summary: Get the security history (password and email changes) of the authenticated user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     responses:
+ *       200:
+ *         description: A list of security events, newest first
+ *       403:
+ *         description: User is not authorized
+ *       500:
+ *         description: Server error
+ */
+userRouter.get('/api/users/:id/security-history', auth.requireSignin, auth.requireSelfOrPermission('users:manage'), userCtrl.getSecurityHistory);
+
+// Route for admins to review security events such as account lockouts
+/**
+ * @swagger
+ * /api/security-events:
+ *   get:
+ *     summary: List security events across all users, e.g. account lockouts (admin only)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [password_changed, password_reset, email_change_requested, email_changed, role_changed, account_suspended, account_reactivated, account_locked, account_unlocked]
+ *         description: Only return events of this type
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Maximum number of events to return (default 100, at most 500)
+ *     responses:
+ *       200:
+ *         description: A list of security events, newest first
+ *       403:
+ *         description: User is not authorized
+ *       500:
+ *         description: Server error
+ */
+userRouter.get('/api/security-events', auth.requireSignin, auth.requirePermission('users:manage'), userCtrl.getSecurityEvents);
+
+// Route to change a user's role
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change the role of a user (admin only)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role: { type: string, enum: [student, teacher, admin] }
+ *     responses:
+ *       200:
+ *         description: Role updated; the user's sessions are revoked
+ *       400:
+ *         description: Invalid role or attempt to change your own role
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+userRouter.put('/api/users/:id/role', auth.requireSignin, auth.requirePermission('users:roles'), userCtrl.updateUserRole);
+
+// Route to suspend or reactivate a user
+/**
+ * @swagger
+ * /api/users/{id}/status:
+ *   put:
+ *     summary: Suspend or reactivate a user account (admin only)
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The user ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status: { type: string, enum: [active, suspended] }
+ *     responses:
+ *       200:
+ *         description: Status updated; suspending revokes all of the user's sessions
+ *       400:
+ *         description: Invalid status or attempt to change your own status
+ *       403:
+ *         description: User is not authorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+userRouter.put('/api/users/:id/status', auth.requireSignin, auth.requirePermission('users:manage'), userCtrl.updateUserStatus);
 
 // Route to list all users
 /**
@@ -122,10 +349,12 @@ userRouter.route('/api/users/:id')
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/User'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
 userRouter.route('/api/users')
-  .get(auth.requireSignin, userCtrl.getAllUsers);
+  .get(auth.requireSignin, auth.requirePermission('users:read'), userCtrl.getAllUsers);
 
 export default userRouter;
@@ -24,10 +24,12 @@ const userSettingsRouter = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UserSettings'
+ *       403:
+ *         description: User is not authorized
  *       500:
  *         description: Server error
  */
-userSettingsRouter.post('/api/user-settings', auth.requireSignin, userSettingsCtrl.createOrUpdateUserSettings);
+userSettingsRouter.post('/api/user-settings', auth.requireSignin, auth.assignOwner('userId'), userSettingsCtrl.createOrUpdateUserSettings);
 
 // Route to get user settings by user ID
 /**
@@ -50,12 +52,14 @@ userSettingsRouter.post('/api/user-settings', auth.requireSignin, userSettingsCt
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UserSettings'
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User settings not found
  *       500:
  *         description: Server error
  */
-userSettingsRouter.get('/api/user-settings/:userId', auth.requireSignin, userSettingsCtrl.getUserSettings);
+userSettingsRouter.get('/api/user-settings/:userId', auth.requireSignin, auth.requireSelfOrPermission('records:read:any', 'userId'), userSettingsCtrl.getUserSettings);
 
 // Route to delete user settings by user ID
 /**
@@ -74,11 +78,13 @@ userSettingsRouter.get('/api/user-settings/:userId', auth.requireSignin, userSet
  *     responses:
  *       200:
  *         description: User settings deleted successfully
+ *       403:
+ *         description: User is not authorized
  *       404:
  *         description: User settings not found
  *       500:
  *         description: Server error
  */
-userSettingsRouter.delete('/api/user-settings/:userId', auth.requireSignin, userSettingsCtrl.deleteUserSettings);
+userSettingsRouter.delete('/api/user-settings/:userId', auth.requireSignin, auth.requireSelfOrPermission('records:write:any', 'userId'), userSettingsCtrl.deleteUserSettings);
 
 export default userSettingsRouter;
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import Grade from '../models/grade.js';
+import Subject from '../models/subject.js';
+import Assignment from '../models/assignment.js';
+import gradeCalculator from './gradeCalculator.js';
+
+const { ObjectId } = mongoose.Types;
+
+// Percentage of a grade, e.g. 18 out of 20 is 90
+const PERCENTAGE = { $multiply: [{ $divide: ['$grade', '$outOf'] }, 100] };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Start a pipeline over a user's grades, joined with their (live) subject.
+ * Grades without a subject, or whose subject is in the trash, are left out.
+ *
+ * @function gradesOf
+ * @param {string} uid - ID of the user.
+ * @param {Object} [filters] - Optional filters.
+ * @param {Date} [filters.from] - Only grades dated at or after this date.
+ * @param {Date} [filters.to] - Only grades dated at or before this date.
+ * @param {string} [filters.subjectId] - Only grades of this subject.
+ * @param {string} [filters.semesterId] - Only grades of subjects in this semester.
+ * @returns {Object[]} The first stages of the pipeline; each document has a `percentage` and a `subject`.
+ */
+const gradesOf = (uid, { from, to, subjectId, semesterId } = {}) => {
+  const match = { uid: new ObjectId(uid), outOf: { $gt: 0 } };
+  if (subjectId) {
+    match.s_id = new ObjectId(subjectId);
+  }
+  if (from || to) {
+    match.date = {};
+    if (from) {
+      match.date.$gte = from;
+    }
+    if (to) {
+      match.date.$lte = to;
+    }
+  }
+
+  const pipeline = [
+    { $match: match },
+    {
+      $lookup: {
+        from: Subject.collection.name,
+        localField: 's_id',
+        foreignField: '_id',
+        pipeline: [
+          { $match: { deleted_at: null } },
+          { $project: { subjectTitle: 1, targetGrade: 1, semester_id: 1 } },
+        ],
+        as: 'subject',
+      },
+    },
+    { $unwind: '$subject' },
+  ];
+  if (semesterId) {
+    pipeline.push({ $match: { 'subject.semester_id': new ObjectId(semesterId) } });
+  }
+  pipeline.push({ $addFields: { percentage: PERCENTAGE } });
+  return pipeline;
+};
+
+/**
+ * Get a user's grade percentages over time, per subject, with a moving average.
+ *
+ * @async
+ * @function trend
+ * @param {string} uid - ID of the user.
+ * @param {Object} [filters] - Optional filters (see `gradesOf`).
+ * @param {number} [window=3] - Number of grades (the latest included) the moving average is taken over.
+ * @returns {Promise<Object[]>} Per subject, its grades in date order with their `percentage` and `moving_average`.
+ */
+const trend = async (uid, filters, window = 3) => Grade.aggregate([
+  ...gradesOf(uid, filters),
+  {
+    $setWindowFields: {
+      partitionBy: '$s_id',
+      sortBy: { date: 1 },
+      output: { moving_average: { $avg: '$percentage', window: { documents: [1 - window, 0] } } },
+    },
+  },
+  { $sort: { s_id: 1, date: 1 } },
+  {
+    $group: {
+      _id: '$s_id',
+      subjectTitle: { $first: '$subject.subjectTitle' },
+      points: {
+        $push: {
+          grade_id: '$_id',
+          date: '$date',
+          percentage: { $round: ['$percentage', 2] },
+          moving_average: { $round: ['$moving_average', 2] },
+        },
+      },
+    },
+  },
+  { $project: { _id: 0, subject_id: '$_id', subjectTitle: 1, points: 1 } },
+  { $sort: { subjectTitle: 1 } },
+]);
+
+/**
+ * Compare a user's subjects: the percentage in each, weighted by grading category as in the
+ * subject's standing, its spread and how it stands against the subject's target grade.
+ * `earned` and `possible` are the raw points behind it.
+ *
+ * @async
+ * @function compareSubjects
+ * @param {string} uid - ID of the user.
+ * @param {Object} [filters] - Optional filters (see `gradesOf`).
+ * @returns {Promise<Object>} The subjects from best to worst, and the best and worst subject.
+ */
+const compareSubjects = async (uid, filters) => {
+  const groups = await Grade.aggregate([
+    ...gradesOf(uid, filters),
+    {
+      $group: {
+        _id: '$s_id',
+        subjectTitle: { $first: '$subject.subjectTitle' },
+        targetGrade: { $first: '$subject.targetGrade' },
+        earned: { $sum: '$grade' },
+        possible: { $sum: '$outOf' },
+        grades: { $sum: 1 },
+        highest: { $max: '$percentage' },
+        lowest: { $min: '$percentage' },
+        first_date: { $min: '$date' },
+        last_date: { $max: '$date' },
+        scores: { $push: { _id: '$_id', a_id: '$a_id', grade: '$grade', outOf: '$outOf' } },
+      },
+    },
+  ]);
+
+  // The grading categories and the assignments placing grades in them
+  const ids = groups.map(({ _id }) => _id);
+  const [subjects, assignments] = await Promise.all([
+    Subject.find({ _id: { $in: ids } }),
+    Assignment.find({ s_id: { $in: ids }, uid }),
+  ]);
+  const subjectsById = new Map(subjects.map((subject) => [String(subject._id), subject]));
+
+  const results = groups.map(({ _id, targetGrade, highest, lowest, scores, ...rest }) => {
+    const subject = subjectsById.get(String(_id)) || { _id, gradingCategories: [] };
+    const subjectAssignments = assignments.filter(({ s_id: subjectId }) => String(subjectId) === String(_id));
+    const { percentage } = gradeCalculator.calculateStanding(subject, subjectAssignments, scores);
+    const compared = Number.isFinite(targetGrade) && percentage !== null;
+    return {
+      subject_id: _id,
+      ...rest,
+      percentage,
+      highest: round(highest),
+      lowest: round(lowest),
+      target_grade: Number.isFinite(targetGrade) ? targetGrade : null,
+      difference: compared ? round(percentage - targetGrade) : null,
+      on_target: compared ? percentage >= targetGrade : null,
+    };
+  });
+  // Best first; subjects whose grades all fall outside their categories have no percentage and come last
+  const rank = ({ percentage }) => (percentage === null ? -1 : percentage);
+  results.sort((a, b) => rank(b) - rank(a) || a.subjectTitle.localeCompare(b.subjectTitle));
+
+  return {
+    subjects: results,
+    best: results.length > 0 ? results[0] : null,
+    worst: results.length > 0 ? results[results.length - 1] : null,
+  };
+};
+
+/**
+ * Count a user's grades per percentage band, e.g. 0-10, 10-20, ... 90-100.
+ * Percentages of 100 or more (extra credit) count in the top band.
+ *
+ * @async
+ * @function distribution
+ * @param {string} uid - ID of the user.
+ * @param {Object} [filters] - Optional filters (see `gradesOf`).
+ * @param {number} [bucketSize=10] - Width of a band, in percentage points; must divide 100.
+ * @returns {Promise<Object>} The number of grades, their mean percentage and the count in every band (empty ones included).
+ */
+const distribution = async (uid, filters, bucketSize = 10) => {
+  const lastBucket = 100 / bucketSize - 1;
+  const [result] = await Grade.aggregate([
+    ...gradesOf(uid, filters),
+    {
+      $facet: {
+        summary: [{ $group: { _id: null, total: { $sum: 1 }, mean: { $avg: '$percentage' } } }],
+        buckets: [
+          {
+            $group: {
+              _id: { $max: [0, { $min: [lastBucket, { $floor: { $divide: ['$percentage', bucketSize] } }] }] },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const counts = new Map(result.buckets.map(({ _id, count }) => [_id, count]));
+  const [summary] = result.summary;
+  return {
+    total: summary ? summary.total : 0,
+    mean: summary ? round(summary.mean) : null,
+    bucket_size: bucketSize,
+    buckets: Array.from({ length: lastBucket + 1 }, (_, index) => ({
+      min: index * bucketSize,
+      max: (index + 1) * bucketSize,
+      count: counts.get(index) || 0,
+    })),
+  };
+};
+
+export default { gradesOf, trend, compareSubjects, distribution };
@@ -0,0 +1,156 @@
+import Assignment from '../models/assignment.js';
+import UserSettings from '../models/userSettings.js';
+import timeZone from './timeZone.js';
+import { OPEN_STATUSES } from '../config/assignmentStatuses.js';
+
+// Assignments created before statuses existed have none stored, and count as not started
+const OPEN = { $in: [...OPEN_STATUSES, null] };
+
+// Calendar days from one 'YYYY-MM-DD' date to another
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / timeZone.DAY_MS);
+
+/**
+ * Pick the time zone for a user: the one asked for, else the user's setting, else the default.
+ *
+ * @async
+ * @function resolveTimeZone
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {string} [requested] - Time zone asked for explicitly.
+ * @returns {Promise<string>} IANA name of the time zone.
+ */
+const resolveTimeZone = async (uid, requested) => {
+  if (requested) {
+    return requested;
+  }
+  const settings = await UserSettings.findOne({ userId: uid });
+  return (settings && settings.timezone) || timeZone.DEFAULT_TIMEZONE;
+};
+
+/**
+ * Group assignments and checklist items (each sorted by due date) by their due day in a time zone, then by subject.
+ *
+ * @function groupByDay
+ * @param {Object[]} assignments - Assignments with their subject and its teacher populated.
+ * @param {string} zone - IANA name of the time zone.
+ * @param {Date} now - The current instant, which decides what "today" is.
+ * @param {Object[]} [subtasks=[]] - Checklist items with their assignment's subject populated (see `findDue`).
+ * @returns {Object[]} Per day: its `date`, `offset_days` from today, and the assignments and subtasks per subject.
+ */
+const groupByDay = (assignments, zone, now, subtasks = []) => {
+  const today = timeZone.dayKey(now, zone);
+  const days = new Map();
+
+  // The group of a subject on the day an assignment or item is due
+  const groupFor = (dueDate, subject) => {
+    const date = timeZone.dayKey(dueDate, zone);
+    if (!days.has(date)) {
+      days.set(date, { date, offset_days: daysBetween(today, date), subjects: new Map() });
+    }
+
+    const subjects = days.get(date).subjects;
+    const key = subject ? String(subject._id) : null;
+    if (!subjects.has(key)) {
+      subjects.set(key, {
+        subject_id: subject ? subject._id : null,
+        subjectTitle: subject ? subject.subjectTitle : null,
+        teacher: (subject && subject.t_uid) || null,
+        assignments: [],
+        subtasks: [],
+      });
+    }
+    return subjects.get(key);
+  };
+
+  for (const { s_id: subject, ...assignment } of assignments) {
+    groupFor(assignment.due_date, subject).assignments.push({ ...assignment, s_id: subject ? subject._id : null });
+  }
+  for (const { s_id: subject, ...subtask } of subtasks) {
+    groupFor(subtask.due_date, subject).subtasks.push(subtask);
+  }
+
+  return [...days.values()]
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .map((day) => ({ ...day, subjects: [...day.subjects.values()] }));
+};
+
+// Fetch a user's open assignments that are due, or have checklist items left to do that are due, in a range.
+// Returns the assignments due in the range and those items, soonest first, with their subject and teacher.
+const findDue = async (uid, { from, to }) => {
+  const range = {};
+  if (from) {
+    range.$gte = from;
+  }
+  if (to) {
+    range.$lt = to;
+  }
+  const inRange = (date) => Boolean(date) && (!from || date >= from) && (!to || date < to);
+
+  const found = await Assignment.find({
+    uid,
+    status: OPEN,
+    $or: [{ due_date: range }, { checklist: { $elemMatch: { done: false, due_date: range } } }],
+  })
+    .select('-status_history')
+    .sort({ due_date: 1 })
+    .populate({ path: 's_id', select: 'subjectTitle t_uid', populate: { path: 't_uid', select: 'first_name last_name school_email' } })
+    .lean();
+
+  const subtasks = found
+    .flatMap(({ _id, name, s_id: subject, checklist = [] }) => checklist
+      .filter((item) => !item.done && inRange(item.due_date))
+      .map((item) => ({ ...item, assignment_id: _id, assignment_name: name, s_id: subject })))
+    .sort((a, b) => a.due_date - b.due_date);
+  return { assignments: found.filter((assignment) => inRange(assignment.due_date)), subtasks };
+};
+
+/**
+ * Get a user's assignments still to hand in that are due from now until the end of a number of days,
+ * along with the checklist items of open assignments due in that time.
+ *
+ * @async
+ * @function upcoming
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {Object} options - Options.
+ * @param {string} options.timeZone - IANA name of the user's time zone.
+ * @param {number} [options.days=7] - Number of calendar days to cover, today included.
+ * @param {Date} [options.now=new Date()] - The current instant.
+ * @returns {Promise<Object>} The time zone, today's date, the range covered, the number of assignments and subtasks, and the days.
+ */
+const upcoming = async (uid, { timeZone: zone, days = 7, now = new Date() }) => {
+  const to = timeZone.startOfDay(now, zone, days);
+  const { assignments, subtasks } = await findDue(uid, { from: now, to });
+  return {
+    timezone: zone,
+    today: timeZone.dayKey(now, zone),
+    from: now,
+    to,
+    total: assignments.length,
+    total_subtasks: subtasks.length,
+    days: groupByDay(assignments, zone, now, subtasks),
+  };
+};
+
+/**
+ * Get a user's assignments past their due date that have not been handed in, oldest first,
+ * along with the checklist items of open assignments that are past their due date and not done.
+ *
+ * @async
+ * @function overdue
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {Object} options - Options.
+ * @param {string} options.timeZone - IANA name of the user's time zone.
+ * @param {Date} [options.now=new Date()] - The current instant.
+ * @returns {Promise<Object>} The time zone, today's date, the number of assignments and subtasks, and the days.
+ */
+const overdue = async (uid, { timeZone: zone, now = new Date() }) => {
+  const { assignments, subtasks } = await findDue(uid, { to: now });
+  return {
+    timezone: zone,
+    today: timeZone.dayKey(now, zone),
+    total: assignments.length,
+    total_subtasks: subtasks.length,
+    days: groupByDay(assignments, zone, now, subtasks),
+  };
+};
+
+export default { resolveTimeZone, groupByDay, upcoming, overdue };
@@ -0,0 +1,200 @@
+import Assignment from '../models/assignment.js';
+import Subject from '../models/subject.js';
+import Semester from '../models/semester.js';
+import timeZone from './timeZone.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Days since 1970-01-01 of a 'YYYY-MM-DD' date, and back
+const dayNumber = (day) => Date.parse(`${day}T00:00:00Z`) / timeZone.DAY_MS;
+const dayOf = (number) => new Date(number * timeZone.DAY_MS).toISOString().slice(0, 10);
+
+const isDay = (day) => typeof day === 'string' && DAY_PATTERN.test(day) && dayOf(dayNumber(day)) === day;
+
+/**
+ * Check a recurrence rule, e.g. `{ weekdays: [1, 3], interval: 1, time: '09:00', starts_on: '2025-01-06' }`.
+ *
+ * @function validateRecurrence
+ * @param {Object} recurrence - The recurrence rule.
+ * @returns {string|null} Why the rule is invalid, or null when it is valid.
+ */
+const validateRecurrence = (recurrence) => {
+  if (!recurrence || typeof recurrence !== 'object') {
+    return 'A recurrence rule is required';
+  }
+  const { weekdays, interval, time, starts_on: startsOn, until } = recurrence;
+  if (!Array.isArray(weekdays) || weekdays.length === 0 || weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'Weekdays must be a list of days from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (interval !== undefined && (!Number.isInteger(interval) || interval < 1 || interval > 52)) {
+    return 'Interval must be a whole number of weeks from 1 to 52';
+  }
+  if (time !== undefined && !TIME_PATTERN.test(time)) {
+    return "Time must be given as 'HH:MM'";
+  }
+  if ((startsOn !== undefined && !isDay(startsOn)) || (until !== undefined && until !== null && !isDay(until))) {
+    return "Days must be given as 'YYYY-MM-DD'";
+  }
+  if (startsOn && until && until < startsOn) {
+    return 'The recurrence ends before it starts';
+  }
+  return null;
+};
+
+/**
+ * Name an occurrence of a template, replacing '{n}' with its number.
+ *
+ * @function occurrenceName
+ * @param {string} name - The template's name, e.g. 'Lab {n}'.
+ * @param {number} occurrence - Number of the occurrence, from 1.
+ * @returns {string} The occurrence's name, e.g. 'Lab 3'.
+ */
+const occurrenceName = (name, occurrence) => name.replace(/\{n\}/g, String(occurrence));
+
+/**
+ * List when a template's occurrences fall due within its semester.
+ * Weeks are counted from the week (starting on Sunday) of `starts_on`, so with an interval of
+ * 2 the occurrences fall in that week, the third week, the fifth week and so on.
+ *
+ * @function schedule
+ * @param {Object} template - The template, with its `recurrence` and `timezone`.
+ * @param {Object} semester - The subject's semester, with its `startDate` and `endDate`.
+ * @returns {Object[]} Per occurrence, in order: its `occurrence` number, `occurrence_date` and `due_date`.
+ */
+const schedule = (template, semester) => {
+  const { weekdays, interval = 1, time = '23:59', starts_on: startsOn, until } = template.recurrence;
+  const zone = template.timezone;
+  const semesterStart = timeZone.dayKey(semester.startDate, zone);
+  const semesterEnd = timeZone.dayKey(semester.endDate, zone);
+
+  const first = dayNumber(startsOn > semesterStart ? startsOn : semesterStart);
+  const last = dayNumber(until && until < semesterEnd ? until : semesterEnd);
+  const start = dayNumber(startsOn);
+  // 1970-01-01 was a Thursday
+  const weekStart = start - ((start + 4) % 7);
+
+  const occurrences = [];
+  for (let number = first; number <= last; number += 1) {
+    const week = Math.floor((number - weekStart) / 7);
+    if (weekdays.includes((number + 4) % 7) && week % interval === 0) {
+      const day = dayOf(number);
+      occurrences.push({ occurrence: occurrences.length + 1, occurrence_date: day, due_date: timeZone.atTime(day, time, zone) });
+    }
+  }
+  return occurrences;
+};
+
+/**
+ * Find the semester a template's occurrences are generated in: the one of its subject.
+ *
+ * @async
+ * @function semesterOf
+ * @param {Object} template - The template.
+ * @returns {Promise<Object|null>} The semester, or null when the subject is gone or not in a semester.
+ */
+const semesterOf = async (template) => {
+  const subject = await Subject.findById(template.s_id);
+  if (!subject || !subject.semester_id) {
+    return null;
+  }
+  return Semester.findById(subject.semester_id);
+};
+
+// Occurrences that follow their template: never edited on their own nor started
+const followsTemplate = (assignment) => !assignment.deleted_at && !assignment.detached
+  && (!assignment.status || assignment.status === 'not_started');
+
+// Occurrences the template itself moved to the trash, and nobody has restored or deleted again since
+const removedByTemplate = (assignment) => Boolean(assignment.deleted_at && assignment.unscheduled_at)
+  && assignment.deleted_at.getTime() === assignment.unscheduled_at.getTime();
+
+/**
+ * Bring a template's occurrences in line with it.
+ *
+ * Occurrences missing from the schedule are created. Occurrences that were deleted, edited on
+ * their own or already started are never touched, and block a new occurrence on their day.
+ * With `rewrite`, the other occurrences due from `from` on are updated to the template, and
+ * moved to the trash when the schedule no longer has their day. Those come back out of the
+ * trash, counted as created, once the schedule has their day again.
+ *
+ * @async
+ * @function sync
+ * @param {Object} template - The template.
+ * @param {Object} semester - The subject's semester.
+ * @param {Object} [options] - Sync options.
+ * @param {boolean} [options.rewrite=false] - Also update and remove existing occurrences.
+ * @param {Date} [options.from] - Only handle occurrences due at or after this instant.
+ * @returns {Promise<Object>} How many occurrences were `created`, `updated` and `removed`.
+ */
+const sync = async (template, semester, { rewrite = false, from } = {}) => {
+  const due = schedule(template, semester).filter(({ due_date: dueDate }) => !from || dueDate >= from);
+  const existing = await Assignment.find({ template_id: template._id }, null, { withDeleted: true });
+  const byDay = new Map(existing.map((assignment) => [assignment.occurrence_date, assignment]));
+  const result = { created: 0, updated: 0, removed: 0 };
+
+  for (const { occurrence, occurrence_date: day, due_date: dueDate } of due) {
+    const fields = {
+      name: occurrenceName(template.name, occurrence),
+      category_id: template.category_id || null,
+      due_date: dueDate,
+      occurrence,
+    };
+    const assignment = byDay.get(day);
+    byDay.delete(day);
+
+    if (!assignment) {
+      try {
+        await Assignment.create({ ...fields, s_id: template.s_id, uid: template.uid, template_id: template._id, occurrence_date: day });
+        result.created += 1;
+      } catch (error) {
+        // Created meanwhile by another sync of the same template
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    } else if (removedByTemplate(assignment)) {
+      await Assignment.findOneAndUpdate(
+        { _id: assignment._id },
+        { ...fields, deleted_at: null, unscheduled_at: null, updated_at: Date.now() },
+        { withDeleted: true }
+      );
+      result.created += 1;
+    } else if (rewrite && followsTemplate(assignment)) {
+      await Assignment.findOneAndUpdate({ _id: assignment._id }, { ...fields, updated_at: Date.now() });
+      result.updated += 1;
+    }
+  }
+
+  if (rewrite) {
+    const dropped = [...byDay.values()]
+      .filter((assignment) => followsTemplate(assignment) && (!from || assignment.due_date >= from));
+    for (const assignment of dropped) {
+      // Trashed and flagged at once, so it can be told apart from an occurrence deleted by hand
+      const now = new Date();
+      await Assignment.findOneAndUpdate({ _id: assignment._id }, { deleted_at: now, unscheduled_at: now });
+      result.removed += 1;
+    }
+  }
+  return result;
+};
+
+/**
+ * Move the occurrences of a template that are still to come and untouched to the trash.
+ *
+ * @async
+ * @function removeFutureOccurrences
+ * @param {Object} template - The template.
+ * @param {Date} [from=new Date()] - Only occurrences due at or after this instant.
+ * @returns {Promise<number>} How many occurrences were removed.
+ */
+const removeFutureOccurrences = async (template, from = new Date()) => {
+  const future = await Assignment.find({ template_id: template._id, due_date: { $gte: from } });
+  const untouched = future.filter(followsTemplate);
+  for (const assignment of untouched) {
+    await Assignment.softDeleteById(assignment._id);
+  }
+  return untouched.length;
+};
+
+export default { validateRecurrence, occurrenceName, schedule, semesterOf, sync, removeFutureOccurrences };
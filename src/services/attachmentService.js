@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import Attachment from '../models/attachment.js';
+import storage from './storage/index.js';
+
+dotenv.config();
+
+/**
+ * Largest file that can be attached, in bytes (`ATTACHMENT_MAX_MB`, default 10).
+ */
+const MAX_BYTES = (Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+/**
+ * Most files one upload can carry.
+ */
+const MAX_FILES = 5;
+
+/**
+ * MIME types that can be attached (`ATTACHMENT_TYPES`, comma-separated): by default PDF,
+ * images, plain text and Markdown, Office documents and ZIP archives.
+ */
+const ALLOWED_TYPES = process.env.ATTACHMENT_TYPES
+  ? process.env.ATTACHMENT_TYPES.split(',').map((type) => type.trim()).filter(Boolean)
+  : [
+    'application/pdf',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'text/plain',
+    'text/markdown',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  ];
+
+/**
+ * Check whether a file of a MIME type can be attached.
+ *
+ * @function isAllowedType
+ * @param {string} contentType - The MIME type.
+ * @returns {boolean} True when the type is allowed.
+ */
+const isAllowedType = (contentType) => ALLOWED_TYPES.includes(contentType);
+
+/**
+ * Store an uploaded file and record it as an attachment of an assignment.
+ *
+ * @async
+ * @function attach
+ * @param {Object} assignment - The assignment.
+ * @param {Object} file - The uploaded file: `originalname`, `mimetype`, `size` and `buffer`.
+ * @param {Object} options - Attachment options.
+ * @param {string} options.kind - 'brief' or 'submission'.
+ * @param {Schema.Types.ObjectId} [options.uploadedBy] - ID of the user uploading the file.
+ * @returns {Promise<Object>} The saved attachment.
+ */
+const attach = async (assignment, file, { kind, uploadedBy }) => {
+  const driver = storage.STORAGE_DRIVER;
+  const key = `${assignment.uid}/${crypto.randomUUID()}`;
+  await storage.getDriver(driver).put(key, file.buffer);
+
+  try {
+    return await Attachment.create({
+      a_id: assignment._id,
+      uid: assignment.uid,
+      uploaded_by: uploadedBy,
+      kind,
+      file_name: file.originalname,
+      content_type: file.mimetype,
+      size: file.buffer.length,
+      checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      storage_driver: driver,
+      storage_key: key,
+    });
+  } catch (error) {
+    // Do not leave a file behind that no attachment points to
+    await storage.getDriver(driver).remove(key);
+    throw error;
+  }
+};
+
+/**
+ * Attach several uploaded files to an assignment, all or none: when one cannot be attached,
+ * those attached before it are removed again, files included.
+ *
+ * @async
+ * @function attachAll
+ * @param {Object} assignment - The assignment.
+ * @param {Object[]} files - The uploaded files (see `attach`).
+ * @param {Object} options - Attachment options (see `attach`).
+ * @returns {Promise<Object[]>} The saved attachments, in the order of the files.
+ */
+const attachAll = async (assignment, files, options) => {
+  const attachments = [];
+  try {
+    for (const file of files) {
+      attachments.push(await attach(assignment, file, options));
+    }
+  } catch (error) {
+    if (attachments.length > 0) {
+      await Attachment.deleteMany({ _id: { $in: attachments.map(({ _id }) => _id) } });
+    }
+    throw error;
+  }
+  return attachments;
+};
+
+/**
+ * Read the byte range asked for by a Range header, e.g. 'bytes=0-499', 'bytes=500-' or 'bytes=-500'.
+ * Headers asking for several ranges, or that cannot be parsed, are ignored.
+ *
+ * @function parseRange
+ * @param {string} [header] - The Range header.
+ * @param {number} size - Size of the file in bytes.
+ * @returns {{start: number, end: number}|null|false} The range (both ends included), null to send the
+ * whole file, or false when the range lies outside the file.
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // The last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start > end || start >= size) {
+    return false;
+  }
+  return { start, end };
+};
+
+export default { MAX_BYTES, MAX_FILES, ALLOWED_TYPES, isAllowedType, attach, attachAll, parseRange };
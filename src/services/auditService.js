@@ -0,0 +1,105 @@
+import AuditLog from '../models/auditLog.js';
+
+// Fields that change on every write or carry no meaning for a reader of the log
+const IGNORED_FIELDS = ['_id', '__v', 'updated_at'];
+
+// Filters accepted by `list`, by the AuditLog field they apply to
+const FILTER_FIELDS = {
+  actor: 'actor',
+  owner: 'owner',
+  entityType: 'entity_type',
+  entityId: 'entity_id',
+  action: 'action',
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare two versions of a record.
+ *
+ * @function diff
+ * @param {Object} [before] - The record before the change (plain object), empty for creations.
+ * @param {Object} [after] - The record after the change (plain object), empty for permanent deletions.
+ * @returns {Object} Changed fields, as `{ field: { from, to } }`. Missing values are reported as null.
+ */
+const diff = (before = {}, after = {}) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (!same(from, to)) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Save an audit log entry. Never throws: the change it describes has already happened,
+ * so a failure to log it is reported on the console instead of failing the request.
+ *
+ * @async
+ * @function record
+ * @param {Object} entry - The entry (see the AuditLog model), including the request context if any.
+ * @returns {Promise<Object|null>} The saved entry, or null when it could not be saved.
+ */
+const record = async (entry) => {
+  try {
+    return await new AuditLog(entry).save();
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Query the audit log, newest first.
+ *
+ * @async
+ * @function list
+ * @param {Object} [filter] - Optional filters.
+ * @param {string} [filter.actor] - Only changes made by this user.
+ * @param {string} [filter.owner] - Only changes to records owned by this user.
+ * @param {string} [filter.entityType] - Only changes to this kind of record, e.g. 'Grade'.
+ * @param {string} [filter.entityId] - Only changes to this record.
+ * @param {string} [filter.action] - Only this kind of change.
+ * @param {Date} [filter.from] - Only changes made at or after this time.
+ * @param {Date} [filter.to] - Only changes made at or before this time.
+ * @param {Object} [page] - Paging options.
+ * @param {number} [page.limit=50] - Maximum number of entries to return.
+ * @param {number} [page.skip=0] - Number of entries to skip.
+ * @returns {Promise<{total: number, entries: Object[]}>} Number of matching entries and the requested page.
+ */
+const list = async (filter = {}, { limit = 50, skip = 0 } = {}) => {
+  const query = {};
+  for (const [key, field] of Object.entries(FILTER_FIELDS)) {
+    if (filter[key]) {
+      query[field] = filter[key];
+    }
+  }
+  if (filter.from || filter.to) {
+    query.created_at = {};
+    if (filter.from) {
+      query.created_at.$gte = filter.from;
+    }
+    if (filter.to) {
+      query.created_at.$lte = filter.to;
+    }
+  }
+
+  const [total, entries] = await Promise.all([
+    AuditLog.countDocuments(query),
+    AuditLog.find(query)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'userName firstName lastName email'),
+  ]);
+  return { total, entries };
+};
+
+export default { diff, record, list };
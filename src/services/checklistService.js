@@ -0,0 +1,67 @@
+/**
+ * Most items an assignment's checklist can hold.
+ */
+const MAX_ITEMS = 100;
+
+/**
+ * Check the fields of a checklist item, e.g. `{ title: 'Draft outline', due_date: '2025-03-01', done: false }`.
+ *
+ * @function validateItem
+ * @param {Object} item - The item's fields.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.partial=false] - Only check the fields given, for an update.
+ * @returns {string|null} Why the item is invalid, or null when it is valid.
+ */
+const validateItem = (item, { partial = false } = {}) => {
+  if (!item || typeof item !== 'object') {
+    return 'A checklist item is required';
+  }
+  const { title, due_date: dueDate, done } = item;
+  if ((!partial || title !== undefined) && (typeof title !== 'string' || !title.trim() || title.length > 200)) {
+    return 'Title must be a text of 1 to 200 characters';
+  }
+  if (dueDate !== undefined && dueDate !== null && Number.isNaN(new Date(dueDate).getTime())) {
+    return 'Due date must be a date';
+  }
+  if (done !== undefined && typeof done !== 'boolean') {
+    return 'Done must be true or false';
+  }
+  return null;
+};
+
+/**
+ * Work out how much of a checklist is done.
+ *
+ * @function progressOf
+ * @param {Object[]} checklist - The checklist items.
+ * @returns {number|null} The percentage of items done, rounded; null for an empty checklist.
+ */
+const progressOf = (checklist) => {
+  if (!checklist || checklist.length === 0) {
+    return null;
+  }
+  const done = checklist.filter((item) => item.done).length;
+  return Math.round((done / checklist.length) * 100);
+};
+
+/**
+ * Put checklist items in a new order.
+ *
+ * @function reorder
+ * @param {Object[]} checklist - The checklist items.
+ * @param {string[]} order - IDs of all the items, each once, in their new order.
+ * @returns {Object[]|null} The items in the new order, or null when the order does not list every item once.
+ */
+const reorder = (checklist, order) => {
+  if (!Array.isArray(order) || order.length !== checklist.length) {
+    return null;
+  }
+  const byId = new Map(checklist.map((item) => [String(item._id), item]));
+  const items = order.map((id) => byId.get(String(id)));
+  if (items.some((item) => !item) || new Set(order.map(String)).size !== order.length) {
+    return null;
+  }
+  return items;
+};
+
+export default { MAX_ITEMS, validateItem, progressOf, reorder };
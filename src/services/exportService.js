@@ -0,0 +1,210 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import User from '../models/user.js';
+import ExportJob from '../models/exportJob.js';
+import OWNED_RECORDS from './ownedRecords.js';
+import tarArchive from './tarArchive.js';
+import userSerializer from './userSerializer.js';
+
+dotenv.config();
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || 'exports');
+const EXPORT_TTL_MS = (Number(process.env.EXPORT_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = (Number(process.env.EXPORT_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+// Jobs still pending or running after this long were lost (e.g. to a restart) and may be retried
+const STALE_JOB_MS = 30 * 60 * 1000;
+const FORMAT_VERSION = 1;
+
+// Name of a job's archive in the export directory, known before it is built
+const archiveName = (job) => `${job._id}.tar.gz`;
+
+/**
+ * Absolute path of a job's archive.
+ *
+ * @function archivePath
+ * @param {Object} job - The export job.
+ * @returns {string} Path inside the export directory.
+ */
+const archivePath = (job) => path.join(EXPORT_DIR, job.file_name || archiveName(job));
+
+/**
+ * Collect everything a user owns as archive files: one JSON file per collection plus a manifest.
+ *
+ * @async
+ * @function collectFiles
+ * @param {Object} user - The user document.
+ * @returns {Promise<{files: Array<{name: string, content: string}>, counts: Object}>} Archive files and record counts.
+ */
+const collectFiles = async (user) => {
+  const files = [{ name: 'profile.json', content: JSON.stringify(await userSerializer.serializeUser(user), null, 2) }];
+  const counts = {};
+
+  for (const { name, model, field } of OWNED_RECORDS) {
+    // Records in the trash are still stored, so they are exported too
+    const records = await model.find({ [field]: user._id }, null, { withDeleted: true });
+    counts[name] = records.length;
+    files.push({ name: `${name}.json`, content: JSON.stringify(records, null, 2) });
+  }
+
+  const manifest = {
+    format_version: FORMAT_VERSION,
+    generated_at: new Date().toISOString(),
+    user: { _id: user._id, email: user.email },
+    files: files.map(({ name }) => ({ name, records: name === 'profile.json' ? 1 : counts[name.replace(/\.json$/, '')] })),
+  };
+  files.unshift({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+
+  return { files, counts };
+};
+
+/**
+ * Build the archive of an export job. Runs in the background; failures are stored on the job.
+ *
+ * @async
+ * @function runExport
+ * @param {Schema.Types.ObjectId} jobId - ID of the export job.
+ * @returns {Promise<void>}
+ */
+const runExport = async (jobId) => {
+  const job = await ExportJob.findOneAndUpdate({ _id: jobId, status: 'pending' }, { status: 'running' }, { new: true });
+  if (!job) {
+    return;
+  }
+
+  try {
+    const user = await User.findById(job.uid);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const { files, counts } = await collectFiles(user);
+    const archive = tarArchive.createTarGz(files);
+
+    const fileName = archiveName(job);
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.writeFile(path.join(EXPORT_DIR, fileName), archive);
+
+    job.status = 'completed';
+    job.file_name = fileName;
+    job.file_size = archive.length;
+    job.counts = counts;
+    job.completed_at = new Date();
+    await job.save();
+  } catch (error) {
+    // The job was deleted with its user meanwhile: the archive must not outlive it
+    if (error.name === 'DocumentNotFoundError') {
+      await fs.rm(archivePath(job), { force: true });
+      return;
+    }
+    job.status = 'failed';
+    job.error = error.message;
+    await job.save();
+  }
+};
+
+/**
+ * Delete expired jobs and their archives.
+ *
+ * @async
+ * @function purgeExpired
+ * @returns {Promise<number>} Number of jobs removed.
+ */
+const purgeExpired = async () => {
+  const expired = await ExportJob.find({ expires_at: { $lte: new Date() } });
+  for (const job of expired) {
+    if (job.file_name) {
+      await fs.rm(archivePath(job), { force: true });
+    }
+    await ExportJob.deleteOne({ _id: job._id });
+  }
+  return expired.length;
+};
+
+/**
+ * Delete the archives of export jobs that were removed, e.g. along with their user.
+ * Archives still being built are removed by the export itself once it finds its job gone.
+ *
+ * @async
+ * @function removeArchives
+ * @param {Object[]} jobs - The removed export jobs.
+ * @returns {Promise<void>}
+ */
+const removeArchives = async (jobs) => {
+  await Promise.all(jobs.map((job) => fs.rm(archivePath(job), { force: true })));
+};
+
+/**
+ * Delete expired exports now and then every `EXPORT_PURGE_INTERVAL_MINUTES`,
+ * so archives do not stay on disk until the next export is requested.
+ * The timer does not keep the process alive.
+ *
+ * @function startPurgeSchedule
+ * @returns {Object} The interval timer.
+ */
+const startPurgeSchedule = () => {
+  const run = () => purgeExpired().catch((error) => console.error('Export purge failed:', error.message));
+  setImmediate(run);
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+/**
+ * Request an export of a user's data. Reuses a job that is already in progress.
+ * The archive is built after the response is sent.
+ *
+ * @async
+ * @function requestExport
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @returns {Promise<Object>} The export job.
+ */
+const requestExport = async (uid) => {
+  await purgeExpired();
+
+  const active = await ExportJob.findOne({
+    uid,
+    status: { $in: ['pending', 'running'] },
+    created_at: { $gt: new Date(Date.now() - STALE_JOB_MS) },
+  });
+  if (active) {
+    return active;
+  }
+
+  const job = await new ExportJob({ uid, expires_at: new Date(Date.now() + EXPORT_TTL_MS) }).save();
+  setImmediate(() => {
+    runExport(job._id).catch((error) => console.error('Export job failed:', error.message));
+  });
+  return job;
+};
+
+/**
+ * List a user's export jobs, newest first.
+ *
+ * @async
+ * @function listExports
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @returns {Promise<Object[]>} The export jobs.
+ */
+const listExports = async (uid) => ExportJob.find({ uid }).sort({ created_at: -1 });
+
+/**
+ * Get one of a user's export jobs.
+ *
+ * @async
+ * @function getExport
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {string} jobId - ID of the export job.
+ * @returns {Promise<Object|null>} The export job, or null when it does not exist or belongs to someone else.
+ */
+const getExport = async (uid, jobId) => ExportJob.findOne({ _id: jobId, uid });
+
+export default {
+  requestExport,
+  runExport,
+  listExports,
+  getExport,
+  archivePath,
+  purgeExpired,
+  removeArchives,
+  startPurgeSchedule,
+  collectFiles,
+};
@@ -0,0 +1,169 @@
+import Semester from '../models/semester.js';
+import Subject from '../models/subject.js';
+import Assignment from '../models/assignment.js';
+import Grade from '../models/grade.js';
+import UserSettings from '../models/userSettings.js';
+import gradeCalculator from './gradeCalculator.js';
+import { DEFAULT_SCALE, letterGrade } from '../config/gradingScales.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Group records by a reference field, e.g. grades by subject
+const groupBy = (records, field) => {
+  const groups = new Map();
+  for (const record of records) {
+    const key = String(record[field]);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  }
+  return groups;
+};
+
+/**
+ * Pick the grading scale for a user: the one asked for, else the user's setting, else the institution's.
+ *
+ * @async
+ * @function resolveScale
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {string} [requested] - ID of a scale asked for explicitly.
+ * @returns {Promise<string>} ID of the grading scale.
+ */
+const resolveScale = async (uid, requested) => {
+  if (requested) {
+    return requested;
+  }
+  const settings = await UserSettings.findOne({ userId: uid });
+  return (settings && settings.gradingScale) || DEFAULT_SCALE;
+};
+
+/**
+ * Combine subject results into a credit-weighted GPA and average percentage.
+ * Subjects without grades or without credits are left out.
+ *
+ * @function summarize
+ * @param {Object[]} results - Subject results (see `subjectResults`).
+ * @returns {{gpa: number|null, percentage: number|null, credits: number}} GPA, average and credits counted.
+ */
+const summarize = (results) => {
+  let credits = 0;
+  let points = 0;
+  let percentage = 0;
+  for (const result of results) {
+    if (result.percentage !== null && result.credits > 0) {
+      credits += result.credits;
+      points += result.points * result.credits;
+      percentage += result.percentage * result.credits;
+    }
+  }
+  return {
+    gpa: credits > 0 ? round(points / credits) : null,
+    percentage: credits > 0 ? round(percentage / credits) : null,
+    credits,
+  };
+};
+
+/**
+ * Compute the standing of subjects and convert it to letter grades and points.
+ *
+ * @async
+ * @function subjectResults
+ * @param {Schema.Types.ObjectId} uid - ID of the subjects' owner; only their assignments and grades count.
+ * @param {Object[]} subjects - The subjects.
+ * @param {string} scaleId - ID of the grading scale.
+ * @returns {Promise<Object[]>} Per subject: its credits, percentage, letter and points (null while ungraded).
+ */
+const subjectResults = async (uid, subjects, scaleId) => {
+  const ids = subjects.map(({ _id }) => _id);
+  const [assignments, grades] = await Promise.all([
+    Assignment.find({ s_id: { $in: ids }, uid }),
+    Grade.find({ s_id: { $in: ids }, uid }),
+  ]);
+  const assignmentsBySubject = groupBy(assignments, 's_id');
+  const gradesBySubject = groupBy(grades, 's_id');
+
+  return subjects.map((subject) => {
+    const key = String(subject._id);
+    const standing = gradeCalculator.calculateStanding(subject, assignmentsBySubject.get(key) || [], gradesBySubject.get(key) || []);
+    const letter = letterGrade(standing.percentage, scaleId);
+    return {
+      subject_id: subject._id,
+      subjectTitle: subject.subjectTitle,
+      semester_id: subject.semester_id || null,
+      credits: subject.credits === undefined ? 1 : subject.credits,
+      percentage: standing.percentage,
+      letter: letter ? letter.letter : null,
+      points: letter ? letter.points : null,
+    };
+  });
+};
+
+/**
+ * Compute a user's GPA per semester and overall.
+ * Semesters are in chronological order, each with the cumulative GPA up to and including it.
+ * The overall cumulative GPA also counts subjects that are not in a semester.
+ *
+ * @async
+ * @function calculateGpa
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {string} scaleId - ID of the grading scale.
+ * @returns {Promise<Object>} The scale, the semesters, the subjects without a semester and the cumulative result.
+ */
+const calculateGpa = async (uid, scaleId) => {
+  const [semesters, subjects] = await Promise.all([
+    Semester.find({ uid }).sort({ startDate: 1 }),
+    Subject.find({ uid }),
+  ]);
+  const results = await subjectResults(uid, subjects, scaleId);
+  const resultsBySemester = groupBy(results, 'semester_id');
+
+  const completed = [];
+  const terms = semesters.map((semester) => {
+    const termResults = resultsBySemester.get(String(semester._id)) || [];
+    resultsBySemester.delete(String(semester._id));
+    completed.push(...termResults);
+    return {
+      semester_id: semester._id,
+      title: semester.title,
+      startDate: semester.startDate,
+      endDate: semester.endDate,
+      ...summarize(termResults),
+      cumulative: summarize(completed),
+      subjects: termResults,
+    };
+  });
+
+  return {
+    scale: scaleId,
+    semesters: terms,
+    unassigned_subjects: [...resultsBySemester.values()].flat(),
+    cumulative: summarize(results),
+  };
+};
+
+/**
+ * Compute the GPA of one semester.
+ *
+ * @async
+ * @function calculateSemesterGpa
+ * @param {Object} semester - The semester.
+ * @param {string} scaleId - ID of the grading scale.
+ * @returns {Promise<Object>} The semester's GPA, average and credits, with its subjects.
+ */
+const calculateSemesterGpa = async (semester, scaleId) => {
+  // Only the semester owner's subjects: others may point at this semester too
+  const subjects = await Subject.find({ semester_id: semester._id, uid: semester.uid });
+  const results = await subjectResults(semester.uid, subjects, scaleId);
+  return {
+    scale: scaleId,
+    semester_id: semester._id,
+    title: semester.title,
+    startDate: semester.startDate,
+    endDate: semester.endDate,
+    ...summarize(results),
+    subjects: results,
+  };
+};
+
+export default { resolveScale, summarize, subjectResults, calculateGpa, calculateSemesterGpa };
@@ -0,0 +1,284 @@
+// Weights are percentages of the final mark
+const TOTAL_WEIGHT = 100;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const percentageOf = (earned, possible) => (possible > 0 ? round((earned / possible) * 100) : null);
+
+/**
+ * Check a subject's grading categories, e.g. `[{ name: 'Final', weight: 45 }]`.
+ *
+ * @function validateCategories
+ * @param {Object[]} categories - The grading categories.
+ * @returns {string|null} Why the categories are invalid, or null when they are valid.
+ */
+const validateCategories = (categories) => {
+  if (!Array.isArray(categories)) {
+    return 'Grading categories must be a list';
+  }
+
+  const names = new Set();
+  let total = 0;
+  for (const category of categories) {
+    const name = category && typeof category.name === 'string' ? category.name.trim() : '';
+    if (!name) {
+      return 'Every grading category needs a name';
+    }
+    if (names.has(name.toLowerCase())) {
+      return `Duplicate grading category: ${name}`;
+    }
+    names.add(name.toLowerCase());
+
+    const weight = Number(category.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return `Grading category ${name} needs a positive weight`;
+    }
+    total += weight;
+  }
+
+  if (total > TOTAL_WEIGHT + 1e-9) {
+    return `Grading category weights add up to ${round(total)}%, more than ${TOTAL_WEIGHT}%`;
+  }
+  return null;
+};
+
+/**
+ * Check whether a subject has a grading category with a given ID.
+ *
+ * @function hasCategory
+ * @param {Object} subject - The subject, with its `gradingCategories`.
+ * @param {Schema.Types.ObjectId|string} categoryId - ID of the grading category.
+ * @returns {boolean} True when the category belongs to the subject.
+ */
+const hasCategory = (subject, categoryId) => (subject.gradingCategories || [])
+  .some((category) => String(category._id) === String(categoryId));
+
+/**
+ * Compute a subject's current standing from its grades.
+ *
+ * Within a category, grades are combined by points (sum of `grade` over sum of `outOf`).
+ * The overall percentage weighs each category that has grades by its weight, relative to the
+ * weight graded so far, so it reflects the work marked up to now. A category's weight counts
+ * as graded in proportion to how many of its assignments have a grade.
+ * Grades whose assignment has no (known) category are reported as uncategorized; they only
+ * make up the percentage when the subject has no grading categories at all.
+ *
+ * @function calculateStanding
+ * @param {Object} subject - The subject, with its `gradingCategories`.
+ * @param {Object[]} assignments - The subject's assignments, with their `category_id`.
+ * @param {Object[]} grades - The subject's grades, linked to assignments through `a_id` (or the assignment's `g_id`).
+ * @returns {Object} The weighted `percentage` (null until something is graded), `graded_weight` and
+ * `total_weight` (percentage points), the per-category breakdown and the uncategorized grades.
+ */
+const calculateStanding = (subject, assignments, grades) => {
+  const categories = subject.gradingCategories || [];
+  const buckets = new Map(categories.map((category) => [
+    String(category._id),
+    { earned: 0, possible: 0, grades: 0, assignments: 0, graded: new Set() },
+  ]));
+  const uncategorized = { earned: 0, possible: 0, grades: 0 };
+
+  const categoryOf = new Map();
+  const assignmentOfGrade = new Map();
+  for (const assignment of assignments) {
+    const key = assignment.category_id ? String(assignment.category_id) : null;
+    const bucketKey = buckets.has(key) ? key : null;
+    categoryOf.set(String(assignment._id), bucketKey);
+    if (bucketKey) {
+      buckets.get(bucketKey).assignments += 1;
+    }
+    if (assignment.g_id) {
+      assignmentOfGrade.set(String(assignment.g_id), String(assignment._id));
+    }
+  }
+
+  for (const grade of grades) {
+    if (!(grade.outOf > 0) || !Number.isFinite(grade.grade)) {
+      continue;
+    }
+    const assignmentId = grade.a_id ? String(grade.a_id) : assignmentOfGrade.get(String(grade._id));
+    const bucket = buckets.get(categoryOf.get(assignmentId)) || uncategorized;
+    bucket.earned += grade.grade;
+    bucket.possible += grade.outOf;
+    bucket.grades += 1;
+    if (bucket.graded) {
+      bucket.graded.add(assignmentId);
+    }
+  }
+
+  let weightedSum = 0;
+  let weightWithGrades = 0;
+  const breakdown = categories.map((category) => {
+    const bucket = buckets.get(String(category._id));
+    const percentage = percentageOf(bucket.earned, bucket.possible);
+    let gradedShare = bucket.possible > 0 ? 1 : 0;
+    if (bucket.assignments > 0) {
+      gradedShare = Math.min(bucket.graded.size / bucket.assignments, 1);
+    }
+    if (percentage !== null) {
+      weightedSum += category.weight * percentage;
+      weightWithGrades += category.weight;
+    }
+    return {
+      _id: category._id,
+      name: category.name,
+      weight: category.weight,
+      earned: round(bucket.earned),
+      possible: round(bucket.possible),
+      percentage,
+      grades: bucket.grades,
+      assignments: bucket.assignments,
+      graded_assignments: bucket.graded.size,
+      graded_weight: round(category.weight * gradedShare),
+    };
+  });
+
+  let percentage = percentageOf(uncategorized.earned, uncategorized.possible);
+  if (categories.length > 0) {
+    percentage = weightWithGrades > 0 ? round(weightedSum / weightWithGrades) : null;
+  }
+
+  return {
+    subject_id: subject._id,
+    percentage,
+    target_grade: subject.targetGrade === undefined ? null : subject.targetGrade,
+    graded_weight: round(breakdown.reduce((sum, category) => sum + category.graded_weight, 0)),
+    total_weight: round(categories.reduce((sum, category) => sum + category.weight, 0)),
+    categories: breakdown,
+    uncategorized: {
+      earned: round(uncategorized.earned),
+      possible: round(uncategorized.possible),
+      percentage: percentageOf(uncategorized.earned, uncategorized.possible),
+      grades: uncategorized.grades,
+    },
+  };
+};
+
+/**
+ * Check hypothetical scores, e.g. `[{ a_id: '...', grade: 40, outOf: 50 }]`.
+ *
+ * @function validateWhatIf
+ * @param {Object[]} whatIf - The hypothetical scores.
+ * @param {Object[]} assignments - The subject's assignments.
+ * @returns {string|null} Why the scores are invalid, or null when they are valid.
+ */
+const validateWhatIf = (whatIf, assignments) => {
+  if (!Array.isArray(whatIf)) {
+    return 'What-if scores must be a list';
+  }
+
+  const known = new Set(assignments.map(({ _id }) => String(_id)));
+  const seen = new Set();
+  for (const score of whatIf) {
+    const assignmentId = score && score.a_id ? String(score.a_id) : '';
+    if (!known.has(assignmentId)) {
+      return 'Every what-if score needs an assignment of the subject';
+    }
+    if (seen.has(assignmentId)) {
+      return `Duplicate what-if score for assignment ${assignmentId}`;
+    }
+    seen.add(assignmentId);
+
+    if (!Number.isFinite(score.grade) || score.grade < 0 || !Number.isFinite(score.outOf) || score.outOf <= 0) {
+      return `What-if score for assignment ${assignmentId} needs a grade of 0 or more out of a positive outOf`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Replace the grades of assignments with hypothetical scores. Nothing is saved.
+ *
+ * @function applyWhatIf
+ * @param {Object[]} grades - The subject's grades.
+ * @param {Object[]} assignments - The subject's assignments.
+ * @param {Object[]} whatIf - Valid hypothetical scores (see `validateWhatIf`).
+ * @returns {Object[]} The grades, with the hypothetical ones instead of the real grades of the same assignments.
+ */
+const applyWhatIf = (grades, assignments, whatIf) => {
+  const replaced = new Set(whatIf.map(({ a_id }) => String(a_id)));
+  const replacedGrades = new Set(assignments
+    .filter((assignment) => assignment.g_id && replaced.has(String(assignment._id)))
+    .map(({ g_id }) => String(g_id)));
+
+  const kept = grades.filter((grade) => !(grade.a_id && replaced.has(String(grade.a_id))) && !replacedGrades.has(String(grade._id)));
+  const hypothetical = whatIf.map(({ a_id, grade, outOf }) => ({ _id: `what-if-${a_id}`, a_id, grade, outOf, what_if: true }));
+  return [...kept, ...hypothetical];
+};
+
+/**
+ * Work out what is needed on the remaining work of a subject to reach a target grade.
+ *
+ * The weight still to be graded is spread evenly over the ungraded assignments of each
+ * category. Without grading categories, each ungraded assignment is assumed to count as
+ * much as an average graded piece of work. The target is unreachable when it needs more
+ * than 100% on the remaining work, and secured when 0% would still reach it.
+ *
+ * @function projectStanding
+ * @param {Object} subject - The subject, with its `gradingCategories` and `targetGrade`.
+ * @param {Object[]} assignments - The subject's assignments, with their `category_id`.
+ * @param {Object[]} grades - The subject's grades, possibly with hypothetical ones (see `applyWhatIf`).
+ * @param {number} [targetGrade=subject.targetGrade] - Target percentage to project against.
+ * @returns {Object} The current standing, the remaining weight, the `required_average` on the remaining work
+ * (null when nothing is left), the final percentages at 0% and 100% on it, and whether the target is
+ * `reachable` or `secured`.
+ */
+const projectStanding = (subject, assignments, grades, targetGrade = subject.targetGrade) => {
+  const standing = calculateStanding(subject, assignments, grades);
+
+  let totalWeight = standing.total_weight;
+  let securedPoints = 0;
+  let remaining = [];
+  if (standing.categories.length > 0) {
+    for (const category of standing.categories) {
+      if (category.percentage !== null) {
+        securedPoints += category.graded_weight * category.percentage;
+      }
+      remaining.push({
+        _id: category._id,
+        name: category.name,
+        remaining_assignments: category.assignments - category.graded_assignments,
+        remaining_weight: round(category.weight - category.graded_weight),
+      });
+    }
+  } else {
+    const gradeIds = new Set(grades.map(({ _id }) => String(_id)));
+    const graded = new Set(grades.filter(({ a_id }) => a_id).map(({ a_id }) => String(a_id)));
+    const ungraded = assignments.filter((assignment) => !graded.has(String(assignment._id))
+      && !(assignment.g_id && gradeIds.has(String(assignment.g_id)))).length;
+    const items = standing.uncategorized.grades + ungraded;
+
+    totalWeight = items > 0 ? TOTAL_WEIGHT : 0;
+    const remainingWeight = items > 0 ? (TOTAL_WEIGHT * ungraded) / items : 0;
+    if (standing.percentage !== null) {
+      securedPoints = (totalWeight - remainingWeight) * standing.percentage;
+    }
+    remaining = [{ _id: null, name: null, remaining_assignments: ungraded, remaining_weight: round(remainingWeight) }];
+  }
+
+  const remainingWeight = remaining.reduce((sum, category) => sum + category.remaining_weight, 0);
+  const minimum = totalWeight > 0 ? securedPoints / totalWeight : null;
+  const maximum = totalWeight > 0 ? (securedPoints + remainingWeight * 100) / totalWeight : null;
+  const target = Number.isFinite(targetGrade) ? targetGrade : null;
+
+  let requiredAverage = null;
+  if (target !== null && remainingWeight > 0) {
+    requiredAverage = round(Math.max((target * totalWeight - securedPoints) / remainingWeight, 0));
+  }
+
+  return {
+    subject_id: subject._id,
+    target_grade: target,
+    current_percentage: standing.percentage,
+    total_weight: round(totalWeight),
+    remaining_weight: round(remainingWeight),
+    required_average: requiredAverage,
+    minimum_percentage: minimum === null ? null : round(minimum),
+    maximum_percentage: maximum === null ? null : round(maximum),
+    reachable: target !== null && maximum !== null && maximum >= target - 1e-9,
+    secured: target !== null && minimum !== null && minimum >= target - 1e-9,
+    remaining,
+  };
+};
+
+export default { TOTAL_WEIGHT, validateCategories, hasCategory, calculateStanding, validateWhatIf, applyWhatIf, projectStanding };
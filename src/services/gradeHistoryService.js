@@ -0,0 +1,125 @@
+import Grade from '../models/grade.js';
+import GradeRevision from '../models/gradeRevision.js';
+import auditService from './auditService.js';
+
+// Grade fields kept in each revision
+const TRACKED_FIELDS = ['grade', 'outOf', 's_id', 'a_id', 'notes', 'date'];
+// Attempts at numbering a revision when concurrent changes claim the same number
+const MAX_ATTEMPTS = 3;
+
+/**
+ * The tracked values of a grade or revision.
+ *
+ * @function snapshot
+ * @param {Object} source - A grade or revision (document or plain object).
+ * @returns {Object} The tracked fields that have a value.
+ */
+const snapshot = (source) => {
+  const values = {};
+  for (const field of TRACKED_FIELDS) {
+    if (source[field] !== undefined && source[field] !== null) {
+      values[field] = source[field];
+    }
+  }
+  return values;
+};
+
+/**
+ * Record the current values of a grade as a new revision.
+ * Grades created before history was kept get their previous values recorded first, as revision 1.
+ *
+ * @async
+ * @function recordRevision
+ * @param {Object} grade - The grade after the change.
+ * @param {Object} options - What caused the revision.
+ * @param {Schema.Types.ObjectId} [options.changedBy] - ID of the user who made the change.
+ * @param {string} [options.change='update'] - 'create', 'update' or 'rollback'.
+ * @param {Object} [options.previous] - The grade before the change, for grades without history yet.
+ * @param {number} [options.restoredRevision] - For rollbacks, the revision whose values were restored.
+ * @returns {Promise<Object|null>} The new revision, or null when nothing tracked changed.
+ */
+const recordRevision = async (grade, { changedBy = null, change = 'update', previous, restoredRevision } = {}) => {
+  const values = snapshot(grade);
+
+  for (let attempt = 1; ; attempt++) {
+    let last = await GradeRevision.findOne({ grade_id: grade._id }).sort({ revision: -1 });
+    try {
+      if (!last && previous) {
+        last = await new GradeRevision({
+          grade_id: grade._id,
+          revision: 1,
+          change: 'create',
+          ...snapshot(previous),
+          changes: auditService.diff({}, snapshot(previous)),
+          created_at: previous.created_at,
+        }).save();
+      }
+
+      const changes = auditService.diff(last ? snapshot(last) : {}, values);
+      if (last && change === 'update' && Object.keys(changes).length === 0) {
+        return null;
+      }
+
+      return await new GradeRevision({
+        grade_id: grade._id,
+        revision: last ? last.revision + 1 : 1,
+        change,
+        restored_revision: restoredRevision,
+        ...values,
+        changes,
+        changed_by: changedBy,
+      }).save();
+    } catch (error) {
+      // Duplicate revision number: another change was recorded meanwhile
+      if (error.code !== 11000 || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * List the revisions of a grade, newest first, with the name of whoever made each change.
+ *
+ * @async
+ * @function listRevisions
+ * @param {Schema.Types.ObjectId} gradeId - ID of the grade.
+ * @returns {Promise<Object[]>} The revisions.
+ */
+const listRevisions = async (gradeId) => GradeRevision.find({ grade_id: gradeId })
+  .sort({ revision: -1 })
+  .populate('changed_by', 'userName firstName lastName');
+
+/**
+ * Restore the values a grade had at an earlier revision. The rollback is itself recorded as a new revision.
+ *
+ * @async
+ * @function rollback
+ * @param {Schema.Types.ObjectId} gradeId - ID of the grade.
+ * @param {number} revision - Number of the revision to restore.
+ * @param {Schema.Types.ObjectId} changedBy - ID of the user rolling back.
+ * @returns {Promise<Object|null>} The updated grade, or null when the grade or revision does not exist.
+ */
+const rollback = async (gradeId, revision, changedBy) => {
+  const target = await GradeRevision.findOne({ grade_id: gradeId, revision });
+  if (!target) {
+    return null;
+  }
+
+  const values = snapshot(target);
+  const unset = TRACKED_FIELDS.filter((field) => !(field in values));
+  const update = { $set: { ...values, updated_at: Date.now() } };
+  if (unset.length > 0) {
+    update.$unset = Object.fromEntries(unset.map((field) => [field, '']));
+  }
+
+  const grade = await Grade.findByIdAndUpdate(gradeId, update, { new: true });
+  if (!grade) {
+    return null;
+  }
+
+  await recordRevision(grade, { changedBy, change: 'rollback', restoredRevision: target.revision });
+  return grade;
+};
+
+export default { recordRevision, listRevisions, rollback };
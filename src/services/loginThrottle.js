@@ -0,0 +1,195 @@
+import dotenv from 'dotenv';
+import LoginAttempt from '../models/loginAttempt.js';
+
+dotenv.config();
+
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 50;
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const BACKOFF_BASE_MS = 1000;
+const ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Failed sign-ins are counted per account email and per client IP in a pluggable store.
+ * A store is any object exposing:
+ * - `get(key)` resolving to `{ failures, blocked_until, locked }` or null,
+ * - `increment(key, expiresAt)` atomically adding a failure and resolving to the updated record,
+ * - `block(key, until, locked)` refusing sign-ins for the key until a time,
+ * - `reset(key)` forgetting the key.
+ * The MongoDB store is used by default; tests swap in a memory store with `setStore`.
+ */
+
+/**
+ * Store keeping counters in the LoginAttempt collection.
+ */
+const mongoStore = {
+  name: 'mongo',
+  get: async (key) => LoginAttempt.findOne({ key, expires_at: { $gt: new Date() } }).lean(),
+  increment: async (key, expiresAt) => {
+    // Counters whose window has passed start again from zero
+    await LoginAttempt.deleteOne({ key, expires_at: { $lte: new Date() } });
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { expires_at: expiresAt, updated_at: new Date() } },
+      { upsert: true, new: true, lean: true }
+    );
+  },
+  block: async (key, until, locked) => {
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { blocked_until: until, locked }, $max: { expires_at: until } }
+    );
+  },
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  },
+};
+
+/**
+ * Create a store that keeps counters in memory.
+ *
+ * @function createMemoryStore
+ * @returns {Object} Store with a `records` map of the counters it holds.
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+  const get = async (key) => {
+    const record = records.get(key);
+    if (!record || record.expires_at <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record;
+  };
+
+  return {
+    name: 'memory',
+    records,
+    get,
+    increment: async (key, expiresAt) => {
+      const record = (await get(key)) || { failures: 0, blocked_until: null, locked: false };
+      record.failures += 1;
+      record.expires_at = expiresAt;
+      records.set(key, record);
+      return record;
+    },
+    block: async (key, until, locked) => {
+      const record = records.get(key);
+      if (record) {
+        record.blocked_until = until;
+        record.locked = locked;
+        record.expires_at = new Date(Math.max(record.expires_at.getTime(), until.getTime()));
+      }
+    },
+    reset: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+let store = mongoStore;
+
+/**
+ * Replace the store used for failed sign-in counters.
+ *
+ * @function setStore
+ * @param {Object} newStore - Store implementing get, increment, block and reset.
+ * @returns {void}
+ */
+const setStore = (newStore) => {
+  if (!newStore || ['get', 'increment', 'block', 'reset'].some((fn) => typeof newStore[fn] !== 'function')) {
+    throw new Error('Login throttle store must implement get, increment, block and reset');
+  }
+  store = newStore;
+};
+
+/**
+ * Get the store currently used for failed sign-in counters.
+ *
+ * @function getStore
+ * @returns {Object} The active store.
+ */
+const getStore = () => store;
+
+const accountKey = (email) => `email:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+/**
+ * Check whether a sign-in attempt may go ahead.
+ *
+ * @async
+ * @function check
+ * @param {string} email - The email address being signed in to.
+ * @param {string} ip - The client IP address.
+ * @returns {Promise<Object>} `{ allowed: true }`, or `{ allowed: false, locked, retryAfterMs }` while blocked.
+ */
+const check = async (email, ip) => {
+  const now = Date.now();
+  const records = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+  const blocked = records.filter((record) => record && record.blocked_until && new Date(record.blocked_until).getTime() > now);
+  if (!blocked.length) {
+    return { allowed: true };
+  }
+
+  return {
+    allowed: false,
+    locked: blocked.some((record) => record.locked),
+    retryAfterMs: Math.max(...blocked.map((record) => new Date(record.blocked_until).getTime() - now)),
+  };
+};
+
+/**
+ * Count a failed attempt for one key. Each failure doubles the wait before the next
+ * attempt (1s, 2s, 4s, ...); reaching the threshold locks the key for the lockout period.
+ *
+ * @async
+ * @function recordKeyFailure
+ * @param {string} key - The counter key.
+ * @param {number} maxFailures - Failures that trigger a lockout.
+ * @returns {Promise<{failures: number, locked: boolean}>} The updated counter.
+ */
+const recordKeyFailure = async (key, maxFailures) => {
+  const now = Date.now();
+  const record = await store.increment(key, new Date(now + ATTEMPT_WINDOW_MS));
+  const locked = record.failures >= maxFailures;
+  const delay = locked ? LOCKOUT_MS : Math.min(BACKOFF_BASE_MS * 2 ** (record.failures - 1), LOCKOUT_MS);
+  await store.block(key, new Date(now + delay), locked);
+  return { failures: record.failures, locked };
+};
+
+/**
+ * Count a failed sign-in against both the account and the client IP.
+ *
+ * @async
+ * @function recordFailure
+ * @param {string} email - The email address that was signed in to.
+ * @param {string} ip - The client IP address.
+ * @returns {Promise<Object>} `{ account, ip }` counters; `account.locked` is true when the account was just locked.
+ */
+const recordFailure = async (email, ip) => ({
+  account: await recordKeyFailure(accountKey(email), MAX_ACCOUNT_FAILURES),
+  ip: await recordKeyFailure(ipKey(ip), MAX_IP_FAILURES),
+});
+
+/**
+ * Clear the failed sign-in counter of an account, e.g. after a successful sign-in or an unlock.
+ *
+ * @async
+ * @function reset
+ * @param {string} email - The account's email address.
+ * @returns {Promise<void>}
+ */
+const reset = async (email) => {
+  await store.reset(accountKey(email));
+};
+
+export default {
+  check,
+  recordFailure,
+  reset,
+  setStore,
+  getStore,
+  createMemoryStore,
+  mongoStore,
+  LOCKOUT_MS,
+};
@@ -0,0 +1,100 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Outbound mail is delivered through a pluggable transport.
+ * A transport is any object exposing `send(message)` that returns a promise.
+ * The console transport is used by default; tests swap in a memory transport
+ * and production can register an SMTP/API backed one with `setTransport`.
+ */
+
+/**
+ * Transport that writes outgoing messages to the server log.
+ */
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  },
+};
+
+/**
+ * Create a transport that keeps every message in memory.
+ *
+ * @function createMemoryTransport
+ * @returns {Object} Transport with an `outbox` array of the messages sent through it.
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      outbox.push(message);
+    },
+  };
+};
+
+let transport = consoleTransport;
+
+/**
+ * Replace the transport used for outbound mail.
+ *
+ * @function setTransport
+ * @param {Object} newTransport - Transport exposing a `send(message)` function.
+ * @returns {void}
+ */
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+};
+
+/**
+ * Get the transport currently used for outbound mail.
+ *
+ * @function getTransport
+ * @returns {Object} The active transport.
+ */
+const getTransport = () => transport;
+
+/**
+ * Send an email through the active transport.
+ *
+ * @async
+ * @function sendMail
+ * @param {Object} options - Message options.
+ * @param {string} options.to - Recipient email address.
+ * @param {string} options.subject - Subject line.
+ * @param {string} options.text - Plain text body.
+ * @returns {Promise<Object>} The message that was handed to the transport.
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@academic-management.local',
+    to,
+    subject,
+    text,
+    sent_at: new Date(),
+  };
+  await transport.send(message);
+  return message;
+};
+
+/**
+ * Build a link to a page of the frontend application.
+ *
+ * @function buildAppLink
+ * @param {string} path - Path of the frontend page (e.g. '/verify-email').
+ * @param {Object} [query] - Query string parameters to append (optional).
+ * @returns {string} Absolute URL.
+ */
+const buildAppLink = (path, query = {}) => {
+  const url = new URL(path, process.env.APP_URL || 'http://localhost:5173');
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+export default { sendMail, setTransport, getTransport, consoleTransport, createMemoryTransport, buildAppLink };
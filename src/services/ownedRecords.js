@@ -0,0 +1,32 @@
+import Subject from '../models/subject.js';
+import Grade from '../models/grade.js';
+import Assignment from '../models/assignment.js';
+import Attachment from '../models/attachment.js';
+import AssignmentTemplate from '../models/assignmentTemplate.js';
+import TimeTable from '../models/timetable.js';
+import Semester from '../models/semester.js';
+import Event from '../models/event.js';
+import Notification from '../models/notification.js';
+import Teacher from '../models/teacher.js';
+import UserSettings from '../models/userSettings.js';
+
+/**
+ * Records a user owns, by the name they are reported under and the field referencing the user.
+ * Used wherever all of a user's data is handled at once (account deletion, data export).
+ * `trashable` records use the soft delete plugin and go to the trash when deleted.
+ */
+const OWNED_RECORDS = [
+  { name: 'subjects', model: Subject, field: 'uid', trashable: true },
+  { name: 'grades', model: Grade, field: 'uid', trashable: true },
+  { name: 'assignments', model: Assignment, field: 'uid', trashable: true },
+  { name: 'attachments', model: Attachment, field: 'uid' },
+  { name: 'assignmentTemplates', model: AssignmentTemplate, field: 'uid' },
+  { name: 'timetable', model: TimeTable, field: 'uid', trashable: true },
+  { name: 'semesters', model: Semester, field: 'uid', trashable: true },
+  { name: 'events', model: Event, field: 'user_id', trashable: true },
+  { name: 'notifications', model: Notification, field: 'uid' },
+  { name: 'teachers', model: Teacher, field: 'uid', trashable: true },
+  { name: 'settings', model: UserSettings, field: 'userId' },
+];
+
+export default OWNED_RECORDS;
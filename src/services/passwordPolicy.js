@@ -0,0 +1,54 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const MAX_LENGTH = 128;
+
+/**
+ * Check a password against the password strength policy.
+ * Passwords must be 8-128 characters long (the minimum is configurable with
+ * PASSWORD_MIN_LENGTH), mix lowercase letters, uppercase letters and digits,
+ * and must not contain the user's username or the local part of their email.
+ *
+ * @function validatePassword
+ * @param {string} password - The candidate password.
+ * @param {Object} [user] - The user the password is for, used for the personal information check (optional).
+ * @param {string} [user.userName] - The user's username.
+ * @param {string} [user.email] - The user's email address.
+ * @returns {string[]} List of policy violations; empty when the password is acceptable.
+ */
+const validatePassword = (password, user = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  const errors = [];
+  if (password.length < MIN_LENGTH) {
+    errors.push(`Password must be at least ${MIN_LENGTH} characters long`);
+  }
+  if (password.length > MAX_LENGTH) {
+    errors.push(`Password must be at most ${MAX_LENGTH} characters long`);
+  }
+  if (!/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (!/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (!/[0-9]/.test(password)) {
+    errors.push('Password must contain a digit');
+  }
+
+  const lowered = password.toLowerCase();
+  const personal = [user.userName, user.email && user.email.split('@')[0]]
+    .filter((value) => typeof value === 'string' && value.length >= 3)
+    .map((value) => value.toLowerCase());
+  if (personal.some((value) => lowered.includes(value))) {
+    errors.push('Password must not contain your username or email address');
+  }
+
+  return errors;
+};
+
+export default { validatePassword };
@@ -0,0 +1,58 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware making the current request available to code that has no access to `req`,
+ * such as Mongoose hooks. Echoes the `X-Request-Id` header, or generates one.
+ *
+ * @function middleware
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Express next middleware function.
+ * @returns {void}
+ */
+const middleware = (req, res, next) => {
+  const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+  storage.run({ req, requestId }, next);
+};
+
+/**
+ * Describe who and what caused the code currently running.
+ * `req.auth` is read lazily, since it is only set once `requireSignin` has run.
+ *
+ * @function current
+ * @returns {Object|null} The actor and request metadata, or null outside of a request (e.g. background jobs).
+ */
+const current = () => {
+  const store = storage.getStore();
+  if (!store) {
+    return null;
+  }
+
+  const { req, requestId } = store;
+  const auth = req.auth || {};
+  return {
+    actor: auth.userId || null,
+    actor_role: auth.role,
+    request_id: requestId,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    user_agent: req.headers['user-agent'],
+  };
+};
+
+/**
+ * Run a function within a given request context. Used by tests and scripts.
+ *
+ * @function run
+ * @param {Object} req - The request to expose.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The function's return value.
+ */
+const run = (req, fn) => storage.run({ req, requestId: crypto.randomUUID() }, fn);
+
+export default { middleware, current, run };
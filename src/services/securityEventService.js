@@ -0,0 +1,54 @@
+import SecurityEvent from '../models/securityEvent.js';
+
+/**
+ * Record an entry in a user's security history.
+ *
+ * @async
+ * @function record
+ * @param {Schema.Types.ObjectId} uid - ID of the user the event concerns.
+ * @param {string} type - The kind of event (see the SecurityEvent model).
+ * @param {Object} [req] - Express request that caused the event, used for IP and user agent (optional).
+ * @param {Object} [details] - Extra information about the event (optional).
+ * @returns {Promise<Object>} The saved security event.
+ */
+const record = async (uid, type, req, details) => {
+  const event = new SecurityEvent({
+    uid,
+    type,
+    ip: req && req.ip,
+    user_agent: req && req.headers && req.headers['user-agent'],
+    details,
+  });
+  return event.save();
+};
+
+/**
+ * List a user's security history, newest first.
+ *
+ * @async
+ * @function listForUser
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {number} [limit=50] - Maximum number of entries to return.
+ * @returns {Promise<Object[]>} The user's security events.
+ */
+const listForUser = async (uid, limit = 50) => SecurityEvent.find({ uid }).sort({ created_at: -1 }).limit(limit);
+
+/**
+ * List security events across all users, newest first, e.g. recent lockouts for admins.
+ *
+ * @async
+ * @function list
+ * @param {Object} [filter] - Optional filters.
+ * @param {string} [filter.type] - Only return events of this type.
+ * @param {number} [limit=100] - Maximum number of entries to return.
+ * @returns {Promise<Object[]>} The security events with their user's name and email.
+ */
+const list = async (filter = {}, limit = 100) => {
+  const query = filter.type ? { type: filter.type } : {};
+  return SecurityEvent.find(query)
+    .sort({ created_at: -1 })
+    .limit(limit)
+    .populate('uid', 'userName firstName lastName email');
+};
+
+export default { record, listForUser, list };
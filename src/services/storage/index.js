@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+import localDisk from './localDisk.js';
+
+dotenv.config();
+
+/**
+ * Storage drivers, by name. Every driver has the same methods:
+ *
+ * - put(key, content): store a Buffer under a key.
+ * - createReadStream(key, { start, end }): read a file, or a byte range of it.
+ * - remove(key): remove a file; missing files are ignored.
+ *
+ * An S3-compatible driver can be added here with those methods.
+ */
+const DRIVERS = {
+  local: localDisk,
+};
+
+/**
+ * Name of the driver new files are stored with (`STORAGE_DRIVER`, default 'local').
+ * Files keep the driver they were stored with, so switching drivers does not lose older files.
+ */
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+/**
+ * Get a storage driver.
+ *
+ * @function getDriver
+ * @param {string} [name=STORAGE_DRIVER] - Name of the driver.
+ * @returns {Object} The driver.
+ * @throws {Error} When no driver has that name.
+ */
+const getDriver = (name = STORAGE_DRIVER) => {
+  if (!Object.prototype.hasOwnProperty.call(DRIVERS, name)) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return DRIVERS[name];
+};
+
+export default { STORAGE_DRIVER, getDriver };
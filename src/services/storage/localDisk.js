@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || 'uploads');
+
+// Path of a stored file; keys may not point outside the storage directory
+const pathOf = (key) => {
+  const filePath = path.resolve(STORAGE_DIR, key);
+  if (!filePath.startsWith(STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Store a file under a key, replacing any file already stored under it.
+ *
+ * @async
+ * @function put
+ * @param {string} key - Key of the file, e.g. '<user ID>/<uuid>'.
+ * @param {Buffer} content - The file content.
+ * @returns {Promise<void>}
+ */
+const put = async (key, content) => {
+  const filePath = pathOf(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, content);
+};
+
+/**
+ * Read a stored file, or part of it.
+ *
+ * @function createReadStream
+ * @param {string} key - Key of the file.
+ * @param {Object} [range] - Byte range to read, both ends included.
+ * @param {number} [range.start] - First byte.
+ * @param {number} [range.end] - Last byte.
+ * @returns {stream.Readable} Stream of the content; it emits an error when the file does not exist.
+ */
+const createReadStream = (key, { start, end } = {}) => fs.createReadStream(pathOf(key), { start, end });
+
+/**
+ * Remove a stored file. Removing a file that does not exist is not an error.
+ *
+ * @async
+ * @function remove
+ * @param {string} key - Key of the file.
+ * @returns {Promise<void>}
+ */
+const remove = async (key) => {
+  await fs.promises.rm(pathOf(key), { force: true });
+};
+
+export default { STORAGE_DIR, put, createReadStream, remove };
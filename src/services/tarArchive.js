@@ -0,0 +1,93 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal writer for gzip-compressed tar (ustar) archives of in-memory files,
+ * enough for data exports without pulling in an archiving dependency.
+ */
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Write a string into a header field, NUL-padded to the field length.
+ *
+ * @function writeField
+ * @param {Buffer} header - The 512-byte header block.
+ * @param {string} value - The value to write.
+ * @param {number} offset - Field offset.
+ * @param {number} length - Field length.
+ * @returns {void}
+ */
+const writeField = (header, value, offset, length) => {
+  header.write(value.slice(0, length), offset, length, 'utf8');
+};
+
+/**
+ * Write a number as a NUL-terminated, zero-padded octal header field.
+ *
+ * @function writeOctal
+ * @param {Buffer} header - The 512-byte header block.
+ * @param {number} value - The value to write.
+ * @param {number} offset - Field offset.
+ * @param {number} length - Field length, including the terminator.
+ * @returns {void}
+ */
+const writeOctal = (header, value, offset, length) => {
+  writeField(header, `${value.toString(8).padStart(length - 1, '0')}\0`, offset, length);
+};
+
+/**
+ * Build the ustar header block for one file.
+ *
+ * @function buildHeader
+ * @param {string} name - Path of the file inside the archive (at most 100 bytes).
+ * @param {number} size - File size in bytes.
+ * @param {Date} mtime - Modification time.
+ * @returns {Buffer} The header block.
+ */
+const buildHeader = (name, size, mtime) => {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Archive entry name is too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeField(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156); // The checksum is computed with its own field set to spaces
+  writeField(header, '0', 156, 1);
+  writeField(header, 'ustar\0', 257, 6);
+  writeField(header, '00', 263, 2);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeField(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return header;
+};
+
+/**
+ * Pack files into a .tar.gz archive.
+ *
+ * @function createTarGz
+ * @param {Array<{name: string, content: (string|Buffer)}>} files - The files to pack.
+ * @param {Date} [mtime=new Date()] - Modification time recorded for every file.
+ * @returns {Buffer} The compressed archive.
+ */
+const createTarGz = (files, mtime = new Date()) => {
+  const blocks = [];
+  files.forEach(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    blocks.push(buildHeader(name, data.length, mtime), data);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  });
+  // Two empty blocks mark the end of the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return zlib.gzipSync(Buffer.concat(blocks));
+};
+
+export default { createTarGz };
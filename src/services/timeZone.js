@@ -0,0 +1,107 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Time zone for users who have not chosen one (`DEFAULT_TIMEZONE`, default 'UTC').
+ */
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar date and wall-clock time of an instant in a time zone
+const partsIn = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const values = {};
+  for (const { type, value } of parts) {
+    values[type] = Number(value);
+  }
+  return values;
+};
+
+// Minutes a time zone is ahead of UTC at an instant
+const offsetAt = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = partsIn(date, timeZone);
+  return (Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000) / 60000;
+};
+
+/**
+ * Check whether a time zone is a known IANA name, e.g. 'America/Toronto'.
+ *
+ * @function isTimeZone
+ * @param {string} timeZone - The time zone.
+ * @returns {boolean} True when the time zone is known.
+ */
+const isTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the calendar date of an instant in a time zone.
+ *
+ * @function dayKey
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The time zone.
+ * @returns {string} The date as 'YYYY-MM-DD'.
+ */
+const dayKey = (date, timeZone) => {
+  const { year, month, day } = partsIn(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the instant a day starts in a time zone, a number of days after the day of a given instant.
+ * Days are calendar days, so they can be 23 or 25 hours long around daylight saving changes.
+ *
+ * @function startOfDay
+ * @param {Date} date - An instant in the day to start from.
+ * @param {string} timeZone - The time zone.
+ * @param {number} [days=0] - Number of days to move forward (or back, when negative).
+ * @returns {Date} The instant of midnight in the time zone.
+ */
+const startOfDay = (date, timeZone, days = 0) => {
+  const { year, month, day } = partsIn(date, timeZone);
+  const midnight = Date.UTC(year, month - 1, day + days);
+  // The offset at midnight may differ from the offset at the guess, so settle it twice
+  let instant = midnight - offsetAt(new Date(midnight), timeZone) * 60000;
+  instant = midnight - offsetAt(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+};
+
+/**
+ * Get the instant of a wall-clock time on a calendar date in a time zone,
+ * e.g. 23:59 on '2025-03-09' in 'America/Toronto'.
+ *
+ * @function atTime
+ * @param {string} day - The date as 'YYYY-MM-DD'.
+ * @param {string} time - The time as 'HH:MM'.
+ * @param {string} timeZone - The time zone.
+ * @returns {Date} The instant.
+ */
+const atTime = (day, time, timeZone) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, date, hour, minute);
+  let instant = wallClock - offsetAt(new Date(wallClock), timeZone) * 60000;
+  instant = wallClock - offsetAt(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+};
+
+export default { DEFAULT_TIMEZONE, DAY_MS, isTimeZone, dayKey, startOfDay, atTime };
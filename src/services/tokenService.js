@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import User from '../models/user.js';
+import RefreshToken from '../models/refreshToken.js';
+import RevokedToken from '../models/revokedToken.js';
+import userTokenService from './userTokenService.js';
+
+dotenv.config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+/**
+ * Sign a short-lived access token for a user.
+ *
+ * @function issueAccessToken
+ * @param {Object} user - The user document.
+ * @returns {string} Signed HS256 JWT carrying the user ID, role and a unique JWT ID.
+ */
+const issueAccessToken = (user) => jwt.sign(
+  { userId: user._id, role: user.role },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Sign the intermediate token returned by sign-in when the user still has to pass two-factor
+ * authentication. It carries no `userId` and a `purpose` claim, so `isRevoked` refuses it as an access token.
+ *
+ * @function issueTwoFactorChallenge
+ * @param {Object} user - The user document.
+ * @returns {string} Signed HS256 JWT valid for five minutes.
+ */
+const issueTwoFactorChallenge = (user) => jwt.sign(
+  { sub: String(user._id), purpose: '2fa' },
+  process.env.JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL, jwtid: crypto.randomUUID() }
+);
+
+/**
+ * Check a two-factor challenge token.
+ *
+ * @function verifyTwoFactorChallenge
+ * @param {string} token - The challenge token presented by the client.
+ * @returns {string|null} ID of the user the challenge was issued to, or null when invalid or expired.
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    return payload.purpose === '2fa' ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store a new refresh token for a session family.
+ *
+ * @async
+ * @function createRefreshToken
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {string} familyId - The session family the token belongs to.
+ * @param {Object} [meta] - Request metadata (ip, user_agent) recorded with the token.
+ * @returns {Promise<{token: string, hash: string}>} The raw token and its stored hash.
+ */
+const createRefreshToken = async (uid, familyId, meta = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const hash = userTokenService.hashToken(token);
+  const refreshToken = new RefreshToken({
+    uid,
+    family_id: familyId,
+    token_hash: hash,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ip: meta.ip,
+    user_agent: meta.user_agent,
+  });
+  await refreshToken.save();
+  return { token, hash };
+};
+
+/**
+ * Start a new session for a user: an access token plus the first refresh token of a new family.
+ *
+ * @async
+ * @function issueSession
+ * @param {Object} user - The user document.
+ * @param {Object} [meta] - Request metadata (ip, user_agent) recorded with the refresh token.
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: string}>} The token pair.
+ */
+const issueSession = async (user, meta) => {
+  const { token: refreshToken } = await createRefreshToken(user._id, crypto.randomUUID(), meta);
+  return { token: issueAccessToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Revoke every token of a session family.
+ *
+ * @async
+ * @function revokeFamily
+ * @param {string} familyId - The session family to revoke.
+ * @param {string} reason - Why the family is revoked.
+ * @returns {Promise<void>}
+ */
+const revokeFamily = async (familyId, reason) => {
+  await RefreshToken.updateMany(
+    { family_id: familyId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting a token that was already exchanged or revoked is treated as theft
+ * and revokes the whole session family.
+ *
+ * @async
+ * @function rotateRefreshToken
+ * @param {string} token - The raw refresh token presented by the client.
+ * @param {Object} [meta] - Request metadata (ip, user_agent) recorded with the new refresh token.
+ * @returns {Promise<Object>} `{ session }` on success, or `{ error }` with 'invalid', 'expired' or 'reused'.
+ */
+const rotateRefreshToken = async (token, meta) => {
+  if (!token || typeof token !== 'string') {
+    return { error: 'invalid' };
+  }
+
+  const existing = await RefreshToken.findOne({ token_hash: userTokenService.hashToken(token) });
+  if (!existing) {
+    return { error: 'invalid' };
+  }
+
+  if (existing.used_at || existing.revoked_at) {
+    await revokeFamily(existing.family_id, 'reuse_detected');
+    return { error: 'reused' };
+  }
+
+  if (existing.expires_at <= new Date()) {
+    return { error: 'expired' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, used_at: null, revoked_at: null },
+    { used_at: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    await revokeFamily(existing.family_id, 'reuse_detected');
+    return { error: 'reused' };
+  }
+
+  const user = await User.findById(existing.uid);
+  if (!user || user.status !== 'active') {
+    await revokeFamily(existing.family_id, 'user_inactive');
+    return { error: 'invalid' };
+  }
+
+  const { token: refreshToken, hash } = await createRefreshToken(user._id, existing.family_id, meta);
+  claimed.replaced_by = hash;
+  await claimed.save();
+
+  return { session: { token: issueAccessToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL } };
+};
+
+/**
+ * Revoke the session a refresh token belongs to (e.g. on sign out).
+ *
+ * @async
+ * @function revokeRefreshToken
+ * @param {string} token - The raw refresh token.
+ * @param {string} reason - Why the session is revoked.
+ * @returns {Promise<void>}
+ */
+const revokeRefreshToken = async (token, reason) => {
+  if (!token || typeof token !== 'string') {
+    return;
+  }
+  const existing = await RefreshToken.findOne({ token_hash: userTokenService.hashToken(token) });
+  if (existing) {
+    await revokeFamily(existing.family_id, reason);
+  }
+};
+
+/**
+ * Add an access token to the revocation list until it expires.
+ *
+ * @async
+ * @function revokeAccessToken
+ * @param {Object} payload - The decoded JWT payload.
+ * @param {string} reason - Why the token is revoked.
+ * @returns {Promise<void>}
+ */
+const revokeAccessToken = async (payload, reason) => {
+  if (!payload || !payload.jti || !payload.exp) {
+    return;
+  }
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { uid: payload.userId, reason, expires_at: new Date(payload.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Invalidate every session of a user: all refresh tokens are revoked and access
+ * tokens issued before now are refused by `isRevoked`.
+ * Used on password change, password reset and account lockout.
+ *
+ * @async
+ * @function revokeUserSessions
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @param {string} reason - Why the sessions are revoked.
+ * @returns {Promise<void>}
+ */
+const revokeUserSessions = async (uid, reason) => {
+  await User.updateOne({ _id: uid }, { tokensRevokedAt: new Date() });
+  await RefreshToken.updateMany(
+    { uid, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+};
+
+/**
+ * `isRevoked` callback for express-jwt.
+ * Refuses access tokens that are on the revocation list, belong to a missing or
+ * suspended user, carry a role the user no longer has, or were issued before the
+ * user's sessions were revoked.
+ *
+ * @async
+ * @function isRevoked
+ * @param {Object} req - Express request object.
+ * @param {Object} token - The decoded token (`{ header, payload }`).
+ * @returns {Promise<boolean>} True when the token must be refused.
+ */
+const isRevoked = async (req, token) => {
+  const payload = token && token.payload;
+  // Purpose-bound tokens (e.g. two-factor challenges) are never access tokens
+  if (!payload || !payload.userId || payload.purpose) {
+    return true;
+  }
+
+  if (payload.jti && await RevokedToken.exists({ jti: payload.jti })) {
+    return true;
+  }
+
+  const user = await User.findById(payload.userId).select('status role tokensRevokedAt');
+  if (!user || user.status === 'suspended') {
+    return true;
+  }
+
+  if (payload.role && payload.role !== user.role) {
+    return true;
+  }
+
+  // JWT `iat` only has second precision, so compare against the revocation second
+  if (user.tokensRevokedAt && payload.iat < Math.floor(user.tokensRevokedAt.getTime() / 1000)) {
+    return true;
+  }
+
+  return false;
+};
+
+export default {
+  issueAccessToken,
+  issueSession,
+  issueTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeUserSessions,
+  isRevoked,
+};
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) built on HOTP (RFC 4226), compatible with
+ * authenticator apps. Secrets are exchanged as base32 strings (RFC 4648).
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP = 30;
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode bytes as an unpadded base32 string.
+ *
+ * @function base32Encode
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} Base32 representation.
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string. Case, spaces and padding are ignored.
+ *
+ * @function base32Decode
+ * @param {string} input - Base32 text.
+ * @returns {Buffer} The decoded bytes.
+ * @throws {Error} When the input contains characters outside the base32 alphabet.
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random secret for a new authenticator enrolment.
+ *
+ * @function generateSecret
+ * @param {number} [size=20] - Secret length in bytes (20 bytes matches HMAC-SHA1).
+ * @returns {string} The secret as base32.
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Compute an HOTP value (RFC 4226).
+ *
+ * @function hotp
+ * @param {Buffer} key - The shared secret.
+ * @param {number} counter - The moving factor.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.digits=6] - Number of digits in the code.
+ * @param {string} [options.algorithm='sha1'] - HMAC algorithm ('sha1', 'sha256' or 'sha512').
+ * @returns {string} The zero-padded code.
+ */
+const hotp = (key, counter, { digits = DEFAULT_DIGITS, algorithm = 'sha1' } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Compute the TOTP value for a point in time (RFC 6238).
+ *
+ * @function totp
+ * @param {Buffer} key - The shared secret.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.time=Date.now()] - Time in milliseconds.
+ * @param {number} [options.step=30] - Time step in seconds.
+ * @param {number} [options.digits=6] - Number of digits in the code.
+ * @param {string} [options.algorithm='sha1'] - HMAC algorithm.
+ * @returns {string} The zero-padded code.
+ */
+const totp = (key, { time = Date.now(), step = DEFAULT_STEP, ...options } = {}) => (
+  hotp(key, Math.floor(time / 1000 / step), options)
+);
+
+/**
+ * Check a code against a base32 secret, allowing for clock drift.
+ *
+ * @function verify
+ * @param {string} code - The code entered by the user.
+ * @param {string} secret - The base32 secret.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.window=1] - Number of time steps accepted either side of now.
+ * @param {number} [options.time=Date.now()] - Time in milliseconds.
+ * @param {number} [options.step=30] - Time step in seconds.
+ * @param {number} [options.digits=6] - Number of digits in the code.
+ * @returns {number|null} The time step counter the code matched, or null.
+ */
+const verify = (code, secret, { window = 1, time = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== digits) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = Math.floor(time / 1000 / step);
+  for (let counter = current - window; counter <= current + window; counter += 1) {
+    const expected = hotp(key, counter, { digits });
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code.
+ *
+ * @function buildOtpauthUri
+ * @param {Object} options - URI options.
+ * @param {string} options.secret - The base32 secret.
+ * @param {string} options.label - Account label shown in the app, usually the email address.
+ * @param {string} options.issuer - Service name shown in the app.
+ * @returns {string} The otpauth URI.
+ */
+const buildOtpauthUri = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP),
+  });
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verify,
+  buildOtpauthUri,
+};
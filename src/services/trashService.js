@@ -0,0 +1,75 @@
+import dotenv from 'dotenv';
+import OWNED_RECORDS from './ownedRecords.js';
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = (Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+const TRASHABLE = OWNED_RECORDS.filter(({ trashable }) => trashable);
+
+/**
+ * When a trashed record is due to be purged.
+ *
+ * @function purgeDate
+ * @param {Date} deletedAt - When the record was moved to the trash.
+ * @returns {Date} The purge date.
+ */
+const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * DAY_MS);
+
+/**
+ * List everything a user has in the trash, most recently deleted first.
+ *
+ * @async
+ * @function listTrash
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @returns {Promise<Object>} Retention period and the trashed records per collection, each with its `purge_at` date.
+ */
+const listTrash = async (uid) => {
+  const records = {};
+  for (const { name, model, field } of TRASHABLE) {
+    const trashed = await model.find({ [field]: uid, deleted_at: { $ne: null } }).sort({ deleted_at: -1 }).lean();
+    records[name] = trashed.map((record) => ({ ...record, purge_at: purgeDate(record.deleted_at) }));
+  }
+  return { retention_days: RETENTION_DAYS, records };
+};
+
+/**
+ * Permanently delete records that have been in the trash longer than the retention period.
+ *
+ * @async
+ * @function purgeExpired
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<Object>} Number of records purged per collection.
+ */
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const purged = {};
+  for (const { name, model } of TRASHABLE) {
+    const { deletedCount } = await model.deleteMany({ deleted_at: { $ne: null, $lte: cutoff } });
+    purged[name] = deletedCount;
+  }
+  return purged;
+};
+
+/**
+ * Purge expired trash now and then every `TRASH_PURGE_INTERVAL_MINUTES`.
+ * The timer does not keep the process alive.
+ *
+ * @function startPurgeSchedule
+ * @returns {Object} The interval timer.
+ */
+const startPurgeSchedule = () => {
+  const run = () => purgeExpired().catch((error) => console.error('Trash purge failed:', error.message));
+  setImmediate(run);
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+export default {
+  RETENTION_DAYS,
+  purgeDate,
+  listTrash,
+  purgeExpired,
+  startPurgeSchedule,
+};
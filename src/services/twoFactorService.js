@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import User from '../models/user.js';
+import totp from './totp.js';
+import userTokenService from './userTokenService.js';
+
+dotenv.config();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Academic Management Platform';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalise a recovery code as typed by a user (case, spaces and dashes are ignored).
+ *
+ * @function normalizeRecoveryCode
+ * @param {string} code - The code entered by the user.
+ * @returns {string} The canonical form that is hashed and stored.
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Generate a fresh set of single-use recovery codes.
+ *
+ * @function generateRecoveryCodes
+ * @returns {{codes: string[], hashes: string[]}} The codes to show the user once, and the hashes to store.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  const hashes = codes.map((code) => userTokenService.hashToken(normalizeRecoveryCode(code)));
+  return { codes, hashes };
+};
+
+/**
+ * Start an enrolment: a new secret and the otpauth URI for an authenticator app.
+ *
+ * @function createEnrolment
+ * @param {Object} user - The user document.
+ * @returns {{secret: string, otpauthUri: string}} The base32 secret and its otpauth URI.
+ */
+const createEnrolment = (user) => {
+  const secret = totp.generateSecret();
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({ secret, label: user.email, issuer: TOTP_ISSUER }),
+  };
+};
+
+/**
+ * Accept a TOTP code for a user with two-factor authentication enabled.
+ * The time step is claimed atomically so the same code cannot be used twice.
+ *
+ * @async
+ * @function verifyCode
+ * @param {Object} user - The user document.
+ * @param {string} code - The code from the authenticator app.
+ * @returns {Promise<boolean>} True when the code is valid and was not used before.
+ */
+const verifyCode = async (user, code) => {
+  const twoFactor = user.twoFactor || {};
+  if (!twoFactor.enabled || !twoFactor.secret) {
+    return false;
+  }
+
+  const step = totp.verify(code, twoFactor.secret);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $exists: false } }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Use up one of a user's recovery codes.
+ *
+ * @async
+ * @function consumeRecoveryCode
+ * @param {Object} user - The user document.
+ * @param {string} code - The recovery code entered by the user.
+ * @returns {Promise<boolean>} True when the code was valid; it can no longer be used.
+ */
+const consumeRecoveryCode = async (user, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) {
+    return false;
+  }
+
+  const hash = userTokenService.hashToken(normalized);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Check a second factor, either an authenticator code or a recovery code.
+ *
+ * @async
+ * @function verifySecondFactor
+ * @param {Object} user - The user document.
+ * @param {Object} factor - What the user entered.
+ * @param {string} [factor.code] - A TOTP code.
+ * @param {string} [factor.recoveryCode] - A recovery code.
+ * @returns {Promise<string|null>} 'totp' or 'recovery' for the factor that was accepted, or null.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (code && await verifyCode(user, code)) {
+    return 'totp';
+  }
+  if (recoveryCode && await consumeRecoveryCode(user, recoveryCode)) {
+    return 'recovery';
+  }
+  return null;
+};
+
+export default {
+  createEnrolment,
+  generateRecoveryCodes,
+  verifyCode,
+  consumeRecoveryCode,
+  verifySecondFactor,
+};
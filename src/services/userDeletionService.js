@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import RefreshToken from '../models/refreshToken.js';
+import UserToken from '../models/userToken.js';
+import RevokedToken from '../models/revokedToken.js';
+import SecurityEvent from '../models/securityEvent.js';
+import Attachment from '../models/attachment.js';
+import ExportJob from '../models/exportJob.js';
+import exportService from './exportService.js';
+import loginThrottle from './loginThrottle.js';
+import OWNED_RECORDS from './ownedRecords.js';
+
+/**
+ * Account data (sessions, emailed tokens, security history) that never blocks a deletion
+ * and is always removed together with the user.
+ */
+const ACCOUNT_RECORDS = [
+  { name: 'refreshTokens', model: RefreshToken, field: 'uid' },
+  { name: 'userTokens', model: UserToken, field: 'uid' },
+  { name: 'revokedTokens', model: RevokedToken, field: 'uid' },
+  { name: 'securityEvents', model: SecurityEvent, field: 'uid' },
+  { name: 'exportJobs', model: ExportJob, field: 'uid' },
+];
+
+/**
+ * Count the records a user owns, those in the trash included, since a cascade deletes them too.
+ *
+ * @async
+ * @function countOwnedRecords
+ * @param {Schema.Types.ObjectId} uid - ID of the user.
+ * @returns {Promise<Object>} Count per record kind, e.g. `{ subjects: 2, grades: 10, ... }`.
+ */
+const countOwnedRecords = async (uid) => {
+  const counts = await Promise.all(
+    OWNED_RECORDS.map(({ model, field }) => model.countDocuments({ [field]: uid }, { withDeleted: true }))
+  );
+  return OWNED_RECORDS.reduce((result, { name }, index) => ({ ...result, [name]: counts[index] }), {});
+};
+
+/**
+ * Delete a user.
+ *
+ * - 'block' mode refuses while the user still owns records.
+ * - 'cascade' mode removes the user and everything they own in one MongoDB transaction,
+ *   so a failure leaves no partially deleted account (requires a replica set, e.g. Atlas).
+ * - With `dryRun` nothing is changed; the result reports what would be removed.
+ *
+ * @async
+ * @function deleteUser
+ * @param {Schema.Types.ObjectId} uid - ID of the user to delete.
+ * @param {Object} [options] - Deletion options.
+ * @param {string} [options.mode='block'] - 'block' or 'cascade'.
+ * @param {boolean} [options.dryRun=false] - Only report what would be removed.
+ * @returns {Promise<Object>} `{ status, records }` where status is 'not_found', 'dry_run', 'blocked' or 'deleted'
+ * and records holds the owned record counts.
+ */
+const deleteUser = async (uid, { mode = 'block', dryRun = false } = {}) => {
+  const user = await User.findById(uid);
+  if (!user) {
+    return { status: 'not_found' };
+  }
+
+  const records = await countOwnedRecords(user._id);
+  const owned = Object.values(records).reduce((sum, count) => sum + count, 0);
+
+  if (dryRun) {
+    return { status: 'dry_run', mode, blocked: mode === 'block' && owned > 0, records };
+  }
+
+  if (mode === 'block' && owned > 0) {
+    return { status: 'blocked', records };
+  }
+
+  const session = await mongoose.startSession();
+  let exportJobs = [];
+  try {
+    await session.withTransaction(async () => {
+      // The export archives hold the user's data, so they go once their jobs are gone
+      exportJobs = await ExportJob.find({ uid: user._id }, null, { session });
+      for (const { model, field } of [...OWNED_RECORDS, ...ACCOUNT_RECORDS]) {
+        await model.deleteMany({ [field]: user._id }, { session });
+      }
+      await User.deleteOne({ _id: user._id }, { session });
+    });
+    // Files of deleted attachments are only removed once the deletion is committed
+    await Attachment.removeFilesAfterCommit(session);
+    await exportService.removeArchives(exportJobs);
+  } finally {
+    await session.endSession();
+  }
+
+  // The sign-in throttle may live outside MongoDB, so it is cleared after the commit
+  await loginThrottle.reset(user.email);
+
+  return { status: 'deleted', records };
+};
+
+export default { countOwnedRecords, deleteUser };
@@ -0,0 +1,134 @@
+import UserSettings from '../models/userSettings.js';
+import { hasPermission } from '../config/permissions.js';
+
+/**
+ * Central place deciding which User fields leave the API.
+ * `sanitizeUser` is the User schema's toJSON transform, so secrets are stripped from every
+ * serialized user, including populated `uid` references. `serializeUser` and `serializeUsers`
+ * additionally apply the profile visibility the user chose in their settings.
+ */
+
+// Fields that are never returned to clients
+const SECRET_FIELDS = ['password', 'tokensRevokedAt', '__v'];
+
+// Fields other users may see, by the profile owner's `privacy.profileVisibility`.
+// There is no friends list yet, so 'friends' profiles are shown like private ones.
+const VISIBLE_FIELDS = {
+  public: ['_id', 'userName', 'firstName', 'lastName', 'email', 'role'],
+  friends: ['_id', 'userName', 'role'],
+  private: ['_id', 'userName', 'role'],
+};
+
+/**
+ * Remove secrets from a plain user object. Two-factor settings are reduced to whether they are enabled.
+ *
+ * @function sanitizeUser
+ * @param {Object} ret - Plain user object; modified in place.
+ * @returns {Object} The same object without secret fields.
+ */
+const sanitizeUser = (ret) => {
+  if (!ret) {
+    return ret;
+  }
+  SECRET_FIELDS.forEach((field) => {
+    delete ret[field];
+  });
+  if ('twoFactor' in ret) {
+    ret.twoFactorEnabled = Boolean(ret.twoFactor && ret.twoFactor.enabled);
+    delete ret.twoFactor;
+  }
+  return ret;
+};
+
+/**
+ * Turn a user document (or plain object) into a sanitized plain object.
+ *
+ * @function toPlainUser
+ * @param {Object} user - User document or plain object.
+ * @returns {Object} Plain object without secret fields, or the input when it is empty.
+ */
+const toPlainUser = (user) => {
+  if (!user) {
+    return user;
+  }
+  return typeof user.toJSON === 'function' ? user.toJSON() : sanitizeUser({ ...user });
+};
+
+/**
+ * Check whether the requester sees a user's full profile: it is their own, or they manage users.
+ * Requests without a request object are internal and see full profiles.
+ *
+ * @function seesFullProfile
+ * @param {Object} [req] - Express request object.
+ * @param {Object} user - Plain user object.
+ * @returns {boolean} True when visibility settings do not apply.
+ */
+const seesFullProfile = (req, user) => {
+  if (!req) {
+    return true;
+  }
+  const { auth } = req;
+  return Boolean(auth && (String(auth.userId) === String(user._id) || hasPermission(auth.role, 'users:manage')));
+};
+
+/**
+ * Keep only the fields a profile's visibility allows.
+ *
+ * @function applyVisibility
+ * @param {Object} user - Plain user object.
+ * @param {Object} [settings] - The user's settings, if any.
+ * @returns {Object} Object with the visible fields.
+ */
+const applyVisibility = (user, settings) => {
+  const visibility = (settings && settings.privacy && settings.privacy.profileVisibility) || 'public';
+  const fields = VISIBLE_FIELDS[visibility] || VISIBLE_FIELDS.private;
+  return fields.reduce((visible, field) => {
+    if (user[field] !== undefined) {
+      visible[field] = user[field];
+    }
+    return visible;
+  }, {});
+};
+
+/**
+ * Serialize one user for a response.
+ *
+ * @async
+ * @function serializeUser
+ * @param {Object} user - User document or plain object.
+ * @param {Object} [req] - Express request of the viewer, used to apply profile visibility.
+ * @returns {Promise<Object>} The user as the viewer may see it.
+ */
+const serializeUser = async (user, req) => {
+  const plain = toPlainUser(user);
+  if (!plain || seesFullProfile(req, plain)) {
+    return plain;
+  }
+  const settings = await UserSettings.findOne({ userId: plain._id });
+  return applyVisibility(plain, settings);
+};
+
+/**
+ * Serialize a list of users, loading the settings of all restricted profiles in one query.
+ *
+ * @async
+ * @function serializeUsers
+ * @param {Object[]} users - User documents or plain objects.
+ * @param {Object} [req] - Express request of the viewer, used to apply profile visibility.
+ * @returns {Promise<Object[]>} The users as the viewer may see them.
+ */
+const serializeUsers = async (users, req) => {
+  const plain = (users || []).map(toPlainUser);
+  const restricted = plain.filter((user) => !seesFullProfile(req, user));
+  if (!restricted.length) {
+    return plain;
+  }
+
+  const settings = await UserSettings.find({ userId: { $in: restricted.map((user) => user._id) } });
+  const settingsByUser = new Map((settings || []).map((entry) => [String(entry.userId), entry]));
+  return plain.map((user) => (
+    seesFullProfile(req, user) ? user : applyVisibility(user, settingsByUser.get(String(user._id)))
+  ));
+};
+
+export default { sanitizeUser, serializeUser, serializeUsers };
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import UserToken from '../models/userToken.js';
+
+/**
+ * Hash a raw token so it can be stored and looked up without keeping the token itself.
+ *
+ * @function hashToken
+ * @param {string} token - The raw token.
+ * @returns {string} Hex encoded SHA-256 hash of the token.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new single-use token for a user.
+ * Any unused token of the same type is discarded so only the latest one can be redeemed.
+ *
+ * @async
+ * @function issueToken
+ * @param {Schema.Types.ObjectId} uid - ID of the user the token belongs to.
+ * @param {string} type - The purpose of the token (see the UserToken model).
+ * @param {number} ttlMs - How long the token stays valid, in milliseconds.
+ * @param {Object} [payload] - Extra data bound to the token (optional).
+ * @returns {Promise<string>} The raw token, to be sent to the user.
+ */
+const issueToken = async (uid, type, ttlMs, payload) => {
+  await UserToken.deleteMany({ uid, type, used_at: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const userToken = new UserToken({
+    uid,
+    type,
+    token_hash: hashToken(token),
+    payload,
+    expires_at: new Date(Date.now() + ttlMs),
+  });
+  await userToken.save();
+  return token;
+};
+
+/**
+ * Look up a token that can still be redeemed, without consuming it.
+ *
+ * @async
+ * @function findValidToken
+ * @param {string} token - The raw token received from the user.
+ * @param {string} type - The expected purpose of the token.
+ * @returns {Promise<Object|null>} The token document, or null if it is unknown, used or expired.
+ */
+const findValidToken = async (token, type) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  return UserToken.findOne({ token_hash: hashToken(token), type, used_at: null, expires_at: { $gt: new Date() } });
+};
+
+/**
+ * Redeem a token. The lookup and the "used" marker are applied in a single atomic
+ * update so the same token can never be redeemed twice.
+ *
+ * @async
+ * @function consumeToken
+ * @param {string} token - The raw token received from the user.
+ * @param {string} type - The expected purpose of the token.
+ * @returns {Promise<Object|null>} The consumed token document, or null if it is unknown, used or expired.
+ */
+const consumeToken = async (token, type) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  return UserToken.findOneAndUpdate(
+    { token_hash: hashToken(token), type, used_at: null, expires_at: { $gt: new Date() } },
+    { used_at: new Date() },
+    { new: true }
+  );
+};
+
+export default { hashToken, issueToken, findValidToken, consumeToken };